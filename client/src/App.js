@@ -12,6 +12,7 @@ import Login from './pages/Login';
 import Register from './pages/Register';
 import Chat from './pages/Chat';
 import PlaceDetails from './pages/PlaceDetails';
+import Compare from './pages/Compare';
 
 import { useAuth } from './context/AuthContext';
 
@@ -196,6 +197,21 @@ function App() {
               } 
             />
             
+            <Route 
+              path="/compare" 
+              element={
+                <motion.div
+                  initial="initial"
+                  animate="in"
+                  exit="out"
+                  variants={pageVariants}
+                  transition={pageTransition}
+                >
+                  <Compare />
+                </motion.div>
+              } 
+            />
+            
             {/* Catch all route */}
             <Route 
               path="*" 
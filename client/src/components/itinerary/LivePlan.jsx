@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import { ArrowUpIcon, ArrowDownIcon, CheckCircleIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../../context/AuthContext';
+import { itineraryAPI } from '../../services/api';
+import { subscribeToItinerary } from '../../services/itineraryLive';
+
+const ACTIVITY = {
+  'place-added': 'added a stop',
+  'place-removed': 'removed a stop',
+  'places-reordered': 'reordered the stops',
+  'place-updated': 'edited a stop',
+  'place-visited': 'checked off a stop',
+  'itinerary-updated': 'updated the details'
+};
+
+// Stops of an itinerary kept in sync with everyone editing it
+const LivePlan = ({ itinerary, role }) => {
+  const { user } = useAuth();
+  const [places, setPlaces] = useState(itinerary.places || []);
+  const [revision, setRevision] = useState(null);
+  const [viewers, setViewers] = useState([]);
+  const [activity, setActivity] = useState([]);
+  const [ended, setEnded] = useState('');
+  const [error, setError] = useState('');
+  const canEdit = role === 'owner' || role === 'editor';
+
+  useEffect(() => {
+    return subscribeToItinerary(itinerary._id, (type, event) => {
+      if (type === 'presence') {
+        setViewers(event.users);
+        return;
+      }
+      if (type === 'itinerary-deleted') {
+        setEnded('This itinerary was deleted');
+        return;
+      }
+      if (type === 'access-revoked') {
+        setEnded('You no longer have access to this itinerary');
+        return;
+      }
+
+      setPlaces(event.places);
+      setRevision(event.revision);
+      if (ACTIVITY[type] && event.actor && event.actor.id !== user?._id) {
+        setActivity(prev => [`${event.actor.name} ${ACTIVITY[type]}`, ...prev].slice(0, 3));
+      }
+    });
+  }, [itinerary._id, user?._id]);
+
+  // Changes are shown once the server confirms them on the stream
+  const runChange = async (change) => {
+    try {
+      setError('');
+      await change();
+    } catch (err) {
+      if (err.response?.status === 409 && err.response.data.data) {
+        setPlaces(err.response.data.data.places);
+        setRevision(err.response.data.data.revision);
+      }
+      setError(err.response?.data?.message || err.response?.data?.error || 'Failed to update the itinerary');
+    }
+  };
+
+  const handleMove = (index, offset) => {
+    const placeIds = places.map(place => place.placeId);
+    [placeIds[index], placeIds[index + offset]] = [placeIds[index + offset], placeIds[index]];
+    runChange(() => itineraryAPI.reorderPlaces(itinerary._id, placeIds, revision));
+  };
+
+  const handleNotes = (place, notes) => {
+    if (notes === (place.notes || '')) return;
+    runChange(() => itineraryAPI.updatePlaceInItinerary(itinerary._id, place.placeId, { notes }));
+  };
+
+  if (ended) {
+    return <p className="px-6 pb-4 text-sm text-gray-500">{ended}</p>;
+  }
+
+  return (
+    <div className="px-6 pb-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <h4 className="text-sm font-medium text-gray-900">Live plan</h4>
+        <div className="flex -space-x-2" aria-label="People viewing this itinerary">
+          {viewers.map(viewer => (
+            <span
+              key={viewer.id}
+              title={`${viewer.name} (${viewer.role})`}
+              className="w-7 h-7 rounded-full bg-primary-100 text-primary-700 text-xs font-medium flex items-center justify-center ring-2 ring-white"
+            >
+              {viewer.name?.charAt(0).toUpperCase()}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+
+      <ol className="space-y-2">
+        {places.map((place, index) => (
+          <li key={place.placeId} className="border border-gray-100 rounded-lg p-2 text-sm">
+            <div className="flex items-center gap-2">
+              <span className="text-xs text-gray-400 w-4">{index + 1}</span>
+              <span className={`flex-1 truncate ${place.isVisited ? 'line-through text-gray-400' : 'text-gray-700'}`}>
+                {place.name}
+              </span>
+              {canEdit && (
+                <div className="flex items-center gap-1 text-gray-400">
+                  <button onClick={() => handleMove(index, -1)} disabled={index === 0 || revision === null} className="p-0.5 hover:text-gray-600 disabled:opacity-30" title="Move up">
+                    <ArrowUpIcon className="h-4 w-4" />
+                  </button>
+                  <button onClick={() => handleMove(index, 1)} disabled={index === places.length - 1 || revision === null} className="p-0.5 hover:text-gray-600 disabled:opacity-30" title="Move down">
+                    <ArrowDownIcon className="h-4 w-4" />
+                  </button>
+                  {!place.isVisited && (
+                    <button onClick={() => runChange(() => itineraryAPI.markPlaceVisited(itinerary._id, place.placeId))} className="p-0.5 hover:text-green-600" title="Mark visited">
+                      <CheckCircleIcon className="h-4 w-4" />
+                    </button>
+                  )}
+                  <button onClick={() => runChange(() => itineraryAPI.removePlaceFromItinerary(itinerary._id, place.placeId))} className="p-0.5 hover:text-red-600" title="Remove">
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                </div>
+              )}
+            </div>
+            {canEdit ? (
+              <input
+                key={`${place.placeId}-${place.notes || ''}`}
+                defaultValue={place.notes || ''}
+                placeholder="Add a note"
+                maxLength={500}
+                onBlur={(e) => handleNotes(place, e.target.value.trim())}
+                className="mt-1 w-full px-2 py-1 border border-transparent hover:border-gray-200 rounded text-xs text-gray-600 focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+              />
+            ) : (
+              place.notes && <p className="mt-1 text-xs text-gray-500">{place.notes}</p>
+            )}
+          </li>
+        ))}
+      </ol>
+
+      {activity.length > 0 && (
+        <ul className="text-xs text-gray-500 space-y-0.5">
+          {activity.map((line, index) => <li key={index}>{line}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default LivePlan;
@@ -8,6 +8,8 @@ const PlaceCard = ({
   place, 
   onFavorite, 
   onAddToItinerary,
+  onSelect,
+  selected = false,
   showActions = true,
   className = '' 
 }) => {
@@ -40,6 +42,12 @@ const PlaceCard = ({
     onAddToItinerary?.(place);
   };
 
+  const handleSelect = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    onSelect?.(place);
+  };
+
   return (
     <Link 
       to={`/place/${id}`}
@@ -67,6 +75,19 @@ const PlaceCard = ({
           </div>
         )}
         
+        {onSelect && (
+          <button
+            onClick={handleSelect}
+            className={`absolute bottom-3 left-3 px-2 py-1 rounded-full text-xs font-medium shadow-sm transition-colors ${
+              selected
+                ? 'bg-primary-600 text-white'
+                : 'bg-white/90 backdrop-blur-sm text-gray-700 hover:bg-white'
+            }`}
+          >
+            {selected ? 'Comparing' : 'Compare'}
+          </button>
+        )}
+        
         {isVisited && (
           <div className="absolute top-3 left-3">
             <span className="px-2 py-1 bg-green-500 text-white text-xs font-medium rounded-full">
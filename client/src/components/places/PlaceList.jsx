@@ -4,12 +4,29 @@ import PlaceCard from './PlaceCard';
 import Button from '../ui/Button';
 import Input from '../ui/Input';
 
+// Number of places that can be compared side by side
+const MAX_COMPARE = 5;
+
+// Provider category IDs of a taxonomy node and all of its descendants
+const collectCategoryIds = (node) => [
+  ...(node.foursquareIds || []),
+  ...(node.children || []).flatMap(collectCategoryIds)
+];
+
+// Flatten a category tree into { slug, name, ids } entries
+const flattenCategoryTree = (nodes) => nodes.flatMap(node => [
+  { slug: node.slug, name: node.name, ids: new Set(collectCategoryIds(node)) },
+  ...flattenCategoryTree(node.children || [])
+]);
+
 const PlaceList = ({ 
   places = [], 
+  categoryTree = [],
   loading = false, 
   onFavorite, 
   onAddToItinerary,
   onLoadMore,
+  onCompare,
   hasMore = false,
   className = '' 
 }) => {
@@ -19,15 +36,28 @@ const PlaceList = ({
   const [selectedCategories, setSelectedCategories] = useState([]);
   const [priceRange, setPriceRange] = useState([1, 4]);
   const [ratingFilter, setRatingFilter] = useState(0);
+  const [compareIds, setCompareIds] = useState([]);
 
-  // Get unique categories from places
+  // Taxonomy categories that match at least one place, or the place
+  // category names when no taxonomy is available
   const categories = useMemo(() => {
+    const placeCategoryIds = new Set();
     const categorySet = new Set();
     places.forEach(place => {
-      place.categories?.forEach(cat => categorySet.add(cat.name));
+      place.categories?.forEach(cat => {
+        placeCategoryIds.add(String(cat.id));
+        categorySet.add(cat.name);
+      });
     });
-    return Array.from(categorySet);
-  }, [places]);
+
+    if (categoryTree.length > 0) {
+      return flattenCategoryTree(categoryTree)
+        .filter(entry => Array.from(entry.ids).some(id => placeCategoryIds.has(id)))
+        .map(entry => ({ key: entry.slug, name: entry.name, ids: entry.ids }));
+    }
+
+    return Array.from(categorySet).map(name => ({ key: name, name, names: [name] }));
+  }, [places, categoryTree]);
 
   // Filter and sort places
   const filteredPlaces = useMemo(() => {
@@ -39,8 +69,12 @@ const PlaceList = ({
       
       // Category filter
       if (selectedCategories.length > 0) {
-        const placeCategories = place.categories?.map(cat => cat.name) || [];
-        if (!selectedCategories.some(cat => placeCategories.includes(cat))) {
+        const matches = categories
+          .filter(category => selectedCategories.includes(category.key))
+          .some(category => place.categories?.some(cat =>
+            category.ids ? category.ids.has(String(cat.id)) : category.names.includes(cat.name)
+          ));
+        if (!matches) {
           return false;
         }
       }
@@ -78,7 +112,7 @@ const PlaceList = ({
     }
 
     return filtered;
-  }, [places, searchTerm, sortBy, selectedCategories, priceRange, ratingFilter]);
+  }, [places, categories, searchTerm, sortBy, selectedCategories, priceRange, ratingFilter]);
 
   const handleCategoryToggle = (category) => {
     setSelectedCategories(prev => 
@@ -88,6 +122,13 @@ const PlaceList = ({
     );
   };
 
+  const handleCompareToggle = (place) => {
+    setCompareIds(prev => {
+      if (prev.includes(place.id)) return prev.filter(id => id !== place.id);
+      return prev.length < MAX_COMPARE ? [...prev, place.id] : prev;
+    });
+  };
+
   const clearFilters = () => {
     setSearchTerm('');
     setSortBy('relevance');
@@ -155,15 +196,15 @@ const PlaceList = ({
                 <div className="flex flex-wrap gap-2">
                   {categories.map(category => (
                     <button
-                      key={category}
-                      onClick={() => handleCategoryToggle(category)}
+                      key={category.key}
+                      onClick={() => handleCategoryToggle(category.key)}
                       className={`px-3 py-1 rounded-full text-sm font-medium transition-colors ${
-                        selectedCategories.includes(category)
+                        selectedCategories.includes(category.key)
                           ? 'bg-primary-100 text-primary-700'
                           : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
                       }`}
                     >
-                      {category}
+                      {category.name}
                     </button>
                   ))}
                 </div>
@@ -225,6 +266,20 @@ const PlaceList = ({
         <p className="text-gray-600">
           {filteredPlaces.length} {filteredPlaces.length === 1 ? 'place' : 'places'} found
         </p>
+
+        {onCompare && compareIds.length > 0 && (
+          <div className="flex items-center gap-2">
+            <span className="text-sm text-gray-600">
+              {compareIds.length < 2 ? 'Select one more to compare' : `${compareIds.length} selected`}
+            </span>
+            <Button variant="ghost" size="sm" onClick={() => setCompareIds([])}>
+              Clear
+            </Button>
+            <Button size="sm" disabled={compareIds.length < 2} onClick={() => onCompare(compareIds)}>
+              Compare
+            </Button>
+          </div>
+        )}
       </div>
       
       {/* Places Grid */}
@@ -236,6 +291,8 @@ const PlaceList = ({
               place={place}
               onFavorite={onFavorite}
               onAddToItinerary={onAddToItinerary}
+              onSelect={onCompare && handleCompareToggle}
+              selected={compareIds.includes(place.id)}
             />
           ))}
         </div>
@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useReducer, useCallback } from 'react';
+import React, { createContext, useContext, useReducer, useCallback, useRef } from 'react';
 import { useQuery, useQueryClient } from 'react-query';
 import toast from 'react-hot-toast';
 
@@ -17,9 +17,28 @@ const PLACES_ACTIONS = {
   MARK_AS_VISITED: 'MARK_AS_VISITED',
   SET_FAVORITES: 'SET_FAVORITES',
   SET_VISITED: 'SET_VISITED',
-  CLEAR_PLACES: 'CLEAR_PLACES'
+  CLEAR_PLACES: 'CLEAR_PLACES',
+  APPEND_ITEMS: 'APPEND_ITEMS',
+  UPDATE_PLACE: 'UPDATE_PLACE',
+  SET_PAGINATION: 'SET_PAGINATION',
+  SET_LOADING_MORE: 'SET_LOADING_MORE'
 };
 
+// Cursor state for a paginated list
+const emptyPage = { request: null, nextCursor: null, hasMore: false };
+
+// Response keys holding each list's items
+const LIST_RESPONSE_KEYS = {
+  places: 'places',
+  favorites: 'favorites',
+  visited: 'visitedPlaces'
+};
+
+// Drop empty parameters so optional filters are not sent as blank strings
+const compactParams = (params) => Object.fromEntries(
+  Object.entries(params).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+);
+
 // Initial state
 const initialState = {
   places: [],
@@ -32,7 +51,13 @@ const initialState = {
   },
   favorites: [],
   visited: [],
-  loading: false
+  pagination: {
+    places: emptyPage,
+    favorites: emptyPage,
+    visited: emptyPage
+  },
+  loading: false,
+  loadingMore: false
 };
 
 // Reducer
@@ -111,7 +136,42 @@ const placesReducer = (state, action) => {
       return {
         ...state,
         places: [],
-        selectedPlace: null
+        selectedPlace: null,
+        pagination: {
+          ...state.pagination,
+          places: emptyPage
+        }
+      };
+    
+    case PLACES_ACTIONS.APPEND_ITEMS:
+      return {
+        ...state,
+        [action.payload.list]: [...state[action.payload.list], ...action.payload.items]
+      };
+    
+    case PLACES_ACTIONS.UPDATE_PLACE:
+      return {
+        ...state,
+        places: state.places.map(place => 
+          place.id === action.payload.id
+            ? { ...place, ...action.payload.changes }
+            : place
+        )
+      };
+    
+    case PLACES_ACTIONS.SET_PAGINATION:
+      return {
+        ...state,
+        pagination: {
+          ...state.pagination,
+          [action.payload.list]: action.payload.page
+        }
+      };
+    
+    case PLACES_ACTIONS.SET_LOADING_MORE:
+      return {
+        ...state,
+        loadingMore: action.payload
       };
     
     default:
@@ -124,6 +184,25 @@ export const PlacesProvider = ({ children }) => {
   const [state, dispatch] = useReducer(placesReducer, initialState);
   const queryClient = useQueryClient();
 
+  // Latest request per list, so a stale "load more" never appends to newer results
+  const latestRequests = useRef({});
+
+  // Remember the request behind a list and where its next page starts
+  const setPage = useCallback((list, request, data) => {
+    latestRequests.current[list] = request;
+    dispatch({
+      type: PLACES_ACTIONS.SET_PAGINATION,
+      payload: {
+        list,
+        page: {
+          request,
+          nextCursor: data.nextCursor || null,
+          hasMore: !!data.hasMore
+        }
+      }
+    });
+  }, []);
+
   // Search places
   const searchPlaces = useCallback(async (params = {}) => {
     try {
@@ -132,9 +211,11 @@ export const PlacesProvider = ({ children }) => {
       const searchParams = { ...state.searchParams, ...params };
       dispatch({ type: PLACES_ACTIONS.SET_SEARCH_PARAMS, payload: searchParams });
       
-      const response = await placesAPI.searchPlaces(searchParams);
+      const request = { type: 'search', params: compactParams(searchParams) };
+      const response = await placesAPI.searchPlaces(request.params);
       
       dispatch({ type: PLACES_ACTIONS.SET_PLACES, payload: response.data.places });
+      setPage('places', request, response.data);
       return response.data.places;
     } catch (error) {
       const message = error.response?.data?.message || 'Failed to search places';
@@ -142,7 +223,7 @@ export const PlacesProvider = ({ children }) => {
       dispatch({ type: PLACES_ACTIONS.SET_LOADING, payload: false });
       return [];
     }
-  }, [state.searchParams]);
+  }, [state.searchParams, setPage]);
 
   // Get place details
   const getPlaceDetails = useCallback(async (placeId) => {
@@ -242,12 +323,13 @@ export const PlacesProvider = ({ children }) => {
       const favorites = response.data.favorites;
       
       dispatch({ type: PLACES_ACTIONS.SET_FAVORITES, payload: favorites });
+      setPage('favorites', { type: 'favorites' }, response.data);
       return favorites;
     } catch (error) {
       console.error('Failed to get favorites:', error);
       return [];
     }
-  }, []);
+  }, [setPage]);
 
   // Get visited places
   const getVisitedPlaces = useCallback(async () => {
@@ -256,12 +338,13 @@ export const PlacesProvider = ({ children }) => {
       const visited = response.data.visitedPlaces;
       
       dispatch({ type: PLACES_ACTIONS.SET_VISITED, payload: visited });
+      setPage('visited', { type: 'visited' }, response.data);
       return visited;
     } catch (error) {
       console.error('Failed to get visited places:', error);
       return [];
     }
-  }, []);
+  }, [setPage]);
 
   // Search by category
   const searchByCategory = useCallback(async (category, location) => {
@@ -302,9 +385,11 @@ export const PlacesProvider = ({ children }) => {
     try {
       dispatch({ type: PLACES_ACTIONS.SET_LOADING, payload: true });
       
+      const request = { type: 'nearby', params: { ll: location, radius } };
       const response = await placesAPI.getNearbyPlaces(location, radius);
       
       dispatch({ type: PLACES_ACTIONS.SET_PLACES, payload: response.data.places });
+      setPage('places', request, response.data);
       return response.data.places;
     } catch (error) {
       const message = error.response?.data?.message || 'Failed to get nearby places';
@@ -312,6 +397,47 @@ export const PlacesProvider = ({ children }) => {
       dispatch({ type: PLACES_ACTIONS.SET_LOADING, payload: false });
       return [];
     }
+  }, [setPage]);
+
+  // Fetch the page after a list's cursor
+  const fetchNextPage = (list, request, cursor) => {
+    if (list === 'favorites') return placesAPI.getFavorites(cursor);
+    if (list === 'visited') return placesAPI.getVisitedPlaces(cursor);
+    if (request.type === 'nearby') {
+      return placesAPI.getNearbyPlaces(request.params.ll, request.params.radius, undefined, cursor);
+    }
+    return placesAPI.searchPlaces({ ...request.params, cursor });
+  };
+
+  // Load the next page of places, favorites or visited places and append it
+  const loadMore = useCallback(async (list = 'places') => {
+    const { request, nextCursor, hasMore } = state.pagination[list];
+    if (!request || !hasMore || state.loadingMore) return [];
+
+    try {
+      dispatch({ type: PLACES_ACTIONS.SET_LOADING_MORE, payload: true });
+      
+      const response = await fetchNextPage(list, request, nextCursor);
+      
+      // Ignore pages for a list that has since been replaced
+      if (latestRequests.current[list] !== request) return [];
+      
+      const items = response.data[LIST_RESPONSE_KEYS[list]] || [];
+      dispatch({ type: PLACES_ACTIONS.APPEND_ITEMS, payload: { list, items } });
+      setPage(list, request, response.data);
+      return items;
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to load more';
+      toast.error(message);
+      return [];
+    } finally {
+      dispatch({ type: PLACES_ACTIONS.SET_LOADING_MORE, payload: false });
+    }
+  }, [state.pagination, state.loadingMore, setPage]);
+
+  // Update a place in the current results
+  const updatePlace = useCallback((placeId, changes) => {
+    dispatch({ type: PLACES_ACTIONS.UPDATE_PLACE, payload: { id: placeId, changes } });
   }, []);
 
   // Clear places
@@ -343,6 +469,9 @@ export const PlacesProvider = ({ children }) => {
     favorites: state.favorites,
     visited: state.visited,
     loading: state.loading,
+    loadingMore: state.loadingMore,
+    hasMore: state.pagination.places.hasMore,
+    pagination: state.pagination,
     
     // Actions
     searchPlaces,
@@ -355,6 +484,8 @@ export const PlacesProvider = ({ children }) => {
     searchByCategory,
     getTrendingPlaces,
     getNearbyPlaces,
+    loadMore,
+    updatePlace,
     clearPlaces,
     
     // Utilities
@@ -0,0 +1,234 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useSearchParams, useNavigate } from 'react-router-dom';
+import { ArrowLeftIcon, StarIcon } from '@heroicons/react/24/outline';
+import { placesAPI, apiUtils } from '../services/api';
+import { accessibilityLabel } from '../utils/accessibility';
+import Button from '../components/ui/Button';
+
+const ATTRIBUTE_GROUPS = [
+  { key: 'cuisine', label: 'Cuisine' },
+  { key: 'atmosphere', label: 'Atmosphere' },
+  { key: 'activities', label: 'Good for' },
+  { key: 'features', label: 'Features' },
+  { key: 'accessibility', label: 'Accessibility', format: accessibilityLabel }
+];
+
+const formatValues = (values = [], format = value => value) => values.map(format).join(', ');
+
+const Compare = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const idsParam = searchParams.get('ids') || '';
+  const location = searchParams.get('ll') || undefined;
+
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const loadComparison = useCallback(async () => {
+    const ids = idsParam.split(',').filter(Boolean);
+    if (ids.length < 2) {
+      setError('Select at least two places to compare');
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      const response = await placesAPI.comparePlaces(ids, location);
+      setComparison(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || err.response?.data?.error || 'Failed to compare places');
+    } finally {
+      setLoading(false);
+    }
+  }, [idsParam, location]);
+
+  useEffect(() => {
+    loadComparison();
+  }, [loadComparison]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (error || !comparison) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <h2 className="text-2xl font-bold text-gray-900 mb-4">Can't compare these places</h2>
+          <p className="text-gray-600 mb-6">{error}</p>
+          <Button onClick={() => navigate(-1)}>Go Back</Button>
+        </div>
+      </div>
+    );
+  }
+
+  const { places, overlap, best } = comparison;
+
+  // Highlight the leading place for a field
+  const cellClass = (field, place) =>
+    `px-4 py-3 align-top text-sm ${best[field] === place.id ? 'bg-green-50 font-semibold text-green-800' : 'text-gray-700'}`;
+
+  const sharedGroups = ATTRIBUTE_GROUPS.filter(group => overlap.shared[group.key]?.length > 0);
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <button
+          onClick={() => navigate(-1)}
+          className="flex items-center gap-2 text-gray-600 hover:text-gray-900 mb-6"
+        >
+          <ArrowLeftIcon className="h-5 w-5" />
+          Back to results
+        </button>
+
+        <h1 className="text-2xl font-bold text-gray-900 mb-6">Compare Places</h1>
+
+        {sharedGroups.length > 0 && (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 mb-6">
+            <h2 className="font-semibold text-gray-900 mb-2">What they all have in common</h2>
+            <ul className="text-sm text-gray-700 space-y-1">
+              {sharedGroups.map(group => (
+                <li key={group.key}>
+                  <span className="text-gray-500">{group.label}:</span> {formatValues(overlap.shared[group.key], group.format)}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead>
+              <tr>
+                <th className="px-4 py-3 w-40"></th>
+                {places.map(place => (
+                  <th key={place.id} className="px-4 py-3 text-left">
+                    <Link to={`/place/${place.id}`} className="font-semibold text-gray-900 hover:text-primary-600">
+                      {place.name}
+                    </Link>
+                    {place.category && (
+                      <p className="text-xs font-normal text-gray-500">{place.category}</p>
+                    )}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              <tr>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-500">Rating</th>
+                {places.map(place => (
+                  <td key={place.id} className={cellClass('rating', place)}>
+                    {place.rating ? (
+                      <span className="flex items-center gap-1">
+                        <StarIcon className="h-4 w-4 text-yellow-400" />
+                        {place.rating.toFixed(1)}/10
+                      </span>
+                    ) : '—'}
+                  </td>
+                ))}
+              </tr>
+              <tr>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-500">LocaMate rating</th>
+                {places.map(place => (
+                  <td key={place.id} className={cellClass('localRating', place)}>
+                    {place.localRating?.count > 0
+                      ? `${place.localRating.average.toFixed(1)}/5 (${place.localRating.count})`
+                      : 'No reviews yet'}
+                  </td>
+                ))}
+              </tr>
+              <tr>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-500">Price</th>
+                {places.map(place => (
+                  <td key={place.id} className={cellClass('price', place)}>
+                    {place.price ? apiUtils.formatPrice(place.price) : '—'}
+                  </td>
+                ))}
+              </tr>
+              <tr>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-500">Hours today</th>
+                {places.map(place => (
+                  <td key={place.id} className="px-4 py-3 align-top text-sm text-gray-700">
+                    {!place.hoursToday && 'Unknown'}
+                    {place.hoursToday?.closed && 'Closed'}
+                    {place.hoursToday && !place.hoursToday.closed && place.hoursToday.hours.join(', ')}
+                    {place.hoursToday?.label && (
+                      <p className="text-xs text-gray-500">{place.hoursToday.label}</p>
+                    )}
+                    {place.isOpen !== null && place.isOpen !== undefined && place.hoursToday && (
+                      <p className={`text-xs font-medium ${place.isOpen ? 'text-green-600' : 'text-red-600'}`}>
+                        {place.isOpen ? 'Open now' : 'Closed now'}
+                      </p>
+                    )}
+                  </td>
+                ))}
+              </tr>
+              <tr>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-500">Distance</th>
+                {places.map(place => (
+                  <td key={place.id} className={cellClass('distance', place)}>
+                    {place.distance !== null ? apiUtils.formatDistance(place.distance / 1000) : '—'}
+                  </td>
+                ))}
+              </tr>
+              {ATTRIBUTE_GROUPS.map(group => (
+                <tr key={group.key}>
+                  <th className="px-4 py-3 text-left text-sm font-medium text-gray-500">{group.label}</th>
+                  {places.map(place => (
+                    <td key={place.id} className="px-4 py-3 align-top text-sm text-gray-700">
+                      {place.attributes?.[group.key]?.length > 0 ? (
+                        <div className="flex flex-wrap gap-1">
+                          {place.attributes[group.key].map(value => (
+                            <span
+                              key={value}
+                              className={`px-2 py-0.5 rounded-full text-xs ${
+                                overlap.unique[place.id]?.[group.key]?.includes(value)
+                                  ? 'bg-primary-100 text-primary-700'
+                                  : 'bg-gray-100 text-gray-700'
+                              }`}
+                            >
+                              {group.format ? group.format(value) : value}
+                            </span>
+                          ))}
+                        </div>
+                      ) : '—'}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+              <tr>
+                <th className="px-4 py-3 text-left text-sm font-medium text-gray-500">What visitors say</th>
+                {places.map(place => (
+                  <td key={place.id} className="px-4 py-3 align-top text-sm text-gray-700">
+                    {place.reviewHighlights.length > 0 ? (
+                      <div className="space-y-2">
+                        {place.reviewHighlights.map(review => (
+                          <p key={review.id}>
+                            <span className="font-medium">{review.rating}/5</span> "{review.text}"
+                          </p>
+                        ))}
+                      </div>
+                    ) : 'No reviews yet'}
+                  </td>
+                ))}
+              </tr>
+            </tbody>
+          </table>
+        </div>
+
+        <p className="text-xs text-gray-500 mt-3">
+          Highlighted values lead their row; tags only one place has are shown in color.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default Compare;
@@ -1,9 +1,10 @@
-import React, { useState, useEffect } from 'react';
-import { PlusIcon, CalendarIcon, MapIcon, ClockIcon, StarIcon, ShareIcon, HeartIcon } from '@heroicons/react/24/outline';
+import React, { useState, useEffect, useCallback } from 'react';
+import { PlusIcon, CalendarIcon, MapIcon, ClockIcon, StarIcon, ShareIcon, HeartIcon, UserGroupIcon, LinkIcon } from '@heroicons/react/24/outline';
 import { useAuth } from '../context/AuthContext';
-import { itineraryAPI } from '../services/api';
+import { itineraryAPI, tripAPI } from '../services/api';
 import Button from '../components/ui/Button';
 import Input from '../components/ui/Input';
+import LivePlan from '../components/itinerary/LivePlan';
 
 const Itinerary = () => {
   const { user } = useAuth();
@@ -19,12 +20,14 @@ const Itinerary = () => {
     endDate: '',
     preferences: ''
   });
+  const [notice, setNotice] = useState('');
+  const [invitations, setInvitations] = useState([]);
+  const [collaboratorsFor, setCollaboratorsFor] = useState(null); // Itinerary whose collaborators are shown
+  const [collaborators, setCollaborators] = useState({ members: [], invitations: [] });
+  const [inviteForm, setInviteForm] = useState({ email: '', role: 'editor' });
+  const [liveFor, setLiveFor] = useState(null); // Itinerary followed live
 
-  useEffect(() => {
-    loadItineraries();
-  }, []);
-
-  const loadItineraries = async () => {
+  const loadItineraries = useCallback(async () => {
     try {
       setLoading(true);
       const response = await itineraryAPI.getUserItineraries();
@@ -35,6 +38,47 @@ const Itinerary = () => {
     } finally {
       setLoading(false);
     }
+  }, []);
+
+  const loadInvitations = useCallback(async () => {
+    try {
+      const response = await itineraryAPI.getMyInvitations();
+      setInvitations(response.data.invitations || []);
+    } catch (err) {
+      console.error('Failed to load invitations:', err);
+    }
+  }, []);
+
+  const joinWithInvite = useCallback(async (token) => {
+    try {
+      const response = await itineraryAPI.joinWithLink(token);
+      setNotice(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to join itinerary');
+    } finally {
+      // Drop the token so reloading the page does not use it again
+      window.history.replaceState(null, '', window.location.pathname);
+      loadItineraries();
+    }
+  }, [loadItineraries]);
+
+  useEffect(() => {
+    // Invitation links open this page with ?invite=<token>
+    const token = new URLSearchParams(window.location.search).get('invite');
+    if (token) {
+      joinWithInvite(token);
+    } else {
+      loadItineraries();
+    }
+    loadInvitations();
+  }, [joinWithInvite, loadItineraries, loadInvitations]);
+
+  // The current user's role in an itinerary: owner, editor or viewer
+  const roleOf = (itinerary) => {
+    const ownerId = itinerary.user?._id || itinerary.user;
+    if (ownerId === user?._id) return 'owner';
+    const collaborator = itinerary.collaborators?.find(c => (c.user?._id || c.user) === user?._id);
+    return collaborator?.role;
   };
 
   const handleCreateItinerary = async (e) => {
@@ -45,16 +89,36 @@ const Itinerary = () => {
       return;
     }
 
+    if (createForm.startDate && createForm.endDate && createForm.endDate < createForm.startDate) {
+      setError('End date cannot be before the start date');
+      return;
+    }
+
     try {
       setLoading(true);
-      const response = await itineraryAPI.generateItinerary(
-        createForm.description || `Create an itinerary for ${createForm.title}`,
-        createForm.location,
-        createForm.preferences ? { preferences: createForm.preferences } : {}
-      );
-
-      // Add the new itinerary to the list
-      setItineraries(prev => [response.data.itinerary, ...prev]);
+      const prompt = createForm.description || `Create an itinerary for ${createForm.title}`;
+
+      if (createForm.startDate && createForm.endDate) {
+        // A date range becomes a trip with one itinerary per day
+        const response = await tripAPI.generateTrip({
+          prompt: createForm.preferences ? `${prompt}. Preferences: ${createForm.preferences}` : prompt,
+          title: createForm.title,
+          near: createForm.location,
+          startDate: createForm.startDate,
+          endDate: createForm.endDate
+        });
+        const dayItineraries = response.data.trip.days.map(day => day.itinerary);
+        setItineraries(prev => [...dayItineraries, ...prev]);
+      } else {
+        const response = await itineraryAPI.generateItinerary(
+          prompt,
+          createForm.location,
+          createForm.preferences ? { preferences: createForm.preferences } : {}
+        );
+
+        // Add the new itinerary to the list
+        setItineraries(prev => [response.data.itinerary, ...prev]);
+      }
       
       // Reset form
       setCreateForm({
@@ -111,6 +175,110 @@ const Itinerary = () => {
     }
   };
 
+  const handleRespondToInvitation = async (invitationId, accept) => {
+    try {
+      const response = accept
+        ? await itineraryAPI.acceptInvitation(invitationId)
+        : await itineraryAPI.declineInvitation(invitationId);
+      setInvitations(prev => prev.filter(invitation => invitation.id !== invitationId));
+      setNotice(response.data.message);
+      if (accept) loadItineraries();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to respond to invitation');
+    }
+  };
+
+  const loadCollaborators = async (id) => {
+    try {
+      const response = await itineraryAPI.getCollaborators(id);
+      setCollaborators({
+        members: response.data.members || [],
+        invitations: response.data.invitations || []
+      });
+    } catch (err) {
+      setError('Failed to load collaborators');
+    }
+  };
+
+  const handleToggleCollaborators = (id) => {
+    if (collaboratorsFor === id) {
+      setCollaboratorsFor(null);
+      return;
+    }
+    setCollaboratorsFor(id);
+    setCollaborators({ members: [], invitations: [] });
+    setInviteForm({ email: '', role: 'editor' });
+    loadCollaborators(id);
+  };
+
+  const handleInvite = async (e, id) => {
+    e.preventDefault();
+    if (!inviteForm.email.trim()) return;
+
+    try {
+      const response = await itineraryAPI.inviteCollaborator(id, inviteForm.role, inviteForm.email.trim());
+      setNotice(response.data.message);
+      setInviteForm(prev => ({ ...prev, email: '' }));
+      loadCollaborators(id);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to send invitation');
+    }
+  };
+
+  const handleCopyInviteLink = async (id) => {
+    try {
+      const response = await itineraryAPI.inviteCollaborator(id, inviteForm.role);
+      navigator.clipboard.writeText(response.data.url);
+      alert(`Invitation link for ${inviteForm.role}s copied to clipboard!`);
+      loadCollaborators(id);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to create invitation link');
+    }
+  };
+
+  const handleRevokeInvitation = async (id, invitationId) => {
+    try {
+      await itineraryAPI.revokeInvitation(id, invitationId);
+      setCollaborators(prev => ({
+        ...prev,
+        invitations: prev.invitations.filter(invitation => invitation.id !== invitationId)
+      }));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to revoke invitation');
+    }
+  };
+
+  const handleChangeRole = async (id, userId, role) => {
+    try {
+      await itineraryAPI.updateCollaborator(id, userId, role);
+      setCollaborators(prev => ({
+        ...prev,
+        members: prev.members.map(member => member.id === userId ? { ...member, role } : member)
+      }));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to change role');
+    }
+  };
+
+  const handleRemoveCollaborator = async (id, userId) => {
+    const leaving = userId === user?._id;
+    if (!window.confirm(leaving ? 'Leave this itinerary?' : 'Remove this collaborator?')) {
+      return;
+    }
+
+    try {
+      await itineraryAPI.removeCollaborator(id, userId);
+      if (leaving) {
+        setItineraries(prev => prev.filter(it => it._id !== id));
+        setCollaboratorsFor(null);
+      } else {
+        setCollaborators(prev => ({ ...prev, members: prev.members.filter(member => member.id !== userId) }));
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to remove collaborator');
+    }
+  };
+
   const formatDate = (dateString) => {
     if (!dateString) return 'Not specified';
     return new Date(dateString).toLocaleDateString();
@@ -163,6 +331,37 @@ const Itinerary = () => {
           </div>
         )}
 
+        {notice && (
+          <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-6">
+            <p className="text-green-700">{notice}</p>
+          </div>
+        )}
+
+        {/* Invitations to other users' itineraries */}
+        {invitations.length > 0 && (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-8">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Invitations</h2>
+            <div className="space-y-3">
+              {invitations.map((invitation) => (
+                <div key={invitation.id} className="flex items-center justify-between gap-4">
+                  <p className="text-sm text-gray-700">
+                    <span className="font-medium">{invitation.invitedBy.name}</span> invited you to {invitation.role === 'editor' ? 'edit' : 'view'}{' '}
+                    <span className="font-medium">{invitation.itinerary.title}</span>
+                  </p>
+                  <div className="flex gap-2">
+                    <Button size="sm" onClick={() => handleRespondToInvitation(invitation.id, true)}>
+                      Accept
+                    </Button>
+                    <Button variant="outline" size="sm" onClick={() => handleRespondToInvitation(invitation.id, false)}>
+                      Decline
+                    </Button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Create Itinerary Form */}
         {showCreateForm && (
           <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-8">
@@ -241,7 +440,9 @@ const Itinerary = () => {
         {/* Itineraries List */}
         {itineraries.length > 0 ? (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-            {itineraries.map((itinerary) => (
+            {itineraries.map((itinerary) => {
+              const role = roleOf(itinerary);
+              return (
               <div key={itinerary._id} className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
                 {/* Header */}
                 <div className="p-6">
@@ -262,14 +463,33 @@ const Itinerary = () => {
                         <HeartIcon className="h-5 w-5" />
                       </button>
                       
+                      {role === 'owner' && (
+                        <button
+                          onClick={() => handleShareItinerary(itinerary._id)}
+                          className="p-1 text-gray-400 hover:text-gray-600 rounded-full transition-colors"
+                        >
+                          <ShareIcon className="h-5 w-5" />
+                        </button>
+                      )}
+
                       <button
-                        onClick={() => handleShareItinerary(itinerary._id)}
+                        onClick={() => handleToggleCollaborators(itinerary._id)}
                         className="p-1 text-gray-400 hover:text-gray-600 rounded-full transition-colors"
+                        title="Collaborators"
                       >
-                        <ShareIcon className="h-5 w-5" />
+                        <UserGroupIcon className="h-5 w-5" />
                       </button>
                     </div>
                   </div>
+
+                  {role && role !== 'owner' && (
+                    <p className="text-xs text-gray-500 mb-3">
+                      Shared by {itinerary.user?.name || 'another user'} ·{' '}
+                      <span className="px-2 py-0.5 rounded-full bg-primary-50 text-primary-700 font-medium">
+                        {role === 'editor' ? 'Can edit' : 'View only'}
+                      </span>
+                    </p>
+                  )}
                   
                   {itinerary.description && (
                     <p className="text-gray-600 text-sm mb-4 line-clamp-2">
@@ -287,7 +507,9 @@ const Itinerary = () => {
                     <div className="flex items-center gap-2">
                       <CalendarIcon className="h-4 w-4" />
                       <span>
-                        {formatDate(itinerary.startDate)} - {formatDate(itinerary.endDate)}
+                        {itinerary.date
+                          ? formatDate(itinerary.date)
+                          : `${formatDate(itinerary.startDate)} - ${formatDate(itinerary.endDate)}`}
                       </span>
                     </div>
                     
@@ -295,11 +517,122 @@ const Itinerary = () => {
                       <ClockIcon className="h-4 w-4" />
                       <span>{formatDuration(itinerary.startDate, itinerary.endDate)}</span>
                     </div>
+
+                    {itinerary.collaborators?.length > 0 && (
+                      <div className="flex items-center gap-2">
+                        <UserGroupIcon className="h-4 w-4" />
+                        <span className="truncate">
+                          {itinerary.collaborators.map(c => c.user?.name).filter(Boolean).join(', ')}
+                        </span>
+                      </div>
+                    )}
                   </div>
                 </div>
+
+                {/* Collaborators */}
+                {collaboratorsFor === itinerary._id && (
+                  <div className="px-6 pb-4 space-y-3">
+                    <h4 className="text-sm font-medium text-gray-900">Collaborators</h4>
+                    <div className="space-y-2">
+                      {collaborators.members.map((member) => (
+                        <div key={member.id} className="flex items-center justify-between gap-2 text-sm">
+                          <span className="truncate text-gray-700">
+                            {member.name}{member.id === user?._id ? ' (you)' : ''}
+                            {member.email && <span className="text-gray-400"> · {member.email}</span>}
+                          </span>
+                          {member.role === 'owner' ? (
+                            <span className="text-xs text-gray-500">Owner</span>
+                          ) : (
+                            <div className="flex items-center gap-2">
+                              {role === 'owner' ? (
+                                <select
+                                  value={member.role}
+                                  onChange={(e) => handleChangeRole(itinerary._id, member.id, e.target.value)}
+                                  className="px-2 py-1 border border-gray-300 rounded-lg text-xs focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                                >
+                                  <option value="editor">Editor</option>
+                                  <option value="viewer">Viewer</option>
+                                </select>
+                              ) : (
+                                <span className="text-xs text-gray-500">{member.role === 'editor' ? 'Editor' : 'Viewer'}</span>
+                              )}
+                              {(role === 'owner' || member.id === user?._id) && (
+                                <button
+                                  onClick={() => handleRemoveCollaborator(itinerary._id, member.id)}
+                                  className="text-xs text-red-600 hover:text-red-700"
+                                >
+                                  {member.id === user?._id ? 'Leave' : 'Remove'}
+                                </button>
+                              )}
+                            </div>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+
+                    {role === 'owner' && (
+                      <>
+                        {collaborators.invitations.length > 0 && (
+                          <div className="space-y-1">
+                            {collaborators.invitations.map((invitation) => (
+                              <div key={invitation.id} className="flex items-center justify-between gap-2 text-xs text-gray-500">
+                                <span className="truncate">
+                                  {invitation.kind === 'email' ? invitation.email : `Link (${invitation.uses} joined)`} · {invitation.role} · pending
+                                </span>
+                                <button
+                                  onClick={() => handleRevokeInvitation(itinerary._id, invitation.id)}
+                                  className="text-red-600 hover:text-red-700"
+                                >
+                                  Revoke
+                                </button>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+
+                        <form onSubmit={(e) => handleInvite(e, itinerary._id)} className="space-y-2">
+                          <div className="flex gap-2">
+                            <input
+                              type="email"
+                              placeholder="Email of a LocaMate user"
+                              value={inviteForm.email}
+                              onChange={(e) => setInviteForm(prev => ({ ...prev, email: e.target.value }))}
+                              className="flex-1 min-w-0 px-3 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                            />
+                            <select
+                              value={inviteForm.role}
+                              onChange={(e) => setInviteForm(prev => ({ ...prev, role: e.target.value }))}
+                              className="px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                            >
+                              <option value="editor">Editor</option>
+                              <option value="viewer">Viewer</option>
+                            </select>
+                          </div>
+                          <div className="flex gap-2">
+                            <Button type="submit" size="sm" disabled={!inviteForm.email.trim()}>
+                              Invite
+                            </Button>
+                            <Button
+                              type="button"
+                              variant="outline"
+                              size="sm"
+                              onClick={() => handleCopyInviteLink(itinerary._id)}
+                              className="flex items-center gap-1"
+                            >
+                              <LinkIcon className="h-4 w-4" />
+                              Copy invite link
+                            </Button>
+                          </div>
+                        </form>
+                      </>
+                    )}
+                  </div>
+                )}
                 
+                {liveFor === itinerary._id && <LivePlan itinerary={itinerary} role={role} />}
+
                 {/* Places Preview */}
-                {itinerary.places && itinerary.places.length > 0 && (
+                {liveFor !== itinerary._id && itinerary.places && itinerary.places.length > 0 && (
                   <div className="px-6 pb-4">
                     <h4 className="text-sm font-medium text-gray-900 mb-2">Places ({itinerary.places.length})</h4>
                     <div className="space-y-1">
@@ -334,20 +667,31 @@ const Itinerary = () => {
                       >
                         View
                       </Button>
-                      
+
                       <Button
-                        variant="ghost"
+                        variant={liveFor === itinerary._id ? 'primary' : 'outline'}
                         size="sm"
-                        onClick={() => handleDeleteItinerary(itinerary._id)}
-                        className="text-red-600 hover:text-red-700"
+                        onClick={() => setLiveFor(liveFor === itinerary._id ? null : itinerary._id)}
                       >
-                        Delete
+                        {liveFor === itinerary._id ? 'Done' : 'Plan live'}
                       </Button>
+                      
+                      {role === 'owner' && (
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => handleDeleteItinerary(itinerary._id)}
+                          className="text-red-600 hover:text-red-700"
+                        >
+                          Delete
+                        </Button>
+                      )}
                     </div>
                   </div>
                 </div>
               </div>
-            ))}
+              );
+            })}
           </div>
         ) : (
           <div className="text-center py-12">
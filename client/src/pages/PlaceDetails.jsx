@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import { 
   MapPinIcon, 
@@ -9,13 +9,24 @@ import {
   HeartIcon,
   ShareIcon,
   ArrowLeftIcon,
-  PlusIcon
+  PlusIcon,
+  CameraIcon
 } from '@heroicons/react/24/outline';
 import { HeartIcon as HeartSolidIcon } from '@heroicons/react/24/solid';
 import { useAuth } from '../context/AuthContext';
 import { usePlaces } from '../context/PlacesContext';
 import { placesAPI, apiUtils } from '../services/api';
 import Button from '../components/ui/Button';
+import { ACCESSIBILITY_FEATURES, accessibilityLabel } from '../utils/accessibility';
+
+const CORRECTION_REASONS = [
+  { value: 'closed', label: 'Permanently closed' },
+  { value: 'moved', label: 'Moved to a new address' },
+  { value: 'wrong-category', label: 'Wrong category' },
+  { value: 'wrong-details', label: 'Wrong name or address' }
+];
+
+const EMPTY_CORRECTION = { reason: '', name: '', category: '', address: '', notes: '' };
 
 const PlaceDetails = () => {
   const { id } = useParams();
@@ -25,10 +36,31 @@ const PlaceDetails = () => {
   const [place, setPlace] = useState(null);
   const [photos, setPhotos] = useState([]);
   const [tips, setTips] = useState([]);
+  const [reviews, setReviews] = useState([]);
+  const [reviewSummary, setReviewSummary] = useState(null);
+  const [reviewsCursor, setReviewsCursor] = useState(null);
+  const [reviewsError, setReviewsError] = useState('');
+  const [reviewForm, setReviewForm] = useState({ rating: 0, text: '', visitDate: '' });
+  const [editingReviewId, setEditingReviewId] = useState(null);
+  const [savingReview, setSavingReview] = useState(false);
+  const [similarPlaces, setSimilarPlaces] = useState([]);
+  const [similarError, setSimilarError] = useState('');
+  const [accessibility, setAccessibility] = useState(null);
+  const [accessibilityError, setAccessibilityError] = useState('');
+  const [accessibilityForm, setAccessibilityForm] = useState({ features: {}, notes: '' });
+  const [showAccessibilityForm, setShowAccessibilityForm] = useState(false);
+  const [savingAccessibility, setSavingAccessibility] = useState(false);
+  const [correctionForm, setCorrectionForm] = useState(EMPTY_CORRECTION);
+  const [correctionPhoto, setCorrectionPhoto] = useState(null);
+  const [showCorrectionForm, setShowCorrectionForm] = useState(false);
+  const [savingCorrection, setSavingCorrection] = useState(false);
+  const [correctionSent, setCorrectionSent] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [activePhotoIndex, setActivePhotoIndex] = useState(0);
   const [showAllPhotos, setShowAllPhotos] = useState(false);
+  const [uploadingPhotos, setUploadingPhotos] = useState(false);
+  const photoInputRef = useRef(null);
 
   useEffect(() => {
     loadPlaceDetails();
@@ -58,6 +90,22 @@ const PlaceDetails = () => {
       } catch (err) {
         console.log('Failed to load tips:', err);
       }
+
+      // Load similar places
+      try {
+        setSimilarError('');
+        const similarResponse = await placesAPI.getSimilarPlaces(id, { limit: 5 });
+        setSimilarPlaces(similarResponse.data.places || []);
+      } catch (err) {
+        setSimilarPlaces([]);
+        setSimilarError(err.response?.data?.message || err.response?.data?.error || 'Failed to load similar places');
+      }
+
+      // Load accessibility
+      await loadAccessibility();
+
+      // Load reviews
+      await loadReviews();
     } catch (err) {
       setError(err.response?.data?.message || 'Failed to load place details');
     } finally {
@@ -86,6 +134,164 @@ const PlaceDetails = () => {
     }
   };
 
+  const handlePhotoUpload = async (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    if (files.length === 0) return;
+
+    try {
+      setUploadingPhotos(true);
+      const response = await placesAPI.uploadPlacePhotos(id, files);
+      setPhotos(prev => [...response.data.photos, ...prev]);
+      setActivePhotoIndex(0);
+    } catch (err) {
+      alert(err.response?.data?.message || err.response?.data?.error || 'Failed to upload photos');
+    } finally {
+      setUploadingPhotos(false);
+    }
+  };
+
+  const loadReviews = async (cursor = null) => {
+    try {
+      setReviewsError('');
+      const response = await placesAPI.getPlaceReviews(id, { cursor, limit: 10 });
+      const { reviews: page, summary, nextCursor } = response.data;
+      setReviews(prev => cursor ? [...prev, ...page] : page);
+      setReviewSummary(summary);
+      setReviewsCursor(nextCursor);
+    } catch (err) {
+      setReviewsError(err.response?.data?.message || err.response?.data?.error || 'Failed to load reviews');
+    }
+  };
+
+  const loadAccessibility = async () => {
+    try {
+      setAccessibilityError('');
+      const response = await placesAPI.getPlaceAccessibility(id);
+      setAccessibility(response.data);
+
+      // Start the report form from the user's earlier report
+      const report = response.data.myReport;
+      const features = {};
+      (report?.available || []).forEach(feature => { features[feature] = 'yes'; });
+      (report?.unavailable || []).forEach(feature => { features[feature] = 'no'; });
+      setAccessibilityForm({ features, notes: report?.notes || '' });
+    } catch (err) {
+      setAccessibilityError(err.response?.data?.message || err.response?.data?.error || 'Failed to load accessibility');
+    }
+  };
+
+  const handleSubmitAccessibility = async (event) => {
+    event.preventDefault();
+    const entries = Object.entries(accessibilityForm.features);
+    const report = {
+      available: entries.filter(([, answer]) => answer === 'yes').map(([feature]) => feature),
+      unavailable: entries.filter(([, answer]) => answer === 'no').map(([feature]) => feature),
+      notes: accessibilityForm.notes.trim()
+    };
+    if (report.available.length === 0 && report.unavailable.length === 0) return;
+
+    try {
+      setSavingAccessibility(true);
+      await placesAPI.reportAccessibility(id, report);
+      setShowAccessibilityForm(false);
+      await loadAccessibility();
+    } catch (err) {
+      alert(err.response?.data?.message || err.response?.data?.error || 'Failed to save accessibility report');
+    } finally {
+      setSavingAccessibility(false);
+    }
+  };
+
+  const handleDeleteAccessibility = async () => {
+    try {
+      await placesAPI.deleteAccessibilityReport(id);
+      setShowAccessibilityForm(false);
+      await loadAccessibility();
+    } catch (err) {
+      console.error('Failed to remove accessibility report:', err);
+    }
+  };
+
+  const ownReview = user ? reviews.find(review => review.user.id === user._id) : null;
+
+  const handleEditReview = (review) => {
+    setEditingReviewId(review.id);
+    setReviewForm({
+      rating: review.rating,
+      text: review.text,
+      visitDate: review.visitDate ? review.visitDate.slice(0, 10) : ''
+    });
+  };
+
+  const handleSubmitReview = async (event) => {
+    event.preventDefault();
+    if (!reviewForm.rating) return;
+
+    const reviewData = {
+      rating: reviewForm.rating,
+      text: reviewForm.text.trim(),
+      ...(reviewForm.visitDate && { visitDate: reviewForm.visitDate })
+    };
+
+    try {
+      setSavingReview(true);
+      const response = editingReviewId
+        ? await placesAPI.updateReview(id, editingReviewId, reviewData)
+        : await placesAPI.createReview(id, reviewData);
+
+      setPlace(prev => ({ ...prev, localRating: response.data.localRating }));
+      setReviewForm({ rating: 0, text: '', visitDate: '' });
+      setEditingReviewId(null);
+      await loadReviews();
+    } catch (err) {
+      alert(err.response?.data?.message || err.response?.data?.error || 'Failed to save review');
+    } finally {
+      setSavingReview(false);
+    }
+  };
+
+  const handleDeleteReview = async (review) => {
+    try {
+      const response = await placesAPI.deleteReview(id, review.id);
+      setPlace(prev => ({ ...prev, localRating: response.data.localRating }));
+      await loadReviews();
+    } catch (err) {
+      console.error('Failed to delete review:', err);
+    }
+  };
+
+  const handleHelpful = async (review) => {
+    try {
+      const response = await placesAPI.setReviewHelpful(id, review.id, !review.votedHelpful);
+      setReviews(prev => prev.map(item =>
+        item.id === review.id ? { ...item, ...response.data } : item
+      ));
+    } catch (err) {
+      console.error('Failed to vote on review:', err);
+    }
+  };
+
+  const handleSubmitCorrection = async (event) => {
+    event.preventDefault();
+    if (!correctionForm.reason) return;
+
+    const report = Object.fromEntries(Object.entries(correctionForm).map(([key, value]) => [key, value.trim()]));
+
+    try {
+      setSavingCorrection(true);
+      await placesAPI.reportCorrection(id, report, correctionPhoto);
+      setCorrectionForm(EMPTY_CORRECTION);
+      setCorrectionPhoto(null);
+      setShowCorrectionForm(false);
+      setCorrectionSent(true);
+    } catch (err) {
+      alert(err.response?.data?.message || err.response?.data?.error || 'Failed to send report');
+    } finally {
+      setSavingCorrection(false);
+    }
+  };
+
   const handleShare = () => {
     if (navigator.share) {
       navigator.share({
@@ -186,28 +392,60 @@ const PlaceDetails = () => {
           {/* Main Content */}
           <div className="lg:col-span-2 space-y-8">
             {/* Photos */}
+            {user && (
+              <input
+                ref={photoInputRef}
+                type="file"
+                accept="image/jpeg,image/png,image/webp"
+                multiple
+                className="hidden"
+                onChange={handlePhotoUpload}
+              />
+            )}
+
             {photos.length > 0 && (
               <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
                 <div className="relative">
                   <img
-                    src={photos[activePhotoIndex]?.url || place.photos?.[0]}
+                    src={photos[activePhotoIndex]?.thumbnails?.large || photos[activePhotoIndex]?.url || place.photos?.[0]}
                     alt={place.name}
                     className="w-full h-96 object-cover"
                   />
+
+                  {user && (
+                    <div className="absolute top-4 right-4">
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => photoInputRef.current?.click()}
+                        loading={uploadingPhotos}
+                        className="bg-white"
+                      >
+                        <CameraIcon className="h-4 w-4 mr-2" />
+                        Add Photos
+                      </Button>
+                    </div>
+                  )}
+
+                  {photos[activePhotoIndex]?.user && (
+                    <div className="absolute top-4 left-4 bg-black bg-opacity-50 text-white text-xs px-2 py-1 rounded">
+                      Photo by {photos[activePhotoIndex].user.name}
+                    </div>
+                  )}
                   
                   {photos.length > 1 && (
                     <div className="absolute bottom-4 left-4 right-4">
                       <div className="flex gap-2 overflow-x-auto">
                         {photos.slice(0, 5).map((photo, index) => (
                           <button
-                            key={index}
+                            key={photo.id || index}
                             onClick={() => setActivePhotoIndex(index)}
                             className={`flex-shrink-0 w-16 h-16 rounded-lg overflow-hidden border-2 ${
                               index === activePhotoIndex ? 'border-primary-500' : 'border-white'
                             }`}
                           >
                             <img
-                              src={photo.url}
+                              src={photo.thumbnails?.small || photo.url}
                               alt={`${place.name} photo ${index + 1}`}
                               className="w-full h-full object-cover"
                             />
@@ -228,23 +466,52 @@ const PlaceDetails = () => {
               </div>
             )}
 
+            {photos.length === 0 && user && (
+              <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 text-center">
+                <CameraIcon className="h-10 w-10 text-gray-400 mx-auto mb-3" />
+                <p className="text-gray-600 mb-4">No photos yet. Be the first to share one.</p>
+                <Button
+                  variant="outline"
+                  onClick={() => photoInputRef.current?.click()}
+                  loading={uploadingPhotos}
+                >
+                  Add Photos
+                </Button>
+              </div>
+            )}
+
             {/* Place Info */}
             <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
               <div className="flex items-start justify-between mb-4">
                 <div>
                   <h1 className="text-3xl font-bold text-gray-900 mb-2">{place.name}</h1>
+                  {place.isActive === false && (
+                    <p className="inline-block mb-2 px-2 py-0.5 rounded bg-red-100 text-red-700 text-sm font-medium">
+                      No longer listed
+                    </p>
+                  )}
                   {place.categories?.[0] && (
                     <p className="text-lg text-gray-600">{place.categories[0].name}</p>
                   )}
                 </div>
                 
                 <div className="flex items-center gap-4">
-                  {place.rating && (
-                    <div className="flex items-center gap-1">
+                  {place.rating > 0 && (
+                    <div className="flex items-center gap-1" title="Foursquare rating">
                       <StarIcon className="h-5 w-5 text-yellow-400 fill-current" />
                       <span className="font-medium">{place.rating}/10</span>
                     </div>
                   )}
+
+                  {place.localRating?.count > 0 && (
+                    <div className="flex items-center gap-1" title="LocaMate rating">
+                      <StarIcon className="h-5 w-5 text-primary-500 fill-current" />
+                      <span className="font-medium">{place.localRating.average}/5</span>
+                      <span className="text-sm text-gray-500">
+                        ({place.localRating.count} {place.localRating.count === 1 ? 'review' : 'reviews'})
+                      </span>
+                    </div>
+                  )}
                   
                   {place.price && (
                     <span className="text-gray-600">{apiUtils.formatPrice(place.price)}</span>
@@ -326,6 +593,124 @@ const PlaceDetails = () => {
                 </div>
               </div>
             )}
+
+            {/* Reviews */}
+            <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-xl font-semibold text-gray-900">LocaMate Reviews</h2>
+                {reviewSummary?.count > 0 && (
+                  <span className="text-gray-600">
+                    {reviewSummary.average}/5 from {reviewSummary.count} {reviewSummary.count === 1 ? 'review' : 'reviews'}
+                  </span>
+                )}
+              </div>
+
+              {reviewsError && <p className="mb-4 text-sm text-red-600">{reviewsError}</p>}
+
+              {user && (!ownReview || editingReviewId) && (
+                <form onSubmit={handleSubmitReview} className="mb-6 space-y-3">
+                  <div className="flex items-center gap-1">
+                    {[1, 2, 3, 4, 5].map(value => (
+                      <button
+                        key={value}
+                        type="button"
+                        onClick={() => setReviewForm(prev => ({ ...prev, rating: value }))}
+                        aria-label={`${value} star${value > 1 ? 's' : ''}`}
+                      >
+                        <StarIcon
+                          className={`h-6 w-6 ${value <= reviewForm.rating ? 'text-yellow-400 fill-current' : 'text-gray-300'}`}
+                        />
+                      </button>
+                    ))}
+                  </div>
+                  <textarea
+                    value={reviewForm.text}
+                    onChange={(e) => setReviewForm(prev => ({ ...prev, text: e.target.value }))}
+                    rows="3"
+                    maxLength={2000}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                    placeholder="Share your experience..."
+                  />
+                  <div className="flex items-center gap-3">
+                    <input
+                      type="date"
+                      value={reviewForm.visitDate}
+                      max={new Date().toISOString().slice(0, 10)}
+                      onChange={(e) => setReviewForm(prev => ({ ...prev, visitDate: e.target.value }))}
+                      className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                    />
+                    <Button type="submit" size="sm" loading={savingReview} disabled={!reviewForm.rating}>
+                      {editingReviewId ? 'Update Review' : 'Post Review'}
+                    </Button>
+                    {editingReviewId && (
+                      <Button
+                        type="button"
+                        size="sm"
+                        variant="outline"
+                        onClick={() => {
+                          setEditingReviewId(null);
+                          setReviewForm({ rating: 0, text: '', visitDate: '' });
+                        }}
+                      >
+                        Cancel
+                      </Button>
+                    )}
+                  </div>
+                </form>
+              )}
+
+              {reviews.length === 0 ? (
+                !reviewsError && <p className="text-gray-500">No reviews yet.</p>
+              ) : (
+                <div className="space-y-4">
+                  {reviews.map(review => (
+                    <div key={review.id} className="border-b border-gray-100 pb-4 last:border-0">
+                      <div className="flex items-center justify-between">
+                        <div className="flex items-center gap-2">
+                          <span className="font-medium text-gray-900">{review.user.name || 'LocaMate user'}</span>
+                          <span className="flex items-center text-sm text-gray-600">
+                            <StarIcon className="h-4 w-4 text-yellow-400 fill-current mr-1" />
+                            {review.rating}/5
+                          </span>
+                        </div>
+                        <span className="text-sm text-gray-500">
+                          {new Date(review.visitDate || review.createdAt).toLocaleDateString()}
+                        </span>
+                      </div>
+                      {review.text && <p className="text-gray-700 mt-2">{review.text}</p>}
+                      <div className="flex items-center gap-4 mt-2 text-sm">
+                        {user && review.user.id !== user._id && (
+                          <button
+                            onClick={() => handleHelpful(review)}
+                            className={review.votedHelpful ? 'text-primary-600 font-medium' : 'text-gray-500 hover:text-gray-700'}
+                          >
+                            Helpful ({review.helpfulCount})
+                          </button>
+                        )}
+                        {user && review.user.id === user._id && (
+                          <>
+                            <button onClick={() => handleEditReview(review)} className="text-gray-500 hover:text-gray-700">
+                              Edit
+                            </button>
+                            <button onClick={() => handleDeleteReview(review)} className="text-red-500 hover:text-red-700">
+                              Delete
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {reviewsCursor && (
+                <div className="text-center pt-4">
+                  <Button variant="outline" size="sm" onClick={() => loadReviews(reviewsCursor)}>
+                    More Reviews
+                  </Button>
+                </div>
+              )}
+            </div>
           </div>
 
           {/* Sidebar */}
@@ -359,7 +744,232 @@ const PlaceDetails = () => {
               </div>
             </div>
 
+            {/* Accessibility */}
+            {accessibilityError && !accessibility && (
+              <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-1">Accessibility</h3>
+                <p className="text-sm text-red-600">{accessibilityError}</p>
+              </div>
+            )}
+            {accessibility && (
+              <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-1">Accessibility</h3>
+                <p className="text-xs text-gray-500 mb-4">
+                  {accessibility.reports.count > 0
+                    ? `Based on provider data and ${accessibility.reports.count} visitor report${accessibility.reports.count === 1 ? '' : 's'}`
+                    : 'Based on provider data'}
+                </p>
+                {accessibilityError && <p className="mb-4 text-sm text-red-600">{accessibilityError}</p>}
+
+                {accessibility.accessibility.length > 0 ? (
+                  <ul className="space-y-2 text-sm">
+                    {accessibility.accessibility.map(feature => (
+                      <li key={feature} className="flex justify-between">
+                        <span className="text-gray-700">{accessibilityLabel(feature)}</span>
+                        {accessibility.reports.features[feature]?.yes > 0 && (
+                          <span className="text-gray-500">
+                            {accessibility.reports.features[feature].yes} confirmed
+                          </span>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="text-sm text-gray-600">No accessibility information yet.</p>
+                )}
+
+                {accessibility.reports.recent.length > 0 && (
+                  <div className="mt-4 space-y-2">
+                    {accessibility.reports.recent.map(report => (
+                      <p key={report.id} className="text-xs text-gray-600">
+                        "{report.notes}" — {report.user.name || 'Visitor'}
+                      </p>
+                    ))}
+                  </div>
+                )}
+
+                {user && !showAccessibilityForm && (
+                  <Button
+                    variant="outline"
+                    fullWidth
+                    className="mt-4"
+                    onClick={() => setShowAccessibilityForm(true)}
+                  >
+                    {accessibility.myReport ? 'Update Your Report' : 'Report Accessibility'}
+                  </Button>
+                )}
+
+                {showAccessibilityForm && (
+                  <form onSubmit={handleSubmitAccessibility} className="mt-4 space-y-3">
+                    {ACCESSIBILITY_FEATURES.map(feature => (
+                      <div key={feature.value} className="flex items-center justify-between gap-2 text-sm">
+                        <span className="text-gray-700">{feature.label}</span>
+                        <select
+                          value={accessibilityForm.features[feature.value] || ''}
+                          onChange={(e) => setAccessibilityForm(prev => ({
+                            ...prev,
+                            features: { ...prev.features, [feature.value]: e.target.value }
+                          }))}
+                          className="px-2 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                        >
+                          <option value="">Not sure</option>
+                          <option value="yes">Yes</option>
+                          <option value="no">No</option>
+                        </select>
+                      </div>
+                    ))}
+                    <textarea
+                      value={accessibilityForm.notes}
+                      onChange={(e) => setAccessibilityForm(prev => ({ ...prev, notes: e.target.value }))}
+                      rows="2"
+                      maxLength={500}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                      placeholder="Anything else visitors should know? (optional)"
+                    />
+                    <div className="flex gap-2">
+                      <Button type="submit" size="sm" loading={savingAccessibility}>
+                        Save Report
+                      </Button>
+                      <Button type="button" variant="ghost" size="sm" onClick={() => setShowAccessibilityForm(false)}>
+                        Cancel
+                      </Button>
+                      {accessibility.myReport && (
+                        <Button type="button" variant="ghost" size="sm" onClick={handleDeleteAccessibility}>
+                          Remove
+                        </Button>
+                      )}
+                    </div>
+                  </form>
+                )}
+              </div>
+            )}
+
+            {/* Report a Problem */}
+            {user && (
+              <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-1">Something wrong?</h3>
+                {correctionSent && (
+                  <p className="text-sm text-green-700 mb-2">Thanks, a moderator will review your report.</p>
+                )}
+
+                {!showCorrectionForm ? (
+                  <Button
+                    variant="outline"
+                    fullWidth
+                    className="mt-3"
+                    onClick={() => setShowCorrectionForm(true)}
+                  >
+                    Report a Problem
+                  </Button>
+                ) : (
+                  <form onSubmit={handleSubmitCorrection} className="mt-3 space-y-3 text-sm">
+                    <select
+                      value={correctionForm.reason}
+                      onChange={(e) => setCorrectionForm(prev => ({ ...prev, reason: e.target.value }))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                      required
+                    >
+                      <option value="">What's wrong?</option>
+                      {CORRECTION_REASONS.map(reason => (
+                        <option key={reason.value} value={reason.value}>{reason.label}</option>
+                      ))}
+                    </select>
+
+                    {correctionForm.reason === 'wrong-details' && (
+                      <input
+                        type="text"
+                        value={correctionForm.name}
+                        onChange={(e) => setCorrectionForm(prev => ({ ...prev, name: e.target.value }))}
+                        maxLength={200}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                        placeholder="Correct name (optional)"
+                      />
+                    )}
+                    {correctionForm.reason === 'wrong-category' && (
+                      <input
+                        type="text"
+                        value={correctionForm.category}
+                        onChange={(e) => setCorrectionForm(prev => ({ ...prev, category: e.target.value }))}
+                        maxLength={100}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                        placeholder="Correct category"
+                        required
+                      />
+                    )}
+                    {['moved', 'wrong-details'].includes(correctionForm.reason) && (
+                      <input
+                        type="text"
+                        value={correctionForm.address}
+                        onChange={(e) => setCorrectionForm(prev => ({ ...prev, address: e.target.value }))}
+                        maxLength={300}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                        placeholder={correctionForm.reason === 'moved' ? 'New address' : 'Correct address (optional)'}
+                        required={correctionForm.reason === 'moved'}
+                      />
+                    )}
+
+                    <textarea
+                      value={correctionForm.notes}
+                      onChange={(e) => setCorrectionForm(prev => ({ ...prev, notes: e.target.value }))}
+                      rows="2"
+                      maxLength={1000}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                      placeholder="How do you know? (optional)"
+                    />
+                    <label className="block text-gray-600">
+                      Photo (optional)
+                      <input
+                        type="file"
+                        accept="image/jpeg,image/png,image/webp"
+                        onChange={(e) => setCorrectionPhoto(e.target.files[0] || null)}
+                        className="block w-full mt-1 text-sm"
+                      />
+                    </label>
+                    <div className="flex gap-2">
+                      <Button type="submit" size="sm" loading={savingCorrection}>
+                        Send Report
+                      </Button>
+                      <Button type="button" variant="ghost" size="sm" onClick={() => setShowCorrectionForm(false)}>
+                        Cancel
+                      </Button>
+                    </div>
+                  </form>
+                )}
+              </div>
+            )}
+
             {/* Similar Places */}
+            {(similarPlaces.length > 0 || similarError) && (
+              <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">You Might Also Like</h3>
+
+                {similarError && <p className="text-sm text-red-600">{similarError}</p>}
+
+                <ul className="space-y-4">
+                  {similarPlaces.map(similar => (
+                    <li key={similar.id}>
+                      <Link to={`/place/${similar.id}`} className="block group">
+                        <div className="flex justify-between gap-2">
+                          <span className="font-medium text-gray-900 group-hover:text-primary-600">
+                            {similar.name}
+                          </span>
+                          {similar.rating > 0 && (
+                            <span className="text-sm text-gray-600">{similar.rating.toFixed(1)}</span>
+                          )}
+                        </div>
+                        <p className="text-xs text-gray-500">{similar.category}</p>
+                        {similar.similarity.reasons.length > 0 && (
+                          <p className="text-xs text-gray-600 mt-1">
+                            {similar.similarity.reasons.slice(0, 2).join(' · ')}
+                          </p>
+                        )}
+                      </Link>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
             {place.categories?.[0] && (
               <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
                 <h3 className="text-lg font-semibold text-gray-900 mb-4">
@@ -1,9 +1,10 @@
 import React, { useState, useEffect } from 'react';
-import { UserIcon, EnvelopeIcon, MapPinIcon, CogIcon, KeyIcon, TrashIcon, HeartIcon, CalendarIcon } from '@heroicons/react/24/outline';
+import { UserIcon, EnvelopeIcon, MapPinIcon, CogIcon, KeyIcon, TrashIcon, HeartIcon, CalendarIcon, EyeIcon } from '@heroicons/react/24/outline';
 import { useAuth } from '../context/AuthContext';
 import { authAPI } from '../services/api';
 import Button from '../components/ui/Button';
 import Input from '../components/ui/Input';
+import { ACCESSIBILITY_FEATURES } from '../utils/accessibility';
 
 const Profile = () => {
   const { user, updateUser, logout } = useAuth();
@@ -21,6 +22,9 @@ const Profile = () => {
     preferences: user?.preferences || ''
   });
   
+  // Accessibility needs, used to filter searches
+  const [accessibilityNeeds, setAccessibilityNeeds] = useState(user?.accessibilityNeeds || []);
+
   // Password change form state
   const [passwordForm, setPasswordForm] = useState({
     currentPassword: '',
@@ -67,6 +71,29 @@ const Profile = () => {
     }
   };
 
+  const toggleAccessibilityNeed = (value) => {
+    setAccessibilityNeeds(prev => prev.includes(value)
+      ? prev.filter(need => need !== value)
+      : [...prev, value]);
+  };
+
+  const handleAccessibilityUpdate = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await authAPI.updateAccessibilityNeeds(accessibilityNeeds);
+      updateUser(response.data.user);
+      setSuccess('Accessibility needs updated successfully!');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update accessibility needs');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handlePasswordChange = async (e) => {
     e.preventDefault();
     
@@ -119,7 +146,8 @@ const Profile = () => {
   const tabs = [
     { id: 'profile', name: 'Profile', icon: UserIcon },
     { id: 'security', name: 'Security', icon: KeyIcon },
-    { id: 'preferences', name: 'Preferences', icon: CogIcon }
+    { id: 'preferences', name: 'Preferences', icon: CogIcon },
+    { id: 'accessibility', name: 'Accessibility', icon: EyeIcon }
   ];
 
   return (
@@ -359,6 +387,40 @@ const Profile = () => {
                 </form>
               </div>
             )}
+
+            {/* Accessibility Tab */}
+            {activeTab === 'accessibility' && (
+              <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+                <h2 className="text-lg font-semibold text-gray-900 mb-2">Accessibility Needs</h2>
+                <p className="text-sm text-gray-500 mb-6">
+                  Searches can be limited to places that meet all of the needs you select.
+                </p>
+
+                <form onSubmit={handleAccessibilityUpdate} className="space-y-6">
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                    {ACCESSIBILITY_FEATURES.map(feature => (
+                      <label key={feature.value} className="flex items-center gap-3 text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={accessibilityNeeds.includes(feature.value)}
+                          onChange={() => toggleAccessibilityNeed(feature.value)}
+                          className="h-4 w-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                        />
+                        {feature.label}
+                      </label>
+                    ))}
+                  </div>
+
+                  <Button
+                    type="submit"
+                    loading={loading}
+                    className="w-full md:w-auto"
+                  >
+                    Save Accessibility Needs
+                  </Button>
+                </form>
+              </div>
+            )}
           </div>
         </div>
       </div>
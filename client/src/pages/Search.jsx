@@ -1,23 +1,39 @@
 import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { MagnifyingGlassIcon, MapPinIcon, AdjustmentsHorizontalIcon } from '@heroicons/react/24/outline';
 import { usePlaces } from '../context/PlacesContext';
 import { useAuth } from '../context/AuthContext';
-import { placesAPI, apiUtils } from '../services/api';
+import { placesAPI, geocodeAPI, apiUtils } from '../services/api';
 import PlaceList from '../components/places/PlaceList';
 import Button from '../components/ui/Button';
 import Input from '../components/ui/Input';
+import { accessibilityLabel } from '../utils/accessibility';
 
 const Search = () => {
   const { user } = useAuth();
-  const { addToFavorites, removeFromFavorites } = usePlaces();
+  const navigate = useNavigate();
+  const {
+    places,
+    loading,
+    hasMore,
+    searchPlaces,
+    loadMore,
+    updatePlace,
+    addToFavorites,
+    removeFromFavorites
+  } = usePlaces();
   
   const [searchQuery, setSearchQuery] = useState('');
   const [location, setLocation] = useState('');
-  const [places, setPlaces] = useState([]);
-  const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [searchPerformed, setSearchPerformed] = useState(false);
   const [userLocation, setUserLocation] = useState(null);
+  const [categories, setCategories] = useState([]);
+  const [categoriesError, setCategoriesError] = useState('');
+  const [selectedCategory, setSelectedCategory] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [matchAccessibility, setMatchAccessibility] = useState(true);
   const [searchParams, setSearchParams] = useState({
     query: '',
     near: '',
@@ -41,49 +57,98 @@ const Search = () => {
     }
   }, []);
 
-  const handleSearch = async (query = searchQuery, near = location) => {
-    if (!query.trim()) {
+  // Load the category taxonomy for quick searches and filters
+  useEffect(() => {
+    const loadCategories = async () => {
+      try {
+        const response = await placesAPI.getCategories();
+        setCategories(response.data.categories || []);
+      } catch (err) {
+        setCategoriesError(err.response?.data?.message || err.response?.data?.error || 'Failed to load categories');
+      }
+    };
+
+    loadCategories();
+  }, []);
+
+  // Suggest places while the user types, debounced so each pause costs one request
+  useEffect(() => {
+    const query = searchQuery.trim();
+    if (query.length < 2) {
+      setSuggestions([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const ll = userLocation ? `${userLocation.lng},${userLocation.lat}` : undefined;
+        const response = await placesAPI.autocomplete(query, ll);
+        if (!cancelled) {
+          setSuggestions(response.data.suggestions || []);
+        }
+      } catch (err) {
+        if (!cancelled) setSuggestions([]);
+      }
+    }, 150);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchQuery, userLocation]);
+
+  const handleSelectSuggestion = (suggestion) => {
+    setSearchQuery(suggestion.name);
+    setShowSuggestions(false);
+    handleSearch(suggestion.name);
+  };
+
+  const accessibilityNeeds = user?.accessibilityNeeds || [];
+
+  const handleSearch = async (query = searchQuery, near = location, category = selectedCategory) => {
+    if (!query.trim() && !category) {
       setError('Please enter a search term');
       return;
     }
 
-    setLoading(true);
     setError('');
     setSearchPerformed(true);
+    setShowSuggestions(false);
 
-    try {
-      const params = {
-        query: query.trim(),
-        near: near.trim() || (userLocation ? `${userLocation.lat},${userLocation.lng}` : ''),
-        radius: searchParams.radius,
-        limit: searchParams.limit
-      };
-
-      const response = await placesAPI.searchPlaces(params);
-      setPlaces(response.data.places || []);
-    } catch (err) {
-      setError(err.response?.data?.message || 'Failed to search places');
-      setPlaces([]);
-    } finally {
-      setLoading(false);
-    }
+    // A typed city or neighborhood is geocoded by the server, which also
+    // picks a radius that suits it; otherwise search around the device.
+    // Later pages are fetched by the places context from the returned cursor
+    const place = near.trim();
+    await searchPlaces({
+      query: query.trim(),
+      near: place,
+      ll: !place && userLocation ? `${userLocation.lng},${userLocation.lat}` : '',
+      category: category ? category.slug : '',
+      accessibility: matchAccessibility ? accessibilityNeeds.join(',') : '',
+      radius: place ? '' : searchParams.radius,
+      limit: searchParams.limit
+    });
   };
 
   const handleQuickSearch = (category) => {
-    const queries = {
-      restaurants: 'restaurants',
-      coffee: 'coffee shops',
-      attractions: 'tourist attractions',
-      hotels: 'hotels',
-      shopping: 'shopping centers',
-      parks: 'parks and recreation'
-    };
+    const next = selectedCategory?.slug === category.slug ? null : category;
+    setSelectedCategory(next);
 
-    const query = queries[category] || category;
-    setSearchQuery(query);
-    handleSearch(query, location);
+    if (next || searchQuery.trim()) {
+      handleSearch(searchQuery, location, next);
+    }
   };
 
+  // Top-level category of the current selection, whose subcategories are shown
+  const activeRoot = categories.find(root =>
+    root.slug === selectedCategory?.slug ||
+    root.children.some(child =>
+      child.slug === selectedCategory?.slug ||
+      child.children.some(grandchild => grandchild.slug === selectedCategory?.slug)
+    )
+  );
+
   const handleFavorite = async (place) => {
     try {
       if (place.isFavorite) {
@@ -95,11 +160,7 @@ const Search = () => {
       }
       
       // Update the place in the list
-      setPlaces(prev => prev.map(p => 
-        p.id === place.id 
-          ? { ...p, isFavorite: !p.isFavorite }
-          : p
-      ));
+      updatePlace(place.id, { isFavorite: !place.isFavorite });
     } catch (err) {
       console.error('Failed to update favorite:', err);
     }
@@ -110,9 +171,23 @@ const Search = () => {
     console.log('Add to itinerary:', place);
   };
 
-  const useMyLocation = () => {
-    if (userLocation) {
-      setLocation(`${userLocation.lat.toFixed(4)}, ${userLocation.lng.toFixed(4)}`);
+  const handleCompare = (ids) => {
+    const params = new URLSearchParams({ ids: ids.join(',') });
+    if (userLocation) params.set('ll', `${userLocation.lng},${userLocation.lat}`);
+    navigate(`/compare?${params.toString()}`);
+  };
+
+  // Name the device's neighborhood or city; an empty box searches around the
+  // device anyway, so clear it when the area is unknown
+  const useMyLocation = async () => {
+    if (!userLocation) return;
+
+    try {
+      const response = await geocodeAPI.reverse(`${userLocation.lng},${userLocation.lat}`);
+      const { neighborhood, city } = response.data.location;
+      setLocation(neighborhood ? `${neighborhood}, ${city}` : city);
+    } catch (err) {
+      setLocation('');
     }
   };
 
@@ -130,20 +205,56 @@ const Search = () => {
             {/* Search Form */}
             <div className="max-w-2xl mx-auto">
               <div className="flex flex-col sm:flex-row gap-4">
-                <div className="flex-1">
+                <div className="flex-1 relative">
                   <Input
                     placeholder="What are you looking for?"
                     value={searchQuery}
-                    onChange={(e) => setSearchQuery(e.target.value)}
+                    onChange={(e) => {
+                      setSearchQuery(e.target.value);
+                      setShowSuggestions(true);
+                    }}
+                    onFocus={() => setShowSuggestions(true)}
+                    onBlur={() => setShowSuggestions(false)}
                     onKeyPress={(e) => e.key === 'Enter' && handleSearch()}
                     icon={<MagnifyingGlassIcon className="h-5 w-5" />}
                     size="lg"
                   />
+
+                  {/* Autocomplete suggestions */}
+                  {showSuggestions && suggestions.length > 0 && (
+                    <ul className="absolute z-20 mt-1 w-full bg-white rounded-lg shadow-lg border border-gray-200 text-left overflow-hidden">
+                      {suggestions.map((suggestion) => (
+                        <li key={suggestion.id}>
+                          <button
+                            type="button"
+                            // Select before the input's blur hides the list
+                            onMouseDown={(e) => {
+                              e.preventDefault();
+                              handleSelectSuggestion(suggestion);
+                            }}
+                            className="w-full px-4 py-2 flex items-center justify-between hover:bg-gray-50"
+                          >
+                            <span>
+                              <span className="block text-sm font-medium text-gray-900">{suggestion.name}</span>
+                              <span className="block text-xs text-gray-500">
+                                {[suggestion.category, suggestion.city].filter(Boolean).join(' · ')}
+                              </span>
+                            </span>
+                            {suggestion.distance !== null && (
+                              <span className="text-xs text-gray-400">
+                                {apiUtils.formatDistance(suggestion.distance / 1000)}
+                              </span>
+                            )}
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
                 </div>
                 
                 <div className="sm:w-64">
                   <Input
-                    placeholder="Location (optional)"
+                    placeholder="City or neighborhood (optional)"
                     value={location}
                     onChange={(e) => setLocation(e.target.value)}
                     icon={<MapPinIcon className="h-5 w-5" />}
@@ -161,6 +272,18 @@ const Search = () => {
                 </Button>
               </div>
               
+              {accessibilityNeeds.length > 0 && (
+                <label className="mt-3 flex items-center justify-center gap-2 text-sm text-primary-100">
+                  <input
+                    type="checkbox"
+                    checked={matchAccessibility}
+                    onChange={(e) => setMatchAccessibility(e.target.checked)}
+                    className="h-4 w-4 rounded border-primary-300 text-primary-600 focus:ring-primary-500"
+                  />
+                  Only places with {accessibilityNeeds.map(accessibilityLabel).join(', ').toLowerCase()}
+                </label>
+              )}
+
               {userLocation && (
                 <div className="mt-3">
                   <Button
@@ -182,17 +305,41 @@ const Search = () => {
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         <div className="text-center mb-8">
           <h2 className="text-2xl font-semibold text-gray-900 mb-4">Popular Searches</h2>
+          {categoriesError && <p className="text-sm text-red-600 mb-4">{categoriesError}</p>}
           <div className="flex flex-wrap justify-center gap-3">
-            {['restaurants', 'coffee', 'attractions', 'hotels', 'shopping', 'parks'].map((category) => (
+            {categories.map((category) => (
               <button
-                key={category}
+                key={category.slug}
                 onClick={() => handleQuickSearch(category)}
-                className="px-4 py-2 bg-white border border-gray-200 rounded-full text-sm font-medium text-gray-700 hover:bg-gray-50 hover:border-primary-300 transition-colors"
+                className={`px-4 py-2 border rounded-full text-sm font-medium transition-colors ${
+                  activeRoot?.slug === category.slug
+                    ? 'bg-primary-50 border-primary-300 text-primary-700'
+                    : 'bg-white border-gray-200 text-gray-700 hover:bg-gray-50 hover:border-primary-300'
+                }`}
               >
-                {category.charAt(0).toUpperCase() + category.slice(1)}
+                {category.name}
               </button>
             ))}
           </div>
+
+          {/* Subcategories (e.g. cuisines) of the selected category */}
+          {activeRoot && activeRoot.children.length > 0 && (
+            <div className="flex flex-wrap justify-center gap-2 mt-4">
+              {activeRoot.children.flatMap(child => [child, ...child.children]).map((subcategory) => (
+                <button
+                  key={subcategory.slug}
+                  onClick={() => handleQuickSearch(subcategory)}
+                  className={`px-3 py-1 rounded-full text-sm font-medium transition-colors ${
+                    selectedCategory?.slug === subcategory.slug
+                      ? 'bg-primary-100 text-primary-700'
+                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {subcategory.name}
+                </button>
+              ))}
+            </div>
+          )}
         </div>
 
         {/* Search Results */}
@@ -206,9 +353,13 @@ const Search = () => {
             
             <PlaceList
               places={places}
+              categoryTree={categories}
               loading={loading}
               onFavorite={handleFavorite}
               onAddToItinerary={handleAddToItinerary}
+              onLoadMore={() => loadMore('places')}
+              onCompare={handleCompare}
+              hasMore={hasMore}
             />
           </div>
         )}
@@ -43,6 +43,7 @@ export const authAPI = {
   updateProfile: (profileData) => api.put('/auth/profile', profileData),
   updateLocation: (location) => api.put('/auth/location', location),
   updatePreferences: (preferences) => api.put('/auth/preferences', preferences),
+  updateAccessibilityNeeds: (needs) => api.put('/auth/accessibility', { needs }),
   changePassword: (currentPassword, newPassword) => 
     api.put('/auth/password', { currentPassword, newPassword }),
   deleteAccount: () => api.delete('/auth/account'),
@@ -52,22 +53,61 @@ export const authAPI = {
 // Places API
 export const placesAPI = {
   searchPlaces: (params) => api.get('/places/search', { params }),
+  getPlacesWithin: (params) => api.get('/places/within', { params }),
+  getPlaceDensity: (params) => api.get('/places/density', { params }),
+  comparePlaces: (ids, location) =>
+    api.get('/places/compare', { params: { ids: ids.join(','), ll: location } }),
+  autocomplete: (q, location, limit = 8) =>
+    api.get('/places/autocomplete', { params: { q, ll: location, limit } }),
   getPlaceDetails: (id) => api.get(`/places/${id}`),
+  getSimilarPlaces: (id, params = {}) => api.get(`/places/${id}/similar`, { params }),
   getPlacePhotos: (id, limit = 10) => 
     api.get(`/places/${id}/photos`, { params: { limit } }),
+  uploadPlacePhotos: (id, files, caption = '') => {
+    const formData = new FormData();
+    Array.from(files).forEach(file => formData.append('photos', file));
+    if (caption) formData.append('caption', caption);
+    return api.post(`/places/${id}/photos`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 60000
+    });
+  },
+  deletePlacePhoto: (id, photoId) => api.delete(`/places/${id}/photos/${photoId}`),
+  reportCorrection: (id, report, photo) => {
+    const formData = new FormData();
+    Object.entries(report).forEach(([key, value]) => {
+      if (value) formData.append(key, value);
+    });
+    if (photo) formData.append('photo', photo);
+    return api.post(`/places/${id}/corrections`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 60000
+    });
+  },
+  getPlaceReviews: (id, params = {}) => api.get(`/places/${id}/reviews`, { params }),
+  createReview: (id, reviewData) => api.post(`/places/${id}/reviews`, reviewData),
+  updateReview: (id, reviewId, reviewData) => api.put(`/places/${id}/reviews/${reviewId}`, reviewData),
+  deleteReview: (id, reviewId) => api.delete(`/places/${id}/reviews/${reviewId}`),
+  setReviewHelpful: (id, reviewId, helpful = true) => helpful
+    ? api.post(`/places/${id}/reviews/${reviewId}/helpful`)
+    : api.delete(`/places/${id}/reviews/${reviewId}/helpful`),
+  getPlaceAccessibility: (id) => api.get(`/places/${id}/accessibility`),
+  reportAccessibility: (id, report) => api.put(`/places/${id}/accessibility`, report),
+  deleteAccessibilityReport: (id) => api.delete(`/places/${id}/accessibility`),
   getPlaceTips: (id, limit = 10) => 
     api.get(`/places/${id}/tips`, { params: { limit } }),
   searchByCategory: (category, location) => 
     api.get(`/places/category/${category}`, { params: { ll: location } }),
+  getCategories: () => api.get('/places/categories'),
   getTrendingPlaces: (location, limit = 10) => 
     api.get('/places/trending', { params: { ll: location, limit } }),
-  getNearbyPlaces: (location, radius = 5000, limit = 20) => 
-    api.get('/places/nearby', { params: { ll: location, radius, limit } }),
+  getNearbyPlaces: (location, radius = 5000, limit = 20, cursor) => 
+    api.get('/places/nearby', { params: { ll: location, radius, limit, cursor } }),
   addToFavorites: (placeData) => api.post('/places/favorite', placeData),
   removeFromFavorites: (placeId) => api.delete(`/places/favorite/${placeId}`),
   markAsVisited: (placeData) => api.post('/places/visited', placeData),
-  getFavorites: () => api.get('/places/favorites'),
-  getVisitedPlaces: () => api.get('/places/visited'),
+  getFavorites: (cursor) => api.get('/places/favorites', { params: { cursor } }),
+  getVisitedPlaces: (cursor) => api.get('/places/visited', { params: { cursor } }),
 };
 
 // Chat API
@@ -83,6 +123,15 @@ export const chatAPI = {
     api.post('/chat/analyze-preferences', { conversationHistory }),
 };
 
+// Trip API
+export const tripAPI = {
+  generateTrip: (trip) => api.post('/trips/generate', trip),
+  getUserTrips: (params) => api.get('/trips', { params }),
+  getTrip: (id) => api.get(`/trips/${id}`),
+  updateTrip: (id, data) => api.put(`/trips/${id}`, data),
+  deleteTrip: (id) => api.delete(`/trips/${id}`),
+};
+
 // Itinerary API
 export const itineraryAPI = {
   generateItinerary: (prompt, location, preferences) => 
@@ -91,18 +140,45 @@ export const itineraryAPI = {
   getItinerary: (id) => api.get(`/itineraries/${id}`),
   updateItinerary: (id, data) => api.put(`/itineraries/${id}`, data),
   deleteItinerary: (id) => api.delete(`/itineraries/${id}`),
+  optimizeItinerary: (id, options = {}) =>
+    api.post(`/itineraries/${id}/optimize`, options),
   addPlaceToItinerary: (id, placeData) => 
     api.post(`/itineraries/${id}/places`, placeData),
   removePlaceFromItinerary: (id, placeId) => 
     api.delete(`/itineraries/${id}/places/${placeId}`),
   markPlaceVisited: (id, placeId, rating) => 
     api.put(`/itineraries/${id}/places/${placeId}/visited`, { rating }),
+  updatePlaceInItinerary: (id, placeId, data) =>
+    api.put(`/itineraries/${id}/places/${placeId}`, data),
+  reorderPlaces: (id, placeIds, revision) =>
+    api.put(`/itineraries/${id}/places/order`, { placeIds, revision }),
+  getLiveTicket: (id) => api.post(`/itineraries/${id}/live/ticket`),
+  getPresence: (id) => api.get(`/itineraries/${id}/presence`),
   getPopularItineraries: (limit = 10) => 
     api.get('/itineraries/popular', { params: { limit } }),
   getItinerariesByLocation: (location, radius = 50000, limit = 20) => 
     api.get('/itineraries/location', { params: { ll: location, radius, limit } }),
   toggleLike: (id) => api.post(`/itineraries/${id}/like`),
   shareItinerary: (id) => api.post(`/itineraries/${id}/share`),
+  getCollaborators: (id) => api.get(`/itineraries/${id}/collaborators`),
+  inviteCollaborator: (id, role, email) =>
+    api.post(`/itineraries/${id}/invitations`, { role, email }),
+  revokeInvitation: (id, invitationId) =>
+    api.delete(`/itineraries/${id}/invitations/${invitationId}`),
+  updateCollaborator: (id, userId, role) =>
+    api.put(`/itineraries/${id}/collaborators/${userId}`, { role }),
+  removeCollaborator: (id, userId) =>
+    api.delete(`/itineraries/${id}/collaborators/${userId}`),
+  getMyInvitations: () => api.get('/itineraries/invitations'),
+  acceptInvitation: (invitationId) => api.post(`/itineraries/invitations/${invitationId}/accept`),
+  declineInvitation: (invitationId) => api.post(`/itineraries/invitations/${invitationId}/decline`),
+  joinWithLink: (token) => api.post('/itineraries/invitations/join', { token }),
+};
+
+export const geocodeAPI = {
+  search: (q, location, limit = 5) =>
+    api.get('/geocode', { params: { q, ll: location, limit } }),
+  reverse: (location) => api.get('/geocode/reverse', { params: { ll: location } }),
 };
 
 // Utility functions
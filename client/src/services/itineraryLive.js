@@ -0,0 +1,69 @@
+import { itineraryAPI } from './api';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+const RECONNECT_DELAY_MS = 3000;
+
+// Events sent on an itinerary's live stream
+export const LIVE_EVENTS = [
+  'snapshot',
+  'presence',
+  'place-added',
+  'place-removed',
+  'places-reordered',
+  'place-updated',
+  'place-visited',
+  'itinerary-updated',
+  'itinerary-deleted',
+  'access-revoked'
+];
+
+// Events after which the stream is closed for good
+const FINAL_EVENTS = ['itinerary-deleted', 'access-revoked'];
+
+// Follow an itinerary's live changes, calling onEvent(type, data) for each.
+// The stream is opened with a short-lived ticket; once the browser gives up
+// reconnecting with it, a new ticket is fetched. Returns a function that
+// closes the stream.
+export const subscribeToItinerary = (id, onEvent) => {
+  let source = null;
+  let retryTimer = null;
+  let closed = false;
+
+  const close = () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    if (source) source.close();
+  };
+
+  const retry = () => {
+    if (!closed) retryTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+  };
+
+  const connect = async () => {
+    try {
+      const response = await itineraryAPI.getLiveTicket(id);
+      if (closed) return;
+
+      source = new EventSource(`${API_URL}/itineraries/${id}/live?ticket=${encodeURIComponent(response.data.ticket)}`);
+      LIVE_EVENTS.forEach(type => source.addEventListener(type, (event) => {
+        onEvent(type, JSON.parse(event.data));
+        if (FINAL_EVENTS.includes(type)) close();
+      }));
+      source.onerror = () => {
+        // CLOSED means the browser will not reconnect, e.g. the ticket expired
+        if (source.readyState === EventSource.CLOSED) retry();
+      };
+    } catch (err) {
+      // The itinerary is gone or no longer shared with this user
+      if ([403, 404].includes(err.response?.status)) {
+        onEvent('access-revoked', {});
+        close();
+        return;
+      }
+      retry();
+    }
+  };
+
+  connect();
+  return close;
+};
@@ -0,0 +1,16 @@
+// Accessibility features, matching the server's vocabulary in
+// server/utils/placeAttributes.js
+export const ACCESSIBILITY_FEATURES = [
+  { value: 'wheelchair-accessible', label: 'Wheelchair accessible' },
+  { value: 'step-free-access', label: 'Step-free access' },
+  { value: 'accessible-restroom', label: 'Accessible restroom' },
+  { value: 'accessible-parking', label: 'Accessible parking' },
+  { value: 'elevator', label: 'Elevator' },
+  { value: 'hearing-loop', label: 'Hearing loop' },
+  { value: 'braille-menu', label: 'Braille menu' },
+  { value: 'service-animals', label: 'Service animals welcome' },
+  { value: 'quiet-hours', label: 'Quiet hours' }
+];
+
+export const accessibilityLabel = (value) =>
+  ACCESSIBILITY_FEATURES.find(feature => feature.value === value)?.label || value;
@@ -16,6 +16,9 @@ const authRoutes = require('./routes/authRoutes');
 const placesRoutes = require('./routes/placesRoutes');
 const chatRoutes = require('./routes/chatRoutes');
 const itineraryRoutes = require('./routes/itineraryRoutes');
+const correctionRoutes = require('./routes/correctionRoutes');
+const geocodingRoutes = require('./routes/geocodingRoutes');
+const tripRoutes = require('./routes/tripRoutes');
 
 const app = express();
 
@@ -90,11 +93,20 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Uploaded photos; the client may be served from another origin
+app.use('/uploads', express.static(config.uploads.dir, {
+  maxAge: '7d',
+  setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+}));
+
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/places', placesRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/itineraries', itineraryRoutes);
+app.use('/api/corrections', correctionRoutes);
+app.use('/api/geocode', geocodingRoutes);
+app.use('/api/trips', tripRoutes);
 
 // API documentation endpoint
 app.get('/api', (req, res) => {
@@ -121,10 +133,27 @@ app.get('/api', (req, res) => {
         base: '/api/places',
         routes: [
           'GET /search - Search places',
+          'GET /autocomplete - Suggest places while typing',
+          'GET /within - Get places inside a bounding box or polygon',
           'GET /:id - Get place details',
           'GET /:id/photos - Get place photos',
+          'POST /:id/photos - Upload place photos',
+          'DELETE /:id/photos/:photoId - Delete an uploaded photo',
           'GET /:id/tips - Get place tips',
+          'GET /:id/reviews - Get reviews and rating summary',
+          'POST /:id/reviews - Review a place',
+          'PUT /:id/reviews/:reviewId - Update a review',
+          'DELETE /:id/reviews/:reviewId - Delete a review',
+          'POST /:id/reviews/:reviewId/helpful - Mark a review helpful',
+          'GET /:id/hours - Get weekly and special hours',
+          'POST /:id/hours/special - Add special hours',
+          'PUT /:id/hours/special/:overrideId - Update special hours',
+          'DELETE /:id/hours/special/:overrideId - Remove special hours',
+          'POST /:id/owners - Add place owner (admin)',
+          'POST /:id/corrections - Report a place as closed, moved or wrong',
+          'GET /:id/corrections/history - Get moderation history (admin)',
           'GET /category/:category - Search by category',
+          'GET /categories - Get category taxonomy',
           'GET /trending - Get trending places',
           'GET /nearby - Get nearby places',
           'POST /favorite - Add to favorites',
@@ -144,22 +173,62 @@ app.get('/api', (req, res) => {
           'POST /analyze-preferences - Analyze conversation preferences'
         ]
       },
+      corrections: {
+        base: '/api/corrections',
+        routes: [
+          'GET / - Get the moderation queue (admin)',
+          'GET /mine - Get your correction reports',
+          'POST /:correctionId/review - Apply, deactivate or reject (admin)'
+        ]
+      },
+      geocode: {
+        base: '/api/geocode',
+        routes: [
+          'GET / - Find cities and neighborhoods by name',
+          'GET /reverse - Find the city and country around coordinates'
+        ]
+      },
       itineraries: {
         base: '/api/itineraries',
         routes: [
           'POST /generate - Generate AI itinerary',
-          'GET / - Get user itineraries',
+          'GET / - Get owned and shared itineraries',
           'GET /:id - Get itinerary details',
           'PUT /:id - Update itinerary',
           'DELETE /:id - Delete itinerary',
+          'POST /:id/optimize - Reorder stops to minimize travel time',
           'POST /:id/places - Add place to itinerary',
           'DELETE /:id/places/:placeId - Remove place from itinerary',
+          'PUT /:id/places/order - Reorder places from a known revision',
+          'PUT /:id/places/:placeId - Update place notes or visit duration',
           'PUT /:id/places/:placeId/visited - Mark place visited',
+          'POST /:id/live/ticket - Get a ticket to open the live stream',
+          'GET /:id/live - Stream changes and presence (server-sent events)',
+          'GET /:id/presence - Get users viewing the itinerary',
           'POST /:id/like - Like/unlike itinerary',
           'POST /:id/share - Share itinerary',
+          'GET /:id/collaborators - Get owner, collaborators and pending invitations',
+          'PUT /:id/collaborators/:userId - Change a collaborator role',
+          'DELETE /:id/collaborators/:userId - Remove a collaborator or leave',
+          'POST /:id/invitations - Invite a user by email or create an invitation link',
+          'DELETE /:id/invitations/:invitationId - Revoke an invitation',
+          'GET /invitations - Get invitations sent to you',
+          'POST /invitations/:invitationId/accept - Accept an invitation',
+          'POST /invitations/:invitationId/decline - Decline an invitation',
+          'POST /invitations/join - Join with an invitation link token',
           'GET /popular - Get popular itineraries',
           'GET /location - Get itineraries by location'
         ]
+      },
+      trips: {
+        base: '/api/trips',
+        routes: [
+          'POST /generate - Generate a multi-day trip, one itinerary per day',
+          'GET / - Get user trips',
+          'GET /:id - Get trip with its day itineraries',
+          'PUT /:id - Update trip details, lodging, budget and tags',
+          'DELETE /:id - Delete trip and its itineraries'
+        ]
       }
     }
   });
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const config = require('./config/config');
+const Place = require('./models/Place');
+const geohash = require('./utils/geohash');
+
+const BATCH_SIZE = 500;
+
+// Store geohashes on places cached before they were computed on write
+const backfillGeohash = async () => {
+  try {
+    await mongoose.connect(config.mongoUri);
+
+    const cursor = Place.find({
+      $or: [{ 'location.geohash': { $exists: false } }, { 'location.geohash': '' }],
+      'location.coordinates': { $exists: true }
+    }).select('location.coordinates').lean().cursor();
+
+    let updates = [];
+    let updated = 0;
+    for await (const place of cursor) {
+      const [lng, lat] = place.location.coordinates;
+      updates.push({
+        updateOne: {
+          filter: { _id: place._id },
+          update: { $set: { 'location.geohash': geohash.encode(lng, lat) } }
+        }
+      });
+
+      if (updates.length === BATCH_SIZE) {
+        await Place.bulkWrite(updates, { ordered: false });
+        updated += updates.length;
+        updates = [];
+      }
+    }
+
+    if (updates.length > 0) {
+      await Place.bulkWrite(updates, { ordered: false });
+      updated += updates.length;
+    }
+
+    console.log(`Stored geohashes for ${updated} places`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error backfilling geohashes:', error.message);
+    process.exit(1);
+  }
+};
+
+backfillGeohash();
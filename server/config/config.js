@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 
 const config = {
   // Server Configuration
@@ -23,6 +24,148 @@ const config = {
   rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000, // 15 minutes
   rateLimitMaxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
   
+  // Place data provider: 'foursquare' or 'fixture'
+  placeProvider: process.env.PLACE_PROVIDER || 'foursquare',
+  
+  // Fixture provider configuration
+  fixtures: {
+    placesFile: process.env.PLACE_FIXTURES_FILE || path.join(__dirname, '../data/fixtures/places.json')
+  },
+  
+  // Category taxonomy configuration
+  categories: {
+    seedFile: process.env.CATEGORY_SEED_FILE || path.join(__dirname, '../data/categories.json')
+  },
+  
+  // Provider attribute mapping configuration
+  attributes: {
+    mappingFile: process.env.ATTRIBUTE_MAPPING_FILE || path.join(__dirname, '../data/attributeMappings.json'),
+    reportIntervalMs: 10000 // How often unmapped values are flushed for curation
+  },
+  
+  // Place cache configuration
+  placeCache: {
+    coverageTtlMs: parseInt(process.env.PLACE_COVERAGE_TTL_MS) || 24 * 60 * 60 * 1000, // 24 hours
+    writeBatchSize: 500
+  },
+
+  // Photo upload configuration
+  uploads: {
+    storage: process.env.PHOTO_STORAGE || 'local',
+    dir: process.env.UPLOAD_DIR || path.join(__dirname, '../uploads'),
+    publicUrl: process.env.UPLOAD_PUBLIC_URL || '/uploads',
+    maxFileSize: 10 * 1024 * 1024, // 10MB
+    maxFiles: 5,
+    maxDimension: 2048, // Longest side of the stored original
+    thumbnailSizes: {
+      small: 150,
+      medium: 400,
+      large: 800
+    }
+  },
+
+  // Popularity scoring configuration
+  popularity: {
+    intervalMs: process.env.POPULARITY_INTERVAL_MS !== undefined
+      ? parseInt(process.env.POPULARITY_INTERVAL_MS)
+      : 60 * 60 * 1000, // 1 hour; 0 disables the job
+    halfLifeDays: 14, // A signal counts half as much after this many days
+    lookbackDays: 90, // Older signals are ignored
+    weights: {
+      favorites: 3,
+      visits: 2,
+      itineraries: 1.5,
+      reviews: 2,
+      provider: 1
+    }
+  },
+
+  // Geocoding configuration
+  geocoding: {
+    provider: process.env.GEOCODING_PROVIDER || 'gazetteer', // gazetteer: bundled offline dataset
+    gazetteerFile: process.env.GAZETTEER_FILE || path.join(__dirname, '../data/gazetteer.json'),
+    reverseMaxDistance: 50000, // Meters from the nearest known city before reverse lookups give up
+    radius: { // Search radius in meters around a geocoded place, by kind
+      city: 10000,
+      neighborhood: 2000
+    }
+  },
+
+  // Routing configuration for travel between itinerary stops
+  routing: {
+    provider: process.env.ROUTING_PROVIDER || 'estimate', // estimate: straight-line speed model; osrm: OSRM HTTP router
+    defaultMode: 'walk',
+    speeds: { // Average speed in km/h, by travel mode
+      walk: 4.8,
+      bike: 15,
+      drive: 30
+    },
+    detourFactor: 1.3, // Street distance relative to straight-line distance
+    osrm: {
+      // osrm-routed serves one profile per instance, so each mode may have its own URL
+      urls: {
+        walk: process.env.OSRM_WALK_URL || process.env.OSRM_URL || 'http://localhost:5001',
+        bike: process.env.OSRM_BIKE_URL || process.env.OSRM_URL || 'http://localhost:5001',
+        drive: process.env.OSRM_DRIVE_URL || process.env.OSRM_URL || 'http://localhost:5001'
+      },
+      profiles: {
+        walk: 'foot',
+        bike: 'bike',
+        drive: 'car'
+      },
+      timeoutMs: parseInt(process.env.OSRM_TIMEOUT_MS) || 3000
+    }
+  },
+
+  // Multi-day trip configuration
+  trips: {
+    maxDays: 14 // Each day is a separate AI request
+  },
+
+  // Itinerary collaboration configuration
+  collaboration: {
+    inviteTtlDays: 7, // Email and link invitations expire after this many days
+    appUrl: process.env.CLIENT_URL || process.env.CORS_ORIGIN || 'http://localhost:3000' // Base of invitation links
+  },
+
+  // Live itinerary co-editing configuration
+  live: {
+    ticketTtl: '1m', // Lifetime of the ticket an event stream is opened with
+    heartbeatMs: 25000, // Keeps idle streams open through proxies
+    retryMs: 3000 // How long browsers wait before reconnecting a dropped stream
+  },
+
+  // Place density (heatmap) configuration
+  density: {
+    defaultPrecision: 6, // Geohash length; 6 is roughly 1.2km x 0.6km
+    maxCells: 2000 // Densest cells returned when an area has more
+  },
+
+  // Similar places configuration
+  similarPlaces: {
+    radius: 3000, // Meters around the place or user to look for candidates
+    minScore: 0.2, // Candidates scoring lower are not returned
+    weights: {
+      categories: 0.4,
+      attributes: 0.3,
+      price: 0.15,
+      rating: 0.15
+    }
+  },
+
+  // Autocomplete configuration
+  autocomplete: {
+    timeoutMs: parseInt(process.env.AUTOCOMPLETE_TIMEOUT_MS) || 150, // Latency budget per request
+    maxDistance: 50000, // 50km
+    candidateLimit: 100
+  },
+
+  // Opening hours configuration
+  defaultTimezone: process.env.DEFAULT_TIMEZONE || 'UTC', // Used for places without a timezone
+  hours: {
+    closingSoonMinutes: 30
+  },
+
   // Foursquare API Configuration
   foursquare: {
     baseUrl: 'https://api.foursquare.com/v3',
@@ -41,7 +184,10 @@ const config = {
 };
 
 // Validate required environment variables
-const requiredEnvVars = ['FOURSQUARE_API_KEY', 'OPENAI_API_KEY'];
+const requiredEnvVars = ['OPENAI_API_KEY'];
+if (config.placeProvider === 'foursquare') {
+  requiredEnvVars.push('FOURSQUARE_API_KEY');
+}
 const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
 
 if (missingEnvVars.length > 0) {
@@ -0,0 +1,129 @@
+const AccessibilityReport = require('../models/AccessibilityReport');
+const Place = require('../models/Place');
+const placeCacheService = require('../services/placeCacheService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { resolveAccessibility } = require('../utils/placeAttributes');
+
+const formatReport = (report) => ({
+  id: report._id,
+  available: report.available,
+  unavailable: report.unavailable,
+  notes: report.notes,
+  user: report.user?.name ? {
+    id: report.user._id,
+    name: report.user.name,
+    avatar: report.user.avatar || ''
+  } : { id: report.user },
+  updatedAt: report.updatedAt
+});
+
+// @desc    Get a place's accessibility, with user report counts
+// @route   GET /api/places/:id/accessibility
+// @access  Public
+const getAccessibility = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const stored = await Place.findOne({ foursquareId: id }).select('attributes.accessibility').lean();
+  const place = stored || await placeCacheService.getPlaceDetails(id);
+  const provided = stored ? stored.attributes?.accessibility || [] : place.attributes?.accessibility || [];
+
+  const [summary, recent, mine] = await Promise.all([
+    AccessibilityReport.getSummary(id),
+    AccessibilityReport.find({ placeId: id, notes: { $ne: '' } })
+      .sort({ updatedAt: -1 })
+      .limit(5)
+      .populate('user', 'name avatar'),
+    req.user ? AccessibilityReport.findOne({ placeId: id, user: req.user._id }) : null
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      accessibility: resolveAccessibility(provided, summary),
+      provided,
+      reports: {
+        count: summary.count,
+        features: summary.features,
+        recent: recent.map(formatReport)
+      },
+      myReport: mine ? formatReport(mine) : null
+    }
+  });
+});
+
+// @desc    Report a place's accessibility, replacing the user's earlier report
+// @route   PUT /api/places/:id/accessibility
+// @access  Private
+const reportAccessibility = asyncHandler(async (req, res) => {
+  const { available = [], unavailable = [], notes } = req.body;
+
+  // Reports are aggregated onto the stored place, so make sure it exists
+  const place = await placeCacheService.findOrCache(req.params.id);
+  if (!place) {
+    return res.status(404).json({
+      success: false,
+      message: 'Place not found'
+    });
+  }
+
+  let report = await AccessibilityReport.findOne({ placeId: place.foursquareId, user: req.user._id });
+  const created = !report;
+  if (created) {
+    report = new AccessibilityReport({ placeId: place.foursquareId, user: req.user._id });
+  }
+
+  report.available = available;
+  report.unavailable = unavailable;
+  if (notes !== undefined) report.notes = notes;
+  await report.save();
+
+  const summary = await AccessibilityReport.syncPlace(place.foursquareId);
+
+  res.status(created ? 201 : 200).json({
+    success: true,
+    message: 'Thanks for reporting accessibility',
+    data: {
+      report: formatReport(report),
+      accessibility: resolveAccessibility(place.attributes?.accessibility, summary),
+      reports: {
+        count: summary.count,
+        features: summary.features
+      }
+    }
+  });
+});
+
+// @desc    Withdraw the user's accessibility report
+// @route   DELETE /api/places/:id/accessibility
+// @access  Private
+const deleteAccessibilityReport = asyncHandler(async (req, res) => {
+  const report = await AccessibilityReport.findOneAndDelete({ placeId: req.params.id, user: req.user._id });
+
+  if (!report) {
+    return res.status(404).json({
+      success: false,
+      message: 'You have not reported on this place'
+    });
+  }
+
+  const summary = await AccessibilityReport.syncPlace(req.params.id);
+  const place = await Place.findOne({ foursquareId: req.params.id }).select('attributes.accessibility').lean();
+
+  res.json({
+    success: true,
+    message: 'Accessibility report removed',
+    data: {
+      accessibility: resolveAccessibility(place?.attributes?.accessibility, summary),
+      reports: {
+        count: summary.count,
+        features: summary.features
+      }
+    }
+  });
+});
+
+module.exports = {
+  getAccessibility,
+  reportAccessibility,
+  deleteAccessibilityReport
+};
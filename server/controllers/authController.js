@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const config = require('../config/config');
+const geocodingService = require('../services/geocodingService');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 // Generate JWT token
@@ -151,7 +152,28 @@ const updateProfile = asyncHandler(async (req, res) => {
 // @route   PUT /api/auth/location
 // @access  Private
 const updateLocation = asyncHandler(async (req, res) => {
-  const { coordinates, city, country } = req.body;
+  const { near } = req.body;
+  let { city, country } = req.body;
+  let coordinates = req.body.coordinates?.map(Number);
+
+  // A named city or neighborhood stands in for coordinates
+  if (!coordinates) {
+    const geocoded = await geocodingService.geocode(near, { near: req.user.location?.coordinates });
+    if (!geocoded) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not find a city or neighborhood called "${near}"`
+      });
+    }
+    coordinates = geocoded.coordinates;
+  }
+
+  // Fill in whatever the client did not say about where it is
+  if (!city || !country) {
+    const area = await geocodingService.reverse(coordinates);
+    city = city || area?.city;
+    country = country || area?.country;
+  }
 
   const updatedUser = await User.findByIdAndUpdate(
     req.user._id,
@@ -203,6 +225,27 @@ const updatePreferences = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Update user accessibility needs
+// @route   PUT /api/auth/accessibility
+// @access  Private
+const updateAccessibilityNeeds = asyncHandler(async (req, res) => {
+  const { needs } = req.body;
+
+  const updatedUser = await User.findByIdAndUpdate(
+    req.user._id,
+    { accessibilityNeeds: needs },
+    { new: true, runValidators: true }
+  );
+
+  res.json({
+    success: true,
+    message: 'Accessibility needs updated successfully',
+    data: {
+      user: updatedUser.getPublicProfile()
+    }
+  });
+});
+
 // @desc    Change password
 // @route   PUT /api/auth/password
 // @access  Private
@@ -273,6 +316,7 @@ module.exports = {
   updateProfile,
   updateLocation,
   updatePreferences,
+  updateAccessibilityNeeds,
   changePassword,
   deleteAccount,
   getUserStats
@@ -1,5 +1,5 @@
 const openaiService = require('../services/openaiService');
-const foursquareService = require('../services/foursquareService');
+const placeService = require('../services/placeService');
 const User = require('../models/User');
 const { asyncHandler } = require('../middleware/errorHandler');
 
@@ -39,7 +39,7 @@ const processChatMessage = asyncHandler(async (req, res) => {
   if (location || userContext.location) {
     try {
       const searchLocation = location || userContext.location.coordinates.join(',');
-      availablePlaces = await foursquareService.searchPlaces({
+      availablePlaces = await placeService.searchPlaces({
         ll: searchLocation,
         radius: 5000,
         limit: 10
@@ -101,7 +101,7 @@ const getPersonalizedRecommendations = asyncHandler(async (req, res) => {
   let recommendedPlaces = [];
   if (aiRecommendations.success && aiRecommendations.recommendations) {
     try {
-      const places = await foursquareService.searchPlaces({
+      const places = await placeService.searchPlaces({
         ll: searchLocation,
         radius: 5000,
         limit: 20
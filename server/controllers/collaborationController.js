@@ -0,0 +1,284 @@
+const collaborationService = require('../services/collaborationService');
+const itineraryLiveService = require('../services/itineraryLiveService');
+const ItineraryInvitation = require('../models/ItineraryInvitation');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const MEMBER_FIELDS = 'name avatar email';
+
+// @desc    Get the owner and collaborators of an itinerary
+// @route   GET /api/itineraries/:id/collaborators
+// @access  Private (owner, editor, viewer)
+const getCollaborators = asyncHandler(async (req, res) => {
+  const { itinerary, itineraryRole } = req;
+  const isOwner = itineraryRole === 'owner';
+
+  await itinerary.populate([
+    { path: 'user', select: MEMBER_FIELDS },
+    { path: 'collaborators.user', select: MEMBER_FIELDS }
+  ]);
+
+  // Only the owner sees who has been invited
+  let invitations;
+  if (isOwner) {
+    const pending = await ItineraryInvitation.find({
+      itinerary: itinerary._id,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+    invitations = pending.map(invitation => collaborationService.formatInvitation(invitation));
+  }
+
+  res.json({
+    success: true,
+    data: {
+      role: itineraryRole,
+      members: collaborationService.formatMembers(itinerary, isOwner),
+      invitations
+    }
+  });
+});
+
+// @desc    Invite a user by email, or create an invitation link without one
+// @route   POST /api/itineraries/:id/invitations
+// @access  Private (owner)
+const createInvitation = asyncHandler(async (req, res) => {
+  const { itinerary } = req;
+  const { email, role } = req.body;
+
+  try {
+    if (email) {
+      const invitation = await collaborationService.inviteByEmail(itinerary, req.user, email, role);
+      return res.status(201).json({
+        success: true,
+        message: `Invitation sent to ${invitation.email}`,
+        data: {
+          invitation: collaborationService.formatInvitation(invitation)
+        }
+      });
+    }
+
+    const { invitation, token, url } = await collaborationService.createLink(itinerary, req.user, role);
+    res.status(201).json({
+      success: true,
+      message: 'Invitation link created',
+      data: {
+        invitation: collaborationService.formatInvitation(invitation),
+        token,
+        url
+      }
+    });
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @desc    Revoke a pending invitation or link
+// @route   DELETE /api/itineraries/:id/invitations/:invitationId
+// @access  Private (owner)
+const revokeInvitation = asyncHandler(async (req, res) => {
+  const invitation = await ItineraryInvitation.findOne({
+    _id: req.params.invitationId,
+    itinerary: req.itinerary._id,
+    status: 'pending'
+  });
+
+  if (!invitation) {
+    return res.status(404).json({
+      success: false,
+      message: 'Invitation not found'
+    });
+  }
+
+  await invitation.respond('revoked');
+
+  res.json({
+    success: true,
+    message: 'Invitation revoked'
+  });
+});
+
+// @desc    Change a collaborator's role
+// @route   PUT /api/itineraries/:id/collaborators/:userId
+// @access  Private (owner)
+const updateCollaborator = asyncHandler(async (req, res) => {
+  const { itinerary } = req;
+  const role = itinerary.roleOf(req.params.userId);
+
+  if (!role || role === 'owner') {
+    return res.status(404).json({
+      success: false,
+      message: 'Collaborator not found'
+    });
+  }
+
+  itinerary.setCollaborator(req.params.userId, req.body.role, req.user._id);
+  await itinerary.save();
+  itineraryLiveService.setRole(itinerary._id, req.params.userId, req.body.role);
+  await itinerary.populate('collaborators.user', MEMBER_FIELDS);
+
+  res.json({
+    success: true,
+    message: 'Collaborator updated successfully',
+    data: {
+      collaborators: itinerary.collaborators
+    }
+  });
+});
+
+// @desc    Remove a collaborator, or leave an itinerary shared with you
+// @route   DELETE /api/itineraries/:id/collaborators/:userId
+// @access  Private (owner, or the collaborator themselves)
+const removeCollaborator = asyncHandler(async (req, res) => {
+  const { itinerary, itineraryRole } = req;
+  const leaving = req.params.userId === req.user._id.toString();
+
+  if (itineraryRole !== 'owner' && !leaving) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the itinerary owner can do this'
+    });
+  }
+
+  const role = itinerary.roleOf(req.params.userId);
+  if (!role || role === 'owner') {
+    return res.status(404).json({
+      success: false,
+      message: 'Collaborator not found'
+    });
+  }
+
+  itinerary.removeCollaborator(req.params.userId);
+  await itinerary.save();
+  itineraryLiveService.disconnect(itinerary._id, 'access-revoked', { left: leaving }, req.params.userId);
+
+  res.json({
+    success: true,
+    message: leaving ? 'You left the itinerary' : 'Collaborator removed successfully'
+  });
+});
+
+// @desc    Get pending invitations sent to the current user
+// @route   GET /api/itineraries/invitations
+// @access  Private
+const getMyInvitations = asyncHandler(async (req, res) => {
+  const invitations = await ItineraryInvitation.find({
+    invitee: req.user._id,
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  })
+    .sort({ createdAt: -1 })
+    .populate('itinerary', 'title')
+    .populate('invitedBy', 'name');
+
+  res.json({
+    success: true,
+    data: {
+      // Invitations to itineraries deleted since are left out
+      invitations: invitations
+        .filter(invitation => invitation.itinerary)
+        .map(invitation => collaborationService.formatInvitation(invitation))
+    }
+  });
+});
+
+// Accept an invitation and respond with the itinerary it grants access to
+const acceptAndRespond = async (invitation, req, res) => {
+  let itinerary;
+  try {
+    itinerary = await collaborationService.accept(invitation, req.user);
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `You can now ${itinerary.roleOf(req.user._id) === 'editor' ? 'edit' : 'view'} "${itinerary.title}"`,
+    data: {
+      itinerary: {
+        id: itinerary._id,
+        title: itinerary.title
+      },
+      role: itinerary.roleOf(req.user._id)
+    }
+  });
+};
+
+// @desc    Accept an email invitation
+// @route   POST /api/itineraries/invitations/:invitationId/accept
+// @access  Private
+const acceptInvitation = asyncHandler(async (req, res) => {
+  const invitation = await ItineraryInvitation.findOne({
+    _id: req.params.invitationId,
+    invitee: req.user._id
+  });
+
+  if (!invitation) {
+    return res.status(404).json({
+      success: false,
+      message: 'Invitation not found'
+    });
+  }
+
+  await acceptAndRespond(invitation, req, res);
+});
+
+// @desc    Decline an email invitation
+// @route   POST /api/itineraries/invitations/:invitationId/decline
+// @access  Private
+const declineInvitation = asyncHandler(async (req, res) => {
+  const invitation = await ItineraryInvitation.findOne({
+    _id: req.params.invitationId,
+    invitee: req.user._id,
+    status: 'pending'
+  });
+
+  if (!invitation) {
+    return res.status(404).json({
+      success: false,
+      message: 'Invitation not found'
+    });
+  }
+
+  await invitation.respond('declined');
+
+  res.json({
+    success: true,
+    message: 'Invitation declined'
+  });
+});
+
+// @desc    Join an itinerary with an invitation link token
+// @route   POST /api/itineraries/invitations/join
+// @access  Private
+const joinWithLink = asyncHandler(async (req, res) => {
+  const invitation = await collaborationService.findLink(req.body.token);
+
+  if (!invitation) {
+    return res.status(404).json({
+      success: false,
+      message: 'Invitation not found'
+    });
+  }
+
+  await acceptAndRespond(invitation, req, res);
+});
+
+module.exports = {
+  getCollaborators,
+  createInvitation,
+  revokeInvitation,
+  updateCollaborator,
+  removeCollaborator,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+  joinWithLink
+};
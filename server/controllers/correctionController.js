@@ -0,0 +1,197 @@
+const Place = require('../models/Place');
+const PlaceCorrection = require('../models/PlaceCorrection');
+const PlaceChange = require('../models/PlaceChange');
+const placeCacheService = require('../services/placeCacheService');
+const placeCorrectionService = require('../services/placeCorrectionService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { parseCoordinates } = require('../utils/geo');
+const { pickCorrections } = require('../utils/placeCorrections');
+
+// Correctable values from a request body; coordinates come as "lng,lat"
+const correctionValues = ({ name, category, address, ll }) => ({
+  name,
+  category,
+  address,
+  coordinates: ll ? parseCoordinates(ll) : undefined
+});
+
+// Stored places of the given reports, by place ID
+const loadPlaces = async (corrections) => {
+  const places = await Place.find({ foursquareId: { $in: corrections.map(correction => correction.placeId) } })
+    .select('foursquareId name category location isActive');
+  return new Map(places.map(place => [place.foursquareId, place]));
+};
+
+// @desc    Report a place as closed, moved or wrong
+// @route   POST /api/places/:id/corrections
+// @access  Private
+const submitCorrection = asyncHandler(async (req, res) => {
+  const { reason, notes } = req.body;
+
+  // Moderators act on the stored place, so make sure it exists
+  const place = await placeCacheService.findOrCache(req.params.id);
+  if (!place) {
+    return res.status(404).json({
+      success: false,
+      message: 'Place not found'
+    });
+  }
+
+  const pending = await PlaceCorrection.exists({
+    placeId: place.foursquareId,
+    user: req.user._id,
+    status: { $in: ['pending', 'reviewing'] }
+  });
+  if (pending) {
+    return res.status(409).json({
+      success: false,
+      message: 'You already have a report awaiting review for this place'
+    });
+  }
+
+  const correction = await placeCorrectionService.submit(place, req.user, {
+    reason,
+    suggestion: correctionValues(req.body),
+    notes
+  }, req.file);
+
+  res.status(201).json({
+    success: true,
+    message: 'Thanks, your report will be reviewed',
+    data: {
+      correction: placeCorrectionService.formatCorrection(correction, place)
+    }
+  });
+});
+
+// @desc    Get a place's moderation history
+// @route   GET /api/places/:id/corrections/history
+// @access  Private (admin)
+const getPlaceHistory = asyncHandler(async (req, res) => {
+  const changes = await PlaceChange.find({ placeId: req.params.id })
+    .sort({ createdAt: -1 })
+    .populate('changedBy', 'name');
+
+  res.json({
+    success: true,
+    data: {
+      changes: changes.map(change => placeCorrectionService.formatChange(change))
+    }
+  });
+});
+
+// @desc    Get the user's correction reports
+// @route   GET /api/corrections/mine
+// @access  Private
+const getMyCorrections = asyncHandler(async (req, res) => {
+  const corrections = await PlaceCorrection.find({ user: req.user._id })
+    .sort({ createdAt: -1 })
+    .limit(50);
+  const places = await loadPlaces(corrections);
+
+  res.json({
+    success: true,
+    data: {
+      corrections: corrections.map(correction =>
+        placeCorrectionService.formatCorrection(correction, places.get(correction.placeId)))
+    }
+  });
+});
+
+// @desc    Get the moderation queue; pending reports are oldest first
+// @route   GET /api/corrections
+// @access  Private (admin)
+const getCorrectionQueue = asyncHandler(async (req, res) => {
+  const { status = 'pending', reason, placeId, page = 1, limit = 20 } = req.query;
+  const pageNumber = parseInt(page);
+  const pageSize = parseInt(limit);
+
+  const filter = { status };
+  if (reason) filter.reason = reason;
+  if (placeId) filter.placeId = placeId;
+
+  const [corrections, total] = await Promise.all([
+    PlaceCorrection.find(filter)
+      .sort({ createdAt: status === 'pending' ? 1 : -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .populate('user', 'name'),
+    PlaceCorrection.countDocuments(filter)
+  ]);
+  const places = await loadPlaces(corrections);
+
+  res.json({
+    success: true,
+    data: {
+      corrections: corrections.map(correction =>
+        placeCorrectionService.formatCorrection(correction, places.get(correction.placeId))),
+      pagination: {
+        current: pageNumber,
+        pages: Math.ceil(total / pageSize),
+        total
+      }
+    }
+  });
+});
+
+// @desc    Apply a correction, deactivate the place or reject the report
+// @route   POST /api/corrections/:correctionId/review
+// @access  Private (admin)
+const reviewCorrection = asyncHandler(async (req, res) => {
+  const { action, note = '' } = req.body;
+
+  // Claim the report before touching the place, so a report reviewed by two
+  // moderators at once is only acted on once
+  const correction = await PlaceCorrection.claim(req.params.correctionId).populate('user', 'name');
+  if (!correction) {
+    const exists = await PlaceCorrection.exists({ _id: req.params.correctionId });
+    return res.status(exists ? 409 : 404).json({
+      success: false,
+      message: exists ? 'Report is being reviewed or has already been reviewed' : 'Report not found'
+    });
+  }
+
+  const place = await Place.findOne({ foursquareId: correction.placeId });
+  if (!place && action !== 'reject') {
+    await correction.release();
+    return res.status(404).json({
+      success: false,
+      message: 'Place not found'
+    });
+  }
+
+  let result;
+  try {
+    if (action === 'apply') {
+      // Moderator values take precedence over the suggestion
+      const values = { ...pickCorrections(correction.suggestion), ...pickCorrections(correctionValues(req.body)) };
+      result = await placeCorrectionService.apply(correction, place, req.user, values, note);
+    } else if (action === 'deactivate') {
+      result = await placeCorrectionService.deactivate(correction, place, req.user, note);
+    } else {
+      result = await placeCorrectionService.reject(correction, req.user, note);
+    }
+  } catch (error) {
+    // Failed reviews go back to the queue, unless the place was already
+    // changed; those stay claimed so the correction is not applied twice
+    if (!error.placeWritten) await correction.release();
+    throw error;
+  }
+
+  res.json({
+    success: true,
+    message: `Report ${result.correction.status}`,
+    data: {
+      correction: placeCorrectionService.formatCorrection(result.correction, place),
+      change: result.change ? placeCorrectionService.formatChange(result.change) : null
+    }
+  });
+});
+
+module.exports = {
+  submitCorrection,
+  getPlaceHistory,
+  getMyCorrections,
+  getCorrectionQueue,
+  reviewCorrection
+};
@@ -0,0 +1,48 @@
+const geocodingService = require('../services/geocodingService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { parseCoordinates } = require('../utils/geo');
+
+// @desc    Find cities and neighborhoods by name
+// @route   GET /api/geocode
+// @access  Public
+const geocode = asyncHandler(async (req, res) => {
+  const { q, ll, limit = 5 } = req.query;
+
+  // Prefer matches near the given point, or the signed-in user
+  const near = parseCoordinates(ll) || req.user?.location?.coordinates;
+  const locations = await geocodingService.search(q, { near, limit: parseInt(limit) });
+
+  res.json({
+    success: true,
+    data: {
+      locations,
+      total: locations.length
+    }
+  });
+});
+
+// @desc    Find the neighborhood, city and country around coordinates
+// @route   GET /api/geocode/reverse
+// @access  Public
+const reverseGeocode = asyncHandler(async (req, res) => {
+  const location = await geocodingService.reverse(parseCoordinates(req.query.ll));
+
+  if (!location) {
+    return res.status(404).json({
+      success: false,
+      message: 'No known city near this location'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      location
+    }
+  });
+});
+
+module.exports = {
+  geocode,
+  reverseGeocode
+};
@@ -1,14 +1,53 @@
 const openaiService = require('../services/openaiService');
-const foursquareService = require('../services/foursquareService');
+const placeCacheService = require('../services/placeCacheService');
+const itineraryPlannerService = require('../services/itineraryPlannerService');
+const routingService = require('../services/routingService');
+const itineraryLiveService = require('../services/itineraryLiveService');
 const Itinerary = require('../models/Itinerary');
+const Trip = require('../models/Trip');
+const ItineraryInvitation = require('../models/ItineraryInvitation');
 const User = require('../models/User');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { isOpenAt, getHoursStatus } = require('../utils/openingHours');
+const { evaluateOrder, optimizeOrder } = require('../utils/routeOptimizer');
+const { findStopConflicts } = require('../utils/itinerarySchedule');
+
+// Minutes to one decimal
+const roundMinutes = (minutes) => Math.round(minutes * 10) / 10;
+
+const MAX_SAVE_ATTEMPTS = 3;
+
+// Apply a change that does not depend on the order the editor saw, reloading
+// the itinerary and trying again when someone else saved places first
+const applyChange = async (itinerary, change) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await change(itinerary);
+      return itinerary;
+    } catch (error) {
+      if (error.name !== 'VersionError' || attempt === MAX_SAVE_ATTEMPTS) throw error;
+      itinerary = await Itinerary.findById(itinerary._id);
+      if (!itinerary) throw error;
+    }
+  }
+};
+
+// Reply to a change made from an out-of-date copy of the places with the
+// current ones, so the editor can redo it on top of them
+const sendConflict = (res, itinerary) => res.status(409).json({
+  success: false,
+  message: 'Someone else changed this itinerary. Review the latest places and try again.',
+  data: {
+    revision: itinerary.revision,
+    places: [...itinerary.places].sort((a, b) => a.order - b.order)
+  }
+});
 
 // @desc    Generate AI itinerary
 // @route   POST /api/itineraries/generate
 // @access  Private
 const generateItinerary = asyncHandler(async (req, res) => {
-  const { prompt, location, preferences } = req.body;
+  const { prompt, location, near, preferences, startTime, timeBudget, travelMode } = req.body;
 
   if (!prompt) {
     return res.status(400).json({
@@ -18,22 +57,20 @@ const generateItinerary = asyncHandler(async (req, res) => {
   }
 
   const user = await User.findById(req.user._id);
-  
-  // Use user's location if not provided
-  const searchLocation = location || user.location?.coordinates?.join(',');
-  if (!searchLocation) {
-    return res.status(400).json({
+
+  let area;
+  try {
+    area = await itineraryPlannerService.resolveLocation(user, { location, near });
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    return res.status(error.statusCode).json({
       success: false,
-      message: 'Location is required for itinerary generation'
+      message: error.message
     });
   }
 
   // Generate AI itinerary
-  const aiResponse = await openaiService.generateItinerary(
-    prompt,
-    user.preferences,
-    searchLocation
-  );
+  const aiResponse = await openaiService.generateItinerary(prompt, user.preferences, area.label);
 
   if (!aiResponse.success) {
     return res.status(500).json({
@@ -43,46 +80,10 @@ const generateItinerary = asyncHandler(async (req, res) => {
   }
 
   // Get actual places for the itinerary
-  const itineraryPlaces = await Promise.all(
-    aiResponse.itinerary.places.map(async (place, index) => {
-      try {
-        // Search for the place
-        const searchResults = await foursquareService.searchPlaces({
-          query: place.name,
-          ll: searchLocation,
-          radius: 5000,
-          limit: 5
-        });
-
-        // Find the best match
-        const bestMatch = searchResults.find(result => 
-          result.name.toLowerCase().includes(place.name.toLowerCase()) ||
-          result.category.toLowerCase().includes(place.category.toLowerCase())
-        );
-
-        return {
-          placeId: bestMatch?.id || `placeholder-${index}`,
-          name: bestMatch?.name || place.name,
-          category: bestMatch?.category || place.category,
-          order: index + 1,
-          estimatedDuration: place.estimatedDuration || 60,
-          notes: place.notes || '',
-          details: bestMatch || null
-        };
-      } catch (error) {
-        console.error(`Error finding place ${place.name}:`, error);
-        return {
-          placeId: `placeholder-${index}`,
-          name: place.name,
-          category: place.category,
-          order: index + 1,
-          estimatedDuration: place.estimatedDuration || 60,
-          notes: place.notes || '',
-          details: null
-        };
-      }
-    })
-  );
+  const itineraryPlaces = await itineraryPlannerService.matchPlaces(aiResponse.itinerary.places, {
+    searchLocation: area.searchLocation,
+    startTime
+  });
 
   // Create itinerary in database
   const itinerary = await Itinerary.create({
@@ -94,12 +95,14 @@ const generateItinerary = asyncHandler(async (req, res) => {
     purpose: aiResponse.itinerary.purpose,
     location: {
       type: 'Point',
-      coordinates: searchLocation.split(',').map(coord => parseFloat(coord)),
-      city: user.location?.city,
-      country: user.location?.country
+      coordinates: area.coordinates,
+      city: area.city,
+      country: area.country
     },
     places: itineraryPlaces,
-    totalDuration: aiResponse.itinerary.totalDuration,
+    startTime,
+    timeBudget,
+    travelMode,
     estimatedCost: aiResponse.itinerary.estimatedCost,
     tags: aiResponse.itinerary.tags,
     aiGenerated: true,
@@ -122,9 +125,14 @@ const generateItinerary = asyncHandler(async (req, res) => {
 // @route   GET /api/itineraries
 // @access  Private
 const getUserItineraries = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 10, type, status } = req.query;
-
-  const query = { user: req.user._id };
+  const { page = 1, limit = 10, type, status, role } = req.query;
+
+  // Owned and shared itineraries, unless `role` narrows them down
+  const query = role === 'owner'
+    ? { user: req.user._id }
+    : role === 'shared'
+      ? { 'collaborators.user': req.user._id }
+      : Itinerary.accessibleBy(req.user._id);
   
   if (type) query.type = type;
   if (status === 'completed') query.isCompleted = true;
@@ -134,7 +142,8 @@ const getUserItineraries = asyncHandler(async (req, res) => {
     .sort({ createdAt: -1 })
     .limit(limit * 1)
     .skip((page - 1) * limit)
-    .populate('user', 'name avatar');
+    .populate('user', 'name avatar')
+    .populate('collaborators.user', 'name avatar');
 
   const total = await Itinerary.countDocuments(query);
 
@@ -153,71 +162,99 @@ const getUserItineraries = asyncHandler(async (req, res) => {
 
 // @desc    Get itinerary by ID
 // @route   GET /api/itineraries/:id
-// @access  Private
+// @access  Private (owner, editor or viewer)
 const getItinerary = asyncHandler(async (req, res) => {
-  const { id } = req.params;
+  const at = req.query.at ? new Date(req.query.at) : new Date(); // Time to evaluate opening hours at
 
-  const itinerary = await Itinerary.findOne({
-    _id: id,
-    user: req.user._id
-  }).populate('user', 'name avatar');
-
-  if (!itinerary) {
-    return res.status(404).json({
-      success: false,
-      message: 'Itinerary not found'
-    });
-  }
+  const itinerary = await req.itinerary.populate([
+    { path: 'user', select: 'name avatar' },
+    { path: 'collaborators.user', select: 'name avatar' }
+  ]);
 
   // Get detailed place information
   const placesWithDetails = await Promise.all(
     itinerary.places.map(async (place) => {
+      // Problems with the planned visit, once the itinerary has a start time
+      const conflicts = (details) => findStopConflicts(place, details, itinerary);
+
       if (place.placeId.startsWith('placeholder-')) {
-        return place;
+        return {
+          ...place.toObject(),
+          conflicts: conflicts(null)
+        };
       }
 
       try {
-        const placeDetails = await foursquareService.getPlaceDetails(place.placeId);
+        const placeDetails = await placeCacheService.getPlaceDetails(place.placeId);
         return {
           ...place.toObject(),
-          details: placeDetails
+          details: {
+            ...placeDetails,
+            hoursStatus: getHoursStatus(placeDetails.hours, placeDetails.timezone, at)
+          },
+          conflicts: conflicts(placeDetails)
         };
       } catch (error) {
         return {
           ...place.toObject(),
-          details: null
+          details: null,
+          conflicts: conflicts(null)
         };
       }
     })
   );
 
+  const conflicts = placesWithDetails.flatMap(place => place.conflicts.map(conflict => ({
+    placeId: place.placeId,
+    name: place.name,
+    ...conflict
+  })));
+
   res.json({
     success: true,
     data: {
       itinerary: {
         ...itinerary.toObject(),
         places: placesWithDetails
-      }
+      },
+      revision: itinerary.revision,
+      schedule: {
+        startTime: itinerary.startTime || null,
+        endTime: itinerary.endTime || null,
+        timeBudget: itinerary.timeBudget || null,
+        totalDuration: itinerary.totalDuration,
+        feasible: conflicts.length === 0,
+        conflicts
+      },
+      hoursEvaluatedAt: at
     }
   });
 });
 
 // @desc    Update itinerary
 // @route   PUT /api/itineraries/:id
-// @access  Private
+// @access  Private (owner or editor)
 const updateItinerary = asyncHandler(async (req, res) => {
-  const { id } = req.params;
-  const { title, description, places, isPublic } = req.body;
+  const { title, description, places, travelMode, startTime, timeBudget, isPublic, revision } = req.body;
 
-  const itinerary = await Itinerary.findOne({
-    _id: id,
-    user: req.user._id
-  });
+  const { itinerary } = req;
 
-  if (!itinerary) {
-    return res.status(404).json({
+  if (typeof isPublic === 'boolean' && req.itineraryRole !== 'owner') {
+    return res.status(403).json({
       success: false,
-      message: 'Itinerary not found'
+      message: 'Only the itinerary owner can change who sees it'
+    });
+  }
+
+  // Replacing places from an out-of-date copy would undo others' changes
+  if (places && revision !== undefined && revision !== itinerary.revision) {
+    return sendConflict(res, itinerary);
+  }
+
+  if (places && new Set(places.map(place => place.placeId)).size !== places.length) {
+    return res.status(400).json({
+      success: false,
+      message: 'Each place can only appear once in an itinerary'
     });
   }
 
@@ -226,11 +263,29 @@ const updateItinerary = asyncHandler(async (req, res) => {
   if (description) itinerary.description = description;
   if (places) {
     itinerary.places = places;
-    itinerary.updateTotals();
   }
+  if (travelMode) itinerary.travelMode = travelMode;
+  // null clears the start time or budget
+  if (startTime !== undefined) itinerary.startTime = startTime;
+  if (timeBudget !== undefined) itinerary.timeBudget = timeBudget;
   if (typeof isPublic === 'boolean') itinerary.isPublic = isPublic;
 
-  await itinerary.save();
+  const changed = itinerary.modifiedPaths().filter(path => !path.includes('.'));
+  try {
+    await itinerary.save();
+  } catch (error) {
+    if (error.name !== 'VersionError') throw error;
+    return sendConflict(res, await Itinerary.findById(itinerary._id));
+  }
+
+  itineraryLiveService.publish(itinerary, 'itinerary-updated', {
+    fields: changed,
+    title: itinerary.title,
+    description: itinerary.description,
+    travelMode: itinerary.travelMode,
+    startTime: itinerary.startTime || null,
+    timeBudget: itinerary.timeBudget || null
+  }, req.user);
 
   res.json({
     success: true,
@@ -241,22 +296,103 @@ const updateItinerary = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Reorder stops to minimize travel time while keeping them open on arrival
+// @route   POST /api/itineraries/:id/optimize
+// @access  Private (owner or editor)
+const optimizeItinerary = asyncHandler(async (req, res) => {
+  const { keepFirst = false, keepLast = false, apply = false } = req.body;
+
+  const { itinerary } = req;
+
+  const travelMode = req.body.travelMode || itinerary.travelMode;
+  // Opening hours are checked from the planned start, or from now
+  const startTime = req.body.startTime ? new Date(req.body.startTime) : itinerary.startTime || new Date();
+  const places = await itinerary.fillCoordinates();
+
+  // Only places with coordinates can be routed; the others keep their positions
+  const located = places.filter(place => place.coordinates?.length === 2);
+  if (located.length < 2) {
+    return res.status(400).json({
+      success: false,
+      message: 'At least two places with a known location are needed to optimize the order'
+    });
+  }
+
+  const [matrix, details] = await Promise.all([
+    routingService.matrix(located.map(place => Array.from(place.coordinates)), travelMode),
+    Promise.all(located.map(place => placeCacheService.getPlaceDetails(place.placeId).catch(() => null)))
+  ]);
+
+  const context = {
+    stops: located.map(place => ({ stay: place.estimatedDuration })),
+    durations: matrix.durations,
+    distances: matrix.distances,
+    startTime,
+    isOpen: (stop, arrival) => details[stop] ? isOpenAt(details[stop].hours, details[stop].timezone, arrival) : null
+  };
+  const current = evaluateOrder(located.map((_, index) => index), context);
+  const optimized = optimizeOrder({ ...context, keepFirst, keepLast });
+
+  let next = 0;
+  const reordered = places.map(place => place.coordinates?.length === 2 ? located[optimized.order[next++]] : place);
+  const changed = reordered.some((place, index) => place !== places[index]);
+
+  const summarize = (order, { distance, travelTime, closed }) => ({
+    places: order.map(place => place.placeId),
+    distance,
+    travelTime: roundMinutes(travelTime),
+    closedOnArrival: closed.map(stop => located[stop].placeId)
+  });
+
+  if (apply && (changed || travelMode !== itinerary.travelMode)) {
+    itinerary.places = reordered.map((place, index) => ({ ...place.toObject(), order: index + 1 }));
+    itinerary.travelMode = travelMode;
+    try {
+      await itinerary.save();
+    } catch (error) {
+      if (error.name !== 'VersionError') throw error;
+      return sendConflict(res, await Itinerary.findById(itinerary._id));
+    }
+
+    itineraryLiveService.publish(itinerary, 'places-reordered', {
+      placeIds: reordered.map(place => place.placeId),
+      travelMode,
+      optimized: true
+    }, req.user);
+  }
+
+  res.json({
+    success: true,
+    data: {
+      travelMode,
+      startTime,
+      changed,
+      applied: apply,
+      before: summarize(places, current),
+      after: summarize(reordered, optimized),
+      savings: {
+        distance: current.distance - optimized.distance,
+        travelTime: roundMinutes(current.travelTime - optimized.travelTime)
+      },
+      source: matrix.source,
+      itinerary: apply ? await itinerary.populate('user', 'name avatar') : undefined
+    }
+  });
+});
+
 // @desc    Delete itinerary
 // @route   DELETE /api/itineraries/:id
-// @access  Private
+// @access  Private (owner)
 const deleteItinerary = asyncHandler(async (req, res) => {
-  const { id } = req.params;
+  const { itinerary } = req;
 
-  const itinerary = await Itinerary.findOneAndDelete({
-    _id: id,
-    user: req.user._id
-  });
+  await itinerary.deleteOne();
+  await ItineraryInvitation.deleteMany({ itinerary: itinerary._id });
+  itineraryLiveService.disconnect(itinerary._id, 'itinerary-deleted', { actor: { id: req.user._id, name: req.user.name } });
 
-  if (!itinerary) {
-    return res.status(404).json({
-      success: false,
-      message: 'Itinerary not found'
-    });
+  // A deleted day leaves its trip
+  if (itinerary.trip) {
+    await Trip.updateOne({ _id: itinerary.trip }, { $pull: { days: { itinerary: itinerary._id } } });
   }
 
   res.json({
@@ -267,95 +403,134 @@ const deleteItinerary = asyncHandler(async (req, res) => {
 
 // @desc    Mark place as visited in itinerary
 // @route   PUT /api/itineraries/:id/places/:placeId/visited
-// @access  Private
+// @access  Private (owner or editor)
 const markPlaceVisited = asyncHandler(async (req, res) => {
-  const { id, placeId } = req.params;
+  const { placeId } = req.params;
   const { rating } = req.body;
 
-  const itinerary = await Itinerary.findOne({
-    _id: id,
-    user: req.user._id
-  });
-
-  if (!itinerary) {
-    return res.status(404).json({
-      success: false,
-      message: 'Itinerary not found'
-    });
-  }
-
-  await itinerary.markPlaceVisited(placeId, rating);
+  const itinerary = await applyChange(req.itinerary, latest => latest.markPlaceVisited(placeId, rating));
+  itineraryLiveService.publish(itinerary, 'place-visited', { placeId, rating: rating || null }, req.user);
 
   res.json({
     success: true,
     message: 'Place marked as visited',
     data: {
-      itinerary: await itinerary.populate('user', 'name avatar')
+      itinerary: await itinerary.populate('user', 'name avatar'),
+      revision: itinerary.revision
     }
   });
 });
 
 // @desc    Add place to itinerary
 // @route   POST /api/itineraries/:id/places
-// @access  Private
+// @access  Private (owner or editor)
 const addPlaceToItinerary = asyncHandler(async (req, res) => {
-  const { id } = req.params;
   const { placeId, name, category, estimatedDuration, notes } = req.body;
 
-  const itinerary = await Itinerary.findOne({
-    _id: id,
-    user: req.user._id
-  });
-
-  if (!itinerary) {
-    return res.status(404).json({
-      success: false,
-      message: 'Itinerary not found'
-    });
-  }
-
-  await itinerary.addPlace({
+  const itinerary = await applyChange(req.itinerary, latest => latest.addPlace({
     placeId,
     name,
     category,
     estimatedDuration: estimatedDuration || 60,
     notes: notes || ''
-  });
+  }));
+  itineraryLiveService.publish(itinerary, 'place-added', { placeId }, req.user);
 
   res.json({
     success: true,
     message: 'Place added to itinerary',
     data: {
-      itinerary: await itinerary.populate('user', 'name avatar')
+      itinerary: await itinerary.populate('user', 'name avatar'),
+      revision: itinerary.revision
     }
   });
 });
 
 // @desc    Remove place from itinerary
 // @route   DELETE /api/itineraries/:id/places/:placeId
-// @access  Private
+// @access  Private (owner or editor)
 const removePlaceFromItinerary = asyncHandler(async (req, res) => {
-  const { id, placeId } = req.params;
+  const { placeId } = req.params;
+
+  const itinerary = await applyChange(req.itinerary, latest => latest.removePlace(placeId));
+  itineraryLiveService.publish(itinerary, 'place-removed', { placeId }, req.user);
 
-  const itinerary = await Itinerary.findOne({
-    _id: id,
-    user: req.user._id
+  res.json({
+    success: true,
+    message: 'Place removed from itinerary',
+    data: {
+      itinerary: await itinerary.populate('user', 'name avatar'),
+      revision: itinerary.revision
+    }
   });
+});
 
-  if (!itinerary) {
+// @desc    Update a place's notes or visit duration
+// @route   PUT /api/itineraries/:id/places/:placeId
+// @access  Private (owner or editor)
+const updatePlaceInItinerary = asyncHandler(async (req, res) => {
+  const { placeId } = req.params;
+  const { notes, estimatedDuration } = req.body;
+
+  if (!req.itinerary.places.some(place => place.placeId === placeId)) {
     return res.status(404).json({
       success: false,
-      message: 'Itinerary not found'
+      message: 'Place not found in itinerary'
     });
   }
 
-  await itinerary.removePlace(placeId);
+  const itinerary = await applyChange(req.itinerary, latest => latest.updatePlace(placeId, { notes, estimatedDuration }));
+  itineraryLiveService.publish(itinerary, 'place-updated', { placeId, notes, estimatedDuration }, req.user);
 
   res.json({
     success: true,
-    message: 'Place removed from itinerary',
+    message: 'Place updated',
     data: {
-      itinerary: await itinerary.populate('user', 'name avatar')
+      itinerary: await itinerary.populate('user', 'name avatar'),
+      revision: itinerary.revision
+    }
+  });
+});
+
+// @desc    Reorder places; `revision` must match the itinerary's current one
+// @route   PUT /api/itineraries/:id/places/order
+// @access  Private (owner or editor)
+const reorderPlaces = asyncHandler(async (req, res) => {
+  const { placeIds, revision } = req.body;
+
+  const { itinerary } = req;
+
+  // The order was chosen from places someone else has changed since
+  if (revision !== itinerary.revision) {
+    return sendConflict(res, itinerary);
+  }
+
+  // Every place exactly once; an itinerary listing a place twice cannot be
+  // ordered by place ID, so it is refused rather than left with shared orders
+  const requested = new Set(placeIds);
+  const current = new Set(itinerary.places.map(place => place.placeId));
+  if (requested.size !== placeIds.length || current.size !== itinerary.places.length ||
+    requested.size !== current.size || placeIds.some(placeId => !current.has(placeId))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Place IDs must list every place in the itinerary once'
+    });
+  }
+
+  try {
+    await itinerary.reorderPlaces(placeIds);
+  } catch (error) {
+    if (error.name !== 'VersionError') throw error;
+    return sendConflict(res, await Itinerary.findById(itinerary._id));
+  }
+  itineraryLiveService.publish(itinerary, 'places-reordered', { placeIds }, req.user);
+
+  res.json({
+    success: true,
+    message: 'Places reordered',
+    data: {
+      itinerary: await itinerary.populate('user', 'name avatar'),
+      revision: itinerary.revision
     }
   });
 });
@@ -427,21 +602,9 @@ const toggleLike = asyncHandler(async (req, res) => {
 
 // @desc    Share itinerary
 // @route   POST /api/itineraries/:id/share
-// @access  Private
+// @access  Private (owner)
 const shareItinerary = asyncHandler(async (req, res) => {
-  const { id } = req.params;
-
-  const itinerary = await Itinerary.findOne({
-    _id: id,
-    user: req.user._id
-  });
-
-  if (!itinerary) {
-    return res.status(404).json({
-      success: false,
-      message: 'Itinerary not found'
-    });
-  }
+  const { itinerary } = req;
 
   itinerary.shares += 1;
   await itinerary.save();
@@ -460,10 +623,13 @@ module.exports = {
   getUserItineraries,
   getItinerary,
   updateItinerary,
+  optimizeItinerary,
   deleteItinerary,
   markPlaceVisited,
   addPlaceToItinerary,
   removePlaceFromItinerary,
+  updatePlaceInItinerary,
+  reorderPlaces,
   getPopularItineraries,
   getItinerariesByLocation,
   toggleLike,
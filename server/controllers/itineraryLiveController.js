@@ -0,0 +1,43 @@
+const config = require('../config/config');
+const itineraryLiveService = require('../services/itineraryLiveService');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// @desc    Get a short-lived ticket to open the itinerary's live stream with
+// @route   POST /api/itineraries/:id/live/ticket
+// @access  Private (owner, editor, viewer)
+const createLiveTicket = asyncHandler(async (req, res) => {
+  const { itinerary } = req;
+
+  res.json({
+    success: true,
+    data: {
+      ticket: itineraryLiveService.createTicket(itinerary._id, req.user._id),
+      expiresIn: config.live.ticketTtl
+    }
+  });
+});
+
+// @desc    Stream changes to the itinerary and who is viewing it (server-sent events)
+// @route   GET /api/itineraries/:id/live?ticket=
+// @access  Private (owner, editor, viewer)
+const streamItinerary = (req, res) => {
+  itineraryLiveService.subscribe(req.itinerary, req.user, req.itineraryRole, req, res);
+};
+
+// @desc    Get users currently connected to the itinerary
+// @route   GET /api/itineraries/:id/presence
+// @access  Private (owner, editor, viewer)
+const getPresence = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      users: itineraryLiveService.presence(req.itinerary._id)
+    }
+  });
+});
+
+module.exports = {
+  createLiveTicket,
+  streamItinerary,
+  getPresence
+};
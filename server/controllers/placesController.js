@@ -1,7 +1,51 @@
-const foursquareService = require('../services/foursquareService');
+const placeService = require('../services/placeService');
+const placeCacheService = require('../services/placeCacheService');
+const categoryService = require('../services/categoryService');
+const autocompleteService = require('../services/autocompleteService');
+const photoService = require('../services/photoService');
+const attributeMapper = require('../services/attributeMapper');
+const placeComparisonService = require('../services/placeComparisonService');
+const geocodingService = require('../services/geocodingService');
 const Place = require('../models/Place');
+const PlacePhoto = require('../models/PlacePhoto');
+const UnmappedAttribute = require('../models/UnmappedAttribute');
 const User = require('../models/User');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { parseHoursFilters, getHoursStatus } = require('../utils/openingHours');
+const { parseBoundingBox, boundingBoxToGeometry, parsePolygon } = require('../utils/geo');
+const { decodeCursor, cursorAfter, compareKeys, isAfterCursor } = require('../utils/cursor');
+const { parseAttributeFilters, matchPreferences } = require('../utils/placeAttributes');
+
+// Page through a user's embedded list, newest first, with a keyset cursor
+const paginateUserList = (req, scope, items, dateField) => {
+  const limit = parseInt(req.query.limit) || 20;
+  const queryKey = { scope, user: String(req.user._id) };
+  const after = req.query.cursor ? decodeCursor(req.query.cursor, queryKey) : null;
+
+  const entries = items
+    .map(item => ({ item, key: { value: new Date(item[dateField]).getTime(), id: String(item._id) } }))
+    .filter(({ key }) => !after || isAfterCursor(key, after, 'desc'))
+    .sort((a, b) => compareKeys(a.key, b.key, 'desc'));
+
+  const page = entries.slice(0, limit);
+  const hasMore = entries.length > limit;
+  const last = page[page.length - 1];
+
+  return {
+    items: page.map(({ item }) => item),
+    hasMore,
+    nextCursor: hasMore ? cursorAfter(queryKey, last.key.value, last.key.id) : null
+  };
+};
+
+// Annotate places with how well they match the signed-in user's preferences
+const withPreferenceMatch = (places, user) => {
+  if (!user?.preferences) return places;
+  return places.map(place => ({
+    ...place,
+    preferenceMatch: matchPreferences(place.attributes, user.preferences)
+  }));
+};
 
 // @desc    Search places nearby
 // @route   GET /api/places/search
@@ -9,42 +53,193 @@ const { asyncHandler } = require('../middleware/errorHandler');
 const searchPlaces = asyncHandler(async (req, res) => {
   const {
     query,
-    near,
-    ll, // latitude,longitude
-    radius = 5000,
+    near, // city or neighborhood name, used when ll is not given
+    ll, // longitude,latitude
+    radius,
     categories,
+    category, // taxonomy slug or alias, e.g. 'italian'
+    minPrice,
+    maxPrice,
+    minRating,
     limit = 20,
     sort = 'RATING'
   } = req.query;
 
-  // Use user's location if available and no specific location provided
+  // A named place stands in for coordinates, preferring matches near the user.
+  // Names the gazetteer does not know are passed on for the provider to resolve.
   let searchLocation = ll;
-  if (!searchLocation && req.user?.location?.coordinates) {
+  let geocoded = null;
+  if (!searchLocation && near) {
+    geocoded = await geocodingService.geocode(near, { near: req.user?.location?.coordinates });
+    if (geocoded) {
+      searchLocation = geocoded.coordinates.join(',');
+    }
+  }
+
+  // Use user's location if available and no specific location provided
+  if (!searchLocation && !near && req.user?.location?.coordinates) {
     searchLocation = req.user.location.coordinates.join(',');
   }
 
   const searchParams = {
     query,
-    near,
+    near: searchLocation ? undefined : near,
     ll: searchLocation,
-    radius: parseInt(radius),
+    radius: parseInt(radius || geocoded?.radius || 5000),
     categories,
+    category,
+    minPrice: minPrice ? parseInt(minPrice) : undefined,
+    maxPrice: maxPrice ? parseInt(maxPrice) : undefined,
+    minRating: minRating ? parseFloat(minRating) : undefined,
     limit: parseInt(limit),
     sort
   };
 
-  const places = await foursquareService.searchPlaces(searchParams);
+  // Opening-hours filters: openNow, openAt, openFor, closingWithin
+  const hours = parseHoursFilters(req.query);
+  // Attribute filters: cuisine, atmosphere, activity, features, accessibility
+  const attributes = parseAttributeFilters(req.query);
+
+  const { places, source, nextCursor, hasMore } = await placeCacheService.search(
+    searchParams,
+    { ...hours, ...attributes },
+    req.query.cursor
+  );
+
+  res.json({
+    success: true,
+    data: {
+      places: withPreferenceMatch(places, req.user),
+      total: places.length,
+      source,
+      nextCursor,
+      hasMore,
+      searchParams,
+      location: geocoded,
+      hours,
+      attributes
+    }
+  });
+});
+
+// @desc    Suggest cached places while the user types
+// @route   GET /api/places/autocomplete
+// @access  Public
+const autocompletePlaces = asyncHandler(async (req, res) => {
+  const { q, ll, limit = 8 } = req.query;
+
+  // Use user's location if available and no specific location provided
+  let searchLocation = ll;
+  if (!searchLocation && req.user?.location?.coordinates) {
+    searchLocation = req.user.location.coordinates.join(',');
+  }
+
+  const { suggestions, timedOut, tookMs } = await autocompleteService.suggest({
+    q,
+    ll: searchLocation,
+    limit: parseInt(limit)
+  });
+
+  res.json({
+    success: true,
+    data: {
+      suggestions,
+      total: suggestions.length,
+      timedOut,
+      tookMs
+    }
+  });
+});
+
+// @desc    Compare 2-5 places side by side
+// @route   GET /api/places/compare
+// @access  Public
+const comparePlaces = asyncHandler(async (req, res) => {
+  const ids = req.query.ids.split(',').map(id => id.trim()).filter(Boolean);
+
+  // Use user's location if available and no specific location provided
+  let searchLocation = req.query.ll;
+  if (!searchLocation && req.user?.location?.coordinates) {
+    searchLocation = req.user.location.coordinates.join(',');
+  }
+
+  const { places, overlap, best } = await placeComparisonService.compare(ids, { ll: searchLocation });
+
+  res.json({
+    success: true,
+    data: {
+      places,
+      overlap,
+      best
+    }
+  });
+});
+
+// @desc    Get cached places inside a bounding box or polygon
+// @route   GET /api/places/within
+// @access  Public
+const getPlacesWithin = asyncHandler(async (req, res) => {
+  const {
+    bbox, // minLng,minLat,maxLng,maxLat
+    polygon, // GeoJSON Polygon or MultiPolygon
+    query,
+    categories,
+    category,
+    minPrice,
+    maxPrice,
+    minRating,
+    sort = 'RATING',
+    page = 1,
+    limit = 20
+  } = req.query;
+
+  const geometry = bbox
+    ? boundingBoxToGeometry(parseBoundingBox(bbox))
+    : parsePolygon(polygon);
+
+  const { places, pagination } = await placeCacheService.within({
+    geometry,
+    query,
+    categories,
+    category,
+    minPrice: minPrice ? parseInt(minPrice) : undefined,
+    maxPrice: maxPrice ? parseInt(maxPrice) : undefined,
+    minRating: minRating ? parseFloat(minRating) : undefined,
+    attributes: parseAttributeFilters(req.query),
+    sort,
+    page: parseInt(page),
+    limit: parseInt(limit)
+  });
 
   res.json({
     success: true,
     data: {
       places,
       total: places.length,
-      searchParams
+      pagination
     }
   });
 });
 
+// @desc    Get place counts and average ratings per map grid cell
+// @route   GET /api/places/density
+// @access  Public
+const getPlaceDensity = asyncHandler(async (req, res) => {
+  const { bbox, precision, category, categories } = req.query;
+
+  const density = await placeCacheService.density({
+    bbox: parseBoundingBox(bbox),
+    precision: precision ? parseInt(precision) : undefined,
+    category,
+    categories
+  });
+
+  res.json({
+    success: true,
+    data: density
+  });
+});
+
 // @desc    Get place details
 // @route   GET /api/places/:id
 // @access  Public
@@ -55,11 +250,11 @@ const getPlaceDetails = asyncHandler(async (req, res) => {
   let place = await Place.findOne({ foursquareId: id });
   
   if (!place) {
-    // Fetch from Foursquare API
-    const placeData = await foursquareService.getPlaceDetails(id);
+    // Fetch from the place provider
+    const placeData = await placeCacheService.getPlaceDetails(id);
     place = placeData;
   } else {
-    place = foursquareService.formatPlace(place);
+    place = placeService.formatPlace(place);
   }
 
   // Get additional data if user is authenticated
@@ -85,6 +280,48 @@ const getPlaceDetails = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get places similar to a place, near it or near the user
+// @route   GET /api/places/:id/similar
+// @access  Public
+const getSimilarPlaces = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { near = 'place', ll, radius, limit = 6 } = req.query;
+
+  const stored = await Place.findOne({ foursquareId: id });
+  const place = stored ? placeService.formatPlace(stored) : await placeCacheService.getPlaceDetails(id);
+
+  // Use user's location if available and no specific location provided
+  let searchLocation = null;
+  if (near === 'user') {
+    searchLocation = ll || req.user?.location?.coordinates?.join(',');
+    if (!searchLocation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Location coordinates are required to find places near you'
+      });
+    }
+  }
+
+  // Signed-in users are not shown places they have already been to
+  const exclude = req.user ? req.user.visitedPlaces.map(visit => visit.placeId) : [];
+
+  const places = await placeCacheService.similar(place, {
+    ll: searchLocation,
+    radius: radius ? parseInt(radius) : undefined,
+    limit: parseInt(limit),
+    exclude
+  });
+
+  res.json({
+    success: true,
+    data: {
+      places,
+      total: places.length,
+      near
+    }
+  });
+});
+
 // @desc    Get place photos
 // @route   GET /api/places/:id/photos
 // @access  Public
@@ -92,7 +329,15 @@ const getPlacePhotos = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { limit = 10 } = req.query;
 
-  const photos = await foursquareService.getPlacePhotos(id, parseInt(limit));
+  // Uploaded photos are still returned when the provider cannot be reached
+  const [uploaded, providerPhotos] = await Promise.all([
+    photoService.getPlacePhotos(id, parseInt(limit)),
+    placeService.getPlacePhotos(id, parseInt(limit)).catch(error => {
+      console.error('Provider photos error:', error.message);
+      return [];
+    })
+  ]);
+  const photos = photoService.mergePhotos(uploaded, providerPhotos, parseInt(limit));
 
   res.json({
     success: true,
@@ -103,6 +348,64 @@ const getPlacePhotos = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Upload photos of a place
+// @route   POST /api/places/:id/photos
+// @access  Private
+const uploadPlacePhotos = asyncHandler(async (req, res) => {
+  if (!req.files?.length) {
+    return res.status(400).json({
+      success: false,
+      message: 'At least one photo is required'
+    });
+  }
+
+  const place = await placeCacheService.findOrCache(req.params.id);
+  if (!place) {
+    return res.status(404).json({
+      success: false,
+      message: 'Place not found'
+    });
+  }
+
+  const photos = await photoService.upload(place.foursquareId, req.user, req.files, req.body.caption);
+
+  res.status(201).json({
+    success: true,
+    message: 'Photos uploaded successfully',
+    data: {
+      photos
+    }
+  });
+});
+
+// @desc    Delete an uploaded place photo
+// @route   DELETE /api/places/:id/photos/:photoId
+// @access  Private (uploader or admin)
+const deletePlacePhoto = asyncHandler(async (req, res) => {
+  const photo = await PlacePhoto.findOne({ _id: req.params.photoId, placeId: req.params.id });
+
+  if (!photo) {
+    return res.status(404).json({
+      success: false,
+      message: 'Photo not found'
+    });
+  }
+
+  if (!photo.canDelete(req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the uploader or an admin can delete this photo'
+    });
+  }
+
+  await photoService.remove(photo);
+
+  res.json({
+    success: true,
+    message: 'Photo deleted successfully'
+  });
+});
+
 // @desc    Get place tips/reviews
 // @route   GET /api/places/:id/tips
 // @access  Public
@@ -110,7 +413,7 @@ const getPlaceTips = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { limit = 10 } = req.query;
 
-  const tips = await foursquareService.getPlaceTips(id, parseInt(limit));
+  const tips = await placeService.getPlaceTips(id, parseInt(limit));
 
   res.json({
     success: true,
@@ -121,6 +424,187 @@ const getPlaceTips = asyncHandler(async (req, res) => {
   });
 });
 
+// Format a stored place's weekly and special hours for responses
+const formatPlaceHours = (place) => ({
+  placeId: place.foursquareId,
+  timezone: place.timezone || null,
+  weekly: place.getFormattedHours() || [],
+  special: place.getSpecialHours(),
+  status: getHoursStatus(place.hours, place.timezone)
+});
+
+// Load a place whose hours the current user may manage, or send an error
+const findManagedPlace = async (req, res) => {
+  const place = await placeCacheService.findOrCache(req.params.id);
+
+  if (!place) {
+    res.status(404).json({
+      success: false,
+      message: 'Place not found'
+    });
+    return null;
+  }
+
+  if (!place.canManage(req.user)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only place owners and admins can manage hours'
+    });
+    return null;
+  }
+
+  return place;
+};
+
+// @desc    Get place weekly and special hours
+// @route   GET /api/places/:id/hours
+// @access  Public
+const getPlaceHours = asyncHandler(async (req, res) => {
+  const place = await placeCacheService.findOrCache(req.params.id);
+
+  if (!place) {
+    return res.status(404).json({
+      success: false,
+      message: 'Place not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      hours: formatPlaceHours(place)
+    }
+  });
+});
+
+// @desc    Add special hours to a place
+// @route   POST /api/places/:id/hours/special
+// @access  Private (place owners and admins)
+const addSpecialHours = asyncHandler(async (req, res) => {
+  const place = await findManagedPlace(req, res);
+  if (!place) return;
+
+  const { startDate, endDate, label, closed = false, open = [] } = req.body;
+
+  place.hours.special.push({
+    startDate,
+    endDate,
+    label,
+    closed,
+    open: closed ? [] : open,
+    updatedBy: req.user._id
+  });
+  await place.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Special hours added successfully',
+    data: {
+      hours: formatPlaceHours(place)
+    }
+  });
+});
+
+// @desc    Update special hours of a place
+// @route   PUT /api/places/:id/hours/special/:overrideId
+// @access  Private (place owners and admins)
+const updateSpecialHours = asyncHandler(async (req, res) => {
+  const place = await findManagedPlace(req, res);
+  if (!place) return;
+
+  const override = place.hours.special.id(req.params.overrideId);
+  if (!override) {
+    return res.status(404).json({
+      success: false,
+      message: 'Special hours not found'
+    });
+  }
+
+  ['startDate', 'endDate', 'label', 'closed', 'open'].forEach(field => {
+    if (req.body[field] !== undefined) override[field] = req.body[field];
+  });
+
+  if (override.endDate < override.startDate) {
+    return res.status(400).json({
+      success: false,
+      message: 'End date must be on or after start date'
+    });
+  }
+
+  if (override.closed) override.open = [];
+  override.updatedBy = req.user._id;
+  override.updatedAt = new Date();
+  await place.save();
+
+  res.json({
+    success: true,
+    message: 'Special hours updated successfully',
+    data: {
+      hours: formatPlaceHours(place)
+    }
+  });
+});
+
+// @desc    Remove special hours from a place
+// @route   DELETE /api/places/:id/hours/special/:overrideId
+// @access  Private (place owners and admins)
+const removeSpecialHours = asyncHandler(async (req, res) => {
+  const place = await findManagedPlace(req, res);
+  if (!place) return;
+
+  const override = place.hours.special.id(req.params.overrideId);
+  if (!override) {
+    return res.status(404).json({
+      success: false,
+      message: 'Special hours not found'
+    });
+  }
+
+  override.deleteOne();
+  await place.save();
+
+  res.json({
+    success: true,
+    message: 'Special hours removed successfully',
+    data: {
+      hours: formatPlaceHours(place)
+    }
+  });
+});
+
+// @desc    Add an owner who can manage a place
+// @route   POST /api/places/:id/owners
+// @access  Private (admins)
+const addPlaceOwner = asyncHandler(async (req, res) => {
+  const { userId } = req.body;
+
+  const [place, owner] = await Promise.all([
+    placeCacheService.findOrCache(req.params.id),
+    User.findById(userId)
+  ]);
+
+  if (!place || !owner) {
+    return res.status(404).json({
+      success: false,
+      message: place ? 'User not found' : 'Place not found'
+    });
+  }
+
+  if (!place.owners.some(id => id.equals(owner._id))) {
+    place.owners.push(owner._id);
+    await place.save();
+  }
+
+  res.json({
+    success: true,
+    message: 'Place owner added successfully',
+    data: {
+      placeId: place.foursquareId,
+      owners: place.owners
+    }
+  });
+});
+
 // @desc    Search places by category
 // @route   GET /api/places/category/:category
 // @access  Public
@@ -141,7 +625,7 @@ const searchByCategory = asyncHandler(async (req, res) => {
     });
   }
 
-  const places = await foursquareService.searchByCategory(
+  const { places, source } = await placeCacheService.searchByCategory(
     category,
     searchLocation,
     parseInt(radius),
@@ -153,7 +637,53 @@ const searchByCategory = asyncHandler(async (req, res) => {
     data: {
       places,
       category,
-      total: places.length
+      total: places.length,
+      source
+    }
+  });
+});
+
+// @desc    Get category taxonomy
+// @route   GET /api/places/categories
+// @access  Public
+const getCategories = asyncHandler(async (req, res) => {
+  const categories = await categoryService.getTree();
+
+  res.json({
+    success: true,
+    data: {
+      categories
+    }
+  });
+});
+
+// @desc    List provider attribute values the mapping does not cover
+// @route   GET /api/places/attributes/unmapped
+// @access  Private (admin)
+const getUnmappedAttributes = asyncHandler(async (req, res) => {
+  const { kind } = req.query;
+  const limit = parseInt(req.query.limit) || 50;
+
+  const unmapped = await UnmappedAttribute.find(kind ? { kind } : {})
+    .sort({ count: -1, value: 1 })
+    .lean();
+
+  // Values curated since they were recorded drop out of the list
+  const attributes = unmapped
+    .filter(attribute => !attributeMapper.isMapped(attribute))
+    .slice(0, limit);
+
+  res.json({
+    success: true,
+    data: {
+      attributes: attributes.map(attribute => ({
+        kind: attribute.kind,
+        value: attribute.value,
+        count: attribute.count,
+        examplePlaceId: attribute.examplePlaceId,
+        lastSeenAt: attribute.lastSeenAt
+      })),
+      total: attributes.length
     }
   });
 });
@@ -162,7 +692,7 @@ const searchByCategory = asyncHandler(async (req, res) => {
 // @route   GET /api/places/trending
 // @access  Public
 const getTrendingPlaces = asyncHandler(async (req, res) => {
-  const { ll, limit = 10 } = req.query;
+  const { ll, radius = 5000, limit = 10 } = req.query;
 
   // Use user's location if available and no specific location provided
   let searchLocation = ll;
@@ -177,16 +707,18 @@ const getTrendingPlaces = asyncHandler(async (req, res) => {
     });
   }
 
-  const places = await foursquareService.getTrendingPlaces(
-    searchLocation,
-    parseInt(limit)
-  );
+  const { places, source } = await placeCacheService.trending({
+    ll: searchLocation,
+    radius: parseInt(radius),
+    limit: parseInt(limit)
+  });
 
   res.json({
     success: true,
     data: {
       places,
-      total: places.length
+      total: places.length,
+      source
     }
   });
 });
@@ -304,12 +836,13 @@ const markAsVisited = asyncHandler(async (req, res) => {
 // @access  Private
 const getFavorites = asyncHandler(async (req, res) => {
   const user = await User.findById(req.user._id);
+  const { items, nextCursor, hasMore } = paginateUserList(req, 'favorites', user.favorites, 'addedAt');
   
-  // Get detailed information for favorite places
+  // Get detailed information for this page of favorite places
   const favoritesWithDetails = await Promise.all(
-    user.favorites.map(async (favorite) => {
+    items.map(async (favorite) => {
       try {
-        const placeDetails = await foursquareService.getPlaceDetails(favorite.placeId);
+        const placeDetails = await placeCacheService.getPlaceDetails(favorite.placeId);
         return {
           ...favorite.toObject(),
           details: placeDetails
@@ -326,7 +859,10 @@ const getFavorites = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: {
-      favorites: favoritesWithDetails
+      favorites: favoritesWithDetails,
+      total: user.favorites.length,
+      nextCursor,
+      hasMore
     }
   });
 });
@@ -336,12 +872,13 @@ const getFavorites = asyncHandler(async (req, res) => {
 // @access  Private
 const getVisitedPlaces = asyncHandler(async (req, res) => {
   const user = await User.findById(req.user._id);
+  const { items, nextCursor, hasMore } = paginateUserList(req, 'visited', user.visitedPlaces, 'visitedAt');
   
-  // Get detailed information for visited places
+  // Get detailed information for this page of visited places
   const visitedWithDetails = await Promise.all(
-    user.visitedPlaces.map(async (visited) => {
+    items.map(async (visited) => {
       try {
-        const placeDetails = await foursquareService.getPlaceDetails(visited.placeId);
+        const placeDetails = await placeCacheService.getPlaceDetails(visited.placeId);
         return {
           ...visited.toObject(),
           details: placeDetails
@@ -358,12 +895,15 @@ const getVisitedPlaces = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: {
-      visitedPlaces: visitedWithDetails
+      visitedPlaces: visitedWithDetails,
+      total: user.visitedPlaces.length,
+      nextCursor,
+      hasMore
     }
   });
 });
 
-// @desc    Get nearby places from cache
+// @desc    Get nearby places, from cache when the area is covered
 // @route   GET /api/places/nearby
 // @access  Public
 const getNearbyPlaces = asyncHandler(async (req, res) => {
@@ -376,32 +916,50 @@ const getNearbyPlaces = asyncHandler(async (req, res) => {
     });
   }
 
-  const coordinates = ll.split(',').map(coord => parseFloat(coord));
-  
-  const places = await Place.findNearby(
-    coordinates,
-    parseInt(radius),
-    parseInt(limit)
-  );
+  const hours = parseHoursFilters(req.query);
+  const attributes = parseAttributeFilters(req.query);
 
-  const formattedPlaces = places.map(place => foursquareService.formatPlace(place));
+  const { places, source, nextCursor, hasMore } = await placeCacheService.nearby({
+    ll,
+    radius: parseInt(radius),
+    limit: parseInt(limit)
+  }, { ...hours, ...attributes }, req.query.cursor);
 
   res.json({
     success: true,
     data: {
-      places: formattedPlaces,
-      total: formattedPlaces.length
+      places: withPreferenceMatch(places, req.user),
+      total: places.length,
+      source,
+      nextCursor,
+      hasMore,
+      hours,
+      attributes
     }
   });
 });
 
 module.exports = {
   searchPlaces,
+  autocompletePlaces,
+  getPlacesWithin,
+  getPlaceDensity,
+  comparePlaces,
   getPlaceDetails,
+  getSimilarPlaces,
   getPlacePhotos,
+  uploadPlacePhotos,
+  deletePlacePhoto,
   getPlaceTips,
   searchByCategory,
+  getCategories,
+  getUnmappedAttributes,
   getTrendingPlaces,
+  getPlaceHours,
+  addSpecialHours,
+  updateSpecialHours,
+  removeSpecialHours,
+  addPlaceOwner,
   addToFavorites,
   removeFromFavorites,
   markAsVisited,
@@ -0,0 +1,234 @@
+const Review = require('../models/Review');
+const placeCacheService = require('../services/placeCacheService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { decodeCursor, cursorAfter } = require('../utils/cursor');
+
+// Sort orders for listing reviews; each pages by its field, then _id
+const REVIEW_SORTS = {
+  recent: 'createdAt',
+  helpful: 'helpfulCount',
+  rating: 'rating'
+};
+
+const formatReview = (review, viewer) => ({
+  id: review._id,
+  placeId: review.placeId,
+  rating: review.rating,
+  text: review.text,
+  visitDate: review.visitDate || null,
+  helpfulCount: review.helpfulCount,
+  votedHelpful: viewer ? review.helpfulVotes.some(id => id.equals(viewer._id)) : false,
+  user: review.user?.name ? {
+    id: review.user._id,
+    name: review.user.name,
+    avatar: review.user.avatar || ''
+  } : { id: review.user },
+  createdAt: review.createdAt,
+  updatedAt: review.updatedAt
+});
+
+const sortValue = (review, field) =>
+  field === 'createdAt' ? review.createdAt.getTime() : review[field];
+
+// Keyset filter for reviews after a cursor, in descending order of the field
+const afterCursor = (field, after) => {
+  const value = field === 'createdAt' ? new Date(after.value) : after.value;
+  return {
+    $or: [
+      { [field]: { $lt: value } },
+      { [field]: value, _id: { $gt: after.id } }
+    ]
+  };
+};
+
+// Load a review of the place from the route, responding 404 when missing
+const findReview = async (req, res) => {
+  const review = await Review.findOne({ _id: req.params.reviewId, placeId: req.params.id });
+
+  if (!review) {
+    res.status(404).json({
+      success: false,
+      message: 'Review not found'
+    });
+    return null;
+  }
+
+  return review;
+};
+
+// @desc    Get reviews of a place
+// @route   GET /api/places/:id/reviews
+// @access  Public
+const getReviews = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { sort = 'recent', cursor } = req.query;
+  const limit = parseInt(req.query.limit) || 10;
+  const field = REVIEW_SORTS[sort];
+
+  const queryKey = { scope: 'reviews', placeId: id, sort };
+  const after = cursor ? decodeCursor(cursor, queryKey) : null;
+  const filter = after ? { placeId: id, ...afterCursor(field, after) } : { placeId: id };
+
+  const [reviews, summary] = await Promise.all([
+    Review.find(filter)
+      .sort({ [field]: -1, _id: 1 })
+      .limit(limit + 1)
+      .populate('user', 'name avatar'),
+    Review.getRatingSummary(id)
+  ]);
+
+  const hasMore = reviews.length > limit;
+  const page = reviews.slice(0, limit);
+  const last = page[page.length - 1];
+
+  res.json({
+    success: true,
+    data: {
+      reviews: page.map(review => formatReview(review, req.user)),
+      summary,
+      nextCursor: hasMore ? cursorAfter(queryKey, sortValue(last, field), last._id) : null,
+      hasMore
+    }
+  });
+});
+
+// @desc    Review a place
+// @route   POST /api/places/:id/reviews
+// @access  Private
+const createReview = asyncHandler(async (req, res) => {
+  const { rating, text, visitDate } = req.body;
+
+  // Reviews are aggregated onto the stored place, so make sure it exists
+  const place = await placeCacheService.findOrCache(req.params.id);
+  if (!place) {
+    return res.status(404).json({
+      success: false,
+      message: 'Place not found'
+    });
+  }
+
+  const existing = await Review.exists({ placeId: place.foursquareId, user: req.user._id });
+  if (existing) {
+    return res.status(409).json({
+      success: false,
+      message: 'You have already reviewed this place'
+    });
+  }
+
+  const review = await Review.create({
+    placeId: place.foursquareId,
+    user: req.user._id,
+    rating,
+    text,
+    visitDate
+  });
+  const localRating = await Review.syncPlaceRating(place.foursquareId);
+
+  await review.populate('user', 'name avatar');
+
+  res.status(201).json({
+    success: true,
+    message: 'Review added successfully',
+    data: {
+      review: formatReview(review, req.user),
+      localRating
+    }
+  });
+});
+
+// @desc    Update a review
+// @route   PUT /api/places/:id/reviews/:reviewId
+// @access  Private (author or admin)
+const updateReview = asyncHandler(async (req, res) => {
+  const review = await findReview(req, res);
+  if (!review) return;
+
+  if (!review.canModify(req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the author or an admin can edit this review'
+    });
+  }
+
+  ['rating', 'text', 'visitDate'].forEach(field => {
+    if (req.body[field] !== undefined) review[field] = req.body[field];
+  });
+  await review.save();
+  const localRating = await Review.syncPlaceRating(review.placeId);
+
+  await review.populate('user', 'name avatar');
+
+  res.json({
+    success: true,
+    message: 'Review updated successfully',
+    data: {
+      review: formatReview(review, req.user),
+      localRating
+    }
+  });
+});
+
+// @desc    Delete a review
+// @route   DELETE /api/places/:id/reviews/:reviewId
+// @access  Private (author or admin)
+const deleteReview = asyncHandler(async (req, res) => {
+  const review = await findReview(req, res);
+  if (!review) return;
+
+  if (!review.canModify(req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the author or an admin can delete this review'
+    });
+  }
+
+  await review.deleteOne();
+  const localRating = await Review.syncPlaceRating(review.placeId);
+
+  res.json({
+    success: true,
+    message: 'Review deleted successfully',
+    data: {
+      localRating
+    }
+  });
+});
+
+// @desc    Mark a review as helpful, or remove the vote
+// @route   POST/DELETE /api/places/:id/reviews/:reviewId/helpful
+// @access  Private
+const setReviewHelpful = asyncHandler(async (req, res) => {
+  const review = await findReview(req, res);
+  if (!review) return;
+
+  if (review.user.equals(req.user._id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot vote on your own review'
+    });
+  }
+
+  const updated = await review.setHelpful(req.user._id, req.method === 'POST');
+  if (!updated) {
+    return res.status(404).json({
+      success: false,
+      message: 'Review not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      helpfulCount: updated.helpfulCount,
+      votedHelpful: req.method === 'POST'
+    }
+  });
+});
+
+module.exports = {
+  getReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  setReviewHelpful
+};
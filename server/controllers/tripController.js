@@ -0,0 +1,292 @@
+const config = require('../config/config');
+const openaiService = require('../services/openaiService');
+const itineraryPlannerService = require('../services/itineraryPlannerService');
+const itineraryLiveService = require('../services/itineraryLiveService');
+const Trip = require('../models/Trip');
+const Itinerary = require('../models/Itinerary');
+const ItineraryInvitation = require('../models/ItineraryInvitation');
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { parseCoordinates } = require('../utils/geo');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Lodging fields from a request body; coordinates come as "lng,lat"
+const lodgingValues = ({ name, address, ll } = {}) => ({
+  name,
+  address,
+  coordinates: ll ? parseCoordinates(ll) : undefined
+});
+
+// Trip-level totals from its day itineraries
+const summarizeTrip = (trip) => {
+  const itineraries = trip.days.map(day => day.itinerary).filter(itinerary => itinerary?.places);
+  const estimatedCost = itineraries.reduce((total, itinerary) => total + (itinerary.estimatedCost || 0), 0);
+
+  return {
+    dayCount: trip.dayCount,
+    placeCount: itineraries.reduce((total, itinerary) => total + itinerary.places.length, 0),
+    totalDistance: itineraries.reduce((total, itinerary) => total + itinerary.totalDistance, 0),
+    estimatedCost,
+    overBudget: trip.budget?.amount !== undefined && estimatedCost > trip.budget.amount
+  };
+};
+
+// @desc    Generate a multi-day trip with one AI itinerary per day
+// @route   POST /api/trips/generate
+// @access  Private
+const generateTrip = asyncHandler(async (req, res) => {
+  const { prompt, title, description, location, near, budget, tags = [], startTime, timeBudget, travelMode } = req.body;
+  const startDate = new Date(req.body.startDate);
+  const endDate = new Date(req.body.endDate);
+  const lodging = req.body.lodging ? lodgingValues(req.body.lodging) : undefined;
+
+  const dates = Trip.listDates(startDate, endDate);
+  if (dates.length === 0 || dates.length > config.trips.maxDays) {
+    return res.status(400).json({
+      success: false,
+      message: `Trips must last between 1 and ${config.trips.maxDays} days`
+    });
+  }
+
+  const user = await User.findById(req.user._id);
+
+  // Days are planned around the lodging when it has coordinates
+  let area;
+  try {
+    area = await itineraryPlannerService.resolveLocation(user, {
+      location: lodging?.coordinates ? lodging.coordinates.join(',') : location,
+      near
+    });
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  const trip = new Trip({
+    user: req.user._id,
+    title: title || `${dates.length}-day trip${area.city ? ` to ${area.city}` : ''}`,
+    description,
+    startDate,
+    endDate,
+    location: {
+      type: 'Point',
+      coordinates: area.coordinates,
+      city: area.city,
+      country: area.country
+    },
+    lodging,
+    budget,
+    tags,
+    aiGenerated: true,
+    aiPrompt: prompt
+  });
+  const dailyBudget = budget?.amount ? `${Math.round(budget.amount / dates.length)} ${trip.budget.currency}` : null;
+
+  // Plan day by day so later days avoid places already planned
+  const planned = new Set();
+  const plannedNames = [];
+  const itineraries = [];
+  for (const [index, date] of dates.entries()) {
+    const aiResponse = await openaiService.generateItinerary(prompt, user.preferences, area.label, {
+      day: index + 1,
+      dayCount: dates.length,
+      date: date.toISOString().slice(0, 10),
+      lodging: lodging?.name,
+      dailyBudget,
+      avoid: plannedNames
+    });
+
+    if (!aiResponse.success) {
+      return res.status(500).json({
+        success: false,
+        message: aiResponse.error || 'Failed to generate trip'
+      });
+    }
+
+    // Each day starts at the same time of day as the first
+    const dayStart = startTime ? new Date(new Date(startTime).getTime() + index * MS_PER_DAY) : undefined;
+    const places = await itineraryPlannerService.matchPlaces(aiResponse.itinerary.places, {
+      searchLocation: area.searchLocation,
+      startTime: dayStart,
+      exclude: planned
+    });
+    places.forEach(place => {
+      if (!place.placeId.startsWith('placeholder-')) planned.add(place.placeId);
+      plannedNames.push(place.name);
+    });
+
+    itineraries.push(new Itinerary({
+      user: req.user._id,
+      trip: trip._id,
+      date,
+      title: aiResponse.itinerary.title,
+      description: aiResponse.itinerary.description,
+      type: aiResponse.itinerary.type,
+      mood: aiResponse.itinerary.mood,
+      purpose: aiResponse.itinerary.purpose,
+      location: trip.location,
+      places,
+      startTime: dayStart,
+      timeBudget,
+      travelMode,
+      estimatedCost: aiResponse.itinerary.estimatedCost,
+      tags: aiResponse.itinerary.tags,
+      aiGenerated: true,
+      aiPrompt: prompt
+    }));
+  }
+
+  // Nothing is stored until every day has been planned
+  try {
+    for (const itinerary of itineraries) {
+      await itinerary.save();
+    }
+    trip.days = itineraries.map(itinerary => ({ date: itinerary.date, itinerary: itinerary._id }));
+    await trip.save();
+  } catch (error) {
+    await Itinerary.deleteMany({ trip: trip._id });
+    throw error;
+  }
+
+  // Award points for creating the trip
+  await user.addPoints(15);
+
+  await trip.populate('days.itinerary');
+  res.status(201).json({
+    success: true,
+    message: 'Trip generated successfully',
+    data: {
+      trip,
+      summary: summarizeTrip(trip)
+    }
+  });
+});
+
+// @desc    Get user trips
+// @route   GET /api/trips
+// @access  Private
+const getUserTrips = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+
+  const query = { user: req.user._id };
+
+  const trips = await Trip.find(query)
+    .sort({ startDate: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .populate('days.itinerary', 'title places.name totalDuration');
+
+  const total = await Trip.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      trips,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    }
+  });
+});
+
+// @desc    Get trip by ID with its day itineraries
+// @route   GET /api/trips/:id
+// @access  Private
+const getTrip = asyncHandler(async (req, res) => {
+  const trip = await Trip.findOne({
+    _id: req.params.id,
+    user: req.user._id
+  }).populate('days.itinerary');
+
+  if (!trip) {
+    return res.status(404).json({
+      success: false,
+      message: 'Trip not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      trip,
+      summary: summarizeTrip(trip)
+    }
+  });
+});
+
+// @desc    Update trip details
+// @route   PUT /api/trips/:id
+// @access  Private
+const updateTrip = asyncHandler(async (req, res) => {
+  const { title, description, lodging, budget, tags } = req.body;
+
+  const trip = await Trip.findOne({
+    _id: req.params.id,
+    user: req.user._id
+  });
+
+  if (!trip) {
+    return res.status(404).json({
+      success: false,
+      message: 'Trip not found'
+    });
+  }
+
+  if (title) trip.title = title;
+  if (description) trip.description = description;
+  if (lodging) trip.lodging = lodgingValues(lodging);
+  if (budget) trip.budget = budget;
+  if (tags) trip.tags = tags;
+
+  await trip.save();
+
+  res.json({
+    success: true,
+    message: 'Trip updated successfully',
+    data: {
+      trip: await trip.populate('days.itinerary')
+    }
+  });
+});
+
+// @desc    Delete trip and its day itineraries
+// @route   DELETE /api/trips/:id
+// @access  Private
+const deleteTrip = asyncHandler(async (req, res) => {
+  const trip = await Trip.findOneAndDelete({
+    _id: req.params.id,
+    user: req.user._id
+  });
+
+  if (!trip) {
+    return res.status(404).json({
+      success: false,
+      message: 'Trip not found'
+    });
+  }
+
+  // Day itineraries get the same cleanup as deleting them one by one
+  const dayIds = await Itinerary.find({ trip: trip._id, user: req.user._id }).distinct('_id');
+  await Itinerary.deleteMany({ _id: { $in: dayIds } });
+  await ItineraryInvitation.deleteMany({ itinerary: { $in: dayIds } });
+  dayIds.forEach(id => itineraryLiveService.disconnect(id, 'itinerary-deleted', { actor: { id: req.user._id, name: req.user.name } }));
+
+  res.json({
+    success: true,
+    message: 'Trip deleted successfully'
+  });
+});
+
+module.exports = {
+  generateTrip,
+  getUserTrips,
+  getTrip,
+  updateTrip,
+  deleteTrip
+};
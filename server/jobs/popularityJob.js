@@ -0,0 +1,44 @@
+const config = require('../config/config');
+const popularityService = require('../services/popularityService');
+const logger = require('../utils/logger');
+
+// Runs the popularity recomputation on an interval. Runs never overlap; a
+// tick that arrives while the previous run is still going is skipped.
+class PopularityJob {
+  constructor(intervalMs = config.popularity.intervalMs) {
+    this.intervalMs = intervalMs;
+    this.timer = null;
+    this.running = null;
+  }
+
+  start() {
+    if (this.timer || !this.intervalMs) return;
+
+    this.run();
+    this.timer = setInterval(() => this.run(), this.intervalMs);
+    // Don't keep the process alive just for this job
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  run() {
+    if (this.running) return this.running;
+
+    this.running = popularityService.recompute()
+      .catch(error => {
+        logger.error('Popularity job failed', error);
+        return null;
+      })
+      .finally(() => {
+        this.running = null;
+      });
+
+    return this.running;
+  }
+}
+
+module.exports = new PopularityJob();
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const config = require('../config/config');
+const itineraryLiveService = require('../services/itineraryLiveService');
 
 const auth = async (req, res, next) => {
   try {
@@ -14,6 +15,15 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, config.jwtSecret);
+
+    // Live stream tickets only open streams
+    if (decoded.purpose) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid token.' 
+      });
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
     
     if (!user) {
@@ -62,7 +72,7 @@ const optionalAuth = async (req, res, next) => {
     
     if (token) {
       const decoded = jwt.verify(token, config.jwtSecret);
-      const user = await User.findById(decoded.userId).select('-password');
+      const user = decoded.purpose ? null : await User.findById(decoded.userId).select('-password');
       
       if (user && user.isActive) {
         req.user = user;
@@ -93,8 +103,36 @@ const adminAuth = async (req, res, next) => {
   }
 };
 
+// Auth for itinerary live streams. EventSource cannot send headers, so
+// streams are opened with a short-lived ticket in the query string
+const liveTicketAuth = async (req, res, next) => {
+  try {
+    const decoded = itineraryLiveService.verifyTicket(req.query.ticket || '', req.params.id);
+    const user = await User.findById(decoded.userId).select('-password');
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Invalid ticket. User not found.' 
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return res.status(401).json({ 
+        success: false, 
+        message: error.name === 'TokenExpiredError' ? 'Ticket expired.' : 'Invalid ticket.' 
+      });
+    }
+    next(error);
+  }
+};
+
 module.exports = {
   auth,
   optionalAuth,
-  adminAuth
+  adminAuth,
+  liveTicketAuth
 }; 
\ No newline at end of file
@@ -31,6 +31,12 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 400 };
   }
 
+  // Another request saved the same document first
+  if (err.name === 'VersionError') {
+    const message = 'Someone else changed this at the same time, please try again';
+    error = { message, statusCode: 409 };
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     const message = 'Invalid token';
@@ -42,6 +48,11 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 401 };
   }
 
+  // Upload errors such as oversized files
+  if (err.name === 'MulterError') {
+    error = { message: err.message, statusCode: 400 };
+  }
+
   // Rate limiting errors
   if (err.status === 429) {
     const message = 'Too many requests, please try again later';
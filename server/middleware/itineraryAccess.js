@@ -0,0 +1,43 @@
+const Itinerary = require('../models/Itinerary');
+
+const ROLE_MESSAGES = {
+  owner: 'Only the itinerary owner can do this',
+  editor: 'You can only view this itinerary'
+};
+
+// Load the itinerary in req.params.id into req.itinerary, with the user's role
+// in req.itineraryRole, when that role is one of `roles`. Itineraries the user
+// has no access to are reported as not found.
+const itineraryAccess = (...roles) => async (req, res, next) => {
+  try {
+    const itinerary = await Itinerary.findOne({
+      _id: req.params.id,
+      ...Itinerary.accessibleBy(req.user._id)
+    });
+
+    if (!itinerary) {
+      return res.status(404).json({
+        success: false,
+        message: 'Itinerary not found'
+      });
+    }
+
+    const role = itinerary.roleOf(req.user._id);
+    if (!roles.includes(role)) {
+      return res.status(403).json({
+        success: false,
+        message: roles.includes('editor') ? ROLE_MESSAGES.editor : ROLE_MESSAGES.owner
+      });
+    }
+
+    req.itinerary = itinerary;
+    req.itineraryRole = role;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  itineraryAccess
+};
@@ -0,0 +1,33 @@
+const multer = require('multer');
+const config = require('../config/config');
+
+const PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Photos are kept in memory; photoService re-encodes them before anything is stored
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.uploads.maxFileSize,
+    files: config.uploads.maxFiles
+  },
+  fileFilter: (req, file, cb) => {
+    if (PHOTO_TYPES.includes(file.mimetype)) {
+      return cb(null, true);
+    }
+
+    const error = new Error('Only JPEG, PNG and WebP photos are allowed');
+    error.statusCode = 400;
+    cb(error);
+  }
+});
+
+// Accept up to the configured number of files in the "photos" field
+const uploadPhotos = photoUpload.array('photos', config.uploads.maxFiles);
+
+// Accept a single photo in the "photo" field
+const uploadPhoto = photoUpload.single('photo');
+
+module.exports = {
+  uploadPhotos,
+  uploadPhoto
+};
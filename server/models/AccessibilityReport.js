@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const { ACCESSIBILITY } = require('../utils/placeAttributes');
+
+// A user's account of a place's accessibility: features they found present
+// and features they found missing. The majority view per feature is kept on
+// the Place document as accessibilityReports.
+const accessibilityReportSchema = new mongoose.Schema({
+  placeId: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  available: [{
+    type: String,
+    enum: ACCESSIBILITY
+  }],
+  unavailable: [{
+    type: String,
+    enum: ACCESSIBILITY
+  }],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+accessibilityReportSchema.index({ placeId: 1, user: 1 }, { unique: true });
+accessibilityReportSchema.index({ placeId: 1, updatedAt: -1 });
+
+// A feature cannot be reported as both present and missing
+accessibilityReportSchema.pre('validate', function(next) {
+  if (this.available.some(feature => this.unavailable.includes(feature))) {
+    this.invalidate('unavailable', 'A feature cannot be both available and unavailable');
+  }
+  if (this.available.length === 0 && this.unavailable.length === 0) {
+    this.invalidate('available', 'Report at least one feature');
+  }
+  next();
+});
+
+// Static method to count reports per feature for a place
+accessibilityReportSchema.statics.getSummary = async function(placeId) {
+  const counts = await this.aggregate([
+    { $match: { placeId } },
+    {
+      $facet: {
+        available: [{ $unwind: '$available' }, { $group: { _id: '$available', count: { $sum: 1 } } }],
+        unavailable: [{ $unwind: '$unavailable' }, { $group: { _id: '$unavailable', count: { $sum: 1 } } }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const { available = [], unavailable = [], total = [] } = counts[0] || {};
+  const features = {};
+  available.forEach(({ _id, count }) => {
+    features[_id] = { yes: count, no: 0 };
+  });
+  unavailable.forEach(({ _id, count }) => {
+    features[_id] = { yes: features[_id]?.yes || 0, no: count };
+  });
+
+  // Ties are left unresolved, so provider data stands
+  const entries = Object.entries(features);
+  return {
+    features,
+    available: entries.filter(([, { yes, no }]) => yes > no).map(([feature]) => feature),
+    unavailable: entries.filter(([, { yes, no }]) => no > yes).map(([feature]) => feature),
+    count: total[0]?.count || 0
+  };
+};
+
+// Static method to store the current majority view on the place
+accessibilityReportSchema.statics.syncPlace = async function(placeId) {
+  const summary = await this.getSummary(placeId);
+  await mongoose.model('Place').updateOne(
+    { foursquareId: placeId },
+    {
+      $set: {
+        accessibilityReports: {
+          available: summary.available,
+          unavailable: summary.unavailable,
+          count: summary.count,
+          updatedAt: new Date()
+        }
+      }
+    }
+  );
+  return summary;
+};
+
+module.exports = mongoose.model('AccessibilityReport', accessibilityReportSchema);
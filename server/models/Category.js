@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const categorySchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  parent: {
+    type: String, // slug of the parent category
+    default: null
+  },
+  ancestors: [{
+    type: String // slugs from the root down to the parent
+  }],
+  aliases: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  icon: {
+    type: String,
+    default: ''
+  },
+  foursquareIds: [{
+    type: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+categorySchema.index({ parent: 1 });
+categorySchema.index({ ancestors: 1 });
+categorySchema.index({ aliases: 1 });
+
+// Static method to find a category by slug or alias
+categorySchema.statics.resolve = function(term) {
+  const value = String(term || '').trim().toLowerCase();
+  return this.findOne({
+    $or: [
+      { slug: value },
+      { aliases: value }
+    ]
+  });
+};
+
+// Static method to find a category and all of its descendants
+categorySchema.statics.findWithDescendants = function(slug) {
+  return this.find({
+    $or: [
+      { slug },
+      { ancestors: slug }
+    ]
+  });
+};
+
+// Static method to replace the taxonomy with a flat list of nodes.
+// Nodes reference their parent by slug; ancestors are derived here.
+categorySchema.statics.seed = async function(nodes) {
+  const bySlug = new Map(nodes.map(node => [node.slug, node]));
+
+  const ancestorsOf = (node) => {
+    const ancestors = [];
+    let parent = bySlug.get(node.parent);
+    while (parent) {
+      ancestors.unshift(parent.slug);
+      parent = bySlug.get(parent.parent);
+    }
+    return ancestors;
+  };
+
+  await this.deleteMany({});
+  return this.insertMany(nodes.map(node => ({
+    ...node,
+    parent: node.parent || null,
+    ancestors: ancestorsOf(node)
+  })));
+};
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const routingService = require('../services/routingService');
+const { TRAVEL_MODES } = require('../services/routingProvider');
+const { buildSchedule } = require('../utils/itinerarySchedule');
+const { COLLABORATOR_ROLES } = require('../utils/collaboration');
 
 const itinerarySchema = new mongoose.Schema({
   user: {
@@ -12,6 +16,28 @@ const itinerarySchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'Title cannot be more than 100 characters']
   },
+  // Other users the owner shares the itinerary with
+  collaborators: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: COLLABORATOR_ROLES,
+      required: true
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   description: {
     type: String,
     trim: true,
@@ -32,6 +58,12 @@ const itinerarySchema = new mongoose.Schema({
     enum: ['work', 'relax', 'explore', 'dine', 'nightlife', 'culture', 'shopping', 'outdoor'],
     default: 'explore'
   },
+  // Set when the itinerary is one day of a multi-day trip
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip'
+  },
+  date: Date,
   location: {
     type: {
       type: String,
@@ -59,7 +91,14 @@ const itinerarySchema = new mongoose.Schema({
       type: Number, // in minutes
       default: 60
     },
+    coordinates: {
+      type: [Number], // [lng, lat], used for routing between stops
+      default: undefined
+    },
     notes: String,
+    // Planned visit, computed from the start time, visits and travel legs
+    arrival: Date,
+    departure: Date,
     isVisited: {
       type: Boolean,
       default: false
@@ -70,7 +109,36 @@ const itinerarySchema = new mongoose.Schema({
       max: 5
     }
   }],
+  startTime: Date, // Planned start of the first visit
+  endTime: Date, // Planned end of the last visit
+  timeBudget: {
+    type: Number, // in minutes
+    min: [15, 'Time budget must be at least 15 minutes'],
+    max: [1440, 'Time budget cannot be more than a day']
+  },
+  travelMode: {
+    type: String,
+    enum: TRAVEL_MODES,
+    default: 'walk'
+  },
+  // Travel between consecutive places that have coordinates
+  legs: [{
+    _id: false,
+    from: String, // placeId
+    to: String,
+    mode: {
+      type: String,
+      enum: TRAVEL_MODES
+    },
+    distance: Number, // in meters
+    duration: Number, // in minutes
+    source: String // Router that measured the leg
+  }],
   totalDuration: {
+    type: Number, // in minutes, visits plus travel
+    default: 0
+  },
+  totalTravelTime: {
     type: Number, // in minutes
     default: 0
   },
@@ -121,15 +189,40 @@ const itinerarySchema = new mongoose.Schema({
     forecast: String
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Saves that change places fail with a VersionError when someone else
+  // changed them first; the version is the itinerary's revision
+  optimisticConcurrency: ['places']
 });
 
 // Indexes
 itinerarySchema.index({ user: 1, createdAt: -1 });
+itinerarySchema.index({ trip: 1, date: 1 });
+itinerarySchema.index({ 'collaborators.user': 1 });
 itinerarySchema.index({ 'location.coordinates': '2dsphere' });
 itinerarySchema.index({ type: 1, mood: 1, purpose: 1 });
 itinerarySchema.index({ isPublic: 1, likes: -1 });
 
+// Re-route, update totals and reschedule whenever places, the travel mode or
+// the start time change
+itinerarySchema.pre('save', async function(next) {
+  const routeChanged = this.isModified('places') || this.isModified('travelMode');
+  if (!routeChanged && !this.isModified('startTime')) return next();
+
+  try {
+    if (routeChanged) await this.updateRoute();
+    this.updateSchedule();
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Virtual for the revision clients edit places from; it changes whenever places do
+itinerarySchema.virtual('revision').get(function() {
+  return this.__v || 0;
+});
+
 // Virtual for like count
 itinerarySchema.virtual('likeCount').get(function() {
   return this.likes.length;
@@ -142,8 +235,15 @@ itinerarySchema.virtual('completionPercentage').get(function() {
   return Math.round((visitedPlaces / this.places.length) * 100);
 });
 
-// Method to add a place to itinerary
+// Method to add a place to itinerary; each place appears once, so stops can
+// be addressed and ordered by place ID
 itinerarySchema.methods.addPlace = function(placeData) {
+  if (this.places.some(place => place.placeId === placeData.placeId)) {
+    const error = new Error('Place is already in this itinerary');
+    error.statusCode = 409;
+    return Promise.reject(error);
+  }
+
   const maxOrder = this.places.length > 0 
     ? Math.max(...this.places.map(p => p.order)) 
     : 0;
@@ -170,6 +270,27 @@ itinerarySchema.methods.removePlace = function(placeId) {
   return this.save();
 };
 
+// Method to update a place's notes or visit duration
+itinerarySchema.methods.updatePlace = function(placeId, { notes, estimatedDuration }) {
+  const place = this.places.find(p => p.placeId === placeId);
+  if (place) {
+    if (notes !== undefined) place.notes = notes;
+    if (estimatedDuration !== undefined) place.estimatedDuration = estimatedDuration;
+  }
+
+  this.updateTotals();
+  return this.save();
+};
+
+// Method to put places in the order of the given place IDs
+itinerarySchema.methods.reorderPlaces = function(placeIds) {
+  placeIds.forEach((placeId, index) => {
+    this.places.find(p => p.placeId === placeId).order = index + 1;
+  });
+
+  return this.save();
+};
+
 // Method to mark place as visited
 itinerarySchema.methods.markPlaceVisited = function(placeId, rating = null) {
   const place = this.places.find(p => p.placeId === placeId);
@@ -187,13 +308,102 @@ itinerarySchema.methods.markPlaceVisited = function(placeId, rating = null) {
   return this.save();
 };
 
-// Method to update totals
+// Method to update totals from the places and the legs between them
 itinerarySchema.methods.updateTotals = function() {
-  this.totalDuration = this.places.reduce((total, place) => total + place.estimatedDuration, 0);
-  // Note: totalDistance would need to be calculated using a mapping service
+  this.totalDistance = this.legs.reduce((total, leg) => total + leg.distance, 0);
+  this.totalTravelTime = Math.round(this.legs.reduce((total, leg) => total + leg.duration, 0));
+  this.totalDuration = this.places.reduce((total, place) => total + place.estimatedDuration, 0) + this.totalTravelTime;
   return this;
 };
 
+// Method to give places saved without coordinates those of the cached place;
+// returns the places in visiting order
+itinerarySchema.methods.fillCoordinates = async function() {
+  const stops = [...this.places].sort((a, b) => a.order - b.order);
+
+  const missing = stops.filter(place => !place.coordinates?.length && !place.placeId.startsWith('placeholder-'));
+  if (missing.length > 0) {
+    const cached = await mongoose.model('Place')
+      .find({ foursquareId: { $in: missing.map(place => place.placeId) } })
+      .select('foursquareId location.coordinates');
+    const coordinates = new Map(cached.map(place => [place.foursquareId, place.location?.coordinates?.coordinates]));
+    missing.forEach(place => {
+      const found = coordinates.get(place.placeId);
+      if (found?.length === 2) place.coordinates = Array.from(found);
+    });
+  }
+
+  return stops;
+};
+
+// Method to route between consecutive places and store the legs
+itinerarySchema.methods.updateRoute = async function() {
+  const stops = await this.fillCoordinates();
+
+  // Skip the router when the stored legs already connect the same stops
+  const located = stops.filter(place => place.coordinates?.length === 2);
+  const unchanged = this.legs.length === Math.max(located.length - 1, 0) &&
+    this.legs.every((leg, index) =>
+      leg.mode === this.travelMode &&
+      leg.from === located[index].placeId &&
+      leg.to === located[index + 1].placeId);
+
+  if (!unchanged) {
+    this.legs = await routingService.routeStops(located, this.travelMode);
+  }
+  return this.updateTotals();
+};
+
+// Method to time each place from the start time; places are unscheduled
+// without one
+itinerarySchema.methods.updateSchedule = function() {
+  const stops = [...this.places].sort((a, b) => a.order - b.order);
+  const schedule = this.startTime ? buildSchedule(stops, this.legs, this.startTime) : [];
+
+  stops.forEach((place, index) => {
+    place.arrival = schedule[index]?.arrival;
+    place.departure = schedule[index]?.departure;
+  });
+  this.endTime = schedule.length > 0 ? schedule[schedule.length - 1].departure : undefined;
+  return this;
+};
+
+// Method to get a user's role: 'owner', a collaborator role or null
+itinerarySchema.methods.roleOf = function(userId) {
+  const ownerId = this.user?._id || this.user;
+  if (ownerId.toString() === userId.toString()) return 'owner';
+
+  const collaborator = this.collaborators.find(c => (c.user?._id || c.user).toString() === userId.toString());
+  return collaborator ? collaborator.role : null;
+};
+
+// Method to add a collaborator or change their role
+itinerarySchema.methods.setCollaborator = function(userId, role, addedBy) {
+  const existing = this.collaborators.find(c => (c.user?._id || c.user).toString() === userId.toString());
+  if (existing) {
+    existing.role = role;
+  } else {
+    this.collaborators.push({ user: userId, role, addedBy });
+  }
+  return this;
+};
+
+// Method to remove a collaborator
+itinerarySchema.methods.removeCollaborator = function(userId) {
+  this.collaborators = this.collaborators.filter(c => (c.user?._id || c.user).toString() !== userId.toString());
+  return this;
+};
+
+// Static filter for itineraries a user owns or collaborates on
+itinerarySchema.statics.accessibleBy = function(userId) {
+  return {
+    $or: [
+      { user: userId },
+      { 'collaborators.user': userId }
+    ]
+  };
+};
+
 // Method to like/unlike itinerary
 itinerarySchema.methods.toggleLike = function(userId) {
   const existingLike = this.likes.find(like => like.user.toString() === userId.toString());
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const { COLLABORATOR_ROLES } = require('../utils/collaboration');
+
+// An owner's invitation to collaborate on an itinerary. Email invitations
+// are addressed to one LocaMate user, who accepts or declines them; link
+// invitations can be used by anyone holding the link until they expire or
+// are revoked.
+const itineraryInvitationSchema = new mongoose.Schema({
+  itinerary: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Itinerary',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['email', 'link'],
+    required: true
+  },
+  role: {
+    type: String,
+    enum: COLLABORATOR_ROLES,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Email invitations
+  invitee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Link invitations; the token itself is only shown when the link is created
+  tokenHash: {
+    type: String,
+    select: false
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+itineraryInvitationSchema.index({ itinerary: 1, status: 1 });
+itineraryInvitationSchema.index({ invitee: 1, status: 1 });
+itineraryInvitationSchema.index({ tokenHash: 1 }, { unique: true, sparse: true });
+// One open email invitation per user and itinerary
+itineraryInvitationSchema.index(
+  { itinerary: 1, invitee: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending', kind: 'email' } }
+);
+
+// Virtual for whether the invitation can still be accepted
+itineraryInvitationSchema.virtual('isOpen').get(function() {
+  return this.status === 'pending' && this.expiresAt > new Date();
+});
+
+// Method to record the invitee's answer or the owner's revocation
+itineraryInvitationSchema.methods.respond = function(status) {
+  this.status = status;
+  this.respondedAt = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model('ItineraryInvitation', itineraryInvitationSchema);
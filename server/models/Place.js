@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const openingHours = require('../utils/openingHours');
+const { buildSearchTerms } = require('../utils/textSearch');
+const { scorePopularity } = require('../utils/popularity');
 
 const placeSchema = new mongoose.Schema({
   foursquareId: {
@@ -6,6 +9,11 @@ const placeSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  source: {
+    type: String,
+    enum: ['foursquare', 'fixture'],
+    default: 'foursquare'
+  },
   name: {
     type: String,
     required: true,
@@ -42,6 +50,8 @@ const placeSchema = new mongoose.Schema({
         required: true
       }
     },
+    // Full-precision geohash of the coordinates; prefixes give coarser cells
+    geohash: String,
     formattedAddress: String
   },
   contact: {
@@ -54,12 +64,49 @@ const placeSchema = new mongoose.Schema({
     instagram: String,
     twitter: String
   },
+  timezone: String, // IANA timezone name, e.g. 'America/Los_Angeles'
   hours: {
-    isOpen: Boolean,
+    isOpen: Boolean, // Provider's open-now flag at fetch time
     open: [{
       day: Number,
       open: String,
       close: String
+    }],
+    // Date-ranged overrides of the weekly pattern (holidays, closures, seasons).
+    // Dates are local to the place's timezone.
+    special: [{
+      startDate: {
+        type: String,
+        required: true,
+        match: [/^\d{4}-\d{2}-\d{2}$/, 'Start date must be YYYY-MM-DD']
+      },
+      endDate: {
+        type: String,
+        required: true,
+        match: [/^\d{4}-\d{2}-\d{2}$/, 'End date must be YYYY-MM-DD']
+      },
+      label: {
+        type: String,
+        trim: true,
+        maxlength: 100
+      },
+      closed: {
+        type: Boolean,
+        default: false
+      },
+      open: [{
+        day: Number, // Optional; spans without a day apply every day in the range
+        open: String,
+        close: String
+      }],
+      updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      updatedAt: {
+        type: Date,
+        default: Date.now
+      }
     }]
   },
   price: {
@@ -73,6 +120,17 @@ const placeSchema = new mongoose.Schema({
     max: 10,
     default: 0
   },
+  // Aggregate of first-party reviews (1-5), kept up to date by the Review model
+  localRating: {
+    average: {
+      type: Number,
+      default: 0
+    },
+    count: {
+      type: Number,
+      default: 0
+    }
+  },
   stats: {
     totalPhotos: {
       type: Number,
@@ -104,20 +162,69 @@ const placeSchema = new mongoose.Schema({
       photo: String
     }
   }],
+  // Normalized onto the vocabularies in utils/placeAttributes
   attributes: {
     atmosphere: [String],
     cuisine: [String],
+    activities: [String],
     features: [String],
     accessibility: [String]
   },
+  // Accessibility features users agree are present or missing, kept up to
+  // date by the AccessibilityReport model
+  accessibilityReports: {
+    available: [String],
+    unavailable: [String],
+    count: {
+      type: Number,
+      default: 0
+    },
+    updatedAt: Date
+  },
   popularity: {
     type: Number,
     default: 0
   },
-  lastUpdated: {
+  // Decayed LocaMate activity behind the last popularity score
+  popularitySignals: {
+    favorites: Number,
+    visits: Number,
+    itineraries: Number,
+    reviews: Number,
+    updatedAt: Date
+  },
+  // Normalized name and category terms for autocomplete
+  searchTerms: {
+    prefixes: [String],
+    trigrams: [String]
+  },
+  owners: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Fields corrected by moderators; they take precedence over provider data
+  corrections: {
+    name: String,
+    category: String,
+    // Provider categories of a corrected taxonomy category
+    categories: {
+      type: [{ _id: false, id: String, name: String }],
+      default: undefined
+    },
+    address: String,
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      default: undefined
+    },
+    updatedAt: Date
+  },
+  contentHash: String, // Hash of the last cached provider data, without tips
+  tipsHash: String, // Hash of the last cached provider tips
+  lastUpdated: { // When the cached data last changed
     type: Date,
     default: Date.now
   },
+  fetchedAt: Date, // When the provider last returned this place
   isActive: {
     type: Boolean,
     default: true
@@ -128,10 +235,37 @@ const placeSchema = new mongoose.Schema({
 
 // Indexes for efficient querying
 placeSchema.index({ 'location.coordinates': '2dsphere' });
+placeSchema.index({ 'location.geohash': 1 });
 placeSchema.index({ category: 1 });
 placeSchema.index({ rating: -1 });
 placeSchema.index({ popularity: -1 });
 placeSchema.index({ foursquareId: 1 });
+placeSchema.index({ 'searchTerms.prefixes': 1 });
+placeSchema.index({ 'searchTerms.trigrams': 1 });
+placeSchema.index({
+  name: 'text',
+  category: 'text',
+  'categories.name': 'text',
+  description: 'text',
+  'tips.text': 'text'
+}, {
+  name: 'place_text',
+  weights: {
+    name: 10,
+    category: 5,
+    'categories.name': 5,
+    description: 2,
+    'tips.text': 1
+  }
+});
+
+// Keep autocomplete terms in sync with the name and categories
+placeSchema.pre('save', function(next) {
+  if (this.isModified('name') || this.isModified('categories')) {
+    this.searchTerms = buildSearchTerms(this.name, this.categories);
+  }
+  next();
+});
 
 // Virtual for full address
 placeSchema.virtual('fullAddress').get(function() {
@@ -145,33 +279,49 @@ placeSchema.virtual('fullAddress').get(function() {
   return parts.join(', ');
 });
 
-// Method to update popularity based on user interactions
+// Method to update popularity from provider stats and the last recorded
+// LocaMate signals; popularityService recomputes the signals on a schedule
 placeSchema.methods.updatePopularity = function() {
-  const checkins = this.stats.totalCheckins || 0;
-  const tips = this.stats.totalTips || 0;
-  const photos = this.stats.totalPhotos || 0;
-  const rating = this.rating || 0;
-  
-  // Calculate popularity score
-  this.popularity = (checkins * 0.4) + (tips * 0.3) + (photos * 0.2) + (rating * 0.1);
+  this.popularity = scorePopularity(this, this.popularitySignals || {});
   return this.save();
 };
 
 // Method to get formatted hours
 placeSchema.methods.getFormattedHours = function() {
-  if (!this.hours || !this.hours.open) return null;
-  
-  const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-  return this.hours.open.map(day => ({
-    day: days[day.day],
-    hours: `${day.open} - ${day.close}`
-  }));
+  if (!this.hours || !this.hours.open || this.hours.open.length === 0) return null;
+  return openingHours.formatWeeklyHours(this.hours.open);
 };
 
-// Method to check if place is currently open
+// Method to check if place is currently open in its own timezone
 placeSchema.methods.isCurrentlyOpen = function() {
-  if (!this.hours || !this.hours.isOpen) return null;
-  return this.hours.isOpen;
+  return openingHours.isOpenAt(this.hours, this.timezone);
+};
+
+// Method to check if place is open at a given time
+placeSchema.methods.isOpenAt = function(at) {
+  return openingHours.isOpenAt(this.hours, this.timezone, at);
+};
+
+// Method to check if place closes within the given number of minutes
+placeSchema.methods.closesWithin = function(minutes, at) {
+  return openingHours.closesWithin(this.hours, this.timezone, minutes, at);
+};
+
+// Method to get special hours that have not yet ended
+placeSchema.methods.getSpecialHours = function() {
+  const today = openingHours.getLocalTime(new Date(), this.timezone).date;
+  return openingHours.formatSpecialHours(this.hours?.special, today);
+};
+
+// Method to check if a user may manage this place's hours
+placeSchema.methods.canManage = function(user) {
+  if (!user) return false;
+  return user.role === 'admin' || this.owners.some(owner => owner.equals(user._id));
+};
+
+// Method to get the next time the place opens
+placeSchema.methods.getNextOpening = function(at) {
+  return openingHours.getNextOpening(this.hours, this.timezone, at);
 };
 
 // Static method to find nearby places
@@ -192,10 +342,15 @@ placeSchema.statics.findNearby = function(coordinates, maxDistance = 5000, limit
   .limit(limit);
 };
 
-// Static method to search places by category
-placeSchema.statics.searchByCategory = function(category, coordinates, maxDistance = 5000, limit = 20) {
+// Static method to search places by provider category IDs, or by category
+// name when no IDs are given
+placeSchema.statics.searchByCategory = function(category, coordinates, maxDistance = 5000, limit = 20, categoryIds = []) {
+  const categoryMatch = categoryIds.length > 0
+    ? { 'categories.id': { $in: categoryIds } }
+    : { category: { $regex: category, $options: 'i' } };
+
   return this.find({
-    category: { $regex: category, $options: 'i' },
+    ...categoryMatch,
     'location.coordinates': {
       $near: {
         $geometry: {
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// An entry in a place's moderation history: what an admin changed on the
+// cached Place document, and the report and note that explain why.
+const placeChangeSchema = new mongoose.Schema({
+  placeId: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['update', 'deactivate'],
+    required: true
+  },
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  correction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PlaceCorrection'
+  },
+  reason: String, // Reason given in the report
+  note: {
+    type: String,
+    default: ''
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+placeChangeSchema.index({ placeId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PlaceChange', placeChangeSchema);
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const { CORRECTION_REASONS } = require('../utils/placeCorrections');
+
+// A review that has not finished by then, e.g. because the server stopped,
+// no longer holds the report
+const CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+// A user's report that a place's details are wrong, with the correction they
+// suggest. Reports wait in the moderation queue until an admin applies the
+// correction, deactivates the place or rejects the report.
+const placeCorrectionSchema = new mongoose.Schema({
+  placeId: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: CORRECTION_REASONS,
+    required: true
+  },
+  suggestion: {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    },
+    category: {
+      type: String,
+      trim: true,
+      maxlength: 100
+    },
+    address: {
+      type: String,
+      trim: true,
+      maxlength: 300
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      default: undefined
+    }
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+    default: ''
+  },
+  // Evidence photo, kept in photo storage
+  photo: {
+    storage: String,
+    width: Number,
+    height: Number,
+    files: {
+      type: Map,
+      of: String
+    }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'reviewing', 'applied', 'deactivated', 'rejected'],
+    default: 'pending'
+  },
+  review: {
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    claimedAt: Date, // When a moderator started reviewing
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+placeCorrectionSchema.index({ status: 1, createdAt: 1 });
+placeCorrectionSchema.index({ placeId: 1, createdAt: -1 });
+placeCorrectionSchema.index({ user: 1, createdAt: -1 });
+// One open report per user and place
+placeCorrectionSchema.index(
+  { placeId: 1, user: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Static to claim a pending report for one moderator, so two moderators
+// reviewing it at once cannot both act on it; resolves to null when the
+// report is not pending
+placeCorrectionSchema.statics.claim = function(id) {
+  return this.findOneAndUpdate(
+    {
+      _id: id,
+      $or: [
+        { status: 'pending' },
+        { status: 'reviewing', 'review.claimedAt': { $lt: new Date(Date.now() - CLAIM_TIMEOUT_MS) } }
+      ]
+    },
+    { status: 'reviewing', 'review.claimedAt': new Date() },
+    { new: true }
+  );
+};
+
+// Method to put a claimed report back in the queue when its review fails
+placeCorrectionSchema.methods.release = function() {
+  this.status = 'pending';
+  this.review = undefined;
+  return this.save();
+};
+
+// Method to record the moderator's decision
+placeCorrectionSchema.methods.resolve = function(status, moderator, note = '') {
+  this.status = status;
+  this.review = {
+    reviewedBy: moderator._id,
+    reviewedAt: new Date(),
+    note
+  };
+  return this.save();
+};
+
+module.exports = mongoose.model('PlaceCorrection', placeCorrectionSchema);
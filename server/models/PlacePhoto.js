@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A photo uploaded by a user. Places are referenced by provider id so photos
+// can be attached before or independently of the cached Place document.
+const placePhotoSchema = new mongoose.Schema({
+  placeId: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: ''
+  },
+  width: Number,
+  height: Number,
+  storage: {
+    type: String,
+    required: true
+  },
+  // Storage keys of the original and each thumbnail size
+  files: {
+    type: Map,
+    of: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+placePhotoSchema.index({ placeId: 1, createdAt: -1 });
+placePhotoSchema.index({ user: 1 });
+
+// Method to check whether a user may delete the photo
+placePhotoSchema.methods.canDelete = function(user) {
+  if (!user) return false;
+  return user.role === 'admin' || this.user.equals(user._id);
+};
+
+module.exports = mongoose.model('PlacePhoto', placePhotoSchema);
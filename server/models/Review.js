@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+// A first-party review. Places are referenced by provider id, like PlacePhoto;
+// the aggregate rating is kept on the Place document as localRating.
+const reviewSchema = new mongoose.Schema({
+  placeId: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: 1,
+    max: 5
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Review cannot exceed 2000 characters'],
+    default: ''
+  },
+  visitDate: Date,
+  helpfulVotes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  helpfulCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+reviewSchema.index({ placeId: 1, user: 1 }, { unique: true });
+reviewSchema.index({ placeId: 1, createdAt: -1 });
+reviewSchema.index({ placeId: 1, helpfulCount: -1 });
+
+// Method to check whether a user may edit or delete the review
+reviewSchema.methods.canModify = function(user) {
+  if (!user) return false;
+  return user.role === 'admin' || this.user.equals(user._id);
+};
+
+// Method to add or remove a helpful vote in one atomic update, so votes cast
+// at the same time are all counted once. The count only moves when the vote
+// list changes; resolves with the updated review.
+reviewSchema.methods.setHelpful = async function(userId, helpful) {
+  const Review = this.constructor;
+  const updated = helpful
+    ? await Review.findOneAndUpdate(
+      { _id: this._id, helpfulVotes: { $ne: userId } },
+      { $addToSet: { helpfulVotes: userId }, $inc: { helpfulCount: 1 } },
+      { new: true }
+    )
+    : await Review.findOneAndUpdate(
+      { _id: this._id, helpfulVotes: userId },
+      { $pull: { helpfulVotes: userId }, $inc: { helpfulCount: -1 } },
+      { new: true }
+    );
+
+  // No match means the vote was already in place
+  return updated || Review.findById(this._id);
+};
+
+// Static method to summarize a place's ratings
+reviewSchema.statics.getRatingSummary = async function(placeId) {
+  const [summary] = await this.aggregate([
+    { $match: { placeId } },
+    {
+      $group: {
+        _id: null,
+        average: { $avg: '$rating' },
+        count: { $sum: 1 },
+        ratings: { $push: '$rating' }
+      }
+    }
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  (summary?.ratings || []).forEach(rating => {
+    distribution[Math.round(rating)]++;
+  });
+
+  return {
+    average: summary ? Math.round(summary.average * 10) / 10 : 0,
+    count: summary?.count || 0,
+    distribution
+  };
+};
+
+// Static method to get the most helpful written reviews of several places,
+// as a Map of place ID to reviews
+reviewSchema.statics.getHighlights = async function(placeIds, perPlace = 2) {
+  const groups = await this.aggregate([
+    { $match: { placeId: { $in: placeIds }, text: { $ne: '' } } },
+    { $sort: { helpfulCount: -1, createdAt: -1 } },
+    {
+      $group: {
+        _id: '$placeId',
+        reviews: {
+          $push: { id: '$_id', rating: '$rating', text: '$text', helpfulCount: '$helpfulCount', createdAt: '$createdAt' }
+        }
+      }
+    },
+    { $project: { reviews: { $slice: ['$reviews', perPlace] } } }
+  ]);
+
+  return new Map(groups.map(group => [group._id, group.reviews]));
+};
+
+// Static method to store the current rating summary on the place
+reviewSchema.statics.syncPlaceRating = async function(placeId) {
+  const { average, count } = await this.getRatingSummary(placeId);
+  await mongoose.model('Place').updateOne(
+    { foursquareId: placeId },
+    { $set: { localRating: { average, count } } }
+  );
+  return { average, count };
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
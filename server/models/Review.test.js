@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const Review = require('./Review');
+
+describe('Review.setHelpful', () => {
+  const voter = new mongoose.Types.ObjectId();
+  let review;
+
+  beforeEach(() => {
+    review = new Review({ placeId: 'p1', user: new mongoose.Types.ObjectId(), rating: 4 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('adds a vote and bumps the count in one update', async () => {
+    const updated = { helpfulCount: 1 };
+    jest.spyOn(Review, 'findOneAndUpdate').mockResolvedValue(updated);
+
+    await expect(review.setHelpful(voter, true)).resolves.toBe(updated);
+    expect(Review.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: review._id, helpfulVotes: { $ne: voter } },
+      { $addToSet: { helpfulVotes: voter }, $inc: { helpfulCount: 1 } },
+      { new: true }
+    );
+  });
+
+  it('removes a vote and lowers the count in one update', async () => {
+    jest.spyOn(Review, 'findOneAndUpdate').mockResolvedValue({ helpfulCount: 0 });
+
+    await review.setHelpful(voter, false);
+    expect(Review.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: review._id, helpfulVotes: voter },
+      { $pull: { helpfulVotes: voter }, $inc: { helpfulCount: -1 } },
+      { new: true }
+    );
+  });
+
+  it('leaves the count alone when the vote is already in place', async () => {
+    const current = { helpfulCount: 3 };
+    jest.spyOn(Review, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Review, 'findById').mockResolvedValue(current);
+
+    await expect(review.setHelpful(voter, true)).resolves.toBe(current);
+    expect(Review.findById).toHaveBeenCalledWith(review._id);
+  });
+});
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const { haversineDistance } = require('../utils/geo');
+
+// Largest radius the places routes accept; bounds the coverage lookup
+const MAX_COVERAGE_RADIUS = 50000;
+
+// Records an area that was fetched from the upstream place provider, so later
+// searches inside it can be answered from the cached Place documents.
+const searchCoverageSchema = new mongoose.Schema({
+  center: {
+    type: {
+      type: String,
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      required: true
+    }
+  },
+  radius: {
+    type: Number, // in meters
+    required: true
+  },
+  query: {
+    type: String,
+    default: ''
+  },
+  categories: {
+    type: String,
+    default: ''
+  },
+  resultCount: {
+    type: Number,
+    default: 0
+  },
+  // True when the provider returned fewer results than requested, i.e. the
+  // area holds no more places for this search than what was cached
+  complete: {
+    type: Boolean,
+    default: false
+  },
+  source: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+searchCoverageSchema.index({ center: '2dsphere' });
+searchCoverageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Normalize query and category filters so equivalent searches share coverage
+searchCoverageSchema.statics.normalizeKey = function({ query = '', categories = '' } = {}) {
+  return {
+    query: String(query || '').trim().toLowerCase(),
+    categories: String(categories || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean)
+      .sort()
+      .join(',')
+  };
+};
+
+// Static method to find a fresh coverage record that fully contains the circle
+// around coordinates. An unfiltered, complete coverage also covers filtered searches.
+searchCoverageSchema.statics.findCovering = async function(coordinates, radius, filters = {}) {
+  const key = this.normalizeKey(filters);
+
+  const candidates = await this.find({
+    center: {
+      $near: {
+        $geometry: {
+          type: 'Point',
+          coordinates
+        },
+        $maxDistance: MAX_COVERAGE_RADIUS
+      }
+    },
+    query: { $in: [key.query, ''] },
+    categories: { $in: [key.categories, ''] },
+    expiresAt: { $gt: new Date() }
+  }).limit(20);
+
+  return candidates.find(coverage => {
+    const sameKey = coverage.query === key.query && coverage.categories === key.categories;
+    const unfilteredComplete = !coverage.query && !coverage.categories && coverage.complete;
+    if (!sameKey && !unfilteredComplete) return false;
+
+    const offset = haversineDistance(coverage.center.coordinates, coordinates);
+    return offset + radius <= coverage.radius;
+  }) || null;
+};
+
+// Static method to record a provider search
+searchCoverageSchema.statics.record = function(coordinates, radius, filters, { resultCount, limit, source, ttlMs }) {
+  return this.create({
+    center: {
+      type: 'Point',
+      coordinates
+    },
+    radius,
+    ...this.normalizeKey(filters),
+    resultCount,
+    complete: resultCount < limit,
+    source,
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+};
+
+module.exports = mongoose.model('SearchCoverage', searchCoverageSchema);
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const tripSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  startDate: {
+    type: Date, // UTC midnight of the first day
+    required: true
+  },
+  endDate: {
+    type: Date, // UTC midnight of the last day
+    required: true
+  },
+  // Area the trip is based in
+  location: {
+    type: {
+      type: String,
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      required: true
+    },
+    city: String,
+    country: String
+  },
+  // Where the traveller stays; days are planned around it when it has coordinates
+  lodging: {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Lodging name cannot be more than 200 characters']
+    },
+    address: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Lodging address cannot be more than 300 characters']
+    },
+    coordinates: {
+      type: [Number], // [lng, lat]
+      default: undefined
+    }
+  },
+  budget: {
+    amount: {
+      type: Number,
+      min: [0, 'Budget cannot be negative']
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: 'USD'
+    }
+  },
+  tags: [{
+    type: String,
+    trim: true
+  }],
+  // One itinerary per day, in date order
+  days: [{
+    _id: false,
+    date: {
+      type: Date,
+      required: true
+    },
+    itinerary: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Itinerary',
+      required: true
+    }
+  }],
+  aiGenerated: {
+    type: Boolean,
+    default: false
+  },
+  aiPrompt: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+tripSchema.index({ user: 1, startDate: -1 });
+tripSchema.index({ 'location.coordinates': '2dsphere' });
+
+// Check the date range before saving
+tripSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date cannot be before the start date');
+  }
+  next();
+});
+
+// Virtual for the number of days
+tripSchema.virtual('dayCount').get(function() {
+  return Math.round((this.endDate - this.startDate) / MS_PER_DAY) + 1;
+});
+
+// Static method to list each date of a trip from its first and last day
+tripSchema.statics.listDates = function(startDate, endDate) {
+  const dates = [];
+  for (let time = startDate.getTime(); time <= endDate.getTime(); time += MS_PER_DAY) {
+    dates.push(new Date(time));
+  }
+  return dates;
+};
+
+module.exports = mongoose.model('Trip', tripSchema);
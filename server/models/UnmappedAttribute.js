@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A provider category or feature that the attribute mapping does not cover.
+// Admins review these to extend data/attributeMappings.json.
+const unmappedAttributeSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['category', 'feature'],
+    required: true
+  },
+  value: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  examplePlaceId: String,
+  lastSeenAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+unmappedAttributeSchema.index({ kind: 1, value: 1 }, { unique: true });
+unmappedAttributeSchema.index({ count: -1 });
+
+// Static method to add sightings, given as [{ kind, value, count, placeId }]
+unmappedAttributeSchema.statics.record = function(sightings) {
+  if (sightings.length === 0) return Promise.resolve();
+
+  const now = new Date();
+  return this.bulkWrite(sightings.map(({ kind, value, count, placeId }) => ({
+    updateOne: {
+      filter: { kind, value },
+      update: {
+        $inc: { count },
+        $set: { lastSeenAt: now, examplePlaceId: placeId }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+};
+
+module.exports = mongoose.model('UnmappedAttribute', unmappedAttributeSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { CUISINES, ATMOSPHERES, ACTIVITIES, ACCESSIBILITY } = require('../utils/placeAttributes');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -25,10 +26,15 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
   preferences: {
     cuisine: [{
       type: String,
-      enum: ['italian', 'chinese', 'japanese', 'indian', 'mexican', 'american', 'french', 'thai', 'mediterranean', 'other']
+      enum: CUISINES
     }],
     priceRange: {
       type: String,
@@ -37,13 +43,18 @@ const userSchema = new mongoose.Schema({
     },
     atmosphere: [{
       type: String,
-      enum: ['quiet', 'vibrant', 'romantic', 'family-friendly', 'casual', 'formal', 'outdoor', 'cozy']
+      enum: ATMOSPHERES
     }],
     activities: [{
       type: String,
-      enum: ['work', 'relax', 'explore', 'dine', 'nightlife', 'culture', 'shopping', 'outdoor']
+      enum: ACTIVITIES
     }]
   },
+  // Features a place must have for this user, used to filter searches
+  accessibilityNeeds: [{
+    type: String,
+    enum: ACCESSIBILITY
+  }],
   location: {
     type: {
       type: String,
@@ -0,0 +1,44 @@
+const express = require('express');
+const { body } = require('express-validator');
+const accessibilityController = require('../controllers/accessibilityController');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { validateRequest } = require('../utils/validation');
+const { ACCESSIBILITY } = require('../utils/placeAttributes');
+
+// Mounted at /api/places/:id/accessibility
+const router = express.Router({ mergeParams: true });
+
+// Validation rules
+const reportValidation = [
+  body('available')
+    .optional()
+    .isArray()
+    .withMessage('Available must be an array'),
+  body('available.*')
+    .isIn(ACCESSIBILITY)
+    .withMessage('Invalid accessibility feature'),
+  body('unavailable')
+    .optional()
+    .isArray()
+    .withMessage('Unavailable must be an array'),
+  body('unavailable.*')
+    .isIn(ACCESSIBILITY)
+    .withMessage('Invalid accessibility feature'),
+  body()
+    .custom(({ available = [], unavailable = [] }) => available.length + unavailable.length > 0)
+    .withMessage('Report at least one feature')
+    .custom(({ available = [], unavailable = [] }) => !available.some(feature => unavailable.includes(feature)))
+    .withMessage('A feature cannot be both available and unavailable'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+  validateRequest
+];
+
+router.get('/', optionalAuth, accessibilityController.getAccessibility);
+router.put('/', auth, reportValidation, accessibilityController.reportAccessibility);
+router.delete('/', auth, accessibilityController.deleteAccessibilityReport);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const { body } = require('express-validator');
 const authController = require('../controllers/authController');
 const { auth } = require('../middleware/auth');
 const { validateRequest } = require('../utils/validation');
+const { CUISINES, ATMOSPHERES, ACTIVITIES, ACCESSIBILITY } = require('../utils/placeAttributes');
 
 const router = express.Router();
 
@@ -49,11 +50,17 @@ const updateProfileValidation = [
 
 const updateLocationValidation = [
   body('coordinates')
+    .optional()
     .isArray({ min: 2, max: 2 })
     .withMessage('Coordinates must be an array with 2 elements [longitude, latitude]'),
   body('coordinates.*')
     .isFloat({ min: -180, max: 180 })
     .withMessage('Invalid coordinate values'),
+  body('near')
+    .if(body('coordinates').not().exists())
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Provide coordinates or a city or neighborhood name'),
   body('city')
     .optional()
     .trim()
@@ -74,7 +81,7 @@ const updatePreferencesValidation = [
     .withMessage('Cuisine must be an array'),
   body('cuisine.*')
     .optional()
-    .isIn(['italian', 'chinese', 'japanese', 'indian', 'mexican', 'american', 'french', 'thai', 'mediterranean', 'other'])
+    .isIn(CUISINES)
     .withMessage('Invalid cuisine type'),
   body('priceRange')
     .optional()
@@ -86,7 +93,7 @@ const updatePreferencesValidation = [
     .withMessage('Atmosphere must be an array'),
   body('atmosphere.*')
     .optional()
-    .isIn(['quiet', 'vibrant', 'romantic', 'family-friendly', 'casual', 'formal', 'outdoor', 'cozy'])
+    .isIn(ATMOSPHERES)
     .withMessage('Invalid atmosphere type'),
   body('activities')
     .optional()
@@ -94,11 +101,21 @@ const updatePreferencesValidation = [
     .withMessage('Activities must be an array'),
   body('activities.*')
     .optional()
-    .isIn(['work', 'relax', 'explore', 'dine', 'nightlife', 'culture', 'shopping', 'outdoor'])
+    .isIn(ACTIVITIES)
     .withMessage('Invalid activity type'),
   validateRequest
 ];
 
+const updateAccessibilityValidation = [
+  body('needs')
+    .isArray()
+    .withMessage('Needs must be an array'),
+  body('needs.*')
+    .isIn(ACCESSIBILITY)
+    .withMessage('Invalid accessibility need'),
+  validateRequest
+];
+
 const changePasswordValidation = [
   body('currentPassword')
     .notEmpty()
@@ -116,6 +133,7 @@ router.get('/profile', auth, authController.getProfile);
 router.put('/profile', auth, updateProfileValidation, authController.updateProfile);
 router.put('/location', auth, updateLocationValidation, authController.updateLocation);
 router.put('/preferences', auth, updatePreferencesValidation, authController.updatePreferences);
+router.put('/accessibility', auth, updateAccessibilityValidation, authController.updateAccessibilityNeeds);
 router.put('/password', auth, changePasswordValidation, authController.changePassword);
 router.delete('/account', auth, authController.deleteAccount);
 router.get('/stats', auth, authController.getUserStats);
@@ -3,6 +3,7 @@ const { body, query } = require('express-validator');
 const chatController = require('../controllers/chatController');
 const { auth, optionalAuth } = require('../middleware/auth');
 const { validateRequest } = require('../utils/validation');
+const { ACTIVITIES } = require('../utils/placeAttributes');
 
 const router = express.Router();
 
@@ -51,7 +52,7 @@ const suggestionsValidation = [
     .withMessage('Invalid mood value'),
   query('purpose')
     .optional()
-    .isIn(['work', 'relax', 'explore', 'dine', 'nightlife', 'culture', 'shopping', 'outdoor'])
+    .isIn(ACTIVITIES)
     .withMessage('Invalid purpose value'),
   validateRequest
 ];
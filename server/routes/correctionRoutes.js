@@ -0,0 +1,75 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const correctionController = require('../controllers/correctionController');
+const { auth, adminAuth } = require('../middleware/auth');
+const { validateRequest } = require('../utils/validation');
+const { CORRECTION_REASONS } = require('../utils/placeCorrections');
+
+const router = express.Router();
+
+// Corrected values, shared by reports and reviews
+const correctionValueValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Name must be between 1 and 200 characters'),
+  body('category')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Category must be between 1 and 100 characters'),
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 300 })
+    .withMessage('Address must be between 1 and 300 characters'),
+  body('ll')
+    .optional()
+    .matches(/^-?\d+\.?\d*,-?\d+\.?\d*$/)
+    .withMessage('Location must be in format "longitude,latitude"')
+];
+
+// Validation rules
+const queueValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'reviewing', 'applied', 'deactivated', 'rejected'])
+    .withMessage('Invalid status'),
+  query('reason')
+    .optional()
+    .isIn(CORRECTION_REASONS)
+    .withMessage('Invalid reason'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  validateRequest
+];
+
+const reviewValidation = [
+  param('correctionId')
+    .isMongoId()
+    .withMessage('Invalid report ID'),
+  body('action')
+    .isIn(['apply', 'deactivate', 'reject'])
+    .withMessage('Action must be apply, deactivate or reject'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  ...correctionValueValidation,
+  validateRequest
+];
+
+router.get('/', adminAuth, queueValidation, correctionController.getCorrectionQueue);
+router.get('/mine', auth, correctionController.getMyCorrections);
+router.post('/:correctionId/review', adminAuth, reviewValidation, correctionController.reviewCorrection);
+
+module.exports = router;
+module.exports.correctionValueValidation = correctionValueValidation;
@@ -0,0 +1,36 @@
+const express = require('express');
+const { query } = require('express-validator');
+const geocodingController = require('../controllers/geocodingController');
+const { optionalAuth } = require('../middleware/auth');
+const { validateRequest } = require('../utils/validation');
+
+const router = express.Router();
+
+// Validation rules
+const geocodeValidation = [
+  query('q')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Query must be between 2 and 100 characters'),
+  query('ll')
+    .optional()
+    .matches(/^-?\d+\.?\d*,-?\d+\.?\d*$/)
+    .withMessage('Location must be in format "longitude,latitude"'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20'),
+  validateRequest
+];
+
+const reverseValidation = [
+  query('ll')
+    .matches(/^-?\d+\.?\d*,-?\d+\.?\d*$/)
+    .withMessage('Location must be in format "longitude,latitude"'),
+  validateRequest
+];
+
+router.get('/', optionalAuth, geocodeValidation, geocodingController.geocode);
+router.get('/reverse', reverseValidation, geocodingController.reverseGeocode);
+
+module.exports = router;
@@ -1,8 +1,13 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const itineraryController = require('../controllers/itineraryController');
-const { auth, optionalAuth } = require('../middleware/auth');
+const collaborationController = require('../controllers/collaborationController');
+const itineraryLiveController = require('../controllers/itineraryLiveController');
+const { auth, optionalAuth, liveTicketAuth } = require('../middleware/auth');
+const { itineraryAccess } = require('../middleware/itineraryAccess');
 const { validateRequest } = require('../utils/validation');
+const { TRAVEL_MODES } = require('../services/routingProvider');
+const { COLLABORATOR_ROLES, EDIT_ROLES, VIEW_ROLES } = require('../utils/collaboration');
 
 const router = express.Router();
 
@@ -17,10 +22,27 @@ const generateItineraryValidation = [
     .optional()
     .matches(/^-?\d+\.?\d*,-?\d+\.?\d*$/)
     .withMessage('Location must be in format "longitude,latitude"'),
+  body('near')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Near must be between 2 and 100 characters'),
   body('preferences')
     .optional()
     .isObject()
     .withMessage('Preferences must be an object'),
+  body('startTime')
+    .optional()
+    .isISO8601()
+    .withMessage('Start time must be an ISO 8601 date-time'),
+  body('timeBudget')
+    .optional({ nullable: true })
+    .isInt({ min: 15, max: 1440 })
+    .withMessage('Time budget must be between 15 and 1440 minutes'),
+  body('travelMode')
+    .optional()
+    .isIn(TRAVEL_MODES)
+    .withMessage(`Travel mode must be one of: ${TRAVEL_MODES.join(', ')}`),
   validateRequest
 ];
 
@@ -46,10 +68,27 @@ const updateItineraryValidation = [
     .optional()
     .isArray()
     .withMessage('Places must be an array'),
+  body('startTime')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Start time must be an ISO 8601 date-time'),
+  body('timeBudget')
+    .optional({ nullable: true })
+    .isInt({ min: 15, max: 1440 })
+    .withMessage('Time budget must be between 15 and 1440 minutes'),
+  body('travelMode')
+    .optional()
+    .isIn(TRAVEL_MODES)
+    .withMessage(`Travel mode must be one of: ${TRAVEL_MODES.join(', ')}`),
   body('isPublic')
     .optional()
     .isBoolean()
     .withMessage('isPublic must be a boolean'),
+  body('revision')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Revision must be a non-negative integer')
+    .toInt(),
   validateRequest
 ];
 
@@ -79,6 +118,52 @@ const addPlaceValidation = [
   validateRequest
 ];
 
+const updatePlaceValidation = [
+  body('notes')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot be more than 500 characters'),
+  body('estimatedDuration')
+    .optional()
+    .isInt({ min: 15, max: 480 })
+    .withMessage('Estimated duration must be between 15 and 480 minutes')
+    .toInt(),
+  validateRequest
+];
+
+const reorderPlacesValidation = [
+  body('placeIds')
+    .isArray({ min: 1 })
+    .withMessage('Place IDs must be a non-empty array'),
+  body('placeIds.*')
+    .isString()
+    .withMessage('Place IDs must be strings'),
+  body('revision')
+    .isInt({ min: 0 })
+    .withMessage('Revision is required and must be a non-negative integer')
+    .toInt(),
+  validateRequest
+];
+
+const optimizeItineraryValidation = [
+  body(['keepFirst', 'keepLast', 'apply'])
+    .optional()
+    .isBoolean()
+    .withMessage('keepFirst, keepLast and apply must be booleans')
+    .toBoolean(),
+  body('startTime')
+    .optional()
+    .isISO8601()
+    .withMessage('Start time must be an ISO 8601 date-time'),
+  body('travelMode')
+    .optional()
+    .isIn(TRAVEL_MODES)
+    .withMessage(`Travel mode must be one of: ${TRAVEL_MODES.join(', ')}`),
+  validateRequest
+];
+
 const markPlaceVisitedValidation = [
   body('rating')
     .optional()
@@ -104,6 +189,36 @@ const getUserItinerariesValidation = [
     .optional()
     .isIn(['completed', 'active'])
     .withMessage('Status must be completed or active'),
+  query('role')
+    .optional()
+    .isIn(['owner', 'shared'])
+    .withMessage('Role must be owner or shared'),
+  validateRequest
+];
+
+const invitationValidation = [
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('role')
+    .isIn(COLLABORATOR_ROLES)
+    .withMessage(`Role must be one of: ${COLLABORATOR_ROLES.join(', ')}`),
+  validateRequest
+];
+
+const collaboratorValidation = [
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  validateRequest
+];
+
+const invitationIdValidation = [
+  param('invitationId')
+    .isMongoId()
+    .withMessage('Invalid invitation ID'),
   validateRequest
 ];
 
@@ -124,21 +239,42 @@ const locationValidation = [
   validateRequest
 ];
 
+// Invitations sent to the current user
+router.get('/invitations', auth, collaborationController.getMyInvitations);
+router.post('/invitations/join', auth, body('token').isString().notEmpty().withMessage('Invitation token is required'), validateRequest, collaborationController.joinWithLink);
+router.post('/invitations/:invitationId/accept', auth, invitationIdValidation, collaborationController.acceptInvitation);
+router.post('/invitations/:invitationId/decline', auth, invitationIdValidation, collaborationController.declineInvitation);
+
 // Protected routes
 router.post('/generate', auth, generateItineraryValidation, itineraryController.generateItinerary);
 router.get('/', auth, getUserItinerariesValidation, itineraryController.getUserItineraries);
-router.get('/:id', auth, itineraryIdValidation, itineraryController.getItinerary);
-router.put('/:id', auth, itineraryIdValidation, updateItineraryValidation, itineraryController.updateItinerary);
-router.delete('/:id', auth, itineraryIdValidation, itineraryController.deleteItinerary);
+router.get('/:id', auth, itineraryIdValidation, query('at').optional().isISO8601().withMessage('at must be an ISO 8601 date-time'), validateRequest, itineraryAccess(...VIEW_ROLES), itineraryController.getItinerary);
+router.put('/:id', auth, itineraryIdValidation, updateItineraryValidation, itineraryAccess(...EDIT_ROLES), itineraryController.updateItinerary);
+router.delete('/:id', auth, itineraryIdValidation, itineraryAccess('owner'), itineraryController.deleteItinerary);
+router.post('/:id/optimize', auth, itineraryIdValidation, optimizeItineraryValidation, itineraryAccess(...EDIT_ROLES), itineraryController.optimizeItinerary);
 
 // Place management within itineraries
-router.post('/:id/places', auth, itineraryIdValidation, addPlaceValidation, itineraryController.addPlaceToItinerary);
-router.delete('/:id/places/:placeId', auth, itineraryIdValidation, itineraryController.removePlaceFromItinerary);
-router.put('/:id/places/:placeId/visited', auth, itineraryIdValidation, markPlaceVisitedValidation, itineraryController.markPlaceVisited);
+router.post('/:id/places', auth, itineraryIdValidation, addPlaceValidation, itineraryAccess(...EDIT_ROLES), itineraryController.addPlaceToItinerary);
+router.delete('/:id/places/:placeId', auth, itineraryIdValidation, itineraryAccess(...EDIT_ROLES), itineraryController.removePlaceFromItinerary);
+router.put('/:id/places/order', auth, itineraryIdValidation, reorderPlacesValidation, itineraryAccess(...EDIT_ROLES), itineraryController.reorderPlaces);
+router.put('/:id/places/:placeId', auth, itineraryIdValidation, updatePlaceValidation, itineraryAccess(...EDIT_ROLES), itineraryController.updatePlaceInItinerary);
+router.put('/:id/places/:placeId/visited', auth, itineraryIdValidation, markPlaceVisitedValidation, itineraryAccess(...EDIT_ROLES), itineraryController.markPlaceVisited);
+
+// Live co-editing
+router.post('/:id/live/ticket', auth, itineraryIdValidation, itineraryAccess(...VIEW_ROLES), itineraryLiveController.createLiveTicket);
+router.get('/:id/live', itineraryIdValidation, liveTicketAuth, itineraryAccess(...VIEW_ROLES), itineraryLiveController.streamItinerary);
+router.get('/:id/presence', auth, itineraryIdValidation, itineraryAccess(...VIEW_ROLES), itineraryLiveController.getPresence);
+
+// Collaborators and invitations
+router.get('/:id/collaborators', auth, itineraryIdValidation, itineraryAccess(...VIEW_ROLES), collaborationController.getCollaborators);
+router.put('/:id/collaborators/:userId', auth, itineraryIdValidation, collaboratorValidation, body('role').isIn(COLLABORATOR_ROLES).withMessage(`Role must be one of: ${COLLABORATOR_ROLES.join(', ')}`), validateRequest, itineraryAccess('owner'), collaborationController.updateCollaborator);
+router.delete('/:id/collaborators/:userId', auth, itineraryIdValidation, collaboratorValidation, itineraryAccess(...VIEW_ROLES), collaborationController.removeCollaborator);
+router.post('/:id/invitations', auth, itineraryIdValidation, invitationValidation, itineraryAccess('owner'), collaborationController.createInvitation);
+router.delete('/:id/invitations/:invitationId', auth, itineraryIdValidation, invitationIdValidation, itineraryAccess('owner'), collaborationController.revokeInvitation);
 
 // Social features
 router.post('/:id/like', auth, itineraryIdValidation, itineraryController.toggleLike);
-router.post('/:id/share', auth, itineraryIdValidation, itineraryController.shareItinerary);
+router.post('/:id/share', auth, itineraryIdValidation, itineraryAccess('owner'), itineraryController.shareItinerary);
 
 // Public routes
 router.get('/popular', query('limit').optional().isInt({ min: 1, max: 50 }), validateRequest, itineraryController.getPopularItineraries);
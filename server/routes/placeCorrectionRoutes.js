@@ -0,0 +1,35 @@
+const express = require('express');
+const { body } = require('express-validator');
+const correctionController = require('../controllers/correctionController');
+const { correctionValueValidation } = require('./correctionRoutes');
+const { auth, adminAuth } = require('../middleware/auth');
+const { uploadPhoto } = require('../middleware/upload');
+const { validateRequest } = require('../utils/validation');
+const { CORRECTION_REASONS } = require('../utils/placeCorrections');
+
+// Mounted at /api/places/:id/corrections
+const router = express.Router({ mergeParams: true });
+
+// Validation rules
+const submitValidation = [
+  body('reason')
+    .isIn(CORRECTION_REASONS)
+    .withMessage(`Reason must be one of: ${CORRECTION_REASONS.join(', ')}`),
+  ...correctionValueValidation,
+  body()
+    .custom(({ reason, address, ll }) => reason !== 'moved' || !!(address || ll))
+    .withMessage('Suggest the new address or location of a place that moved')
+    .custom(({ reason, category }) => reason !== 'wrong-category' || !!category)
+    .withMessage('Suggest the right category'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters'),
+  validateRequest
+];
+
+router.post('/', auth, uploadPhoto, submitValidation, correctionController.submitCorrection);
+router.get('/history', adminAuth, correctionController.getPlaceHistory);
+
+module.exports = router;
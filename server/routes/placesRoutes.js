@@ -1,8 +1,14 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
 const placesController = require('../controllers/placesController');
-const { auth, optionalAuth } = require('../middleware/auth');
+const reviewRoutes = require('./reviewRoutes');
+const accessibilityRoutes = require('./accessibilityRoutes');
+const placeCorrectionRoutes = require('./placeCorrectionRoutes');
+const { auth, optionalAuth, adminAuth } = require('../middleware/auth');
+const { uploadPhotos } = require('../middleware/upload');
 const { validateRequest } = require('../utils/validation');
+const { parseBoundingBox, parsePolygon } = require('../utils/geo');
+const { ATTRIBUTE_FILTERS, REQUIRED_FILTERS, ATTRIBUTE_VOCABULARIES } = require('../utils/placeAttributes');
 
 const router = express.Router();
 
@@ -20,6 +26,251 @@ const searchValidation = [
     .optional()
     .isIn(['RATING', 'POPULARITY', 'DISTANCE'])
     .withMessage('Sort must be RATING, POPULARITY, or DISTANCE'),
+  query('category')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Category must be between 1 and 50 characters'),
+  query('near')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Near must be between 2 and 100 characters'),
+  query('minPrice')
+    .optional()
+    .isInt({ min: 1, max: 4 })
+    .withMessage('minPrice must be between 1 and 4'),
+  query('maxPrice')
+    .optional()
+    .isInt({ min: 1, max: 4 })
+    .withMessage('maxPrice must be between 1 and 4'),
+  query('minRating')
+    .optional()
+    .isFloat({ min: 0, max: 10 })
+    .withMessage('minRating must be between 0 and 10'),
+  validateRequest
+];
+
+// Attribute filters take comma-separated values from the matching vocabulary
+const attributeValidation = [
+  ...Object.entries({ ...ATTRIBUTE_FILTERS, ...REQUIRED_FILTERS }).map(([param, group]) => query(param)
+    .optional()
+    .custom(value => String(value).split(',')
+      .map(item => item.trim().toLowerCase())
+      .every(item => !item || ATTRIBUTE_VOCABULARIES[group].includes(item)))
+    .withMessage(`${param} must be a comma-separated list of: ${ATTRIBUTE_VOCABULARIES[group].join(', ')}`)),
+  validateRequest
+];
+
+const unmappedAttributesValidation = [
+  query('kind')
+    .optional()
+    .isIn(['category', 'feature'])
+    .withMessage('Kind must be category or feature'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+  validateRequest
+];
+
+const autocompleteValidation = [
+  query('q')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Query must be between 2 and 100 characters'),
+  query('ll')
+    .optional()
+    .matches(/^-?\d+\.?\d*,-?\d+\.?\d*$/)
+    .withMessage('Location must be in format "longitude,latitude"'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20'),
+  validateRequest
+];
+
+const withinValidation = [
+  query('bbox')
+    .optional()
+    .custom(value => !!parseBoundingBox(value))
+    .withMessage('bbox must be "minLng,minLat,maxLng,maxLat"'),
+  query('polygon')
+    .optional()
+    .custom(value => !!parsePolygon(value))
+    .withMessage('polygon must be a GeoJSON Polygon or MultiPolygon with closed rings'),
+  query()
+    .custom((value, { req }) => !!req.query.bbox !== !!req.query.polygon)
+    .withMessage('Provide either bbox or polygon'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('sort')
+    .optional()
+    .isIn(['RATING', 'POPULARITY'])
+    .withMessage('Sort must be RATING or POPULARITY'),
+  validateRequest
+];
+
+const densityValidation = [
+  query('bbox')
+    .notEmpty()
+    .withMessage('bbox is required')
+    .custom(value => !!parseBoundingBox(value))
+    .withMessage('bbox must be "minLng,minLat,maxLng,maxLat"'),
+  query('precision')
+    .optional()
+    .isInt({ min: 1, max: 9 })
+    .withMessage('Precision must be between 1 and 9'),
+  query('category')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Category must be between 1 and 50 characters'),
+  validateRequest
+];
+
+const compareValidation = [
+  query('ids')
+    .notEmpty()
+    .withMessage('Place IDs are required')
+    .custom(value => {
+      const ids = String(value).split(',').map(id => id.trim()).filter(Boolean);
+      return ids.length >= 2 && ids.length <= 5 && new Set(ids).size === ids.length;
+    })
+    .withMessage('Compare between 2 and 5 different places'),
+  query('ll')
+    .optional()
+    .matches(/^-?\d+\.?\d*,-?\d+\.?\d*$/)
+    .withMessage('Location must be in format "longitude,latitude"'),
+  validateRequest
+];
+
+const similarValidation = [
+  query('near')
+    .optional()
+    .isIn(['place', 'user'])
+    .withMessage('Near must be place or user'),
+  query('ll')
+    .optional()
+    .matches(/^-?\d+\.?\d*,-?\d+\.?\d*$/)
+    .withMessage('Location must be in format "longitude,latitude"'),
+  query('radius')
+    .optional()
+    .isInt({ min: 100, max: 50000 })
+    .withMessage('Radius must be between 100 and 50000 meters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20'),
+  validateRequest
+];
+
+const cursorValidation = [
+  query('cursor')
+    .optional()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Cursor must be a token from a previous page'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  validateRequest
+];
+
+const hoursValidation = [
+  query('openNow')
+    .optional()
+    .isBoolean()
+    .withMessage('openNow must be true or false'),
+  query('openAt')
+    .optional()
+    .isISO8601()
+    .withMessage('openAt must be an ISO 8601 date-time'),
+  query('openFor')
+    .optional()
+    .isInt({ min: 1, max: 1440 })
+    .withMessage('openFor must be between 1 and 1440 minutes'),
+  query('closingWithin')
+    .optional()
+    .isInt({ min: 1, max: 1440 })
+    .withMessage('closingWithin must be between 1 and 1440 minutes'),
+  validateRequest
+];
+
+const LOCAL_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const HOURS_TIME = /^\+?([01]\d|2[0-4]):?[0-5]\d$/;
+
+const specialHoursValidation = (optional = false) => {
+  const field = (rule) => optional ? rule.optional() : rule;
+
+  return [
+    field(body('startDate'))
+      .matches(LOCAL_DATE)
+      .withMessage('Start date must be YYYY-MM-DD'),
+    field(body('endDate'))
+      .matches(LOCAL_DATE)
+      .withMessage('End date must be YYYY-MM-DD')
+      .custom((endDate, { req }) => !req.body.startDate || endDate >= req.body.startDate)
+      .withMessage('End date must be on or after start date'),
+    body('label')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Label cannot be more than 100 characters'),
+    body('closed')
+      .optional()
+      .isBoolean()
+      .withMessage('Closed must be true or false'),
+    body('open')
+      .optional()
+      .isArray()
+      .withMessage('Open must be an array of time spans'),
+    body('open.*.day')
+      .optional()
+      .isInt({ min: 1, max: 7 })
+      .withMessage('Day must be between 1 (Monday) and 7 (Sunday)'),
+    body('open.*.open')
+      .matches(HOURS_TIME)
+      .withMessage('Open time must be HHMM'),
+    body('open.*.close')
+      .matches(HOURS_TIME)
+      .withMessage('Close time must be HHMM'),
+    body()
+      .custom(value => optional || value.closed === true || value.closed === 'true' || (value.open || []).length > 0)
+      .withMessage('Special hours must either be closed or list open times'),
+    validateRequest
+  ];
+};
+
+const photoUploadValidation = [
+  body('caption')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Caption cannot exceed 200 characters'),
+  validateRequest
+];
+
+const photoIdValidation = [
+  param('photoId')
+    .isMongoId()
+    .withMessage('Invalid photo ID'),
+  validateRequest
+];
+
+const overrideIdValidation = [
+  param('overrideId')
+    .isMongoId()
+    .withMessage('Invalid special hours ID'),
+  validateRequest
+];
+
+const addPlaceOwnerValidation = [
+  body('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
   validateRequest
 ];
 
@@ -86,19 +337,38 @@ const locationValidation = [
 ];
 
 // Public routes
-router.get('/search', optionalAuth, searchValidation, placesController.searchPlaces);
-router.get('/:id', optionalAuth, placeIdValidation, placesController.getPlaceDetails);
-router.get('/:id/photos', optionalAuth, placeIdValidation, placesController.getPlacePhotos);
-router.get('/:id/tips', optionalAuth, placeIdValidation, placesController.getPlaceTips);
+router.get('/search', optionalAuth, searchValidation, attributeValidation, hoursValidation, cursorValidation, placesController.searchPlaces);
+router.get('/autocomplete', optionalAuth, autocompleteValidation, placesController.autocompletePlaces);
+router.get('/compare', optionalAuth, compareValidation, placesController.comparePlaces);
+router.get('/density', densityValidation, placesController.getPlaceDensity);
+router.get('/within', searchValidation, attributeValidation, withinValidation, placesController.getPlacesWithin);
+router.get('/categories', placesController.getCategories);
 router.get('/category/:category', optionalAuth, locationValidation, placesController.searchByCategory);
 router.get('/trending', optionalAuth, locationValidation, placesController.getTrendingPlaces);
-router.get('/nearby', optionalAuth, locationValidation, placesController.getNearbyPlaces);
+router.get('/nearby', optionalAuth, locationValidation, attributeValidation, hoursValidation, cursorValidation, placesController.getNearbyPlaces);
 
 // Protected routes
 router.post('/favorite', auth, addToFavoritesValidation, placesController.addToFavorites);
 router.delete('/favorite/:placeId', auth, placeIdValidation, placesController.removeFromFavorites);
 router.post('/visited', auth, markAsVisitedValidation, placesController.markAsVisited);
-router.get('/favorites', auth, placesController.getFavorites);
-router.get('/visited', auth, placesController.getVisitedPlaces);
+router.get('/favorites', auth, cursorValidation, placesController.getFavorites);
+router.get('/visited', auth, cursorValidation, placesController.getVisitedPlaces);
+router.get('/attributes/unmapped', adminAuth, unmappedAttributesValidation, placesController.getUnmappedAttributes);
+
+// Place routes go last so /:id does not shadow the static paths above
+router.get('/:id', optionalAuth, placeIdValidation, placesController.getPlaceDetails);
+router.get('/:id/similar', optionalAuth, placeIdValidation, similarValidation, placesController.getSimilarPlaces);
+router.get('/:id/photos', optionalAuth, placeIdValidation, placesController.getPlacePhotos);
+router.post('/:id/photos', auth, placeIdValidation, uploadPhotos, photoUploadValidation, placesController.uploadPlacePhotos);
+router.delete('/:id/photos/:photoId', auth, placeIdValidation, photoIdValidation, placesController.deletePlacePhoto);
+router.get('/:id/tips', optionalAuth, placeIdValidation, placesController.getPlaceTips);
+router.use('/:id/reviews', placeIdValidation, reviewRoutes);
+router.use('/:id/accessibility', placeIdValidation, accessibilityRoutes);
+router.use('/:id/corrections', placeIdValidation, placeCorrectionRoutes);
+router.get('/:id/hours', placeIdValidation, placesController.getPlaceHours);
+router.post('/:id/hours/special', auth, placeIdValidation, specialHoursValidation(), placesController.addSpecialHours);
+router.put('/:id/hours/special/:overrideId', auth, placeIdValidation, overrideIdValidation, specialHoursValidation(true), placesController.updateSpecialHours);
+router.delete('/:id/hours/special/:overrideId', auth, placeIdValidation, overrideIdValidation, placesController.removeSpecialHours);
+router.post('/:id/owners', adminAuth, placeIdValidation, addPlaceOwnerValidation, placesController.addPlaceOwner);
 
 module.exports = router; 
\ No newline at end of file
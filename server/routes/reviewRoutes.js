@@ -0,0 +1,63 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const reviewController = require('../controllers/reviewController');
+const { auth, optionalAuth } = require('../middleware/auth');
+const { validateRequest } = require('../utils/validation');
+
+// Mounted at /api/places/:id/reviews
+const router = express.Router({ mergeParams: true });
+
+// Validation rules
+const reviewValidation = (partial = false) => {
+  const field = (chain) => partial ? chain.optional() : chain;
+
+  return [
+    field(body('rating'))
+      .isInt({ min: 1, max: 5 })
+      .withMessage('Rating must be between 1 and 5'),
+    body('text')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Review cannot exceed 2000 characters'),
+    body('visitDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Visit date must be a valid date')
+      .custom(value => new Date(value) <= new Date())
+      .withMessage('Visit date cannot be in the future'),
+    validateRequest
+  ];
+};
+
+const listValidation = [
+  query('sort')
+    .optional()
+    .isIn(['recent', 'helpful', 'rating'])
+    .withMessage('Sort must be recent, helpful or rating'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  query('cursor')
+    .optional()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Cursor must be a token from a previous page'),
+  validateRequest
+];
+
+const reviewIdValidation = [
+  param('reviewId')
+    .isMongoId()
+    .withMessage('Invalid review ID'),
+  validateRequest
+];
+
+router.get('/', optionalAuth, listValidation, reviewController.getReviews);
+router.post('/', auth, reviewValidation(), reviewController.createReview);
+router.put('/:reviewId', auth, reviewIdValidation, reviewValidation(true), reviewController.updateReview);
+router.delete('/:reviewId', auth, reviewIdValidation, reviewController.deleteReview);
+router.post('/:reviewId/helpful', auth, reviewIdValidation, reviewController.setReviewHelpful);
+router.delete('/:reviewId/helpful', auth, reviewIdValidation, reviewController.setReviewHelpful);
+
+module.exports = router;
@@ -0,0 +1,124 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const tripController = require('../controllers/tripController');
+const { auth } = require('../middleware/auth');
+const { validateRequest } = require('../utils/validation');
+const { TRAVEL_MODES } = require('../services/routingProvider');
+
+const router = express.Router();
+
+// Validation rules
+const tripDetailsValidation = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Title must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Description must be between 1 and 500 characters'),
+  body('lodging')
+    .optional()
+    .isObject()
+    .withMessage('Lodging must be an object'),
+  body('lodging.name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Lodging name must be between 1 and 200 characters'),
+  body('lodging.address')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 300 })
+    .withMessage('Lodging address must be between 1 and 300 characters'),
+  body('lodging.ll')
+    .optional()
+    .matches(/^-?\d+\.?\d*,-?\d+\.?\d*$/)
+    .withMessage('Lodging location must be in format "longitude,latitude"'),
+  body('budget')
+    .optional()
+    .isObject()
+    .withMessage('Budget must be an object'),
+  body('budget.amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Budget amount must be a positive number')
+    .toFloat(),
+  body('budget.currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Budget currency must be an ISO 4217 code'),
+  body('tags')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Tags must be an array of at most 20 tags'),
+  body('tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each tag must be between 1 and 50 characters')
+];
+
+const generateTripValidation = [
+  body('prompt')
+    .notEmpty()
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Prompt must be between 10 and 500 characters'),
+  body(['startDate', 'endDate'])
+    .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+    .withMessage('Start and end dates must be in format YYYY-MM-DD'),
+  body('location')
+    .optional()
+    .matches(/^-?\d+\.?\d*,-?\d+\.?\d*$/)
+    .withMessage('Location must be in format "longitude,latitude"'),
+  body('near')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Near must be between 2 and 100 characters'),
+  body('startTime')
+    .optional()
+    .isISO8601()
+    .withMessage('Start time must be an ISO 8601 date-time'),
+  body('timeBudget')
+    .optional()
+    .isInt({ min: 15, max: 1440 })
+    .withMessage('Time budget must be between 15 and 1440 minutes'),
+  body('travelMode')
+    .optional()
+    .isIn(TRAVEL_MODES)
+    .withMessage(`Travel mode must be one of: ${TRAVEL_MODES.join(', ')}`),
+  ...tripDetailsValidation,
+  validateRequest
+];
+
+const tripIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid trip ID'),
+  validateRequest
+];
+
+const getUserTripsValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  validateRequest
+];
+
+// Protected routes
+router.post('/generate', auth, generateTripValidation, tripController.generateTrip);
+router.get('/', auth, getUserTripsValidation, tripController.getUserTrips);
+router.get('/:id', auth, tripIdValidation, tripController.getTrip);
+router.put('/:id', auth, tripIdValidation, tripDetailsValidation, validateRequest, tripController.updateTrip);
+router.delete('/:id', auth, tripIdValidation, tripController.deleteTrip);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+const config = require('./config/config');
+const categoryService = require('./services/categoryService');
+
+// Reload the category taxonomy from data/categories.json
+const seedCategories = async () => {
+  try {
+    await mongoose.connect(config.mongoUri);
+    const count = await categoryService.seed();
+    console.log(`Seeded ${count} categories from ${categoryService.seedFile}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error seeding categories:', error.message);
+    process.exit(1);
+  }
+};
+
+seedCategories();
@@ -1,6 +1,8 @@
 const app = require('./app');
 const config = require('./config/config');
 const logger = require('./utils/logger');
+const popularityJob = require('./jobs/popularityJob');
+const itineraryLiveService = require('./services/itineraryLiveService');
 
 const PORT = config.port;
 
@@ -23,6 +25,9 @@ const server = app.listen(PORT, () => {
   
   🔗 Frontend URL: ${config.corsOrigin}
   `);
+
+  // Keep place popularity fresh for trending places
+  popularityJob.start();
 });
 
 // Handle server errors
@@ -50,6 +55,8 @@ server.on('error', (error) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down server gracefully');
+  popularityJob.stop();
+  itineraryLiveService.closeAll();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
@@ -58,6 +65,8 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down server gracefully');
+  popularityJob.stop();
+  itineraryLiveService.closeAll();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const config = require('../config/config');
+const UnmappedAttribute = require('../models/UnmappedAttribute');
+const { normalizeText } = require('../utils/textSearch');
+const { ATTRIBUTE_VOCABULARIES, emptyAttributes } = require('../utils/placeAttributes');
+
+const FALSY_VALUES = ['false', 'f', 'no', 'n', '0', 'none'];
+
+// Provider feature values are booleans or short strings such as "t" or "Yes"
+const isPresent = (value) => {
+  if (typeof value === 'string') return !FALSY_VALUES.includes(value.trim().toLowerCase());
+  return value === true || typeof value === 'number';
+};
+
+// Flatten nested provider features, e.g. { amenities: { outdoor_seating: true } },
+// into the names of the features that are present
+const flattenFeatures = (features, names = []) => {
+  if (!features || typeof features !== 'object') return names;
+
+  Object.entries(features).forEach(([key, value]) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flattenFeatures(value, names);
+    } else if (isPresent(value)) {
+      names.push(key.replace(/_/g, ' '));
+    }
+  });
+  return names;
+};
+
+// Maps provider categories, features and tastes onto the controlled
+// vocabularies in utils/placeAttributes. Category names are matched by
+// keyword, longest first, so "Sushi Bar" is not also read as a bar; features
+// are matched by exact name. Values the mapping does not cover are collected
+// and periodically recorded as UnmappedAttribute documents for curation.
+class AttributeMapper {
+  constructor(mappingFile = config.attributes.mappingFile) {
+    this.load(JSON.parse(fs.readFileSync(mappingFile, 'utf8')));
+    this.pending = new Map();
+    this.flushTimer = null;
+  }
+
+  // Normalize mapping keys and reject values outside the vocabularies, so
+  // curation mistakes fail at startup rather than producing bad data
+  load(mappings) {
+    const normalize = (rules, section) => new Map(Object.entries(rules).map(([key, groups]) => {
+      Object.entries(groups).forEach(([group, values]) => {
+        const vocabulary = ATTRIBUTE_VOCABULARIES[group];
+        const invalid = vocabulary ? values.filter(value => !vocabulary.includes(value)) : values;
+        if (invalid.length > 0) {
+          throw new Error(`Invalid ${group} value in attribute mapping ${section}.${key}: ${invalid.join(', ')}`);
+        }
+      });
+      return [normalizeText(key), groups];
+    }));
+
+    this.categoryRules = Array.from(normalize(mappings.categories, 'categories'))
+      .sort(([a], [b]) => b.split(' ').length - a.split(' ').length);
+    this.featureRules = normalize(mappings.features, 'features');
+    this.ignored = new Set((mappings.ignore || []).map(normalizeText));
+  }
+
+  // Map a raw provider place. Resolves nothing; unmapped values are returned
+  // so the caller decides whether to report them.
+  map(placeData) {
+    const attributes = emptyAttributes();
+    const unmapped = [];
+    const add = (groups) => Object.entries(groups).forEach(([group, values]) => {
+      attributes[group].push(...values);
+    });
+
+    (placeData.categories || []).forEach(category => {
+      let name = ` ${normalizeText(category.name)} `;
+      let matched = false;
+
+      this.categoryRules.forEach(([keyword, groups]) => {
+        if (!name.includes(` ${keyword} `)) return;
+        add(groups);
+        matched = true;
+        name = name.replace(` ${keyword} `, ' ');
+      });
+
+      if (!matched && category.name) unmapped.push({ kind: 'category', value: category.name });
+    });
+
+    this.getFeatureNames(placeData).forEach(feature => {
+      const key = normalizeText(feature);
+      if (!key || this.ignored.has(key)) return;
+
+      const groups = this.featureRules.get(key);
+      if (groups) {
+        add(groups);
+      } else {
+        unmapped.push({ kind: 'feature', value: key });
+      }
+    });
+
+    Object.keys(attributes).forEach(group => {
+      attributes[group] = Array.from(new Set(attributes[group]));
+    });
+
+    return { attributes, unmapped };
+  }
+
+  // Whether a previously unmapped value is now covered by the mapping
+  isMapped({ kind, value }) {
+    if (kind === 'category') {
+      return this.map({ categories: [{ name: value }] }).unmapped.length === 0;
+    }
+    const key = normalizeText(value);
+    return this.featureRules.has(key) || this.ignored.has(key);
+  }
+
+  // Feature names from Foursquare v3 `features` and `tastes`, and from the
+  // legacy attribute groups
+  getFeatureNames(placeData) {
+    const legacy = (placeData.attributes?.groups || [])
+      .flatMap(group => (group.items || []).map(item => item.displayName || item.name));
+
+    return [
+      ...flattenFeatures(placeData.features),
+      ...(placeData.tastes || []),
+      ...legacy
+    ].filter(Boolean);
+  }
+
+  // Queue unmapped values from raw provider places for reporting
+  report(places) {
+    places.forEach(placeData => {
+      const placeId = placeData.fsq_id || placeData.id;
+      this.map(placeData).unmapped.forEach(({ kind, value }) => {
+        const key = `${kind}:${value}`;
+        const entry = this.pending.get(key) || { kind, value, count: 0, placeId };
+        entry.count++;
+        this.pending.set(key, entry);
+      });
+    });
+
+    if (this.pending.size > 0 && !this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), config.attributes.reportIntervalMs);
+      this.flushTimer.unref();
+    }
+  }
+
+  // Record queued unmapped values; failures are logged and dropped
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    const sightings = Array.from(this.pending.values());
+    this.pending.clear();
+
+    try {
+      await UnmappedAttribute.record(sightings);
+    } catch (error) {
+      console.error('Unmapped attribute report error:', error.message);
+    }
+  }
+}
+
+module.exports = new AttributeMapper();
@@ -0,0 +1,180 @@
+const config = require('../config/config');
+const Place = require('../models/Place');
+const { parseCoordinates, haversineDistance, EARTH_RADIUS_METERS } = require('../utils/geo');
+const {
+  MAX_PREFIX_LENGTH,
+  normalizeText,
+  tokenize,
+  getTrigrams,
+  trigramSimilarity
+} = require('../utils/textSearch');
+
+const SUGGESTION_FIELDS = 'foursquareId name category categories location popularity rating';
+const TEXT_MATCH_LIMIT = 20;
+const MIN_MATCH_SCORE = 0.3;
+
+// Resolve with null instead of waiting past the deadline
+const withDeadline = (promise, deadline) => {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(null), Math.max(deadline - Date.now(), 0));
+  });
+
+  return Promise.race([promise, timeout])
+    .catch(error => {
+      console.error('Autocomplete query error:', error.message);
+      return [];
+    })
+    .finally(() => clearTimeout(timer));
+};
+
+// Type-ahead suggestions over cached places. Name and category prefixes and
+// trigrams handle partial and misspelled input; the text index adds matches
+// from descriptions and tips. Results are ranked by match quality and
+// proximity, and always returned within the configured latency budget.
+class AutocompleteService {
+  constructor() {
+    this.timeoutMs = config.autocomplete.timeoutMs;
+    this.maxDistance = config.autocomplete.maxDistance;
+    this.candidateLimit = config.autocomplete.candidateLimit;
+  }
+
+  async suggest({ q, ll, limit = 8 }) {
+    const startedAt = Date.now();
+    const terms = tokenize(q);
+    const coordinates = parseCoordinates(ll);
+
+    if (terms.length === 0) {
+      return { suggestions: [], timedOut: false, tookMs: 0 };
+    }
+
+    // Queries still running at the deadline are dropped; whatever
+    // finished in time is ranked and returned
+    const deadline = startedAt + this.timeoutMs;
+    const [nameMatches, textMatches] = await Promise.all([
+      withDeadline(this.findByName(terms, coordinates), deadline),
+      withDeadline(this.findByText(q, coordinates), deadline)
+    ]);
+
+    const suggestions = this.rank(q, terms, coordinates, nameMatches || [], textMatches || [])
+      .slice(0, limit);
+
+    return {
+      suggestions,
+      timedOut: nameMatches === null || textMatches === null,
+      tookMs: Date.now() - startedAt
+    };
+  }
+
+  // Places whose name or category starts with the last term, or that share
+  // name trigrams with the query
+  findByName(terms, coordinates) {
+    const prefix = terms[terms.length - 1].slice(0, MAX_PREFIX_LENGTH);
+    const filter = {
+      isActive: true,
+      $or: [
+        { 'searchTerms.prefixes': prefix },
+        { 'searchTerms.trigrams': { $in: getTrigrams(terms.join(' ')) } }
+      ]
+    };
+
+    if (coordinates) {
+      filter['location.coordinates'] = {
+        $near: {
+          $geometry: {
+            type: 'Point',
+            coordinates
+          },
+          $maxDistance: this.maxDistance
+        }
+      };
+    }
+
+    const cursor = Place.find(filter)
+      .select(SUGGESTION_FIELDS)
+      .limit(this.candidateLimit)
+      .maxTimeMS(this.timeoutMs)
+      .lean();
+
+    // $near already orders by distance
+    if (!coordinates) cursor.sort({ popularity: -1 });
+
+    return cursor;
+  }
+
+  // Whole-word matches from the text index, including descriptions and tips
+  findByText(q, coordinates) {
+    const filter = {
+      $text: { $search: normalizeText(q) },
+      isActive: true
+    };
+
+    if (coordinates) {
+      filter['location.coordinates'] = {
+        $geoWithin: {
+          $centerSphere: [coordinates, this.maxDistance / EARTH_RADIUS_METERS]
+        }
+      };
+    }
+
+    return Place.find(filter, { score: { $meta: 'textScore' } })
+      .select(SUGGESTION_FIELDS)
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(TEXT_MATCH_LIMIT)
+      .maxTimeMS(this.timeoutMs)
+      .lean();
+  }
+
+  // Score how well a place matches the query, from 0 to 1
+  scoreMatch(q, terms, place, isTextMatch) {
+    const nameTokens = tokenize(place.name);
+    const categoryTokens = tokenize((place.categories || []).map(category => category.name).join(' '));
+    const startsWord = (tokens, term) => tokens.some(token => token.startsWith(term));
+
+    const prefixScore = terms.filter(term => startsWord(nameTokens, term)).length / terms.length;
+    const similarity = trigramSimilarity(q, place.name);
+    const categoryScore = startsWord(categoryTokens, terms[terms.length - 1]) ? 0.6 : 0;
+
+    const scores = {
+      name: Math.max(prefixScore, similarity),
+      category: categoryScore,
+      text: isTextMatch ? 0.4 : 0
+    };
+    const matchedOn = Object.keys(scores).reduce((best, key) => scores[key] > scores[best] ? key : best);
+
+    return { score: scores[matchedOn], matchedOn };
+  }
+
+  // Merge candidates and rank by match quality, then proximity
+  rank(q, terms, coordinates, nameMatches, textMatches) {
+    const textIds = new Set(textMatches.map(place => place.foursquareId));
+    const candidates = new Map();
+    [...nameMatches, ...textMatches].forEach(place => candidates.set(place.foursquareId, place));
+
+    return Array.from(candidates.values())
+      .map(place => {
+        const { score: match, matchedOn } = this.scoreMatch(q, terms, place, textIds.has(place.foursquareId));
+        const distance = coordinates && place.location?.coordinates?.coordinates
+          ? haversineDistance(coordinates, place.location.coordinates.coordinates)
+          : null;
+        const proximity = distance === null ? 0 : 1 / (1 + distance / 1000);
+
+        return {
+          id: place.foursquareId,
+          name: place.name,
+          category: place.category,
+          address: place.location?.address || '',
+          city: place.location?.city || '',
+          distance: distance === null ? null : Math.round(distance),
+          matchedOn,
+          match,
+          score: Math.round((match * 0.7 + proximity * 0.3) * 1000) / 1000
+        };
+      })
+      .filter(suggestion => suggestion.match >= MIN_MATCH_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .map(({ match, ...suggestion }) => suggestion);
+  }
+}
+
+module.exports = new AutocompleteService();
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const config = require('../config/config');
+const Category = require('../models/Category');
+
+// Category taxonomy backed by the Category collection. The collection is
+// seeded from the bundled taxonomy file the first time it is found empty.
+class CategoryService {
+  constructor() {
+    this.seedFile = config.categories.seedFile;
+    this.seeding = null;
+  }
+
+  readSeedFile() {
+    return JSON.parse(fs.readFileSync(this.seedFile, 'utf8'));
+  }
+
+  // Replace the stored taxonomy with the contents of the seed file
+  async seed() {
+    const nodes = this.readSeedFile();
+    await Category.seed(nodes);
+    return nodes.length;
+  }
+
+  // Seed once if the collection is empty
+  async ensureSeeded() {
+    if (!this.seeding) {
+      this.seeding = Category.estimatedDocumentCount()
+        .then(count => (count === 0 ? this.seed() : count))
+        .catch(error => {
+          this.seeding = null;
+          throw error;
+        });
+    }
+    return this.seeding;
+  }
+
+  // Get the taxonomy as a nested tree
+  async getTree() {
+    await this.ensureSeeded();
+    const categories = await Category.find().sort({ name: 1 }).lean();
+
+    const nodes = new Map(categories.map(category => [category.slug, {
+      slug: category.slug,
+      name: category.name,
+      icon: category.icon,
+      aliases: category.aliases,
+      foursquareIds: category.foursquareIds,
+      children: []
+    }]));
+
+    const roots = [];
+    categories.forEach(category => {
+      const node = nodes.get(category.slug);
+      const parent = nodes.get(category.parent);
+      if (parent) {
+        parent.children.push(node);
+      } else {
+        roots.push(node);
+      }
+    });
+
+    return roots;
+  }
+
+  // Resolve a slug or alias to a category
+  async resolve(term) {
+    await this.ensureSeeded();
+    return Category.resolve(term);
+  }
+
+  // Get provider category IDs for a category and its descendants,
+  // or null if the term is not in the taxonomy
+  async getProviderIds(term) {
+    const category = await this.resolve(term);
+    if (!category) return null;
+
+    const categories = await Category.findWithDescendants(category.slug);
+    const ids = new Set();
+    categories.forEach(node => node.foursquareIds.forEach(id => ids.add(id)));
+    return Array.from(ids);
+  }
+}
+
+module.exports = new CategoryService();
@@ -0,0 +1,136 @@
+const config = require('../config/config');
+const Itinerary = require('../models/Itinerary');
+const ItineraryInvitation = require('../models/ItineraryInvitation');
+const User = require('../models/User');
+const { createInviteToken, hashInviteToken } = require('../utils/collaboration');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const collaborationError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const inviteExpiry = () => new Date(Date.now() + config.collaboration.inviteTtlDays * MS_PER_DAY);
+
+// Sharing itineraries with other LocaMate users. Owners invite users by the
+// email of their account or with a link; accepting an invitation adds the
+// user to the itinerary's collaborators with the invitation's role.
+class CollaborationService {
+  // Invite the user with this account email; inviting them again refreshes
+  // the open invitation
+  async inviteByEmail(itinerary, inviter, email, role) {
+    const invitee = await User.findOne({ email: email.toLowerCase() });
+    if (!invitee) {
+      throw collaborationError('No LocaMate user has that email', 404);
+    }
+
+    const currentRole = itinerary.roleOf(invitee._id);
+    if (currentRole) {
+      throw collaborationError(currentRole === 'owner'
+        ? 'You already own this itinerary'
+        : 'That user already collaborates on this itinerary', 409);
+    }
+
+    return ItineraryInvitation.findOneAndUpdate(
+      { itinerary: itinerary._id, invitee: invitee._id, kind: 'email', status: 'pending' },
+      { role, email: invitee.email, invitedBy: inviter._id, expiresAt: inviteExpiry() },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  // Create a link anyone signed in can use to join; the token is only
+  // available here
+  async createLink(itinerary, inviter, role) {
+    const token = createInviteToken();
+    const invitation = await ItineraryInvitation.create({
+      itinerary: itinerary._id,
+      kind: 'link',
+      role,
+      invitedBy: inviter._id,
+      tokenHash: hashInviteToken(token),
+      expiresAt: inviteExpiry()
+    });
+
+    return {
+      invitation,
+      token,
+      url: `${config.collaboration.appUrl}/itinerary?invite=${encodeURIComponent(token)}`
+    };
+  }
+
+  // Open link invitation for a token, or null
+  async findLink(token) {
+    return ItineraryInvitation.findOne({ tokenHash: hashInviteToken(token), kind: 'link' });
+  }
+
+  // Add the user to the invitation's itinerary
+  async accept(invitation, user) {
+    if (!invitation.isOpen) {
+      throw collaborationError('This invitation has expired or is no longer valid', 410);
+    }
+
+    const itinerary = await Itinerary.findById(invitation.itinerary);
+    if (!itinerary) {
+      throw collaborationError('Itinerary not found', 404);
+    }
+
+    const currentRole = itinerary.roleOf(user._id);
+    if (currentRole === 'owner') {
+      throw collaborationError('You already own this itinerary');
+    }
+
+    // A viewer link does not demote an existing editor
+    if (!(currentRole === 'editor' && invitation.role === 'viewer')) {
+      itinerary.setCollaborator(user._id, invitation.role, invitation.invitedBy);
+      await itinerary.save();
+    }
+
+    if (invitation.kind === 'email') {
+      await invitation.respond('accepted');
+    } else {
+      invitation.uses += 1;
+      await invitation.save();
+    }
+
+    return itinerary;
+  }
+
+  // Format an invitation for its itinerary's owner or its invitee
+  formatInvitation(invitation) {
+    const { itinerary, invitedBy } = invitation;
+    return {
+      id: invitation._id,
+      kind: invitation.kind,
+      role: invitation.role,
+      email: invitation.email || null,
+      itinerary: itinerary?.title ? { id: itinerary._id, title: itinerary.title } : { id: itinerary },
+      invitedBy: invitedBy?.name ? { id: invitedBy._id, name: invitedBy.name } : { id: invitedBy },
+      status: invitation.status,
+      uses: invitation.kind === 'link' ? invitation.uses : undefined,
+      expiresAt: invitation.expiresAt,
+      createdAt: invitation.createdAt
+    };
+  }
+
+  // Owner and collaborators of an itinerary with users populated. Emails are
+  // only shown to the owner.
+  formatMembers(itinerary, showEmails = false) {
+    const member = (user, role, addedAt) => ({
+      id: user?._id || user,
+      name: user?.name,
+      avatar: user?.avatar,
+      email: showEmails ? user?.email : undefined,
+      role,
+      addedAt
+    });
+
+    return [
+      member(itinerary.user, 'owner', itinerary.createdAt),
+      ...itinerary.collaborators.map(c => member(c.user, c.role, c.addedAt))
+    ];
+  }
+}
+
+module.exports = new CollaborationService();
@@ -0,0 +1,36 @@
+const config = require('../config/config');
+const RoutingProvider = require('./routingProvider');
+const { haversineDistance } = require('../utils/geo');
+
+// Estimates legs without a street network: straight-line distance stretched
+// by a detour factor, at an average speed per travel mode. Used when no
+// router is configured and whenever the configured one fails.
+class EstimateRouter extends RoutingProvider {
+  constructor({ speeds, detourFactor } = config.routing) {
+    super('estimate');
+    this.speeds = speeds;
+    this.detourFactor = detourFactor;
+  }
+
+  leg(from, to, mode) {
+    const distance = haversineDistance(from, to) * this.detourFactor;
+    return {
+      distance,
+      duration: distance / (this.speeds[mode] * 1000 / 3600)
+    };
+  }
+
+  async route(points, mode) {
+    return points.slice(1).map((point, index) => this.leg(points[index], point, mode));
+  }
+
+  async matrix(points, mode) {
+    const legs = points.map(from => points.map(to => this.leg(from, to, mode)));
+    return {
+      distances: legs.map(row => row.map(leg => leg.distance)),
+      durations: legs.map(row => row.map(leg => leg.duration))
+    };
+  }
+}
+
+module.exports = EstimateRouter;
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const config = require('../config/config');
+const PlaceProvider = require('./placeProvider');
+const { parseCoordinates, haversineDistance } = require('../utils/geo');
+
+// Place provider backed by a local JSON file of Foursquare-shaped places.
+// Lets the API run without a Foursquare key (development, demos, tests).
+class FixtureService extends PlaceProvider {
+  constructor(filePath = config.fixtures.placesFile) {
+    super('fixture');
+    this.filePath = filePath;
+    this.places = null;
+  }
+
+  // Load fixtures lazily so a missing file only fails when it is used
+  loadPlaces() {
+    if (!this.places) {
+      const raw = fs.readFileSync(this.filePath, 'utf8');
+      this.places = JSON.parse(raw);
+    }
+    return this.places;
+  }
+
+  findPlace(placeId) {
+    return this.loadPlaces().find(place => place.fsq_id === placeId);
+  }
+
+  // Search for places nearby
+  async searchPlaces(params) {
+    try {
+      const {
+        query = '',
+        near = '',
+        ll = '',
+        radius = config.foursquare.defaultRadius,
+        categories = '',
+        limit = 20,
+        sort = 'RATING'
+      } = params;
+
+      const center = parseCoordinates(ll);
+      const categoryIds = categories
+        ? String(categories).split(',').map(id => id.trim())
+        : [];
+      const term = query.toLowerCase();
+
+      const places = this.loadPlaces()
+        .map(place => ({
+          ...place,
+          distance: center
+            ? Math.round(haversineDistance(center, [place.geocodes.main.longitude, place.geocodes.main.latitude]))
+            : undefined
+        }))
+        .filter(place => {
+          if (center && place.distance > radius) return false;
+          if (near && !place.location?.locality?.toLowerCase().includes(near.toLowerCase())) return false;
+          if (categoryIds.length > 0 && !place.categories.some(cat => categoryIds.includes(String(cat.id)))) {
+            return false;
+          }
+          if (term) {
+            const haystack = [
+              place.name,
+              place.description,
+              ...place.categories.map(cat => cat.name)
+            ].join(' ').toLowerCase();
+            if (!haystack.includes(term)) return false;
+          }
+          return true;
+        });
+
+      switch (sort) {
+        case 'DISTANCE':
+          places.sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity));
+          break;
+        case 'POPULARITY':
+          places.sort((a, b) => (b.stats?.total_checkins || 0) - (a.stats?.total_checkins || 0));
+          break;
+        default:
+          places.sort((a, b) => (b.rating || 0) - (a.rating || 0));
+      }
+
+      const results = places.slice(0, limit);
+      this.cachePlaces(results);
+
+      return this.formatPlaces(results);
+    } catch (error) {
+      console.error('Fixture search error:', error.message);
+      throw new Error('Failed to search places');
+    }
+  }
+
+  // Get detailed information about a specific place
+  async getPlaceDetails(placeId) {
+    const placeData = this.findPlace(placeId);
+    if (!placeData) {
+      const error = new Error('Place not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    this.cachePlace(placeData);
+    return this.formatPlace(placeData);
+  }
+
+  // Get place photos
+  async getPlacePhotos(placeId, limit = 10) {
+    return (this.findPlace(placeId)?.photos || []).slice(0, limit);
+  }
+
+  // Get place tips/reviews
+  async getPlaceTips(placeId, limit = 10) {
+    return (this.findPlace(placeId)?.tips || []).slice(0, limit);
+  }
+}
+
+module.exports = FixtureService;
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const config = require('../config/config');
+const GeocodingProvider = require('./geocodingProvider');
+const { haversineDistance } = require('../utils/geo');
+const { normalizeText, trigramSimilarity } = require('../utils/textSearch');
+
+const KINDS = ['city', 'neighborhood'];
+const MIN_SIMILARITY = 0.6;
+
+// Geocodes against a bundled gazetteer of cities and neighborhoods, so
+// lookups need no network access. Names match exactly, by prefix while the
+// user is still typing, or by trigram similarity to tolerate typos. Trailing
+// comma-separated parts ("Chinatown, London") must match the city, region or
+// country.
+class GazetteerGeocoder extends GeocodingProvider {
+  constructor(gazetteerFile = config.geocoding.gazetteerFile) {
+    super('gazetteer');
+    this.load(JSON.parse(fs.readFileSync(gazetteerFile, 'utf8')));
+  }
+
+  // Check the dataset and index its names, so mistakes fail at startup
+  load({ countries, places }) {
+    this.countries = new Map(Object.entries(countries));
+    const cities = new Set(places.filter(place => place.kind === 'city').map(place => `${place.name}|${place.country}`));
+
+    this.places = places.map(place => {
+      const [lng, lat] = place.coordinates || [];
+      if (!KINDS.includes(place.kind)) {
+        throw new Error(`Invalid kind in gazetteer entry ${place.name}: ${place.kind}`);
+      }
+      if (!this.countries.has(place.country)) {
+        throw new Error(`Unknown country in gazetteer entry ${place.name}: ${place.country}`);
+      }
+      if (!(Math.abs(lng) <= 180 && Math.abs(lat) <= 90)) {
+        throw new Error(`Invalid coordinates in gazetteer entry ${place.name}`);
+      }
+      if (place.kind === 'neighborhood' && !cities.has(`${place.city}|${place.country}`)) {
+        throw new Error(`Unknown city in gazetteer entry ${place.name}: ${place.city}`);
+      }
+
+      const country = this.countries.get(place.country);
+      return {
+        ...place,
+        names: [place.name, ...(place.aliases || [])].map(normalizeText),
+        // Values a trailing qualifier may match
+        qualifiers: [place.city, place.region, place.country, country.name, ...country.aliases]
+          .filter(Boolean)
+          .map(normalizeText)
+      };
+    });
+    this.cities = this.places.filter(place => place.kind === 'city');
+  }
+
+  // How well a normalized name matches an entry, from 0 to 1
+  matchScore(place, name) {
+    return Math.max(...place.names.map(candidate => {
+      if (candidate === name) return 1;
+      if (name.length >= 2 && candidate.startsWith(name)) return 0.8;
+
+      const similarity = trigramSimilarity(candidate, name);
+      return similarity >= MIN_SIMILARITY ? similarity * 0.75 : 0;
+    }));
+  }
+
+  async forward(query, { near, limit = 5 } = {}) {
+    const [name, ...qualifiers] = String(query || '').split(',').map(normalizeText).filter(Boolean);
+    if (!name) return [];
+
+    const matches = this.places
+      .filter(place => qualifiers.every(qualifier => place.qualifiers.includes(qualifier)))
+      .map(place => ({ place, score: this.matchScore(place, name) }))
+      .filter(({ score }) => score > 0);
+
+    // Without a reference point, cities come before neighborhoods and
+    // larger cities before smaller ones
+    const distance = ({ place }) => near ? haversineDistance(near, place.coordinates) : 0;
+    matches.sort((a, b) =>
+      b.score - a.score ||
+      distance(a) - distance(b) ||
+      KINDS.indexOf(a.place.kind) - KINDS.indexOf(b.place.kind) ||
+      (b.place.population || 0) - (a.place.population || 0));
+
+    return matches.slice(0, limit).map(({ place }) => this.format(place));
+  }
+
+  async reverse(coordinates) {
+    const nearest = (places) => places.reduce((best, place) => {
+      const distance = haversineDistance(coordinates, place.coordinates);
+      return !best || distance < best.distance ? { place, distance } : best;
+    }, null);
+
+    const city = nearest(this.cities);
+    if (!city || city.distance > config.geocoding.reverseMaxDistance) return null;
+
+    const neighborhood = nearest(this.places.filter(place =>
+      place.kind === 'neighborhood' && place.city === city.place.name && place.country === city.place.country));
+    const within = neighborhood && neighborhood.distance <= config.geocoding.radius.neighborhood;
+
+    return {
+      ...this.format(within ? neighborhood.place : city.place),
+      coordinates: Array.from(coordinates)
+    };
+  }
+
+  format(place) {
+    const isNeighborhood = place.kind === 'neighborhood';
+    const city = isNeighborhood ? place.city : place.name;
+    const countryName = this.countries.get(place.country).name;
+    const region = place.region && ![place.name, city].includes(place.region) ? place.region : null;
+
+    return {
+      name: place.name,
+      kind: place.kind,
+      neighborhood: isNeighborhood ? place.name : null,
+      city,
+      region: place.region || null,
+      country: place.country,
+      countryName,
+      coordinates: Array.from(place.coordinates),
+      radius: config.geocoding.radius[place.kind],
+      label: [place.name, isNeighborhood && city, region, countryName].filter(Boolean).join(', ')
+    };
+  }
+}
+
+module.exports = GazetteerGeocoder;
@@ -0,0 +1,22 @@
+// Base class for geocoding backends. Every backend returns locations in one
+// shape: { name, kind, neighborhood, city, region, country, countryName,
+// coordinates: [lng, lat], radius, label }, where kind is 'city' or
+// 'neighborhood' and radius is a sensible search radius in meters.
+class GeocodingProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Locations matching a name such as "Mission District" or "Paris, France",
+  // best first. `near` ([lng, lat]) breaks ties between equally good matches.
+  async forward(query, { near, limit } = {}) {
+    throw new Error(`${this.name} geocoder does not implement forward`);
+  }
+
+  // The neighborhood, city and country around a [lng, lat] pair, or null
+  async reverse(coordinates) {
+    throw new Error(`${this.name} geocoder does not implement reverse`);
+  }
+}
+
+module.exports = GeocodingProvider;
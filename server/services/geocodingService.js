@@ -0,0 +1,42 @@
+const config = require('../config/config');
+const GazetteerGeocoder = require('./gazetteerGeocoder');
+
+// Available geocoders, keyed by the name used in config.geocoding.provider
+const geocoders = {
+  gazetteer: GazetteerGeocoder
+};
+
+const createGeocoder = (name = config.geocoding.provider) => {
+  const Geocoder = geocoders[name];
+  if (!Geocoder) {
+    throw new Error(`Unknown geocoding provider: ${name}`);
+  }
+  return new Geocoder();
+};
+
+// Turns city and neighborhood names into coordinates and coordinates into
+// city and country, through the configured geocoder
+class GeocodingService {
+  constructor(geocoder = createGeocoder()) {
+    this.geocoder = geocoder;
+  }
+
+  // Locations matching a name, best first
+  async search(query, { near, limit = 5 } = {}) {
+    return this.geocoder.forward(query, { near, limit });
+  }
+
+  // The best match for a name, or null
+  async geocode(query, { near } = {}) {
+    const [location] = await this.geocoder.forward(query, { near, limit: 1 });
+    return location || null;
+  }
+
+  // The neighborhood, city and country around [lng, lat], or null
+  async reverse(coordinates) {
+    return this.geocoder.reverse(coordinates);
+  }
+}
+
+module.exports = new GeocodingService();
+module.exports.createGeocoder = createGeocoder;
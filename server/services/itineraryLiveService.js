@@ -0,0 +1,199 @@
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+
+const TICKET_PURPOSE = 'itinerary-live';
+
+// Places in visiting order, as sent to clients
+const orderedPlaces = (itinerary) =>
+  [...itinerary.places].sort((a, b) => a.order - b.order).map(place => place.toObject());
+
+// Real-time channel for itineraries edited by several people. Each open
+// itinerary has its own set of server-sent event streams; changes saved
+// through the API are pushed to every stream of that itinerary, along with
+// who is currently connected. Streams live in this process, so the server
+// must run as a single instance for everyone to see each other.
+class ItineraryLiveService {
+  constructor() {
+    this.channels = new Map(); // itinerary id -> Map of connection id -> { res, user, role }
+    this.nextConnectionId = 1;
+    this.heartbeatTimer = null;
+  }
+
+  // Short-lived token to open a stream with, since EventSource cannot send
+  // an Authorization header
+  createTicket(itineraryId, userId) {
+    return jwt.sign(
+      { userId, itinerary: itineraryId.toString(), purpose: TICKET_PURPOSE },
+      config.jwtSecret,
+      { expiresIn: config.live.ticketTtl }
+    );
+  }
+
+  // Decoded ticket for this itinerary; throws when it is invalid or expired
+  verifyTicket(ticket, itineraryId) {
+    const decoded = jwt.verify(ticket, config.jwtSecret);
+    if (decoded.purpose !== TICKET_PURPOSE || decoded.itinerary !== itineraryId.toString()) {
+      throw new jwt.JsonWebTokenError('Ticket is not for this itinerary');
+    }
+    return decoded;
+  }
+
+  // Turn the response into an event stream of the itinerary. The stream
+  // starts with a snapshot so reconnecting clients catch up.
+  subscribe(itinerary, user, role, req, res) {
+    const itineraryId = itinerary._id.toString();
+    const connectionId = this.nextConnectionId++;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.status(200);
+    res.write(`retry: ${config.live.retryMs}\n\n`);
+
+    if (!this.channels.has(itineraryId)) {
+      this.channels.set(itineraryId, new Map());
+    }
+    this.channels.get(itineraryId).set(connectionId, { res, user, role });
+    this.startHeartbeat();
+
+    this.send(res, 'snapshot', {
+      revision: itinerary.revision,
+      places: orderedPlaces(itinerary),
+      you: { id: user._id, role }
+    });
+    this.broadcastPresence(itineraryId);
+
+    req.on('close', () => this.unsubscribe(itineraryId, connectionId));
+  }
+
+  unsubscribe(itineraryId, connectionId) {
+    const channel = this.channels.get(itineraryId);
+    if (!channel || !channel.delete(connectionId)) return;
+
+    if (channel.size === 0) {
+      this.channels.delete(itineraryId);
+      this.stopHeartbeatIfIdle();
+    } else {
+      this.broadcastPresence(itineraryId);
+    }
+  }
+
+  // Push a saved change to everyone on the itinerary. Every change carries
+  // the new revision and the full place order, so clients never have to
+  // merge it themselves.
+  publish(itinerary, type, details, actor) {
+    const channel = this.channels.get(itinerary._id.toString());
+    if (!channel) return;
+
+    const payload = {
+      ...details,
+      revision: itinerary.revision,
+      places: orderedPlaces(itinerary),
+      totals: {
+        totalDistance: itinerary.totalDistance,
+        totalTravelTime: itinerary.totalTravelTime,
+        totalDuration: itinerary.totalDuration
+      },
+      actor: actor ? { id: actor._id, name: actor.name } : null,
+      at: new Date()
+    };
+    channel.forEach(({ res }) => this.send(res, type, payload));
+  }
+
+  // Close the streams of one user, or of everyone when no user is given,
+  // after telling them why
+  disconnect(itineraryId, type, details, userId = null) {
+    const id = itineraryId.toString();
+    const channel = this.channels.get(id);
+    if (!channel) return;
+
+    channel.forEach(({ res, user }, connectionId) => {
+      if (userId && user._id.toString() !== userId.toString()) return;
+      this.send(res, type, details);
+      res.end();
+      channel.delete(connectionId);
+    });
+
+    if (channel.size === 0) {
+      this.channels.delete(id);
+      this.stopHeartbeatIfIdle();
+    } else {
+      this.broadcastPresence(id);
+    }
+  }
+
+  // Keep a connected user's role current after the owner changes it
+  setRole(itineraryId, userId, role) {
+    const id = itineraryId.toString();
+    const channel = this.channels.get(id);
+    if (!channel) return;
+
+    channel.forEach(connection => {
+      if (connection.user._id.toString() === userId.toString()) connection.role = role;
+    });
+    this.broadcastPresence(id);
+  }
+
+  // End every stream, e.g. on shutdown: open streams would otherwise keep
+  // server.close() waiting forever. Browsers reconnect once the server is back.
+  closeAll() {
+    this.channels.forEach(channel => channel.forEach(({ res }) => {
+      this.send(res, 'server-closing', {});
+      res.end();
+    }));
+    this.channels.clear();
+    this.stopHeartbeatIfIdle();
+  }
+
+  // Users connected to an itinerary, once each however many tabs they have open
+  presence(itineraryId) {
+    const channel = this.channels.get(itineraryId.toString());
+    if (!channel) return [];
+
+    const users = new Map();
+    channel.forEach(({ user, role }) => {
+      const id = user._id.toString();
+      const entry = users.get(id) || { id: user._id, name: user.name, avatar: user.avatar, role, connections: 0 };
+      entry.connections++;
+      users.set(id, entry);
+    });
+    return Array.from(users.values());
+  }
+
+  broadcastPresence(itineraryId) {
+    const channel = this.channels.get(itineraryId);
+    if (!channel) return;
+
+    const users = this.presence(itineraryId);
+    channel.forEach(({ res }) => this.send(res, 'presence', { users }));
+  }
+
+  send(res, type, payload) {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+    // The compression middleware buffers output until flushed
+    if (res.flush) res.flush();
+  }
+
+  // Comment lines keep idle connections from being closed by proxies
+  startHeartbeat() {
+    if (this.heartbeatTimer) return;
+    this.heartbeatTimer = setInterval(() => {
+      this.channels.forEach(channel => channel.forEach(({ res }) => {
+        res.write(': ping\n\n');
+        if (res.flush) res.flush();
+      }));
+    }, config.live.heartbeatMs);
+    this.heartbeatTimer.unref();
+  }
+
+  stopHeartbeatIfIdle() {
+    if (this.channels.size > 0 || !this.heartbeatTimer) return;
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+}
+
+module.exports = new ItineraryLiveService();
@@ -0,0 +1,126 @@
+const placeCacheService = require('./placeCacheService');
+const geocodingService = require('./geocodingService');
+const { isOpenAt, getHoursStatus } = require('../utils/openingHours');
+
+const planningError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Shared steps of AI itinerary generation: working out where to plan, and
+// matching the stops the AI suggests to real places
+class ItineraryPlannerService {
+  // Where to plan from `location` ("lng,lat"), a named city or neighborhood
+  // (`near`) or the user's saved location
+  async resolveLocation(user, { location, near } = {}) {
+    // A named city or neighborhood stands in for coordinates
+    let searchLocation = location;
+    let providerNear = null;
+    if (!searchLocation && near) {
+      const geocoded = await geocodingService.geocode(near, { near: user.location?.coordinates });
+      if (geocoded) {
+        searchLocation = geocoded.coordinates.join(',');
+      } else {
+        searchLocation = await this.locateWithProvider(near);
+        providerNear = near;
+      }
+    }
+
+    // Use user's location if not provided
+    const usingUserLocation = !searchLocation;
+    searchLocation = searchLocation || user.location?.coordinates?.join(',');
+    if (!searchLocation) {
+      throw planningError('Location is required for itinerary generation');
+    }
+
+    const coordinates = searchLocation.split(',').map(coord => parseFloat(coord));
+    const area = await geocodingService.reverse(coordinates);
+
+    return {
+      searchLocation,
+      coordinates,
+      label: area ? `${area.label} (${searchLocation})` : providerNear ? `${providerNear} (${searchLocation})` : searchLocation,
+      // The user's saved city only describes their own location
+      city: area?.city || (usingUserLocation ? user.location?.city : undefined),
+      country: area?.country || (usingUserLocation ? user.location?.country : undefined)
+    };
+  }
+
+  // Coordinates for a name the gazetteer does not know: the place provider
+  // resolves it, and planning centers on the first place it finds there
+  async locateWithProvider(near) {
+    const { places } = await placeCacheService.search({ near, limit: 1 });
+    const anchor = places.find(place => place.coordinates?.length === 2);
+    if (!anchor) {
+      throw planningError(`Could not find a place called "${near}"`);
+    }
+    return anchor.coordinates.join(',');
+  }
+
+  // Itinerary places for the AI's suggested stops. Stops without a match, or
+  // whose matches are all in `exclude` (place IDs) or already used by an
+  // earlier stop, become placeholders, so no place appears twice.
+  async matchPlaces(suggestions, { searchLocation, startTime, exclude = new Set() }) {
+    // Expected arrival at each stop when the itinerary has a start time
+    let arrival = startTime ? new Date(startTime) : null;
+    const arrivals = suggestions.map(place => {
+      const arrivalTime = arrival;
+      if (arrival) {
+        arrival = new Date(arrival.getTime() + (place.estimatedDuration || 60) * 60 * 1000);
+      }
+      return arrivalTime;
+    });
+
+    // Search for every stop at once; a failed search leaves a placeholder
+    const results = await Promise.all(
+      suggestions.map(async (place) => {
+        try {
+          const { places: searchResults } = await placeCacheService.search({
+            query: place.name,
+            ll: searchLocation,
+            radius: 5000,
+            limit: 5
+          });
+          return searchResults;
+        } catch (error) {
+          console.error(`Error finding place ${place.name}:`, error);
+          return [];
+        }
+      })
+    );
+
+    // Then pick matches in visiting order, skipping places already taken
+    const taken = new Set(exclude);
+    return suggestions.map((place, index) => {
+      const arrivalTime = arrivals[index];
+
+      // Find the best match, preferring places open on arrival
+      const matches = results[index].filter(result =>
+        !taken.has(result.id) && (
+          result.name.toLowerCase().includes(place.name.toLowerCase()) ||
+          (place.category && result.category?.toLowerCase().includes(place.category.toLowerCase()))
+        )
+      );
+      const bestMatch = (arrivalTime &&
+        matches.find(result => isOpenAt(result.hours, result.timezone, arrivalTime) !== false)) ||
+        matches[0];
+      if (bestMatch) taken.add(bestMatch.id);
+
+      return {
+        placeId: bestMatch?.id || `placeholder-${index}`,
+        name: bestMatch?.name || place.name,
+        category: bestMatch?.category || place.category,
+        order: index + 1,
+        coordinates: bestMatch?.coordinates,
+        estimatedDuration: place.estimatedDuration || 60,
+        notes: place.notes || '',
+        details: bestMatch && arrivalTime
+          ? { ...bestMatch, hoursStatus: getHoursStatus(bestMatch.hours, bestMatch.timezone, arrivalTime) }
+          : bestMatch || null
+      };
+    });
+  }
+}
+
+module.exports = new ItineraryPlannerService();
@@ -0,0 +1,39 @@
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config/config');
+const PhotoStorage = require('./photoStorage');
+
+// Stores photos on local disk; app.js serves the directory at the public URL
+class LocalPhotoStorage extends PhotoStorage {
+  constructor(options = {}) {
+    super('local');
+    this.dir = path.resolve(options.dir || config.uploads.dir);
+    this.publicUrl = options.publicUrl || config.uploads.publicUrl;
+  }
+
+  // Resolve a key inside the upload directory, refusing keys that escape it
+  resolve(key) {
+    const filePath = path.resolve(this.dir, key);
+    if (!filePath.startsWith(this.dir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return key;
+  }
+
+  async remove(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+
+  getUrl(key) {
+    return `${this.publicUrl}/${key.split('/').map(encodeURIComponent).join('/')}`;
+  }
+}
+
+module.exports = LocalPhotoStorage;
@@ -1,5 +1,6 @@
 const OpenAI = require('openai');
 const config = require('../config/config');
+const { describeAttributes } = require('../utils/placeAttributes');
 
 class OpenAIService {
   constructor() {
@@ -36,10 +37,10 @@ class OpenAIService {
   }
 
   // Generate micro-itinerary based on user preferences and context
-  async generateItinerary(prompt, userPreferences = {}, location = null) {
+  async generateItinerary(prompt, userPreferences = {}, location = null, trip = null) {
     try {
       const systemPrompt = this.buildItinerarySystemPrompt(userPreferences);
-      const userPrompt = this.buildItineraryPrompt(prompt, location);
+      const userPrompt = this.buildItineraryPrompt(prompt, location, trip);
 
       const response = await this.openai.chat.completions.create({
         model: this.model,
@@ -155,7 +156,7 @@ Available place categories: restaurants, cafes, bars, parks, museums, theaters,
   // Build user prompt for chat
   buildUserPrompt(message, availablePlaces) {
     const placesInfo = availablePlaces.length > 0 
-      ? `Available places in the area: ${availablePlaces.map(p => `${p.name} (${p.category})`).join(', ')}`
+      ? `Available places in the area:\n${availablePlaces.map(p => this.describePlace(p)).join('\n')}`
       : 'No specific places available yet.';
 
     return `User message: "${message}"
@@ -169,6 +170,12 @@ Please provide a helpful response that:
 4. Provides context-aware recommendations`;
   }
 
+  // One line per place, with its normalized attributes when known
+  describePlace(place) {
+    const attributes = describeAttributes(place.attributes);
+    return `- ${place.name} (${place.category})${attributes ? ` [${attributes}]` : ''}`;
+  }
+
   // Build system prompt for itinerary generation
   buildItinerarySystemPrompt(userPreferences) {
     return `You are an expert travel planner creating personalized micro-itineraries. Consider the user's preferences and create engaging, realistic itineraries.
@@ -207,12 +214,20 @@ Return the itinerary as JSON with this structure:
 }`;
   }
 
-  // Build user prompt for itinerary generation
-  buildItineraryPrompt(prompt, location) {
+  // Build user prompt for itinerary generation. `trip` describes the day
+  // when the itinerary is one day of a multi-day trip.
+  buildItineraryPrompt(prompt, location, trip = null) {
+    const tripContext = trip ? `
+Day ${trip.day} of ${trip.dayCount} (${trip.date})${trip.lodging ? `
+Staying at: ${trip.lodging}` : ''}${trip.dailyBudget ? `
+Budget for the day: about ${trip.dailyBudget}` : ''}${trip.avoid?.length ? `
+Do not include these places, planned for other days: ${trip.avoid.join(', ')}` : ''}
+` : '';
+
     return `Create a personalized itinerary based on this request: "${prompt}"
 
 Location: ${location || 'Not specified'}
-
+${tripContext}
 Please create an engaging itinerary that matches the user's request and preferences.`;
   }
 
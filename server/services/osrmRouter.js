@@ -0,0 +1,54 @@
+const axios = require('axios');
+const config = require('../config/config');
+const RoutingProvider = require('./routingProvider');
+
+// Routes over the street network with an OSRM-compatible HTTP router, such
+// as a local osrm-routed instance:
+// GET {url}/route/v1/{profile}/{lng,lat;lng,lat;...} for legs and
+// GET {url}/table/v1/{profile}/{lng,lat;lng,lat;...} for matrices
+class OsrmRouter extends RoutingProvider {
+  constructor({ urls, profiles, timeoutMs } = config.routing.osrm) {
+    super('osrm');
+    this.urls = urls;
+    this.profiles = profiles;
+    this.client = axios.create({
+      headers: { 'Accept': 'application/json' },
+      timeout: timeoutMs
+    });
+  }
+
+  async request(service, points, mode, params) {
+    const waypoints = points.map(([lng, lat]) => `${lng},${lat}`).join(';');
+    const response = await this.client.get(
+      `${this.urls[mode]}/${service}/v1/${this.profiles[mode]}/${waypoints}`,
+      { params }
+    );
+
+    const { code, message } = response.data;
+    if (code !== 'Ok') {
+      throw new Error(`OSRM ${service} failed: ${message || code}`);
+    }
+    return response.data;
+  }
+
+  async route(points, mode) {
+    const { routes } = await this.request('route', points, mode, { overview: 'false', steps: 'false' });
+    if (!routes?.length) {
+      throw new Error('OSRM route failed: no route found');
+    }
+
+    return routes[0].legs.map(({ distance, duration }) => ({ distance, duration }));
+  }
+
+  async matrix(points, mode) {
+    const { distances, durations } = await this.request('table', points, mode, { annotations: 'distance,duration' });
+
+    // Unreachable pairs come back as null
+    if ([distances, durations].some(rows => !rows || rows.some(row => row.includes(null)))) {
+      throw new Error('OSRM table failed: some stops are unreachable');
+    }
+    return { distances, durations };
+  }
+}
+
+module.exports = OsrmRouter;
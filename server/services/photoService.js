@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const config = require('../config/config');
+const PlacePhoto = require('../models/PlacePhoto');
+const LocalPhotoStorage = require('./localPhotoStorage');
+
+// Available storage backends, keyed by the name used in config.uploads.storage
+const storages = {
+  local: LocalPhotoStorage
+};
+
+const createPhotoStorage = (name = config.uploads.storage) => {
+  const Storage = storages[name];
+  if (!Storage) {
+    throw new Error(`Unknown photo storage: ${name}`);
+  }
+  return new Storage();
+};
+
+const invalidPhoto = (name) => {
+  const error = new Error(`${name} is not a valid image`);
+  error.statusCode = 400;
+  return error;
+};
+
+// User-uploaded place photos. Uploads are re-encoded as JPEG, which applies
+// the EXIF orientation and drops all metadata, including GPS location.
+class PhotoService {
+  constructor(storage = createPhotoStorage()) {
+    this.storage = storage;
+  }
+
+  // Decode once per output so each size starts from the full image
+  async processImage(buffer) {
+    const image = () => sharp(buffer, { failOn: 'error' }).rotate();
+    const { maxDimension, thumbnailSizes } = config.uploads;
+
+    const original = await image()
+      .resize(maxDimension, maxDimension, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 85, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true });
+
+    const thumbnails = await Promise.all(Object.entries(thumbnailSizes).map(async ([size, pixels]) => [
+      size,
+      await image()
+        .resize(pixels, pixels, { fit: 'cover' })
+        .jpeg({ quality: 80, mozjpeg: true })
+        .toBuffer()
+    ]));
+
+    return {
+      original: original.data,
+      width: original.info.width,
+      height: original.info.height,
+      thumbnails
+    };
+  }
+
+  // Process and store uploaded files, then record them against the place.
+  // Every file is processed first so one bad image rejects the whole upload.
+  async upload(placeId, user, files, caption = '') {
+    const processedFiles = [];
+    for (const file of files) {
+      try {
+        processedFiles.push(await this.processImage(file.buffer));
+      } catch (error) {
+        throw invalidPhoto(file.originalname || 'Upload');
+      }
+    }
+
+    const photos = [];
+    for (const processed of processedFiles) {
+      const _id = new mongoose.Types.ObjectId();
+      const keys = await this.saveImage(`places/${placeId}/${_id}`, processed);
+
+      try {
+        photos.push(await PlacePhoto.create({
+          _id,
+          placeId,
+          user: user._id,
+          caption,
+          width: processed.width,
+          height: processed.height,
+          storage: this.storage.name,
+          files: keys
+        }));
+      } catch (error) {
+        await this.removeFiles(keys);
+        throw error;
+      }
+    }
+
+    return photos.map(photo => this.formatUploadedPhoto(photo, user));
+  }
+
+  // Process and store a single image that is not a place photo, such as
+  // evidence attached to a correction report
+  async uploadImage(prefix, file) {
+    let processed;
+    try {
+      processed = await this.processImage(file.buffer);
+    } catch (error) {
+      throw invalidPhoto(file.originalname || 'Upload');
+    }
+
+    return {
+      storage: this.storage.name,
+      width: processed.width,
+      height: processed.height,
+      files: await this.saveImage(prefix, processed)
+    };
+  }
+
+  // Store a processed image and its thumbnails under a key prefix; resolves
+  // with the storage key of each size
+  async saveImage(prefix, processed) {
+    const outputs = [['original', processed.original], ...processed.thumbnails];
+    const keys = Object.fromEntries(outputs.map(([size]) => [size, `${prefix}/${size}.jpg`]));
+
+    try {
+      await Promise.all(outputs.map(([size, buffer]) => this.storage.save(keys[size], buffer, 'image/jpeg')));
+    } catch (error) {
+      await this.removeFiles(keys);
+      throw error;
+    }
+
+    return keys;
+  }
+
+  // Uploaded photos of a place, newest first
+  async getPlacePhotos(placeId, limit = 10) {
+    const photos = await PlacePhoto.find({ placeId })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate('user', 'name');
+
+    return photos.map(photo => this.formatUploadedPhoto(photo, photo.user));
+  }
+
+  // Uploaded photos come first, then provider photos, up to the limit
+  mergePhotos(uploaded, providerPhotos, limit = 10) {
+    return [...uploaded, ...providerPhotos.map(photo => this.formatProviderPhoto(photo))].slice(0, limit);
+  }
+
+  async remove(photo) {
+    await this.removeFiles(Object.fromEntries(photo.files));
+    await photo.deleteOne();
+  }
+
+  async removeFiles(files) {
+    await Promise.all(Object.values(files).map(key =>
+      this.storage.remove(key).catch(error => console.error('Photo removal error:', error.message))
+    ));
+  }
+
+  // Public URLs of a stored image and its thumbnails
+  formatImage(storedFiles) {
+    const files = Object.fromEntries(storedFiles);
+
+    return {
+      url: this.storage.getUrl(files.original),
+      thumbnails: Object.fromEntries(Object.keys(config.uploads.thumbnailSizes)
+        .filter(size => files[size])
+        .map(size => [size, this.storage.getUrl(files[size])]))
+    };
+  }
+
+  formatUploadedPhoto(photo, user) {
+    return {
+      id: String(photo._id),
+      source: 'user',
+      ...this.formatImage(photo.files),
+      width: photo.width,
+      height: photo.height,
+      caption: photo.caption,
+      user: user ? { id: String(user._id), name: user.name } : null,
+      createdAt: photo.createdAt
+    };
+  }
+
+  // Provider photos carry a URL prefix and suffix; the size goes in between
+  formatProviderPhoto(photo) {
+    const sizeUrl = (size) => `${photo.prefix}${size}${photo.suffix}`;
+
+    return {
+      id: photo.id,
+      source: 'provider',
+      url: sizeUrl('original'),
+      thumbnails: Object.fromEntries(Object.entries(config.uploads.thumbnailSizes)
+        .map(([size, pixels]) => [size, sizeUrl(`${pixels}x${pixels}`)])),
+      width: photo.width,
+      height: photo.height,
+      caption: '',
+      user: null,
+      createdAt: photo.created_at || null
+    };
+  }
+}
+
+module.exports = new PhotoService();
+module.exports.createPhotoStorage = createPhotoStorage;
@@ -0,0 +1,25 @@
+// Base class for photo storage backends. Files are addressed by a relative
+// key, e.g. "places/<placeId>/<photoId>/medium.jpg", so records stay valid if
+// the backend or its location changes.
+class PhotoStorage {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Store a file under a key
+  async save(key, buffer, contentType) {
+    throw new Error(`${this.name} storage does not implement save`);
+  }
+
+  // Delete a stored file; missing files are ignored
+  async remove(key) {
+    throw new Error(`${this.name} storage does not implement remove`);
+  }
+
+  // Public URL of a stored file
+  getUrl(key) {
+    throw new Error(`${this.name} storage does not implement getUrl`);
+  }
+}
+
+module.exports = PhotoStorage;
@@ -0,0 +1,575 @@
+const config = require('../config/config');
+const Place = require('../models/Place');
+const SearchCoverage = require('../models/SearchCoverage');
+const placeService = require('./placeService');
+const placeCacheWriter = require('./placeCacheWriter');
+const { parseCoordinates, haversineDistance, boundingBoxToGeometry, EARTH_RADIUS_METERS } = require('../utils/geo');
+const { filterPlacesByHours, getHoursStatus } = require('../utils/openingHours');
+const { decodeCursor, cursorAfter, compareKeys, isAfterCursor } = require('../utils/cursor');
+const { matchesAttributes, buildAttributeQuery, resolveAccessibility } = require('../utils/placeAttributes');
+const { scoreSimilarity, explainSimilarity } = require('../utils/similarity');
+const geohash = require('../utils/geohash');
+const { applyToPlace } = require('../utils/placeCorrections');
+const { round } = require('../utils/popularity');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Check a formatted place against price and rating filters.
+// Places without a known price never match a price filter.
+const matchesPriceAndRating = (place, { minPrice, maxPrice, minRating }) => {
+  if ((minPrice || maxPrice) && !place.price) return false;
+  if (minPrice && place.price < minPrice) return false;
+  if (maxPrice && place.price > maxPrice) return false;
+  if (minRating && (place.rating || 0) < minRating) return false;
+  return true;
+};
+
+// Keyset orderings for paginated lookups, by the `sort` parameter.
+// Ties are broken by place ID so every place has a unique position.
+const PAGE_ORDERS = {
+  RATING: { field: 'rating', direction: 'desc' },
+  POPULARITY: { field: 'popularity', direction: 'desc' },
+  DISTANCE: { field: 'distance', direction: 'asc' }
+};
+
+// Cache-first place lookups. Areas the upstream provider has recently covered
+// are answered from the Place collection; everything else goes upstream and
+// is recorded as new coverage.
+class PlaceCacheService {
+  constructor(provider = placeService) {
+    this.provider = provider;
+    this.coverageTtlMs = config.placeCache.coverageTtlMs;
+  }
+
+  // Search places, answering from cache when the area is covered.
+  // `filters` holds opening-hours and attribute filters.
+  // Resolves with a page of places plus { nextCursor, hasMore }.
+  async search(params, filters = {}, cursor = null) {
+    const { minPrice, maxPrice, minRating } = params;
+    const pageFilters = { ...filters, minPrice, maxPrice, minRating };
+    return this.paginate('search', params, pageFilters, cursor, options => this.searchPlaces({ ...params, ...options }));
+  }
+
+  // Get places nearby, answering from cache when the area is covered
+  async nearby(params, filters = {}, cursor = null) {
+    const pageParams = { ...params, sort: 'POPULARITY' };
+    return this.paginate('nearby', pageParams, filters, cursor, options => this.nearbyPlaces({ ...pageParams, ...options }));
+  }
+
+  // Run a lookup for one page. Each lookup fetches a window of up to the
+  // provider maximum, ordered by (sort value, place ID) and starting after
+  // the cursor, then applies price, rating, attribute and opening-hours
+  // filters. Cached lookups push the cursor into the query, so paging
+  // continues past the first window; places cached mid-pagination never
+  // shift earlier pages.
+  // Providers are always queried unfiltered so recorded coverage stays complete.
+  async paginate(scope, params, filters, token, lookup) {
+    const order = PAGE_ORDERS[params.sort] || PAGE_ORDERS.RATING;
+    const center = parseCoordinates(params.ll);
+    const { limit, ...queryParams } = params;
+    const queryKey = { scope, ...queryParams, ...filters };
+    const after = token ? decodeCursor(token, queryKey) : null;
+    const windowSize = config.foursquare.maxResults;
+
+    // Later pages read what earlier pages queued for caching
+    if (after) await placeCacheWriter.drain();
+
+    const result = await lookup({ limit: windowSize, order, after });
+
+    const window = result.places
+      .map(place => ({ place, key: { value: this.sortValue(place, order, center), id: place.id } }))
+      .filter(({ key }) => !after || isAfterCursor(key, after, order.direction))
+      .sort((a, b) => compareKeys(a.key, b.key, order.direction));
+
+    const matching = new Set(filterPlacesByHours(
+      window.map(({ place }) => place)
+        .filter(place => matchesPriceAndRating(place, filters) && matchesAttributes(place, filters)),
+      filters
+    ));
+    const passing = window.filter(({ place }) => matching.has(place));
+    const page = passing.slice(0, limit);
+
+    // Continue after the last returned place, or after the whole window when
+    // it was used up and more places may lie beyond it
+    let last = null;
+    if (passing.length > limit) {
+      last = page[page.length - 1];
+    } else if (window.length >= windowSize) {
+      last = window[window.length - 1];
+    }
+
+    return {
+      ...result,
+      places: page.map(({ place }) => place),
+      hasMore: !!last,
+      nextCursor: last ? cursorAfter(queryKey, last.key.value, last.key.id) : null
+    };
+  }
+
+  // Sort value of a formatted place for a keyset ordering
+  sortValue(place, order, center) {
+    if (order.field === 'distance') {
+      return center && place.coordinates ? haversineDistance(center, place.coordinates) : 0;
+    }
+    return place[order.field] || 0;
+  }
+
+  // Find cached places inside a GeoJSON Polygon or MultiPolygon, a page at a time
+  async within({ geometry, query, category, categories, minPrice, maxPrice, minRating, attributes, sort, page = 1, limit = 20 }) {
+    if (category) {
+      categories = (await this.resolveCategoryIds(category)).join(',');
+    }
+
+    const filter = {
+      ...this.buildFilter({ query, categories, minPrice, maxPrice, minRating }),
+      ...buildAttributeQuery(attributes),
+      'location.coordinates': {
+        $geoWithin: {
+          $geometry: geometry
+        }
+      }
+    };
+
+    const cursor = Place.find(filter);
+    this.applySort(cursor, sort);
+
+    const [places, total] = await Promise.all([
+      cursor.skip((page - 1) * limit).limit(limit),
+      Place.countDocuments(filter)
+    ]);
+
+    return {
+      places: this.provider.formatPlaces(places),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    };
+  }
+
+  // Count cached places per geohash cell inside a bounding box, for map
+  // heatmaps. Cells are the `precision`-length prefixes of stored geohashes;
+  // the average rating skips places without one. When an area has more than
+  // `maxCells` cells only the densest are returned.
+  async density({ bbox, precision = config.density.defaultPrecision, category, categories }) {
+    if (category) {
+      categories = (await this.resolveCategoryIds(category)).join(',');
+    }
+
+    const cells = await Place.aggregate([
+      {
+        $match: {
+          ...this.buildFilter({ categories }),
+          'location.geohash': { $exists: true, $ne: '' },
+          'location.coordinates': {
+            $geoWithin: {
+              $geometry: boundingBoxToGeometry(bbox)
+            }
+          }
+        }
+      },
+      {
+        $group: {
+          _id: { $substrCP: ['$location.geohash', 0, precision] },
+          count: { $sum: 1 },
+          averageRating: { $avg: { $cond: [{ $gt: ['$rating', 0] }, '$rating', null] } },
+          ratedCount: { $sum: { $cond: [{ $gt: ['$rating', 0] }, 1, 0] } },
+          lng: { $avg: { $arrayElemAt: ['$location.coordinates', 0] } },
+          lat: { $avg: { $arrayElemAt: ['$location.coordinates', 1] } }
+        }
+      },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: config.density.maxCells + 1 }
+    ]);
+
+    const truncated = cells.length > config.density.maxCells;
+
+    return {
+      precision,
+      cellSize: geohash.cellSize(precision),
+      cells: cells.slice(0, config.density.maxCells).map(cell => ({
+        geohash: cell._id,
+        count: cell.count,
+        averageRating: cell.averageRating === null ? null : round(cell.averageRating),
+        ratedCount: cell.ratedCount,
+        center: [cell.lng, cell.lat],
+        bounds: geohash.decodeBounds(cell._id)
+      })),
+      truncated
+    };
+  }
+
+  async searchPlaces(params) {
+    if (params.category) {
+      const categoryIds = await this.resolveCategoryIds(params.category);
+      params = { ...params, categories: categoryIds.join(',') };
+    }
+
+    const { query, ll, radius, categories, limit, sort, minPrice, maxPrice, minRating, order, after } = params;
+    const coordinates = parseCoordinates(ll);
+    const filters = { query, categories };
+
+    if (coordinates && await this.isCovered(coordinates, radius, filters)) {
+      const places = await this.findCached({
+        coordinates, radius, query, categories, limit, sort, minPrice, maxPrice, minRating, order, after
+      });
+      return { places: this.provider.formatPlaces(places), source: 'cache' };
+    }
+
+    const places = await this.provider.searchPlaces(params);
+    if (coordinates) {
+      this.recordCoverage(coordinates, radius, filters, places.length, limit);
+    }
+
+    return { places: await this.applyStoredData(places), source: 'provider' };
+  }
+
+  async nearbyPlaces({ ll, radius, limit, sort, order, after }) {
+    const coordinates = parseCoordinates(ll);
+
+    if (await this.isCovered(coordinates, radius)) {
+      const places = await this.findCached({ coordinates, radius, limit, sort, order, after });
+      return { places: this.provider.formatPlaces(places), source: 'cache' };
+    }
+
+    const places = await this.provider.searchPlaces({ ll, radius, limit });
+    this.recordCoverage(coordinates, radius, {}, places.length, limit);
+
+    return { places: await this.applyStoredData(places), source: 'provider' };
+  }
+
+  // Trending places from LocaMate popularity scores. When nothing nearby has
+  // been scored yet, fall back to popular provider places, which are cached
+  // and picked up by the next popularity run.
+  async trending({ ll, radius, limit }) {
+    const coordinates = parseCoordinates(ll);
+
+    const places = await Place.find({
+      isActive: true,
+      popularity: { $gt: 0 },
+      'location.coordinates': {
+        $geoWithin: {
+          $centerSphere: [coordinates, radius / EARTH_RADIUS_METERS]
+        }
+      }
+    })
+      .sort({ popularity: -1, foursquareId: 1 })
+      .limit(limit);
+
+    if (places.length > 0) {
+      return { places: this.provider.formatPlaces(places), source: 'popularity' };
+    }
+
+    const { places: nearby, source } = await this.nearby({ ll, radius, limit });
+    return { places: nearby, source };
+  }
+
+  // Places similar to a formatted place, looked for around `ll` (the place
+  // itself by default). Candidates come from the same categories and from
+  // the area at large, so places that share attributes but not a category
+  // can still be suggested. `exclude` lists place IDs to leave out.
+  async similar(place, { ll, radius = config.similarPlaces.radius, limit = 6, exclude = [] } = {}) {
+    const center = ll || (place.coordinates ? place.coordinates.join(',') : null);
+    if (!center) return [];
+
+    const categories = (place.categories || []).map(category => category.id).join(',');
+    const windowSize = config.foursquare.maxResults;
+
+    const [sameCategory, nearby] = await Promise.all([
+      categories
+        ? this.searchPlaces({ ll: center, radius, categories, limit: windowSize, sort: 'RATING' })
+        : { places: [] },
+      this.nearbyPlaces({ ll: center, radius, limit: windowSize, sort: 'POPULARITY' })
+    ]);
+
+    const skip = new Set([place.id, ...exclude]);
+    const candidates = new Map();
+    [...sameCategory.places, ...nearby.places].forEach(candidate => {
+      if (!skip.has(candidate.id)) candidates.set(candidate.id, candidate);
+    });
+
+    return Array.from(candidates.values())
+      .map(candidate => {
+        const { score, matches } = scoreSimilarity(place, candidate);
+        return { ...candidate, similarity: { score, matches, reasons: explainSimilarity(matches) } };
+      })
+      .filter(candidate => candidate.similarity.score >= config.similarPlaces.minScore)
+      .sort((a, b) => b.similarity.score - a.similarity.score || (b.rating || 0) - (a.rating || 0))
+      .slice(0, limit);
+  }
+
+  // Search by category, answering from cache when the area is covered
+  async searchByCategory(category, ll, radius, limit) {
+    const coordinates = parseCoordinates(ll);
+    const categoryIds = await this.resolveCategoryIds(category);
+    const filters = { categories: categoryIds.join(',') };
+
+    if (await this.isCovered(coordinates, radius, filters)) {
+      const places = await Place.searchByCategory(category, coordinates, radius, limit, categoryIds);
+      return { places: this.provider.formatPlaces(places), source: 'cache' };
+    }
+
+    const places = await this.provider.searchPlaces({ categories: filters.categories, ll, radius, limit });
+    this.recordCoverage(coordinates, radius, filters, places.length, limit);
+
+    return { places: await this.applyStoredData(places), source: 'provider' };
+  }
+
+  // Get place details with any managed special hours applied
+  async getPlaceDetails(placeId) {
+    const place = await this.provider.getPlaceDetails(placeId);
+    const [withStoredData] = await this.applyStoredData([place], { keepInactive: true });
+    return this.applyLocalRating(withStoredData);
+  }
+
+  // Load a stored place, caching it from the provider first if needed
+  async findOrCache(placeId) {
+    const place = await Place.findOne({ foursquareId: placeId });
+    if (place) return place;
+
+    await this.provider.getPlaceDetails(placeId);
+    await placeCacheWriter.drain();
+    return Place.findOne({ foursquareId: placeId });
+  }
+
+  // Provider results have no first-party reviews; add the stored review summary
+  async applyLocalRating(place) {
+    try {
+      const stored = await Place.findOne({ foursquareId: place.id }).select('localRating').lean();
+      return stored?.localRating ? { ...place, localRating: stored.localRating } : place;
+    } catch (error) {
+      console.error('Local rating lookup error:', error.message);
+      return place;
+    }
+  }
+
+  // Merge what LocaMate users maintain on stored places into provider results.
+  // Deactivated places are dropped unless `keepInactive` is set.
+  async applyStoredData(places, { keepInactive = false } = {}) {
+    const corrected = await this.applyCorrections(places);
+    const listed = keepInactive ? corrected : corrected.filter(place => place.isActive !== false);
+    return this.applyAccessibilityReports(await this.applySpecialHours(await this.applyPopularity(listed)));
+  }
+
+  // Provider results carry no popularity; use the stored score so provider
+  // and cached pages order places the same way
+  async applyPopularity(places) {
+    const ids = places.map(place => place.id);
+    if (ids.length === 0) return places;
+
+    let stored;
+    try {
+      stored = await Place.find({ foursquareId: { $in: ids }, popularity: { $gt: 0 } })
+        .select('foursquareId popularity')
+        .lean();
+    } catch (error) {
+      console.error('Popularity lookup error:', error.message);
+      return places;
+    }
+
+    const popularityById = new Map(stored.map(place => [place.foursquareId, place.popularity]));
+
+    return places.map(place => popularityById.has(place.id)
+      ? { ...place, popularity: popularityById.get(place.id) }
+      : place);
+  }
+
+  // Provider results know nothing of moderation; apply corrected fields and
+  // deactivation recorded on stored places
+  async applyCorrections(places) {
+    const ids = places.map(place => place.id);
+    if (ids.length === 0) return places;
+
+    let stored;
+    try {
+      stored = await Place.find({
+        foursquareId: { $in: ids },
+        $or: [{ isActive: false }, { 'corrections.updatedAt': { $exists: true } }]
+      })
+        .select('foursquareId isActive corrections')
+        .lean();
+    } catch (error) {
+      console.error('Correction lookup error:', error.message);
+      return places;
+    }
+
+    const storedById = new Map(stored.map(place => [place.foursquareId, place]));
+
+    return places.map(place => {
+      const moderated = storedById.get(place.id);
+      if (!moderated) return place;
+
+      return { ...applyToPlace(place, moderated.corrections), isActive: moderated.isActive };
+    });
+  }
+
+  // Provider results carry the provider's accessibility features only; apply
+  // user accessibility reports recorded on stored places
+  async applyAccessibilityReports(places) {
+    const ids = places.map(place => place.id);
+    if (ids.length === 0) return places;
+
+    let stored;
+    try {
+      stored = await Place.find({ foursquareId: { $in: ids }, 'accessibilityReports.count': { $gt: 0 } })
+        .select('foursquareId accessibilityReports')
+        .lean();
+    } catch (error) {
+      console.error('Accessibility report lookup error:', error.message);
+      return places;
+    }
+
+    const reportsById = new Map(stored.map(place => [place.foursquareId, place.accessibilityReports]));
+
+    return places.map(place => {
+      const reports = reportsById.get(place.id);
+      if (!reports) return place;
+
+      const accessibility = resolveAccessibility(place.attributes?.accessibility, reports);
+      return { ...place, attributes: { ...place.attributes, accessibility } };
+    });
+  }
+
+  // Provider results only carry weekly hours; merge in special hours managed
+  // on stored places and re-evaluate their open state
+  async applySpecialHours(places, at = new Date()) {
+    const ids = places.filter(place => !place.hours?.special?.length).map(place => place.id);
+    if (ids.length === 0) return places;
+
+    let stored;
+    try {
+      stored = await Place.find({ foursquareId: { $in: ids }, 'hours.special.0': { $exists: true } })
+        .select('foursquareId hours.special')
+        .lean();
+    } catch (error) {
+      console.error('Special hours lookup error:', error.message);
+      return places;
+    }
+
+    const specialById = new Map(stored.map(place => [place.foursquareId, place.hours.special]));
+
+    return places.map(place => {
+      const special = specialById.get(place.id);
+      if (!special) return place;
+
+      const hours = { ...place.hours, special };
+      const hoursStatus = getHoursStatus(hours, place.timezone, at);
+      return { ...place, hours, hoursStatus, isOpen: hoursStatus.isOpen ?? place.isOpen };
+    });
+  }
+
+  // Resolve a taxonomy slug or alias to provider category IDs
+  async resolveCategoryIds(category) {
+    const categoryIds = await this.provider.getCategoryIds(category);
+    if (!categoryIds) {
+      const error = new Error(`Unknown category: ${category}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return categoryIds;
+  }
+
+  // Check for fresh coverage; lookup failures count as a cache miss
+  async isCovered(coordinates, radius, filters = {}) {
+    try {
+      const coverage = await SearchCoverage.findCovering(coordinates, radius, filters);
+      return !!coverage;
+    } catch (error) {
+      console.error('Coverage lookup error:', error.message);
+      return false;
+    }
+  }
+
+  // Record coverage once the queued cache writes have landed, so a covered
+  // area is never answered from a partially written cache
+  async recordCoverage(coordinates, radius, filters, resultCount, limit) {
+    try {
+      await placeCacheWriter.drain();
+      await SearchCoverage.record(coordinates, radius, filters, {
+        resultCount,
+        limit,
+        source: this.provider.name,
+        ttlMs: this.coverageTtlMs
+      });
+    } catch (error) {
+      console.error('Record coverage error:', error.message);
+    }
+  }
+
+  // Build Place filters shared by radius and area queries
+  buildFilter({ query, categories, minPrice, maxPrice, minRating }) {
+    const filter = { isActive: true };
+
+    if (query) {
+      const pattern = { $regex: escapeRegex(query.trim()), $options: 'i' };
+      filter.$or = [
+        { name: pattern },
+        { category: pattern },
+        { 'categories.name': pattern },
+        { description: pattern },
+        { 'tips.text': pattern }
+      ];
+    }
+
+    if (categories) {
+      filter['categories.id'] = { $in: String(categories).split(',').map(id => id.trim()) };
+    }
+
+    if (minPrice || maxPrice) {
+      filter.price = { $gte: minPrice || 1, $lte: maxPrice || 4 };
+    }
+
+    if (minRating) {
+      filter.rating = { $gte: minRating };
+    }
+
+    return filter;
+  }
+
+  // Sort by rating by default; DISTANCE keeps the query's own order.
+  // Place ID breaks ties so keyset pagination has a total order.
+  applySort(cursor, sort) {
+    if (sort === 'POPULARITY') {
+      cursor.sort({ popularity: -1, foursquareId: 1 });
+    } else if (sort !== 'DISTANCE') {
+      cursor.sort({ rating: -1, foursquareId: 1 });
+    }
+    return cursor;
+  }
+
+  // Query cached places within the radius, applying search filters and
+  // starting after a pagination cursor when one is given
+  findCached({ coordinates, radius, limit, sort, order, after, ...filters }) {
+    const filter = {
+      ...this.buildFilter(filters),
+      'location.coordinates': {
+        $near: {
+          $geometry: {
+            type: 'Point',
+            coordinates
+          },
+          $maxDistance: radius
+        }
+      }
+    };
+
+    if (after && order?.field === 'distance') {
+      // Allow a metre of slack for differences from our own distance
+      // calculation; places at or before the cursor are dropped by the caller
+      filter['location.coordinates'].$near.$minDistance = Math.max(after.value - 1, 0);
+    } else if (after && order) {
+      filter.$and = [{
+        $or: [
+          { [order.field]: { $lt: after.value } },
+          { [order.field]: after.value, foursquareId: { $gt: after.id } }
+        ]
+      }];
+    }
+
+    // $near already returns results ordered by distance
+    return this.applySort(Place.find(filter), sort).limit(limit);
+  }
+}
+
+module.exports = new PlaceCacheService();
@@ -0,0 +1,88 @@
+const Place = require('../models/Place');
+const SearchCoverage = require('../models/SearchCoverage');
+const placeCacheService = require('./placeCacheService');
+
+// The real logger schedules log cleanup when loaded
+jest.mock('../utils/logger', () => ({ logDatabase: jest.fn() }));
+
+// Cached places near the search point, most popular first
+const stored = [
+  { foursquareId: 'a', name: 'A', popularity: 50 },
+  { foursquareId: 'b', name: 'B', popularity: 30 },
+  { foursquareId: 'c', name: 'C', popularity: 10 },
+  { foursquareId: 'd', name: 'D', popularity: 0 }
+];
+
+// Minimal stand-in for a Mongoose query over the stored places
+const query = (docs) => {
+  let results = docs;
+  return {
+    select() { return this; },
+    sort({ popularity }) {
+      if (popularity) {
+        results = [...results].sort((a, b) => b.popularity - a.popularity || a.foursquareId.localeCompare(b.foursquareId));
+      }
+      return this;
+    },
+    limit(limit) { results = results.slice(0, limit); return this; },
+    lean() { return Promise.resolve(results); },
+    then(resolve, reject) { return Promise.resolve(results).then(resolve, reject); }
+  };
+};
+
+const findPlaces = (filter) => {
+  // Cached nearby lookup, continuing after a (popularity, ID) cursor
+  if (filter['location.coordinates']) {
+    const after = filter.$and?.[0].$or;
+    return query(stored.filter(place => !after ||
+      place.popularity < after[0].popularity.$lt ||
+      (place.popularity === after[1].popularity && place.foursquareId > after[1].foursquareId.$gt)));
+  }
+  // Stored popularity of provider results
+  if (filter.popularity) {
+    return query(stored.filter(place =>
+      filter.foursquareId.$in.includes(place.foursquareId) && place.popularity > filter.popularity.$gt));
+  }
+  // No corrections, accessibility reports or special hours
+  return query([]);
+};
+
+describe('placeCacheService.nearby', () => {
+  const provider = {
+    name: 'test',
+    // Provider results never carry LocaMate popularity
+    searchPlaces: jest.fn(async () => stored.map(place => ({ id: place.foursquareId, name: place.name, popularity: 0 }))),
+    formatPlaces: (places) => places.map(place => ({ id: place.foursquareId, name: place.name, popularity: place.popularity }))
+  };
+  let originalProvider;
+  let covered;
+
+  beforeEach(() => {
+    originalProvider = placeCacheService.provider;
+    placeCacheService.provider = provider;
+    covered = false;
+    jest.spyOn(Place, 'find').mockImplementation(findPlaces);
+    jest.spyOn(SearchCoverage, 'findCovering').mockImplementation(async () => covered ? {} : null);
+    jest.spyOn(SearchCoverage, 'record').mockImplementation(async () => {
+      covered = true;
+    });
+  });
+
+  afterEach(() => {
+    placeCacheService.provider = originalProvider;
+    jest.restoreAllMocks();
+  });
+
+  it('pages by stored popularity across the switch from provider to cache', async () => {
+    const params = { ll: '40.7,-74.0', radius: 1000, limit: 2 };
+
+    const first = await placeCacheService.nearby(params);
+    expect(first.source).toBe('provider');
+    expect(first.places.map(place => [place.id, place.popularity])).toEqual([['a', 50], ['b', 30]]);
+    expect(first.hasMore).toBe(true);
+
+    const second = await placeCacheService.nearby(params, {}, first.nextCursor);
+    expect(second.source).toBe('cache');
+    expect(second.places.map(place => place.id)).toEqual(['c', 'd']);
+  });
+});
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+const Place = require('../models/Place');
+const logger = require('../utils/logger');
+const { applyToDocument } = require('../utils/placeCorrections');
+
+const emptyStats = () => ({ inserted: 0, updated: 0, unchanged: 0 });
+
+// Writes provider places to the Place collection in batched bulkWrite calls.
+// Writes are queued and run one batch at a time, off the request path.
+class PlaceCacheWriter {
+  constructor() {
+    this.batchSize = config.placeCache.writeBatchSize;
+    this.queue = Promise.resolve(emptyStats());
+  }
+
+  // Queue place documents for writing; resolves with the batch stats.
+  // The returned promise never rejects, so callers may ignore it.
+  enqueue(placeDocs) {
+    const docs = this.dedupe(placeDocs);
+    if (docs.length === 0) return this.queue.then(emptyStats);
+
+    this.queue = this.queue
+      .then(() => this.write(docs))
+      .catch(error => {
+        console.error('Cache places error:', error);
+        return emptyStats();
+      });
+
+    return this.queue;
+  }
+
+  // Resolves once every queued write has finished
+  drain() {
+    return this.queue;
+  }
+
+  // Keep the last document for each place ID
+  dedupe(placeDocs) {
+    const byId = new Map();
+    placeDocs.forEach(doc => {
+      if (doc?.foursquareId) byId.set(doc.foursquareId, doc);
+    });
+    return Array.from(byId.values());
+  }
+
+  hashPlace(doc) {
+    return crypto.createHash('sha1').update(JSON.stringify(doc)).digest('hex');
+  }
+
+  // Provider data never carries special hours, so weekly hours are set field
+  // by field to keep managed overrides under hours.special
+  toUpdate(doc) {
+    const { hours, ...rest } = doc;
+    if (!hours) return rest;
+    return { ...rest, 'hours.isOpen': hours.isOpen, 'hours.open': hours.open };
+  }
+
+  async write(docs) {
+    const stats = emptyStats();
+
+    for (let i = 0; i < docs.length; i += this.batchSize) {
+      const batchStats = await this.writeBatch(docs.slice(i, i + this.batchSize));
+      stats.inserted += batchStats.inserted;
+      stats.updated += batchStats.updated;
+      stats.unchanged += batchStats.unchanged;
+    }
+
+    logger.logDatabase('cachePlaces', stats);
+    return stats;
+  }
+
+  async writeBatch(docs) {
+    const existing = await Place.find({ foursquareId: { $in: docs.map(doc => doc.foursquareId) } })
+      .select('foursquareId contentHash tipsHash corrections')
+      .lean();
+    const storedById = new Map(existing.map(place => [place.foursquareId, place]));
+
+    const now = new Date();
+    const operations = [];
+    const unchangedIds = [];
+
+    docs.forEach(providerDoc => {
+      const stored = storedById.get(providerDoc.foursquareId);
+      // Moderator corrections win over provider data
+      const doc = applyToDocument(providerDoc, stored?.corrections);
+      // Search results carry no tips and details do, so tips are hashed
+      // apart and only compared when the document has them
+      const { tips, ...content } = doc;
+      const contentHash = this.hashPlace(content);
+      const tipsHash = tips ? this.hashPlace(tips) : undefined;
+
+      if (stored?.contentHash === contentHash && (!tips || stored.tipsHash === tipsHash)) {
+        unchangedIds.push(doc.foursquareId);
+        return;
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { foursquareId: doc.foursquareId },
+          update: {
+            $set: {
+              ...this.toUpdate(doc),
+              contentHash,
+              ...(tipsHash && { tipsHash }),
+              lastUpdated: now,
+              fetchedAt: now
+            }
+          },
+          upsert: true
+        }
+      });
+    });
+
+    // Identical documents are not rewritten; only their fetch time moves,
+    // so lastUpdated keeps recording the last change
+    if (unchangedIds.length > 0) {
+      operations.push({
+        updateMany: {
+          filter: { foursquareId: { $in: unchangedIds } },
+          update: { $set: { fetchedAt: now } }
+        }
+      });
+    }
+
+    const result = await Place.bulkWrite(operations, { ordered: false });
+    const changed = docs.length - unchangedIds.length;
+
+    return {
+      inserted: result.upsertedCount,
+      updated: changed - result.upsertedCount,
+      unchanged: unchangedIds.length
+    };
+  }
+}
+
+module.exports = new PlaceCacheWriter();
@@ -0,0 +1,78 @@
+const Place = require('../models/Place');
+const placeCacheWriter = require('./placeCacheWriter');
+
+// The real logger schedules log cleanup when loaded
+jest.mock('../utils/logger', () => ({ logDatabase: jest.fn() }));
+
+const searchDoc = { foursquareId: 'a', name: 'Cafe', rating: 8 };
+const detailsDoc = { ...searchDoc, tips: [{ id: 't1', text: 'Great coffee' }] };
+
+describe('placeCacheWriter', () => {
+  let stored;
+  let operations;
+
+  // Keep what the writer stored, as the Place collection would
+  const bulkWrite = async (ops) => {
+    operations.push(...ops);
+    let upsertedCount = 0;
+    ops.forEach(({ updateOne, updateMany }) => {
+      if (updateOne) {
+        const { foursquareId } = updateOne.filter;
+        if (!stored.has(foursquareId)) upsertedCount++;
+        stored.set(foursquareId, { ...stored.get(foursquareId), ...updateOne.update.$set });
+      } else {
+        updateMany.filter.foursquareId.$in.forEach(id => {
+          stored.set(id, { ...stored.get(id), ...updateMany.update.$set });
+        });
+      }
+    });
+    return { upsertedCount };
+  };
+
+  beforeEach(() => {
+    stored = new Map();
+    operations = [];
+    jest.spyOn(Place, 'find').mockImplementation(({ foursquareId }) => ({
+      select() { return this; },
+      lean: async () => foursquareId.$in.filter(id => stored.has(id)).map(id => ({ foursquareId: id, ...stored.get(id) }))
+    }));
+    jest.spyOn(Place, 'bulkWrite').mockImplementation(bulkWrite);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('inserts new places and only refreshes the fetch time of unchanged ones', async () => {
+    expect(await placeCacheWriter.enqueue([searchDoc])).toEqual({ inserted: 1, updated: 0, unchanged: 0 });
+    const { lastUpdated, fetchedAt } = stored.get('a');
+
+    operations = [];
+    expect(await placeCacheWriter.enqueue([searchDoc])).toEqual({ inserted: 0, updated: 0, unchanged: 1 });
+    expect(operations).toEqual([{
+      updateMany: {
+        filter: { foursquareId: { $in: ['a'] } },
+        update: { $set: { fetchedAt: expect.any(Date) } }
+      }
+    }]);
+    expect(stored.get('a').lastUpdated).toBe(lastUpdated);
+    expect(stored.get('a').fetchedAt.getTime()).toBeGreaterThanOrEqual(fetchedAt.getTime());
+  });
+
+  it('does not rewrite a place when search and details refreshes alternate', async () => {
+    await placeCacheWriter.enqueue([searchDoc]);
+    expect(await placeCacheWriter.enqueue([detailsDoc])).toEqual({ inserted: 0, updated: 1, unchanged: 0 });
+
+    expect(await placeCacheWriter.enqueue([searchDoc])).toEqual({ inserted: 0, updated: 0, unchanged: 1 });
+    expect(await placeCacheWriter.enqueue([detailsDoc])).toEqual({ inserted: 0, updated: 0, unchanged: 1 });
+  });
+
+  it('rewrites a place when its data or tips change', async () => {
+    await placeCacheWriter.enqueue([detailsDoc]);
+
+    expect(await placeCacheWriter.enqueue([{ ...searchDoc, rating: 9 }]))
+      .toEqual({ inserted: 0, updated: 1, unchanged: 0 });
+    expect(await placeCacheWriter.enqueue([{ ...detailsDoc, rating: 9, tips: [] }]))
+      .toEqual({ inserted: 0, updated: 1, unchanged: 0 });
+  });
+});
@@ -0,0 +1,98 @@
+const Place = require('../models/Place');
+const Review = require('../models/Review');
+const placeService = require('./placeService');
+const placeCacheService = require('./placeCacheService');
+const { parseCoordinates, haversineDistance } = require('../utils/geo');
+const { getHoursToday } = require('../utils/openingHours');
+const { ATTRIBUTE_VOCABULARIES } = require('../utils/placeAttributes');
+
+const HIGHLIGHT_LENGTH = 200;
+
+const excerpt = (text) => text.length > HIGHLIGHT_LENGTH
+  ? `${text.slice(0, HIGHLIGHT_LENGTH).trimEnd()}…`
+  : text;
+
+// Side-by-side comparison of a few places. Every place gets the same fields,
+// in request order, so clients can lay them out as columns.
+class PlaceComparisonService {
+  // Load formatted places by ID, from cache where stored
+  async loadPlaces(ids) {
+    const stored = await Place.find({ foursquareId: { $in: ids } });
+    const byId = new Map(stored.map(place => [place.foursquareId, placeService.formatPlace(place)]));
+
+    return Promise.all(ids.map(id => byId.get(id) || placeCacheService.getPlaceDetails(id)));
+  }
+
+  async compare(ids, { ll } = {}, at = new Date()) {
+    const center = parseCoordinates(ll);
+    const [places, highlights] = await Promise.all([
+      this.loadPlaces(ids),
+      Review.getHighlights(ids)
+    ]);
+
+    const compared = places.map(place => ({
+      id: place.id,
+      name: place.name,
+      category: place.category || place.categories?.[0]?.name || null,
+      coordinates: place.coordinates,
+      rating: place.rating || null,
+      localRating: place.localRating,
+      price: place.price || null,
+      isOpen: place.isOpen,
+      hoursToday: getHoursToday(place.hours, place.timezone, at),
+      distance: center && place.coordinates ? Math.round(haversineDistance(center, place.coordinates)) : null,
+      attributes: place.attributes,
+      reviewHighlights: (highlights.get(place.id) || []).map(review => ({
+        ...review,
+        text: excerpt(review.text)
+      }))
+    }));
+
+    return {
+      places: compared,
+      overlap: this.attributeOverlap(compared),
+      best: this.bestOf(compared)
+    };
+  }
+
+  // Attribute values every place shares, and those only one place has
+  attributeOverlap(places) {
+    const shared = {};
+    const unique = Object.fromEntries(places.map(place => [place.id, {}]));
+
+    Object.keys(ATTRIBUTE_VOCABULARIES).forEach(group => {
+      const values = places.map(place => place.attributes?.[group] || []);
+      const common = values[0].filter(value => values.every(list => list.includes(value)));
+      if (common.length > 0) shared[group] = common;
+
+      places.forEach((place, index) => {
+        const own = values[index].filter(value =>
+          values.every((list, other) => other === index || !list.includes(value)));
+        if (own.length > 0) unique[place.id][group] = own;
+      });
+    });
+
+    return { shared, unique };
+  }
+
+  // The ID of the leading place per field; null when no place has a value
+  // or the places tie
+  bestOf(places) {
+    const pick = (value, prefer) => {
+      const ranked = places.filter(place => value(place) !== null && value(place) !== undefined);
+      if (ranked.length === 0) return null;
+
+      const top = ranked.reduce((best, place) => prefer(value(place), value(best)) ? place : best);
+      return ranked.filter(place => value(place) === value(top)).length === 1 ? top.id : null;
+    };
+
+    return {
+      rating: pick(place => place.rating, (a, b) => a > b),
+      localRating: pick(place => place.localRating?.count ? place.localRating.average : null, (a, b) => a > b),
+      price: pick(place => place.price, (a, b) => a < b),
+      distance: pick(place => place.distance, (a, b) => a < b)
+    };
+  }
+}
+
+module.exports = new PlaceComparisonService();
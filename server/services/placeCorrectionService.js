@@ -0,0 +1,180 @@
+const PlaceCorrection = require('../models/PlaceCorrection');
+const PlaceChange = require('../models/PlaceChange');
+const photoService = require('./photoService');
+const categoryService = require('./categoryService');
+const { pickCorrections, currentValues, applyToDocument } = require('../utils/placeCorrections');
+
+const reviewError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// User correction reports and their moderation. Moderators apply corrections
+// to the cached Place document, deactivate the place or reject the report;
+// every change to a place is logged as a PlaceChange.
+class PlaceCorrectionService {
+  // Record a report against a stored place, with an optional evidence photo
+  async submit(place, user, { reason, suggestion, notes }, file) {
+    const correction = new PlaceCorrection({
+      placeId: place.foursquareId,
+      user: user._id,
+      reason,
+      suggestion: pickCorrections(suggestion),
+      notes
+    });
+
+    if (file) {
+      correction.photo = await photoService.uploadImage(`corrections/${place.foursquareId}/${correction._id}`, file);
+    }
+
+    try {
+      return await correction.save();
+    } catch (error) {
+      if (correction.photo?.files) await photoService.removeFiles(Object.fromEntries(correction.photo.files));
+      throw error;
+    }
+  }
+
+  // Apply corrected values to the place. `values` are the moderator's, which
+  // may differ from what the user suggested. A category is a taxonomy slug or
+  // alias; its provider IDs replace the place's categories so category
+  // searches find the place under it.
+  async apply(correction, place, moderator, values, note = '') {
+    const before = currentValues(place);
+    const corrected = pickCorrections(values);
+
+    let categories;
+    if (corrected.category) {
+      const category = await categoryService.resolve(corrected.category);
+      if (!category || category.foursquareIds.length === 0) {
+        throw reviewError(`"${corrected.category}" is not a category in the taxonomy`);
+      }
+      corrected.category = category.name;
+      categories = category.foursquareIds.map(id => ({ id, name: category.name }));
+    }
+
+    const changes = Object.entries(corrected)
+      .filter(([field, value]) => !sameValue(before[field], value))
+      .map(([field, value]) => ({ field, from: before[field], to: value }));
+
+    if (changes.length === 0) {
+      throw reviewError('The correction does not change the place');
+    }
+
+    if (!changes.some(({ field }) => field === 'category')) categories = undefined;
+
+    const doc = applyToDocument(place.toObject(), { ...corrected, categories });
+    place.set({
+      name: doc.name,
+      category: doc.category,
+      categories: doc.categories,
+      location: doc.location,
+      searchTerms: doc.searchTerms
+    });
+    changes.forEach(({ field, to }) => place.set(`corrections.${field}`, to));
+    if (categories) place.set('corrections.categories', categories);
+    place.set('corrections.updatedAt', new Date());
+    await place.save();
+
+    return this.record(correction, place, moderator, 'applied', {
+      action: 'update',
+      changes,
+      note
+    });
+  }
+
+  // Take the place out of search results, e.g. when it has closed for good
+  async deactivate(correction, place, moderator, note = '') {
+    if (!place.isActive) {
+      throw reviewError('Place is already deactivated');
+    }
+
+    place.isActive = false;
+    await place.save();
+
+    return this.record(correction, place, moderator, 'deactivated', {
+      action: 'deactivate',
+      changes: [{ field: 'isActive', from: true, to: false }],
+      note
+    });
+  }
+
+  async reject(correction, moderator, note = '') {
+    await correction.resolve('rejected', moderator, note);
+    return { correction, change: null };
+  }
+
+  // Log the change to the place and close the report. The place has already
+  // been written, so failures are flagged for the caller not to requeue it.
+  async record(correction, place, moderator, status, { action, changes, note }) {
+    try {
+      const change = await PlaceChange.create({
+        placeId: place.foursquareId,
+        action,
+        changes,
+        correction: correction._id,
+        reason: correction.reason,
+        note,
+        changedBy: moderator._id
+      });
+      await correction.resolve(status, moderator, note);
+
+      return { correction, change };
+    } catch (error) {
+      error.placeWritten = true;
+      throw error;
+    }
+  }
+
+  // Format a report for its author or the moderation queue. `place` is the
+  // stored place, so moderators can compare current values with the suggestion.
+  formatCorrection(correction, place) {
+    return {
+      id: correction._id,
+      placeId: correction.placeId,
+      place: place ? {
+        isActive: place.isActive,
+        ...currentValues(place)
+      } : null,
+      reason: correction.reason,
+      suggestion: pickCorrections(correction.suggestion),
+      notes: correction.notes,
+      photo: correction.photo?.files?.size ? {
+        ...photoService.formatImage(correction.photo.files),
+        width: correction.photo.width,
+        height: correction.photo.height
+      } : null,
+      status: correction.status,
+      user: correction.user?.name ? {
+        id: correction.user._id,
+        name: correction.user.name
+      } : { id: correction.user },
+      review: correction.review?.reviewedAt ? {
+        reviewedAt: correction.review.reviewedAt,
+        note: correction.review.note
+      } : null,
+      createdAt: correction.createdAt
+    };
+  }
+
+  formatChange(change) {
+    return {
+      id: change._id,
+      action: change.action,
+      changes: change.changes.map(({ field, from, to }) => ({ field, from, to })),
+      correction: change.correction,
+      reason: change.reason,
+      note: change.note,
+      changedBy: change.changedBy?.name ? {
+        id: change.changedBy._id,
+        name: change.changedBy.name
+      } : { id: change.changedBy },
+      createdAt: change.createdAt
+    };
+  }
+}
+
+module.exports = new PlaceCorrectionService();
@@ -0,0 +1,85 @@
+const Place = require('../models/Place');
+const PlaceChange = require('../models/PlaceChange');
+const categoryService = require('./categoryService');
+const placeCacheService = require('./placeCacheService');
+const placeCorrectionService = require('./placeCorrectionService');
+const { applyToDocument, applyToPlace } = require('../utils/placeCorrections');
+
+// The real logger schedules log cleanup when loaded
+jest.mock('../utils/logger', () => ({ logDatabase: jest.fn() }));
+
+const coffeeShop = { slug: 'coffee', name: 'Coffee Shop', foursquareIds: ['13035'] };
+const restaurant = [{ id: '13065', name: 'Restaurant' }];
+
+// Provider IDs of a cached category search
+const cachedCategoryIds = (categoryIds) =>
+  placeCacheService.buildFilter({ categories: categoryIds.join(',') })['categories.id'].$in;
+const isListedUnder = (place, categoryIds) =>
+  place.categories.some(category => cachedCategoryIds(categoryIds).includes(category.id));
+
+describe('placeCorrectionService.apply', () => {
+  const moderator = { _id: '64b000000000000000000001' };
+  let place;
+  let correction;
+
+  beforeEach(() => {
+    place = new Place({
+      foursquareId: 'p1',
+      name: 'Corner Cafe',
+      category: 'Restaurant',
+      categories: restaurant,
+      location: { address: '1 Main St', coordinates: { type: 'Point', coordinates: [-74, 40.7] } }
+    });
+    correction = { _id: '64b000000000000000000002', reason: 'wrong-category', resolve: jest.fn() };
+
+    jest.spyOn(place, 'save').mockResolvedValue(place);
+    jest.spyOn(PlaceChange, 'create').mockImplementation(async (change) => change);
+    jest.spyOn(categoryService, 'resolve').mockImplementation(async (term) =>
+      ['coffee', 'cafe'].includes(term) ? coffeeShop : null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lists a corrected place under its new category', async () => {
+    expect(isListedUnder(place, coffeeShop.foursquareIds)).toBe(false);
+
+    const { change } = await placeCorrectionService.apply(correction, place, moderator, { category: 'cafe' });
+
+    expect(place.category).toBe('Coffee Shop');
+    expect(isListedUnder(place, coffeeShop.foursquareIds)).toBe(true);
+    expect(isListedUnder(place, ['13065'])).toBe(false);
+    expect(place.searchTerms.prefixes).toContain('coffee');
+    expect(change.changes).toEqual([{ field: 'category', from: 'Restaurant', to: 'Coffee Shop' }]);
+  });
+
+  it('keeps the corrected category when the place is refreshed from the provider', async () => {
+    await placeCorrectionService.apply(correction, place, moderator, { category: 'coffee' });
+    const corrections = place.toObject().corrections;
+
+    const refreshed = applyToDocument({ foursquareId: 'p1', name: 'Corner Cafe', category: 'Restaurant', categories: restaurant }, corrections);
+    expect(refreshed.category).toBe('Coffee Shop');
+    expect(isListedUnder(refreshed, coffeeShop.foursquareIds)).toBe(true);
+
+    const formatted = applyToPlace({ id: 'p1', name: 'Corner Cafe', category: 'Restaurant', categories: restaurant }, corrections);
+    expect(formatted.categories).toEqual([{ id: '13035', name: 'Coffee Shop' }]);
+  });
+
+  it('flags failures after the place was written', async () => {
+    PlaceChange.create.mockRejectedValue(new Error('write failed'));
+
+    await expect(placeCorrectionService.apply(correction, place, moderator, { category: 'cafe' }))
+      .rejects.toMatchObject({ placeWritten: true });
+    expect(place.save).toHaveBeenCalled();
+    expect(correction.resolve).not.toHaveBeenCalled();
+  });
+
+  it('rejects categories outside the taxonomy', async () => {
+    await expect(placeCorrectionService.apply(correction, place, moderator, { category: 'Tea Room' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(placeCorrectionService.apply(correction, place, moderator, { category: 'Tea Room' }))
+      .rejects.not.toHaveProperty('placeWritten');
+    expect(place.save).not.toHaveBeenCalled();
+  });
+});
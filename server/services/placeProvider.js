@@ -0,0 +1,198 @@
+const placeCacheWriter = require('./placeCacheWriter');
+const categoryService = require('./categoryService');
+const attributeMapper = require('./attributeMapper');
+const { getHoursStatus } = require('../utils/openingHours');
+const { buildSearchTerms } = require('../utils/textSearch');
+const { resolveAccessibility } = require('../utils/placeAttributes');
+const geohash = require('../utils/geohash');
+
+// Base class for place data sources. Implementations fetch raw places in the
+// Foursquare v3 shape; caching and response formatting are shared here.
+class PlaceProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Search for places nearby
+  async searchPlaces(params) {
+    throw new Error(`${this.name} provider does not implement searchPlaces`);
+  }
+
+  // Get detailed information about a specific place
+  async getPlaceDetails(placeId) {
+    throw new Error(`${this.name} provider does not implement getPlaceDetails`);
+  }
+
+  // Get place photos
+  async getPlacePhotos(placeId, limit = 10) {
+    throw new Error(`${this.name} provider does not implement getPlacePhotos`);
+  }
+
+  // Get place tips/reviews
+  async getPlaceTips(placeId, limit = 10) {
+    throw new Error(`${this.name} provider does not implement getPlaceTips`);
+  }
+
+  // Search by category
+  async searchByCategory(category, location, radius = 5000, limit = 20) {
+    try {
+      const categoryIds = await this.getCategoryIds(category);
+      if (!categoryIds) {
+        const error = new Error('Invalid category');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      return await this.searchPlaces({
+        categories: categoryIds.join(','),
+        ll: location,
+        radius,
+        limit
+      });
+    } catch (error) {
+      console.error('Category search error:', error);
+      throw error;
+    }
+  }
+
+  // Map a provider place onto the Place schema. Tips are only mapped when the
+  // provider returned them, so a refresh without tips keeps the cached ones.
+  toPlaceDocument(placeData) {
+    const geocode = placeData.geocodes?.main;
+    const doc = {
+      foursquareId: placeData.fsq_id,
+      source: this.name,
+      name: placeData.name,
+      description: placeData.description || '',
+      category: placeData.categories?.[0]?.name || 'Unknown',
+      categories: placeData.categories || [],
+      location: {
+        address: placeData.location?.address || '',
+        city: placeData.location?.locality || '',
+        state: placeData.location?.region || '',
+        country: placeData.location?.country || '',
+        coordinates: {
+          type: 'Point',
+          coordinates: [
+            placeData.geocodes?.main?.longitude || 0,
+            placeData.geocodes?.main?.latitude || 0
+          ]
+        },
+        geohash: geocode ? geohash.encode(geocode.longitude, geocode.latitude) : '',
+        formattedAddress: placeData.location?.formatted_address || ''
+      },
+      contact: {
+        phone: placeData.tel || '',
+        website: placeData.website || '',
+        email: placeData.email || ''
+      },
+      social: {
+        facebook: placeData.social_media?.facebook || '',
+        instagram: placeData.social_media?.instagram || '',
+        twitter: placeData.social_media?.twitter || ''
+      },
+      timezone: placeData.timezone || '',
+      hours: {
+        isOpen: placeData.hours?.open_now ?? placeData.hours?.is_open ?? false,
+        open: placeData.hours?.regular || placeData.hours?.open || []
+      },
+      price: placeData.price || 0,
+      rating: placeData.rating || 0,
+      stats: {
+        totalPhotos: placeData.stats?.total_photos || 0,
+        totalTips: placeData.stats?.total_tips || 0,
+        totalCheckins: placeData.stats?.total_checkins || 0
+      },
+      attributes: attributeMapper.map(placeData).attributes,
+      searchTerms: buildSearchTerms(placeData.name, placeData.categories || [])
+    };
+
+    if (Array.isArray(placeData.tips)) {
+      doc.tips = this.toTipDocuments(placeData.tips);
+    }
+
+    return doc;
+  }
+
+  // Map provider tips onto the Place tips schema
+  toTipDocuments(tips) {
+    return tips.map(tip => ({
+      id: tip.id,
+      text: tip.text,
+      createdAt: tip.created_at
+    }));
+  }
+
+  // Queue a place for caching in the database
+  cachePlace(placeData) {
+    return this.cachePlaces([placeData]);
+  }
+
+  // Queue places for a batched cache write off the request path.
+  // Resolves with { inserted, updated, unchanged } once written.
+  cachePlaces(places) {
+    try {
+      attributeMapper.report(places);
+      return placeCacheWriter.enqueue(places.map(place => this.toPlaceDocument(place)));
+    } catch (error) {
+      console.error('Cache places error:', error);
+      return placeCacheWriter.drain();
+    }
+  }
+
+  // Check if cache is still valid (24 hours)
+  isCacheValid(lastUpdated) {
+    const cacheAge = Date.now() - new Date(lastUpdated).getTime();
+    const maxAge = 24 * 60 * 60 * 1000; // 24 hours
+    return cacheAge < maxAge;
+  }
+
+  // Format place data for consistent response. Raw provider places have
+  // their hours normalized so both shapes are evaluated the same way.
+  formatPlace(place, at = new Date()) {
+    const { hours, timezone, location, attributes } = place.foursquareId ? place : this.toPlaceDocument(place);
+    const hoursStatus = getHoursStatus(hours, timezone, at);
+
+    return {
+      id: place.foursquareId || place.fsq_id,
+      name: place.name,
+      description: place.description,
+      category: place.category,
+      categories: place.categories,
+      location: place.location,
+      coordinates: location?.coordinates?.coordinates ? Array.from(location.coordinates.coordinates) : null,
+      contact: place.contact,
+      social: place.social,
+      hours,
+      timezone: hoursStatus.timezone,
+      hoursStatus,
+      price: place.price,
+      rating: place.rating,
+      localRating: place.localRating || { average: 0, count: 0 },
+      stats: place.stats,
+      photos: place.photos || [],
+      tips: place.tips || [],
+      attributes: attributes && {
+        ...attributes,
+        accessibility: resolveAccessibility(attributes.accessibility, place.accessibilityReports)
+      },
+      popularity: place.popularity || 0,
+      isActive: place.isActive ?? true,
+      // Fall back to the provider's flag when no weekly hours are known
+      isOpen: hoursStatus.isOpen ?? (hours?.isOpen || false)
+    };
+  }
+
+  // Format multiple places
+  formatPlaces(places, at = new Date()) {
+    return places.map(place => this.formatPlace(place, at));
+  }
+
+  // Get provider category IDs for a taxonomy slug or alias, including
+  // its subcategories (e.g. 'restaurant' covers 'italian' and 'thai')
+  async getCategoryIds(category) {
+    return categoryService.getProviderIds(category);
+  }
+}
+
+module.exports = PlaceProvider;
@@ -0,0 +1,22 @@
+const config = require('../config/config');
+const FoursquareService = require('./foursquareService');
+const FixtureService = require('./fixtureService');
+
+// Available place data providers, keyed by the name used in config.placeProvider
+const providers = {
+  foursquare: FoursquareService,
+  fixture: FixtureService
+};
+
+const createPlaceProvider = (name = config.placeProvider) => {
+  const Provider = providers[name];
+  if (!Provider) {
+    throw new Error(`Unknown place provider: ${name}`);
+  }
+  return new Provider();
+};
+
+const placeService = createPlaceProvider();
+
+module.exports = placeService;
+module.exports.createPlaceProvider = createPlaceProvider;
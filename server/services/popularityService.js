@@ -0,0 +1,129 @@
+const config = require('../config/config');
+const Place = require('../models/Place');
+const User = require('../models/User');
+const Itinerary = require('../models/Itinerary');
+const Review = require('../models/Review');
+const logger = require('../utils/logger');
+const { scorePopularity, round } = require('../utils/popularity');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Recomputes Place.popularity from what LocaMate users do (favorites, visits,
+// itinerary inclusions, reviews) plus provider stats. Each signal decays
+// exponentially with age, so recent activity drives trending places.
+class PopularityService {
+  constructor() {
+    this.batchSize = config.placeCache.writeBatchSize;
+  }
+
+  // Pipeline stages that sum decayed weights per place. `dateField` is the
+  // signal's timestamp and `weight` an optional per-signal multiplier.
+  decayStages(placeField, dateField, now, weight = 1) {
+    const since = new Date(now.getTime() - config.popularity.lookbackDays * MS_PER_DAY);
+    const halfLifeMs = config.popularity.halfLifeDays * MS_PER_DAY;
+
+    return [
+      { $match: { [dateField.slice(1)]: { $gte: since } } },
+      {
+        $group: {
+          _id: placeField,
+          value: {
+            $sum: {
+              $multiply: [
+                weight,
+                { $pow: [0.5, { $divide: [{ $subtract: [now, dateField] }, halfLifeMs] }] }
+              ]
+            }
+          }
+        }
+      }
+    ];
+  }
+
+  // Collect decayed signal totals, keyed by place ID
+  async collectSignals(now = new Date()) {
+    const [favorites, visits, itineraries, reviews] = await Promise.all([
+      User.aggregate([
+        { $match: { isActive: true } },
+        { $unwind: '$favorites' },
+        ...this.decayStages('$favorites.placeId', '$favorites.addedAt', now)
+      ]),
+      User.aggregate([
+        { $match: { isActive: true } },
+        { $unwind: '$visitedPlaces' },
+        ...this.decayStages('$visitedPlaces.placeId', '$visitedPlaces.visitedAt', now)
+      ]),
+      Itinerary.aggregate([
+        { $unwind: '$places' },
+        ...this.decayStages('$places.placeId', '$createdAt', now)
+      ]),
+      // Better-rated reviews count for more: a 5-star review is a full signal
+      Review.aggregate(this.decayStages('$placeId', '$createdAt', now, { $divide: ['$rating', 5] }))
+    ]);
+
+    const signals = new Map();
+    const add = (rows, signal) => rows.forEach(({ _id, value }) => {
+      if (!_id) return;
+      if (!signals.has(_id)) signals.set(_id, {});
+      signals.get(_id)[signal] = round(value);
+    });
+
+    add(favorites, 'favorites');
+    add(visits, 'visits');
+    add(itineraries, 'itineraries');
+    add(reviews, 'reviews');
+    return signals;
+  }
+
+  // Rescore every active place, writing only scores that changed
+  async recompute(now = new Date()) {
+    const startedAt = Date.now();
+    const signals = await this.collectSignals(now);
+    const stats = { scored: 0, updated: 0, withSignals: signals.size };
+
+    let operations = [];
+    const flush = async () => {
+      if (operations.length === 0) return;
+      await Place.bulkWrite(operations, { ordered: false });
+      stats.updated += operations.length;
+      operations = [];
+    };
+
+    const cursor = Place.find({ isActive: true })
+      .select('foursquareId stats rating popularity popularitySignals')
+      .lean()
+      .cursor();
+
+    for await (const place of cursor) {
+      const placeSignals = signals.get(place.foursquareId) || {};
+      const popularity = scorePopularity(place, placeSignals);
+      stats.scored++;
+
+      if (popularity === place.popularity && this.sameSignals(place.popularitySignals, placeSignals)) continue;
+
+      operations.push({
+        updateOne: {
+          filter: { _id: place._id },
+          update: {
+            $set: {
+              popularity,
+              popularitySignals: { ...placeSignals, updatedAt: now }
+            }
+          }
+        }
+      });
+      if (operations.length >= this.batchSize) await flush();
+    }
+    await flush();
+
+    logger.logDatabase('recomputePopularity', { ...stats, durationMs: Date.now() - startedAt });
+    return stats;
+  }
+
+  sameSignals(stored = {}, signals) {
+    return ['favorites', 'visits', 'itineraries', 'reviews']
+      .every(signal => (stored?.[signal] || 0) === (signals[signal] || 0));
+  }
+}
+
+module.exports = new PopularityService();
@@ -0,0 +1,25 @@
+// Travel modes every router supports
+const TRAVEL_MODES = ['walk', 'bike', 'drive'];
+
+// Base class for routing backends. Every backend routes through a list of
+// [lng, lat] points in order and returns one leg per consecutive pair:
+// { distance, duration }, in meters and seconds. Backends also measure
+// every pair of points, for reordering stops.
+class RoutingProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Legs between consecutive points, travelling by `mode`
+  async route(points, mode) {
+    throw new Error(`${this.name} router does not implement route`);
+  }
+
+  // { distances, durations }: matrices where [i][j] is travel from point i to j
+  async matrix(points, mode) {
+    throw new Error(`${this.name} router does not implement matrix`);
+  }
+}
+
+module.exports = RoutingProvider;
+module.exports.TRAVEL_MODES = TRAVEL_MODES;
@@ -0,0 +1,83 @@
+const config = require('../config/config');
+const EstimateRouter = require('./estimateRouter');
+const OsrmRouter = require('./osrmRouter');
+
+// Available routers, keyed by the name used in config.routing.provider
+const routers = {
+  estimate: EstimateRouter,
+  osrm: OsrmRouter
+};
+
+const createRouter = (name = config.routing.provider) => {
+  const Router = routers[name];
+  if (!Router) {
+    throw new Error(`Unknown routing provider: ${name}`);
+  }
+  return new Router();
+};
+
+// Seconds to minutes, to one decimal
+const toMinutes = (seconds) => Math.round(seconds / 6) / 10;
+
+// Distance and travel time between itinerary stops, through the configured
+// router. When it fails, legs are estimated so itineraries still get totals.
+class RoutingService {
+  constructor(router = createRouter(), fallback = new EstimateRouter()) {
+    this.router = router;
+    this.fallback = fallback;
+  }
+
+  // Legs through [lng, lat] points, in meters and minutes; each leg records
+  // the router that measured it
+  async route(points, mode = config.routing.defaultMode) {
+    if (points.length < 2) return [];
+
+    const { result: legs, source } = await this.withFallback('route', points, mode);
+
+    return legs.map(({ distance, duration }) => ({
+      distance: Math.round(distance),
+      duration: toMinutes(duration),
+      source
+    }));
+  }
+
+  // Distance (meters) and travel time (minutes) between every pair of points
+  async matrix(points, mode = config.routing.defaultMode) {
+    if (points.length === 0) return { distances: [], durations: [], source: this.router.name };
+
+    const { result: { distances, durations }, source } = await this.withFallback('matrix', points, mode);
+    return {
+      distances: distances.map(row => row.map(Math.round)),
+      durations: durations.map(row => row.map(toMinutes)),
+      source
+    };
+  }
+
+  // Call the router, estimating instead when it fails
+  async withFallback(method, points, mode) {
+    try {
+      return { result: await this.router[method](points, mode), source: this.router.name };
+    } catch (error) {
+      if (this.router.name === this.fallback.name) throw error;
+      console.error(`Routing error (${this.router.name}):`, error.message);
+      return { result: await this.fallback[method](points, mode), source: this.fallback.name };
+    }
+  }
+
+  // Legs between consecutive stops ({ placeId, coordinates }); stops without
+  // coordinates are skipped
+  async routeStops(stops, mode = config.routing.defaultMode) {
+    const located = stops.filter(stop => stop.coordinates?.length === 2);
+    const legs = await this.route(located.map(stop => Array.from(stop.coordinates)), mode);
+
+    return legs.map((leg, index) => ({
+      from: located[index].placeId,
+      to: located[index + 1].placeId,
+      mode,
+      ...leg
+    }));
+  }
+}
+
+module.exports = new RoutingService();
+module.exports.createRouter = createRouter;
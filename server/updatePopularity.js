@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+const config = require('./config/config');
+const popularityService = require('./services/popularityService');
+
+// Recompute place popularity once, outside the server's scheduled job
+const updatePopularity = async () => {
+  try {
+    await mongoose.connect(config.mongoUri);
+    const stats = await popularityService.recompute();
+    console.log(`Scored ${stats.scored} places, updated ${stats.updated}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error updating popularity:', error.message);
+    process.exit(1);
+  }
+};
+
+updatePopularity();
@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+// Roles an itinerary owner can give other users. Editors change places and
+// details; viewers only read.
+const COLLABORATOR_ROLES = ['editor', 'viewer'];
+
+// Roles allowed to change an itinerary's places and details
+const EDIT_ROLES = ['owner', 'editor'];
+
+// Every role with access to an itinerary
+const VIEW_ROLES = ['owner', ...COLLABORATOR_ROLES];
+
+// Secret for an invitation link; only its hash is stored
+const createInviteToken = () => crypto.randomBytes(24).toString('base64url');
+
+const hashInviteToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = {
+  COLLABORATOR_ROLES,
+  EDIT_ROLES,
+  VIEW_ROLES,
+  createInviteToken,
+  hashInviteToken
+};
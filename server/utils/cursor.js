@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+
+// Opaque pagination cursors. A cursor records the sort key of the last item
+// returned and a fingerprint of the query it belongs to, so later pages
+// continue after that item (keyset pagination) rather than at an offset.
+
+const invalidCursor = (message = 'Invalid cursor') => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Short stable hash of the parameters that define a result set
+const fingerprint = (params) => crypto
+  .createHash('sha1')
+  .update(JSON.stringify(params, Object.keys(params).sort()))
+  .digest('base64url')
+  .slice(0, 12);
+
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+// Decode a cursor and check it was issued for the same query
+const decodeCursor = (token, params) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalidCursor();
+  }
+
+  if (!payload || typeof payload !== 'object' || !('id' in payload)) {
+    throw invalidCursor();
+  }
+
+  if (payload.q !== fingerprint(params)) {
+    throw invalidCursor('Cursor does not match this query');
+  }
+
+  return payload;
+};
+
+// Build a cursor pointing after an item; `value` is the item's sort value
+const cursorAfter = (params, value, id) => encodeCursor({ q: fingerprint(params), value, id: String(id) });
+
+// Compare two items by a descending or ascending value, then ascending id
+const compareKeys = (a, b, direction) => {
+  if (a.value !== b.value) {
+    return direction === 'asc' ? a.value - b.value : b.value - a.value;
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+};
+
+// Check whether a key sorts strictly after the cursor position
+const isAfterCursor = (key, cursor, direction) => compareKeys(key, cursor, direction) > 0;
+
+module.exports = {
+  fingerprint,
+  encodeCursor,
+  decodeCursor,
+  cursorAfter,
+  compareKeys,
+  isAfterCursor
+};
@@ -0,0 +1,117 @@
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Parse a "longitude,latitude" string into a [lng, lat] pair
+const parseCoordinates = (ll) => {
+  if (Array.isArray(ll)) return ll.map(Number);
+  if (typeof ll !== 'string' || !ll.includes(',')) return null;
+
+  const [lng, lat] = ll.split(',').map(coord => parseFloat(coord));
+  if (isNaN(lng) || isNaN(lat)) return null;
+  return [lng, lat];
+};
+
+// Great-circle distance in meters between two [lng, lat] pairs
+const haversineDistance = (from, to) => {
+  const [lng1, lat1] = from;
+  const [lng2, lat2] = to;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_METERS * c;
+};
+
+const isLongitude = (value) => typeof value === 'number' && value >= -180 && value <= 180;
+const isLatitude = (value) => typeof value === 'number' && value >= -90 && value <= 90;
+
+// Parse a "minLng,minLat,maxLng,maxLat" string into a bounding box.
+// minLng may exceed maxLng for boxes crossing the antimeridian.
+const parseBoundingBox = (bbox) => {
+  if (typeof bbox !== 'string') return null;
+
+  const values = bbox.split(',').map(value => parseFloat(value));
+  if (values.length !== 4 || values.some(isNaN)) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = values;
+  if (![minLng, maxLng].every(isLongitude) || ![minLat, maxLat].every(isLatitude)) return null;
+  if (minLat >= maxLat || minLng === maxLng) return null;
+
+  return [minLng, minLat, maxLng, maxLat];
+};
+
+const boxRing = (minLng, minLat, maxLng, maxLat) => [
+  [minLng, minLat],
+  [maxLng, minLat],
+  [maxLng, maxLat],
+  [minLng, maxLat],
+  [minLng, minLat]
+];
+
+// Convert a bounding box to a GeoJSON Polygon, or a MultiPolygon when it
+// crosses the antimeridian
+const boundingBoxToGeometry = ([minLng, minLat, maxLng, maxLat]) => {
+  if (minLng < maxLng) {
+    return { type: 'Polygon', coordinates: [boxRing(minLng, minLat, maxLng, maxLat)] };
+  }
+
+  return {
+    type: 'MultiPolygon',
+    coordinates: [
+      [boxRing(minLng, minLat, 180, maxLat)],
+      [boxRing(-180, minLat, maxLng, maxLat)]
+    ]
+  };
+};
+
+// A linear ring has at least four positions and ends where it starts
+const isValidRing = (ring) => Array.isArray(ring) &&
+  ring.length >= 4 &&
+  ring.every(position => Array.isArray(position) &&
+    position.length >= 2 &&
+    isLongitude(position[0]) &&
+    isLatitude(position[1])) &&
+  ring[0][0] === ring[ring.length - 1][0] &&
+  ring[0][1] === ring[ring.length - 1][1];
+
+const isValidPolygon = (rings) => Array.isArray(rings) && rings.length > 0 && rings.every(isValidRing);
+
+// Parse a GeoJSON Polygon or MultiPolygon, given as an object or JSON string
+const parsePolygon = (value) => {
+  let geometry = value;
+  if (typeof value === 'string') {
+    try {
+      geometry = JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (!geometry || typeof geometry !== 'object') return null;
+
+  if (geometry.type === 'Polygon' && isValidPolygon(geometry.coordinates)) {
+    return { type: 'Polygon', coordinates: geometry.coordinates };
+  }
+
+  if (geometry.type === 'MultiPolygon' &&
+    Array.isArray(geometry.coordinates) &&
+    geometry.coordinates.length > 0 &&
+    geometry.coordinates.every(isValidPolygon)) {
+    return { type: 'MultiPolygon', coordinates: geometry.coordinates };
+  }
+
+  return null;
+};
+
+module.exports = {
+  EARTH_RADIUS_METERS,
+  parseCoordinates,
+  haversineDistance,
+  parseBoundingBox,
+  boundingBoxToGeometry,
+  parsePolygon
+};
@@ -0,0 +1,77 @@
+// Geohash encoding. Each character adds 5 bits, alternating longitude and
+// latitude halvings, so a prefix of a place's geohash is the cell containing
+// it at a coarser precision.
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+const MAX_PRECISION = 12;
+
+const encode = (lng, lat, precision = MAX_PRECISION) => {
+  const lngRange = [-180, 180];
+  const latRange = [-90, 90];
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const coordinate = evenBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+
+    value <<= 1;
+    if (coordinate >= mid) {
+      value |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+
+    evenBit = !evenBit;
+    if (++bits === 5) {
+      hash += BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+
+  return hash;
+};
+
+// Bounding box of a geohash cell as [minLng, minLat, maxLng, maxLat]
+const decodeBounds = (hash) => {
+  const lngRange = [-180, 180];
+  const latRange = [-90, 90];
+  let evenBit = true;
+
+  for (const char of hash) {
+    const value = BASE32.indexOf(char);
+    if (value === -1) throw new Error(`Invalid geohash: ${hash}`);
+
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = evenBit ? lngRange : latRange;
+      const mid = (range[0] + range[1]) / 2;
+      if ((value >> bit) & 1) {
+        range[0] = mid;
+      } else {
+        range[1] = mid;
+      }
+      evenBit = !evenBit;
+    }
+  }
+
+  return [lngRange[0], latRange[0], lngRange[1], latRange[1]];
+};
+
+// Approximate cell size in degrees at a precision, as [lngSpan, latSpan]
+const cellSize = (precision) => {
+  const bits = precision * 5;
+  const lngBits = Math.ceil(bits / 2);
+  const latBits = Math.floor(bits / 2);
+  return [360 / 2 ** lngBits, 180 / 2 ** latBits];
+};
+
+module.exports = {
+  MAX_PRECISION,
+  encode,
+  decodeBounds,
+  cellSize
+};
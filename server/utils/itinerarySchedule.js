@@ -0,0 +1,113 @@
+const {
+  MINUTES_PER_DAY,
+  DAY_NAMES,
+  getLocalTime,
+  formatTime,
+  getIntervals,
+  isOpenAt,
+  minutesUntilClose,
+  getNextOpening
+} = require('./openingHours');
+
+const MS_PER_MINUTE = 60 * 1000;
+
+// Ways a scheduled stop or plan may not work out
+const CONFLICT_TYPES = ['not-open-yet', 'arrives-after-closing', 'closed-all-day', 'closes-during-visit', 'over-budget'];
+
+// Arrival and departure for each stop, in visiting order, starting at
+// `startTime`. Travel to a stop is the leg from the previous stop with
+// coordinates; stops without one are reached instantly.
+const buildSchedule = (places, legs, startTime) => {
+  const travel = new Map(legs.map(leg => [`${leg.from}>${leg.to}`, leg.duration]));
+  let time = startTime.getTime();
+  let previous = null;
+
+  return places.map(place => {
+    const located = place.coordinates?.length === 2;
+    if (located && previous) {
+      time += (travel.get(`${previous.placeId}>${place.placeId}`) || 0) * MS_PER_MINUTE;
+    }
+    if (located) previous = place;
+
+    const arrival = new Date(time);
+    time += place.estimatedDuration * MS_PER_MINUTE;
+    return { arrival, departure: new Date(time) };
+  });
+};
+
+// Opening-hours conflicts for a visit from arrival to departure; none when
+// the place's hours are unknown
+const findVisitConflicts = (hours, timezone, arrival, departure) => {
+  const isOpen = isOpenAt(hours, timezone, arrival);
+  if (isOpen === null) return [];
+
+  const local = getLocalTime(arrival, timezone);
+
+  if (isOpen) {
+    const remaining = minutesUntilClose(hours, timezone, arrival);
+    const stay = Math.round((departure - arrival) / MS_PER_MINUTE);
+    if (remaining === null || remaining >= stay) return [];
+
+    return [{
+      type: 'closes-during-visit',
+      closesAt: new Date(arrival.getTime() + remaining * MS_PER_MINUTE),
+      message: `Closes at ${formatTime(local.minutes + remaining)}, ${stay - remaining} minutes before the planned departure`
+    }];
+  }
+
+  const nextOpening = getNextOpening(hours, timezone, arrival);
+  if (nextOpening && getLocalTime(nextOpening, timezone).date === local.date) {
+    return [{
+      type: 'not-open-yet',
+      opensAt: nextOpening,
+      message: `Arrives at ${formatTime(local.minutes)} but does not open until ${formatTime(getLocalTime(nextOpening, timezone).minutes)}`
+    }];
+  }
+
+  // Spans that ended earlier on the arrival day, including overnight ones
+  const dayStart = local.dayNumber * MINUTES_PER_DAY;
+  const closedEarlier = getIntervals(hours, local.dayNumber - 1, local.dayNumber)
+    .some(interval => interval.end > dayStart && interval.end <= local.minute);
+
+  if (closedEarlier) {
+    return [{
+      type: 'arrives-after-closing',
+      message: `Arrives at ${formatTime(local.minutes)}, after closing`
+    }];
+  }
+  return [{
+    type: 'closed-all-day',
+    message: `Closed on ${DAY_NAMES[local.day - 1]}`
+  }];
+};
+
+// Conflict for a stop that ends after the time budget runs out
+const findBudgetConflict = (departure, startTime, timeBudget) => {
+  if (!timeBudget) return null;
+
+  const over = Math.round((departure - startTime) / MS_PER_MINUTE) - timeBudget;
+  return over > 0 ? {
+    type: 'over-budget',
+    message: `Ends ${over} minutes after the ${timeBudget}-minute time budget`
+  } : null;
+};
+
+// All conflicts of a scheduled stop: its opening hours, when `details` of
+// the place are known, and the time budget. This is the only source of
+// conflicts, so a plan over budget is flagged on each stop past the budget.
+const findStopConflicts = (stop, details, { startTime, timeBudget }) => {
+  if (!stop.arrival) return [];
+
+  return [
+    ...(details ? findVisitConflicts(details.hours, details.timezone, stop.arrival, stop.departure) : []),
+    findBudgetConflict(stop.departure, startTime, timeBudget)
+  ].filter(Boolean);
+};
+
+module.exports = {
+  CONFLICT_TYPES,
+  buildSchedule,
+  findVisitConflicts,
+  findBudgetConflict,
+  findStopConflicts
+};
@@ -0,0 +1,154 @@
+const {
+  CONFLICT_TYPES,
+  buildSchedule,
+  findVisitConflicts,
+  findBudgetConflict,
+  findStopConflicts
+} = require('./itinerarySchedule');
+
+// Monday to Saturday 10:00-17:00, closed on Sunday
+const museum = { open: [1, 2, 3, 4, 5, 6].map(day => ({ day, open: '1000', close: '1700' })) };
+// Friday 20:00 until Saturday 02:00
+const bar = { open: [{ day: 5, open: '2000', close: '0200' }] };
+
+const visit = (hours, arrival, minutes) => {
+  const start = new Date(arrival);
+  return findVisitConflicts(hours, 'UTC', start, new Date(start.getTime() + minutes * 60 * 1000));
+};
+
+describe('buildSchedule', () => {
+  const start = new Date('2024-03-15T09:00:00Z');
+  const legs = [
+    { from: 'a', to: 'b', duration: 15 },
+    { from: 'b', to: 'd', duration: 20 }
+  ];
+
+  it('adds travel and stay times in visiting order', () => {
+    const places = [
+      { placeId: 'a', coordinates: [0, 0], estimatedDuration: 60 },
+      { placeId: 'b', coordinates: [0, 1], estimatedDuration: 30 }
+    ];
+
+    expect(buildSchedule(places, legs, start)).toEqual([
+      { arrival: new Date('2024-03-15T09:00:00Z'), departure: new Date('2024-03-15T10:00:00Z') },
+      { arrival: new Date('2024-03-15T10:15:00Z'), departure: new Date('2024-03-15T10:45:00Z') }
+    ]);
+  });
+
+  it('reaches stops without coordinates instantly and routes past them', () => {
+    const places = [
+      { placeId: 'b', coordinates: [0, 1], estimatedDuration: 30 },
+      { placeId: 'c', estimatedDuration: 45 },
+      { placeId: 'd', coordinates: [0, 2], estimatedDuration: 30 }
+    ];
+
+    const schedule = buildSchedule(places, legs, start);
+    expect(schedule[1].arrival).toEqual(new Date('2024-03-15T09:30:00Z'));
+    expect(schedule[2].arrival).toEqual(new Date('2024-03-15T10:35:00Z'));
+  });
+});
+
+describe('findVisitConflicts', () => {
+  it('lists every conflict type', () => {
+    expect(CONFLICT_TYPES).toEqual(
+      ['not-open-yet', 'arrives-after-closing', 'closed-all-day', 'closes-during-visit', 'over-budget']
+    );
+  });
+
+  it('has no conflicts for a visit inside opening hours', () => {
+    expect(visit(museum, '2024-03-15T11:00:00Z', 60)).toEqual([]);
+  });
+
+  it('has no conflicts when the hours are unknown', () => {
+    expect(visit({}, '2024-03-15T03:00:00Z', 60)).toEqual([]);
+  });
+
+  it('flags arriving before opening the same day', () => {
+    expect(visit(museum, '2024-03-15T09:00:00Z', 60)).toEqual([{
+      type: 'not-open-yet',
+      opensAt: new Date('2024-03-15T10:00:00Z'),
+      message: 'Arrives at 09:00 but does not open until 10:00'
+    }]);
+  });
+
+  it('flags arriving after closing', () => {
+    expect(visit(museum, '2024-03-15T18:00:00Z', 60)).toEqual([{
+      type: 'arrives-after-closing',
+      message: 'Arrives at 18:00, after closing'
+    }]);
+  });
+
+  it('flags arriving after an overnight span has closed', () => {
+    expect(visit(bar, '2024-03-16T03:00:00Z', 60)).toEqual([{
+      type: 'arrives-after-closing',
+      message: 'Arrives at 03:00, after closing'
+    }]);
+  });
+
+  it('flags days without opening hours', () => {
+    // 2024-03-17 is a Sunday
+    expect(visit(museum, '2024-03-17T12:00:00Z', 60)).toEqual([{
+      type: 'closed-all-day',
+      message: 'Closed on Sun'
+    }]);
+  });
+
+  it('flags closing before the planned departure', () => {
+    expect(visit(museum, '2024-03-15T16:30:00Z', 60)).toEqual([{
+      type: 'closes-during-visit',
+      closesAt: new Date('2024-03-15T17:00:00Z'),
+      message: 'Closes at 17:00, 30 minutes before the planned departure'
+    }]);
+  });
+
+  it('uses the next-day close of an overnight span', () => {
+    expect(visit(bar, '2024-03-15T23:00:00Z', 240)).toEqual([{
+      type: 'closes-during-visit',
+      closesAt: new Date('2024-03-16T02:00:00Z'),
+      message: 'Closes at 02:00, 60 minutes before the planned departure'
+    }]);
+    expect(visit(bar, '2024-03-15T23:00:00Z', 180)).toEqual([]);
+  });
+});
+
+describe('findBudgetConflict', () => {
+  const start = new Date('2024-03-15T09:00:00Z');
+
+  it('flags stops ending after the time budget', () => {
+    expect(findBudgetConflict(new Date('2024-03-15T12:20:00Z'), start, 180)).toEqual({
+      type: 'over-budget',
+      message: 'Ends 20 minutes after the 180-minute time budget'
+    });
+  });
+
+  it('accepts stops ending within the budget, or without one', () => {
+    expect(findBudgetConflict(new Date('2024-03-15T12:00:00Z'), start, 180)).toBeNull();
+    expect(findBudgetConflict(new Date('2024-03-16T12:00:00Z'), start, undefined)).toBeNull();
+  });
+});
+
+describe('findStopConflicts', () => {
+  const plan = { startTime: new Date('2024-03-15T09:00:00Z'), timeBudget: 180 };
+  const museumDetails = { hours: museum, timezone: 'UTC' };
+  const stops = buildSchedule([
+    { placeId: 'a', estimatedDuration: 120 },
+    { placeId: 'b', estimatedDuration: 90 },
+    { placeId: 'c', estimatedDuration: 60 }
+  ], [], plan.startTime);
+  const conflictTypes = (stop, details) => findStopConflicts(stop, details, plan).map(conflict => conflict.type);
+
+  it('flags the budget once on each stop past it, and nowhere else', () => {
+    expect(stops.map(stop => conflictTypes(stop, null))).toEqual([[], ['over-budget'], ['over-budget']]);
+  });
+
+  it('combines opening-hours and budget conflicts of a stop', () => {
+    expect(conflictTypes(stops[0], museumDetails)).toEqual(['not-open-yet']);
+    expect(conflictTypes(stops[2], museumDetails)).toEqual(['over-budget']);
+    expect(conflictTypes({ ...stops[2], departure: new Date('2024-03-15T17:30:00Z') }, museumDetails))
+      .toEqual(['closes-during-visit', 'over-budget']);
+  });
+
+  it('has no conflicts before the itinerary has a start time', () => {
+    expect(findStopConflicts({ placeId: 'a' }, museumDetails, { timeBudget: 60 })).toEqual([]);
+  });
+});
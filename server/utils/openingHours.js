@@ -0,0 +1,329 @@
+const config = require('../config/config');
+
+// Opening hours follow the Foursquare convention: day 1 = Monday ... 7 = Sunday,
+// times are local "HHMM" strings, and a close time at or before the open time
+// (or prefixed with "+") falls on the following day.
+//
+// Special hours (hours.special) override the weekly pattern for a range of
+// local dates: { startDate, endDate, closed, open: [{ day?, open, close }] }.
+// Spans without a day apply to every day in the range.
+const MINUTES_PER_DAY = 24 * 60;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const NEXT_OPENING_LOOKAHEAD_DAYS = 366;
+const DAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const WEEKDAYS = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Fall back to the default timezone for missing or unknown zones
+const resolveTimezone = (timezone) => {
+  if (!timezone) return config.defaultTimezone;
+  try {
+    getFormatter(timezone);
+    return timezone;
+  } catch (error) {
+    return config.defaultTimezone;
+  }
+};
+
+// Local dates are handled as day numbers (days since 1970-01-01)
+const toDayNumber = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return Date.UTC(year, month - 1, day) / MS_PER_DAY;
+};
+
+const fromDayNumber = (dayNumber) => new Date(dayNumber * MS_PER_DAY).toISOString().slice(0, 10);
+
+const weekdayOf = (dayNumber) => ((new Date(dayNumber * MS_PER_DAY).getUTCDay() + 6) % 7) + 1;
+
+// Get the local weekday (1-7), minutes since midnight and date in a timezone
+const getLocalTime = (date, timezone) => {
+  const parts = {};
+  getFormatter(resolveTimezone(timezone)).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  const localDate = `${parts.year}-${parts.month}-${parts.day}`;
+  const dayNumber = toDayNumber(localDate);
+  const minutes = parseInt(parts.hour) * 60 + parseInt(parts.minute);
+
+  return {
+    day: WEEKDAYS[parts.weekday],
+    minutes,
+    date: localDate,
+    dayNumber,
+    // Local minutes since the epoch, comparable with interval bounds
+    minute: dayNumber * MINUTES_PER_DAY + minutes
+  };
+};
+
+// Parse "HHMM" (or "HH:MM", optionally "+"-prefixed) into minutes
+const parseTime = (value) => {
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().match(/^(\+)?(\d{1,2}):?(\d{2})$/);
+  if (!match) return null;
+
+  const minutes = parseInt(match[2]) * 60 + parseInt(match[3]);
+  return match[1] ? minutes + MINUTES_PER_DAY : minutes;
+};
+
+const formatTime = (minutes) => {
+  const dayMinutes = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const hours = String(Math.floor(dayMinutes / 60)).padStart(2, '0');
+  const mins = String(dayMinutes % 60).padStart(2, '0');
+  return `${hours}:${mins}`;
+};
+
+const rangeLength = (override) => toDayNumber(override.endDate) - toDayNumber(override.startDate);
+
+// Find the special hours covering a local date. The narrowest range wins, so
+// a holiday inside a seasonal schedule takes precedence; ties go to the later entry.
+const findOverride = (special = [], date) => special
+  .filter(override => override.startDate <= date && date <= override.endDate)
+  .reduce((best, override) =>
+    !best || rangeLength(override) <= rangeLength(best) ? override : best, null);
+
+// Get the open spans for one local day
+const getDaySpans = (hours, dayNumber) => {
+  const weekday = weekdayOf(dayNumber);
+  const override = findOverride(hours?.special, fromDayNumber(dayNumber));
+
+  if (override) {
+    if (override.closed) return [];
+    return (override.open || []).filter(entry => !entry.day || entry.day === weekday);
+  }
+  return (hours?.open || []).filter(entry => entry.day === weekday);
+};
+
+// Build merged open intervals, in local minutes since the epoch, for a range of days
+const getIntervals = (hours, fromDay, toDay) => {
+  const intervals = [];
+
+  for (let dayNumber = fromDay; dayNumber <= toDay; dayNumber++) {
+    getDaySpans(hours, dayNumber).forEach(entry => {
+      const start = parseTime(entry.open);
+      let end = parseTime(entry.close);
+      if (start === null || end === null) return;
+
+      if (end <= start) end += MINUTES_PER_DAY;
+      const dayStart = dayNumber * MINUTES_PER_DAY;
+      intervals.push({ start: dayStart + start, end: dayStart + end });
+    });
+  }
+
+  // Merge overlapping or back-to-back spans so closing times are accurate
+  return intervals
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, interval) => {
+      const last = merged[merged.length - 1];
+      if (last && interval.start <= last.end) {
+        last.end = Math.max(last.end, interval.end);
+      } else {
+        merged.push(interval);
+      }
+      return merged;
+    }, []);
+};
+
+// Hours are known when there is a weekly pattern or special hours for the day
+const hasSchedule = (hours, local) =>
+  (hours?.open?.length || 0) > 0 || !!findOverride(hours?.special, local.date);
+
+// Find the interval containing a local time; spans from the previous day
+// are included so overnight hours are respected
+const findOpenInterval = (hours, local, lookaheadDays = 1) =>
+  getIntervals(hours, local.dayNumber - 1, local.dayNumber + lookaheadDays)
+    .find(interval => local.minute >= interval.start && local.minute < interval.end) || null;
+
+// Check whether hours are open at a time; null when no hours are known
+const isOpenAt = (hours, timezone, at = new Date()) => {
+  const local = getLocalTime(at, timezone);
+  if (!hasSchedule(hours, local)) return null;
+
+  return !!findOpenInterval(hours, local);
+};
+
+// Minutes until closing, or null when closed or hours are unknown
+const minutesUntilClose = (hours, timezone, at = new Date()) => {
+  const local = getLocalTime(at, timezone);
+  const interval = findOpenInterval(hours, local, 7);
+  return interval ? interval.end - local.minute : null;
+};
+
+// Check whether an open place closes within the given number of minutes
+const closesWithin = (hours, timezone, minutes, at = new Date()) => {
+  const remaining = minutesUntilClose(hours, timezone, at);
+  return remaining !== null && remaining <= minutes;
+};
+
+// Convert a local minute back to an instant, correcting for any UTC offset
+// change (DST) between the reference time and the target
+const toInstant = (localMinute, at, local, timezone) => {
+  const guess = new Date(at.getTime() + (localMinute - local.minute) * 60 * 1000);
+  const drift = getLocalTime(guess, timezone).minute - localMinute;
+  const instant = new Date(guess.getTime() - drift * 60 * 1000);
+  instant.setSeconds(0, 0);
+  return instant;
+};
+
+// Get the next opening time, or null when open now or hours are unknown
+const getNextOpening = (hours, timezone, at = new Date()) => {
+  const local = getLocalTime(at, timezone);
+  if (!hasSchedule(hours, local) || findOpenInterval(hours, local)) return null;
+
+  // Scan a week at a time so long closures are still found
+  for (let offset = 0; offset < NEXT_OPENING_LOOKAHEAD_DAYS; offset += 7) {
+    const fromDay = local.dayNumber + offset;
+    const next = getIntervals(hours, fromDay, fromDay + 6)
+      .find(interval => interval.start > local.minute);
+
+    if (next) return toInstant(next.start, at, local, timezone);
+  }
+  return null;
+};
+
+// Summarize hours for API responses
+const getHoursStatus = (hours, timezone, at = new Date()) => {
+  const isOpen = isOpenAt(hours, timezone, at);
+  const closesInMinutes = isOpen ? minutesUntilClose(hours, timezone, at) : null;
+
+  const override = findOverride(hours?.special, getLocalTime(at, timezone).date);
+
+  return {
+    isOpen,
+    closesInMinutes,
+    closingSoon: closesInMinutes !== null && closesInMinutes <= config.hours.closingSoonMinutes,
+    nextOpening: isOpen === false ? getNextOpening(hours, timezone, at) : null,
+    specialHours: override ? {
+      label: override.label || '',
+      closed: !!override.closed,
+      startDate: override.startDate,
+      endDate: override.endDate
+    } : null,
+    timezone: resolveTimezone(timezone)
+  };
+};
+
+// Format a single span, e.g. "16:00 - 02:00 (next day)"
+const formatSpan = (entry) => {
+  const start = parseTime(entry.open);
+  const end = parseTime(entry.close);
+  const overnight = end <= start || end >= MINUTES_PER_DAY;
+  return `${formatTime(start)} - ${formatTime(end)}${overnight ? ' (next day)' : ''}`;
+};
+
+const isValidSpan = (entry) => parseTime(entry.open) !== null && parseTime(entry.close) !== null;
+
+// Format weekly hours for display, one entry per span
+const formatWeeklyHours = (open = []) => open
+  .filter(entry => entry.day && isValidSpan(entry))
+  .sort((a, b) => a.day - b.day || parseTime(a.open) - parseTime(b.open))
+  .map(entry => ({
+    day: DAY_NAMES[entry.day - 1],
+    hours: formatSpan(entry)
+  }));
+
+// Hours for the local day at a time, e.g. { day: 'Fri', hours: ['16:00 - 02:00 (next day)'] };
+// null when no hours are known
+const getHoursToday = (hours, timezone, at = new Date()) => {
+  const local = getLocalTime(at, timezone);
+  if (!hasSchedule(hours, local)) return null;
+
+  const override = findOverride(hours?.special, local.date);
+  const spans = getDaySpans(hours, local.dayNumber)
+    .filter(isValidSpan)
+    .sort((a, b) => parseTime(a.open) - parseTime(b.open));
+
+  return {
+    day: DAY_NAMES[local.day - 1],
+    date: local.date,
+    closed: spans.length === 0,
+    hours: spans.map(formatSpan),
+    label: override?.label || ''
+  };
+};
+
+// Format special hours ending on or after a local date, soonest first
+const formatSpecialHours = (special = [], fromDate = '0000-00-00') => special
+  .filter(override => override.endDate >= fromDate)
+  .sort((a, b) => a.startDate.localeCompare(b.startDate))
+  .map(override => ({
+    id: override._id,
+    label: override.label || '',
+    startDate: override.startDate,
+    endDate: override.endDate,
+    closed: !!override.closed,
+    hours: override.closed ? [] : (override.open || []).filter(isValidSpan).map(entry => ({
+      day: entry.day ? DAY_NAMES[entry.day - 1] : 'Daily',
+      hours: formatSpan(entry)
+    }))
+  }));
+
+// Read opening-hours filters from a request query
+const parseHoursFilters = ({ openNow, openAt, openFor, closingWithin } = {}) => ({
+  openNow: openNow === true || openNow === 'true',
+  openAt: openAt ? new Date(openAt) : null,
+  openFor: openFor ? parseInt(openFor) : null,
+  closingWithin: closingWithin ? parseInt(closingWithin) : null
+});
+
+const hasHoursFilters = (filters = {}) =>
+  !!(filters.openNow || filters.openAt || filters.openFor || filters.closingWithin);
+
+// Filter formatted places by opening hours. Places with unknown hours are
+// dropped whenever a filter is active.
+const filterPlacesByHours = (places, filters = {}) => {
+  if (!hasHoursFilters(filters)) return places;
+
+  const { openAt, openFor, closingWithin } = filters;
+  const at = openAt ? new Date(openAt) : new Date();
+
+  return places.filter(place => {
+    const isOpen = isOpenAt(place.hours, place.timezone, at);
+    if (!isOpen) return false;
+
+    const remaining = minutesUntilClose(place.hours, place.timezone, at);
+    if (openFor && remaining < openFor) return false;
+    if (closingWithin && remaining > closingWithin) return false;
+    return true;
+  });
+};
+
+module.exports = {
+  MINUTES_PER_DAY,
+  DAY_NAMES,
+  resolveTimezone,
+  getLocalTime,
+  parseTime,
+  formatTime,
+  findOverride,
+  getIntervals,
+  isOpenAt,
+  minutesUntilClose,
+  closesWithin,
+  getNextOpening,
+  getHoursStatus,
+  getHoursToday,
+  formatWeeklyHours,
+  formatSpecialHours,
+  parseHoursFilters,
+  hasHoursFilters,
+  filterPlacesByHours
+};
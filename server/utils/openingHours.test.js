@@ -0,0 +1,163 @@
+const {
+  parseTime,
+  findOverride,
+  isOpenAt,
+  minutesUntilClose,
+  getNextOpening,
+  getHoursStatus,
+  getHoursToday,
+  filterPlacesByHours
+} = require('./openingHours');
+
+const everyDay = (open, close) => [1, 2, 3, 4, 5, 6, 7].map(day => ({ day, open, close }));
+
+describe('parseTime', () => {
+  it('parses HHMM, HH:MM and next-day times', () => {
+    expect(parseTime('0930')).toBe(570);
+    expect(parseTime('9:30')).toBe(570);
+    expect(parseTime('+0200')).toBe(26 * 60);
+    expect(parseTime('late')).toBeNull();
+    expect(parseTime(undefined)).toBeNull();
+  });
+});
+
+describe('overnight spans', () => {
+  // Friday 16:00 until Saturday 02:00
+  const hours = { open: [{ day: 5, open: '1600', close: '0200' }] };
+
+  it('stays open past midnight into the next day', () => {
+    expect(isOpenAt(hours, 'UTC', new Date('2024-03-15T23:00:00Z'))).toBe(true);
+    expect(isOpenAt(hours, 'UTC', new Date('2024-03-16T01:00:00Z'))).toBe(true);
+    expect(isOpenAt(hours, 'UTC', new Date('2024-03-16T02:00:00Z'))).toBe(false);
+  });
+
+  it('counts the minutes until the next-day close', () => {
+    expect(minutesUntilClose(hours, 'UTC', new Date('2024-03-15T23:30:00Z'))).toBe(150);
+    expect(minutesUntilClose(hours, 'UTC', new Date('2024-03-16T03:00:00Z'))).toBeNull();
+  });
+
+  it('treats a "+" close time like a close before the open time', () => {
+    const plusHours = { open: [{ day: 5, open: '1600', close: '+0200' }] };
+    expect(isOpenAt(plusHours, 'UTC', new Date('2024-03-16T01:00:00Z'))).toBe(true);
+  });
+
+  it('merges a span running into the next day with that day\'s hours', () => {
+    const backToBack = {
+      open: [
+        { day: 5, open: '1800', close: '0000' },
+        { day: 6, open: '0000', close: '0300' }
+      ]
+    };
+    expect(minutesUntilClose(backToBack, 'UTC', new Date('2024-03-15T23:00:00Z'))).toBe(240);
+  });
+
+  it('shows the next-day close in today\'s hours', () => {
+    expect(getHoursToday(hours, 'UTC', new Date('2024-03-15T12:00:00Z'))).toMatchObject({
+      day: 'Fri',
+      closed: false,
+      hours: ['16:00 - 02:00 (next day)']
+    });
+  });
+});
+
+describe('daylight saving time', () => {
+  const hours = { open: everyDay('0900', '1700') };
+  const timezone = 'America/New_York';
+
+  it('uses local time on either side of the change', () => {
+    // 09:30 EST and 09:30 EDT
+    expect(isOpenAt(hours, timezone, new Date('2024-03-09T14:30:00Z'))).toBe(true);
+    expect(isOpenAt(hours, timezone, new Date('2024-03-10T13:30:00Z'))).toBe(true);
+    // 08:30 EDT, which would be 09:30 without the change
+    expect(isOpenAt(hours, timezone, new Date('2024-03-10T12:30:00Z'))).toBe(false);
+  });
+
+  it('finds the next opening across the spring-forward night', () => {
+    // Saturday 20:00 EST; Sunday 09:00 is EDT
+    const next = getNextOpening(hours, timezone, new Date('2024-03-10T01:00:00Z'));
+    expect(next.toISOString()).toBe('2024-03-10T13:00:00.000Z');
+  });
+
+  it('finds the next opening across the fall-back night', () => {
+    // Saturday 20:00 EDT; Sunday 09:00 is EST
+    const next = getNextOpening(hours, timezone, new Date('2024-11-03T00:00:00Z'));
+    expect(next.toISOString()).toBe('2024-11-03T14:00:00.000Z');
+  });
+});
+
+describe('special hours', () => {
+  const season = { startDate: '2024-12-01', endDate: '2024-12-31', label: 'Holiday season', open: [{ open: '1000', close: '2200' }] };
+  const christmas = { startDate: '2024-12-25', endDate: '2024-12-25', label: 'Christmas', closed: true };
+  const hours = { open: everyDay('0900', '1700'), special: [christmas, season] };
+
+  it('lets the narrowest range win', () => {
+    expect(findOverride(hours.special, '2024-12-25')).toBe(christmas);
+    expect(findOverride(hours.special, '2024-12-24')).toBe(season);
+    expect(findOverride(hours.special, '2024-11-30')).toBeNull();
+  });
+
+  it('gives ties to the later entry', () => {
+    const first = { startDate: '2024-07-04', endDate: '2024-07-04', closed: true };
+    const second = { startDate: '2024-07-04', endDate: '2024-07-04', open: [{ open: '1200', close: '1400' }] };
+    expect(findOverride([first, second], '2024-07-04')).toBe(second);
+  });
+
+  it('overrides the weekly pattern', () => {
+    expect(isOpenAt(hours, 'UTC', new Date('2024-12-24T20:00:00Z'))).toBe(true);
+    expect(isOpenAt(hours, 'UTC', new Date('2024-12-25T12:00:00Z'))).toBe(false);
+    expect(isOpenAt(hours, 'UTC', new Date('2024-11-30T20:00:00Z'))).toBe(false);
+  });
+
+  it('only applies day-specific spans on that weekday', () => {
+    // 2024-12-07 is a Saturday
+    const weekends = { startDate: '2024-12-01', endDate: '2024-12-31', open: [{ day: 6, open: '1200', close: '1400' }] };
+    const withWeekends = { open: everyDay('0900', '1700'), special: [weekends] };
+    expect(isOpenAt(withWeekends, 'UTC', new Date('2024-12-07T13:00:00Z'))).toBe(true);
+    expect(isOpenAt(withWeekends, 'UTC', new Date('2024-12-06T10:00:00Z'))).toBe(false);
+  });
+
+  it('reports the override and the next opening after a closed day', () => {
+    const status = getHoursStatus(hours, 'UTC', new Date('2024-12-25T12:00:00Z'));
+    expect(status).toMatchObject({
+      isOpen: false,
+      specialHours: { label: 'Christmas', closed: true, startDate: '2024-12-25', endDate: '2024-12-25' }
+    });
+    expect(status.nextOpening.toISOString()).toBe('2024-12-26T10:00:00.000Z');
+  });
+
+  it('finds the next opening after a closure longer than a week', () => {
+    const closure = { open: everyDay('0900', '1700'), special: [{ startDate: '2024-01-01', endDate: '2024-03-31', closed: true }] };
+    const next = getNextOpening(closure, 'UTC', new Date('2024-01-10T12:00:00Z'));
+    expect(next.toISOString()).toBe('2024-04-01T09:00:00.000Z');
+  });
+
+  it('knows the hours of a day covered only by special hours', () => {
+    const specialOnly = { special: [christmas] };
+    expect(isOpenAt(specialOnly, 'UTC', new Date('2024-12-25T12:00:00Z'))).toBe(false);
+    expect(isOpenAt(specialOnly, 'UTC', new Date('2024-12-26T12:00:00Z'))).toBeNull();
+  });
+});
+
+describe('filterPlacesByHours', () => {
+  const at = new Date('2024-03-15T16:30:00Z');
+  const places = [
+    { id: 'late', hours: { open: everyDay('0900', '2300') }, timezone: 'UTC' },
+    { id: 'closing', hours: { open: everyDay('0900', '1700') }, timezone: 'UTC' },
+    { id: 'closed', hours: { open: everyDay('1800', '2300') }, timezone: 'UTC' },
+    { id: 'unknown', hours: {}, timezone: 'UTC' }
+  ];
+  const ids = (filters) => filterPlacesByHours(places, filters).map(place => place.id);
+
+  it('keeps every place when no filter is set', () => {
+    expect(ids({})).toEqual(['late', 'closing', 'closed', 'unknown']);
+  });
+
+  it('drops closed places and places with unknown hours', () => {
+    expect(ids({ openAt: at })).toEqual(['late', 'closing']);
+  });
+
+  it('filters on the time left before closing', () => {
+    expect(ids({ openAt: at, openFor: 60 })).toEqual(['late']);
+    expect(ids({ openAt: at, closingWithin: 30 })).toEqual(['closing']);
+  });
+});
@@ -0,0 +1,144 @@
+// Controlled vocabularies for place attributes. User preferences use the same
+// cuisine, atmosphere and activity values, so places and users can be matched
+// directly.
+const CUISINES = ['italian', 'chinese', 'japanese', 'indian', 'mexican', 'american', 'french', 'thai', 'mediterranean', 'other'];
+const ATMOSPHERES = ['quiet', 'vibrant', 'romantic', 'family-friendly', 'casual', 'formal', 'outdoor', 'cozy'];
+const ACTIVITIES = ['work', 'relax', 'explore', 'dine', 'nightlife', 'culture', 'shopping', 'outdoor'];
+const FEATURES = [
+  'wifi',
+  'outdoor-seating',
+  'reservations',
+  'delivery',
+  'takeout',
+  'parking',
+  'restroom',
+  'live-music',
+  'pet-friendly',
+  'alcohol',
+  'vegetarian-options'
+];
+const ACCESSIBILITY = [
+  'wheelchair-accessible',
+  'step-free-access',
+  'accessible-restroom',
+  'accessible-parking',
+  'elevator',
+  'hearing-loop',
+  'braille-menu',
+  'service-animals',
+  'quiet-hours'
+];
+
+// Attribute groups stored on Place.attributes, with their vocabularies
+const ATTRIBUTE_VOCABULARIES = {
+  cuisine: CUISINES,
+  atmosphere: ATMOSPHERES,
+  activities: ACTIVITIES,
+  features: FEATURES,
+  accessibility: ACCESSIBILITY
+};
+
+// Query parameters that filter places by attributes; a place must have at
+// least one of the listed values for each parameter given
+const ATTRIBUTE_FILTERS = {
+  cuisine: 'cuisine',
+  atmosphere: 'atmosphere',
+  activity: 'activities',
+  features: 'features'
+};
+
+// Filters a place must satisfy in full: every listed value is required, since
+// an accessibility need that is only partly met is not met
+const REQUIRED_FILTERS = {
+  accessibility: 'accessibility'
+};
+
+const emptyAttributes = () => Object.fromEntries(Object.keys(ATTRIBUTE_VOCABULARIES).map(group => [group, []]));
+
+// Read attribute filters from a request query; values are comma-separated
+const parseAttributeFilters = (query = {}) => {
+  const filters = {};
+  [...Object.keys(ATTRIBUTE_FILTERS), ...Object.keys(REQUIRED_FILTERS)].forEach(param => {
+    const values = String(query[param] || '')
+      .split(',')
+      .map(value => value.trim().toLowerCase())
+      .filter(Boolean);
+    if (values.length > 0) filters[param] = values;
+  });
+  return filters;
+};
+
+const matchesAttributes = (place, filters = {}) => {
+  const values = (group) => place.attributes?.[group] || [];
+
+  return Object.entries(ATTRIBUTE_FILTERS).every(([param, group]) => !filters[param] ||
+      filters[param].some(value => values(group).includes(value))) &&
+    Object.entries(REQUIRED_FILTERS).every(([param, group]) => !filters[param] ||
+      filters[param].every(value => values(group).includes(value)));
+};
+
+// Mongo filter equivalent of matchesAttributes
+const buildAttributeQuery = (filters = {}) => {
+  const query = {};
+  Object.entries(ATTRIBUTE_FILTERS).forEach(([param, group]) => {
+    if (filters[param]) query[`attributes.${group}`] = { $in: filters[param] };
+  });
+  Object.entries(REQUIRED_FILTERS).forEach(([param, group]) => {
+    if (filters[param]) query[`attributes.${group}`] = { $all: filters[param] };
+  });
+  return query;
+};
+
+// Accessibility features of a place: what the provider lists, corrected by
+// user reports ({ available, unavailable }) where reporters agree
+const resolveAccessibility = (provided = [], reports = {}) => {
+  const unavailable = reports.unavailable || [];
+  return Array.from(new Set([...provided, ...(reports.available || [])]))
+    .filter(value => !unavailable.includes(value));
+};
+
+// Score how well a place fits a user's preferences, from 0 to 1, and list
+// the shared values
+const matchPreferences = (attributes = {}, preferences = {}) => {
+  const groups = [
+    ['cuisine', 'cuisine'],
+    ['atmosphere', 'atmosphere'],
+    ['activities', 'activities']
+  ].filter(([, preference]) => (preferences[preference] || []).length > 0);
+
+  const matches = {};
+  let score = 0;
+  groups.forEach(([group, preference]) => {
+    matches[group] = (attributes[group] || []).filter(value => preferences[preference].includes(value));
+    if (matches[group].length > 0) score += 1;
+  });
+
+  return {
+    score: groups.length > 0 ? Math.round((score / groups.length) * 100) / 100 : 0,
+    matches
+  };
+};
+
+// Short text description of a place's attributes, e.g. for AI prompts
+const describeAttributes = (attributes = {}) => Object.keys(ATTRIBUTE_VOCABULARIES)
+  .filter(group => (attributes[group] || []).length > 0)
+  .map(group => `${group}: ${attributes[group].join(', ')}`)
+  .join('; ');
+
+module.exports = {
+  CUISINES,
+  ATMOSPHERES,
+  ACTIVITIES,
+  FEATURES,
+  ACCESSIBILITY,
+  ATTRIBUTE_VOCABULARIES,
+  ATTRIBUTE_FILTERS,
+  REQUIRED_FILTERS,
+  emptyAttributes,
+  parseAttributeFilters,
+  matchesAttributes,
+  buildAttributeQuery,
+  resolveAccessibility,
+  matchPreferences,
+  describeAttributes
+};
@@ -0,0 +1,80 @@
+const geohash = require('./geohash');
+const { buildSearchTerms } = require('./textSearch');
+
+// Why a user reports a place
+const CORRECTION_REASONS = ['closed', 'moved', 'wrong-category', 'wrong-details'];
+
+// Place fields a correction can change
+const CORRECTABLE_FIELDS = ['name', 'category', 'address', 'coordinates'];
+
+// Pick the correctable fields that have a value
+const pickCorrections = (values = {}) => Object.fromEntries(CORRECTABLE_FIELDS
+  .filter(field => values[field] !== undefined && values[field] !== null && values[field] !== '')
+  .map(field => [field, values[field]]));
+
+// Provider categories set by a category correction, or null
+const correctedCategories = (corrections) => corrections?.categories?.length
+  ? corrections.categories.map(({ id, name }) => ({ id, name }))
+  : null;
+
+// Current value of each correctable field on a Place document
+const currentValues = (doc) => ({
+  name: doc.name,
+  category: doc.category,
+  address: doc.location?.address || '',
+  coordinates: doc.location?.coordinates?.coordinates ? Array.from(doc.location.coordinates.coordinates) : null
+});
+
+// Apply moderator corrections to a Place document built from provider data,
+// so a provider refresh does not undo them
+const applyToDocument = (doc, corrections) => {
+  const values = pickCorrections(corrections);
+  if (Object.keys(values).length === 0) return doc;
+
+  const categories = correctedCategories(corrections) || doc.categories;
+  const location = { ...doc.location };
+  if (values.address) {
+    location.address = values.address;
+    location.formattedAddress = values.address;
+  }
+  if (values.coordinates) {
+    const [lng, lat] = values.coordinates;
+    location.coordinates = { type: 'Point', coordinates: [lng, lat] };
+    location.geohash = geohash.encode(lng, lat);
+  }
+
+  return {
+    ...doc,
+    name: values.name || doc.name,
+    category: values.category || doc.category,
+    categories,
+    location,
+    searchTerms: values.name || categories !== doc.categories
+      ? buildSearchTerms(values.name || doc.name, categories || [])
+      : doc.searchTerms
+  };
+};
+
+// Apply moderator corrections to a formatted place
+const applyToPlace = (place, corrections) => {
+  const values = pickCorrections(corrections);
+  if (Object.keys(values).length === 0) return place;
+
+  return {
+    ...place,
+    name: values.name || place.name,
+    category: values.category || place.category,
+    categories: correctedCategories(corrections) || place.categories,
+    location: values.address ? { ...place.location, address: values.address } : place.location,
+    coordinates: values.coordinates ? Array.from(values.coordinates) : place.coordinates
+  };
+};
+
+module.exports = {
+  CORRECTION_REASONS,
+  CORRECTABLE_FIELDS,
+  pickCorrections,
+  currentValues,
+  applyToDocument,
+  applyToPlace
+};
@@ -0,0 +1,26 @@
+const config = require('../config/config');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Provider stats are all-time counts, so they are log-scaled to keep large
+// venues from drowning out recent LocaMate activity
+const providerScore = ({ stats = {}, rating = 0 } = {}) =>
+  Math.log1p(stats.totalCheckins || 0) * 0.4 +
+  Math.log1p(stats.totalTips || 0) * 0.3 +
+  Math.log1p(stats.totalPhotos || 0) * 0.2 +
+  (rating || 0) * 0.1;
+
+// Blend decayed LocaMate signals ({ favorites, visits, itineraries, reviews })
+// with provider stats into a single popularity score
+const scorePopularity = (place, signals = {}, weights = config.popularity.weights) => {
+  const localScore = ['favorites', 'visits', 'itineraries', 'reviews']
+    .reduce((total, signal) => total + (signals[signal] || 0) * weights[signal], 0);
+
+  return round(localScore + providerScore(place) * weights.provider);
+};
+
+module.exports = {
+  providerScore,
+  scorePopularity,
+  round
+};
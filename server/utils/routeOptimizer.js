@@ -0,0 +1,136 @@
+// Orders up to this many free stops are all tried; longer itineraries are
+// improved from a nearest-neighbour tour instead
+const EXHAUSTIVE_LIMIT = 8;
+const MAX_IMPROVEMENT_PASSES = 50;
+
+const MS_PER_MINUTE = 60 * 1000;
+
+// Travel time, distance and stops closed on arrival when visiting stops in
+// `order`. `stops` are { stay } in minutes; `durations` and `distances` are
+// matrices between stops; `isOpen(stop, arrival)` returns false when a stop
+// is closed, and true or null otherwise.
+const evaluateOrder = (order, { stops, durations, distances, startTime, isOpen }) => {
+  let time = startTime ? startTime.getTime() : null;
+  let travelTime = 0;
+  let distance = 0;
+  const closed = [];
+
+  order.forEach((stop, index) => {
+    if (index > 0) {
+      const previous = order[index - 1];
+      travelTime += durations[previous][stop];
+      distance += distances[previous][stop];
+      if (time !== null) time += durations[previous][stop] * MS_PER_MINUTE;
+    }
+    if (time !== null) {
+      if (isOpen(stop, new Date(time)) === false) closed.push(stop);
+      time += stops[stop].stay * MS_PER_MINUTE;
+    }
+  });
+
+  return { travelTime, distance, closed };
+};
+
+// Fewer closed stops first, then less travel time; sums that differ only by
+// rounding count as equal
+const compareResults = (a, b) => {
+  const travelTime = a.travelTime - b.travelTime;
+  return a.closed.length - b.closed.length || (Math.abs(travelTime) < 1e-6 ? 0 : travelTime);
+};
+
+// Try every order of the free stops, pruning orders already worse than the best
+const searchAll = (free, build, context) => {
+  let best = null;
+
+  const visit = (prefix, remaining) => {
+    if (remaining.length === 0) {
+      const order = build(prefix);
+      const result = evaluateOrder(order, context);
+      if (!best || compareResults(result, best.result) < 0) best = { order, result };
+      return;
+    }
+    if (best) {
+      const partial = evaluateOrder(build(prefix, false), context);
+      if (partial.closed.length > best.result.closed.length ||
+        (partial.closed.length === best.result.closed.length && partial.travelTime >= best.result.travelTime)) {
+        return;
+      }
+    }
+    remaining.forEach((stop, index) => {
+      visit([...prefix, stop], remaining.filter((_, i) => i !== index));
+    });
+  };
+
+  visit([], free);
+  return best.order;
+};
+
+// Greedy tour from the first stop, then 2-opt: reverse stretches of the free
+// stops while that improves the result
+const improveTour = (free, first, build, context) => {
+  const { durations } = context;
+  const remaining = [...free];
+  const tour = [];
+  let current = first;
+  while (remaining.length > 0) {
+    let next = 0;
+    if (current !== null) {
+      remaining.forEach((stop, index) => {
+        if (durations[current][stop] < durations[current][remaining[next]]) next = index;
+      });
+    }
+    current = remaining.splice(next, 1)[0];
+    tour.push(current);
+  }
+
+  const evaluate = (middle) => ({ middle, result: evaluateOrder(build(middle), context) });
+  let best = evaluate(tour);
+  for (let pass = 0, improved = true; improved && pass < MAX_IMPROVEMENT_PASSES; pass++) {
+    improved = false;
+    for (let i = 0; i < tour.length - 1; i++) {
+      for (let j = i + 1; j < tour.length; j++) {
+        const { middle } = best;
+        const candidate = evaluate([...middle.slice(0, i), ...middle.slice(i, j + 1).reverse(), ...middle.slice(j + 1)]);
+        if (compareResults(candidate.result, best.result) < 0) {
+          best = candidate;
+          improved = true;
+        }
+      }
+    }
+  }
+  return build(best.middle);
+};
+
+// Order stops (indices into `stops`, currently visited in index order) to
+// visit the most of them while open, then to minimize travel time. The
+// current order is kept unless another is strictly better. `keepFirst` and
+// `keepLast` pin the current first and last stop in place.
+const optimizeOrder = ({ stops, durations, distances, startTime, isOpen = () => null, keepFirst = false, keepLast = false }) => {
+  const context = { stops, durations, distances, startTime, isOpen };
+  const indices = stops.map((_, index) => index);
+  const first = keepFirst && indices.length > 0 ? indices[0] : null;
+  const last = keepLast && indices.length > (first === null ? 0 : 1) ? indices[indices.length - 1] : null;
+  const free = indices.filter(index => index !== first && index !== last);
+
+  // Full order from an order of free stops; partial orders leave out the last stop
+  const build = (middle, complete = true) => [
+    ...(first === null ? [] : [first]),
+    ...middle,
+    ...(last === null || !complete ? [] : [last])
+  ];
+
+  const candidate = free.length <= EXHAUSTIVE_LIMIT
+    ? searchAll(free, build, context)
+    : improveTour(free, first, build, context);
+
+  const current = { order: indices, result: evaluateOrder(indices, context) };
+  const optimized = { order: candidate, result: evaluateOrder(candidate, context) };
+  const best = compareResults(optimized.result, current.result) < 0 ? optimized : current;
+
+  return { order: best.order, ...best.result };
+};
+
+module.exports = {
+  evaluateOrder,
+  optimizeOrder
+};
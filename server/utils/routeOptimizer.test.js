@@ -0,0 +1,109 @@
+const { evaluateOrder, optimizeOrder } = require('./routeOptimizer');
+
+const START = new Date('2024-05-01T09:00:00Z');
+const minutesAfterStart = (date) => (date.getTime() - START.getTime()) / 60000;
+
+// Stops on a line, one minute and one kilometre apart per unit
+const lineStops = (positions, stay = 0) => ({
+  stops: positions.map(() => ({ stay })),
+  durations: positions.map(a => positions.map(b => Math.abs(a - b))),
+  distances: positions.map(a => positions.map(b => Math.abs(a - b) * 1000))
+});
+
+// Every order of the given stops
+const permutations = (items) => items.length <= 1
+  ? [items]
+  : items.flatMap((item, index) =>
+    permutations(items.filter((_, i) => i !== index)).map(rest => [item, ...rest]));
+
+describe('evaluateOrder', () => {
+  it('sums travel time and distance along the order', () => {
+    const context = lineStops([0, 4, 1]);
+    expect(evaluateOrder([0, 1, 2], context)).toEqual({ travelTime: 7, distance: 7000, closed: [] });
+    expect(evaluateOrder([0, 2, 1], context)).toEqual({ travelTime: 4, distance: 4000, closed: [] });
+  });
+
+  it('checks opening hours on arrival, after earlier stays', () => {
+    const context = {
+      ...lineStops([0, 1], 30),
+      startTime: START,
+      isOpen: (stop, arrival) => stop === 1 ? minutesAfterStart(arrival) < 30 : true
+    };
+    expect(evaluateOrder([0, 1], context).closed).toEqual([1]);
+    expect(evaluateOrder([1, 0], context).closed).toEqual([]);
+  });
+
+  it('ignores opening hours without a start time', () => {
+    const context = { ...lineStops([0, 1]), isOpen: () => false };
+    expect(evaluateOrder([0, 1], context).closed).toEqual([]);
+  });
+});
+
+describe('optimizeOrder', () => {
+  it('finds the shortest order when every order can be tried', () => {
+    const positions = [0, 7, 2, 5, -3, 9, 1, -6];
+    const context = lineStops(positions);
+    const shortest = Math.min(...permutations(positions.map((_, index) => index))
+      .map(order => evaluateOrder(order, context).travelTime));
+
+    const result = optimizeOrder(context);
+    expect(result.travelTime).toBe(shortest);
+    expect([...result.order].sort()).toEqual(positions.map((_, index) => index).sort());
+  });
+
+  it('improves on the nearest-neighbour tour when there are too many stops to try them all', () => {
+    // Nearest neighbour from the first stop zig-zags across it for 100 minutes
+    const positions = [0, 1, -2, 3, -4, 5, -6, 7, -8, 9, -10];
+    const result = optimizeOrder({ ...lineStops(positions), keepFirst: true });
+
+    expect(result.travelTime).toBe(28);
+    expect(result.distance).toBe(28000);
+    expect(result.order).toEqual([0, 1, 3, 5, 7, 9, 2, 4, 6, 8, 10]);
+  });
+
+  it('keeps the first and last stops in place when asked', () => {
+    const context = lineStops([1, 0, 10, 3, 8]);
+
+    expect(optimizeOrder({ ...context, keepFirst: true }).order[0]).toBe(0);
+    expect(optimizeOrder({ ...context, keepLast: true }).order.slice(-1)).toEqual([4]);
+
+    const pinned = optimizeOrder({ ...context, keepFirst: true, keepLast: true });
+    expect(pinned.order[0]).toBe(0);
+    expect(pinned.order[4]).toBe(4);
+    expect(pinned.order.slice(1, 4)).toEqual([1, 3, 2]);
+  });
+
+  it('pins both ends with more free stops than the exhaustive limit', () => {
+    const positions = [0, 9, 2, 7, 4, 5, 6, 3, 8, 1, 10];
+    const result = optimizeOrder({ ...lineStops(positions), keepFirst: true, keepLast: true });
+
+    expect(result.order[0]).toBe(0);
+    expect(result.order[10]).toBe(10);
+    expect(result.travelTime).toBe(10);
+  });
+
+  it('prefers visiting stops while open over a shorter route', () => {
+    // The middle stop is only open right at the start
+    const context = {
+      ...lineStops([0, 1, 2]),
+      startTime: START,
+      isOpen: (stop, arrival) => stop === 1 ? minutesAfterStart(arrival) === 0 : true
+    };
+
+    const result = optimizeOrder(context);
+    expect(result.order[0]).toBe(1);
+    expect(result.closed).toEqual([]);
+    expect(result.travelTime).toBe(3);
+  });
+
+  it('keeps the current order unless another is strictly better', () => {
+    const result = optimizeOrder(lineStops([0, 1, 2, 3]));
+    expect(result.order).toEqual([0, 1, 2, 3]);
+  });
+
+  it('handles empty and single-stop itineraries', () => {
+    expect(optimizeOrder({ ...lineStops([]), keepFirst: true, keepLast: true }))
+      .toEqual({ order: [], travelTime: 0, distance: 0, closed: [] });
+    expect(optimizeOrder({ ...lineStops([4]), keepFirst: true, keepLast: true }).order).toEqual([0]);
+  });
+});
@@ -0,0 +1,106 @@
+const config = require('../config/config');
+const { round } = require('./popularity');
+
+// Attribute groups compared between places; accessibility describes access,
+// not what a place is like, so it does not count towards similarity
+const SIMILARITY_GROUPS = ['cuisine', 'atmosphere', 'activities', 'features'];
+
+const overlap = (a = [], b = []) => {
+  const setB = new Set(b);
+  return Array.from(new Set(a)).filter(value => setB.has(value));
+};
+
+// Jaccard index of two lists, or null when neither has values
+const jaccard = (a = [], b = []) => {
+  const union = new Set([...a, ...b]).size;
+  return union > 0 ? overlap(a, b).length / union : null;
+};
+
+// Score how similar a candidate is to a place, from 0 to 1, on categories,
+// normalized attributes, price tier and provider rating. Components the two
+// places cannot be compared on (e.g. no known price) are left out of the
+// weighting. Also returns what matched, for explaining the suggestion.
+const scoreSimilarity = (place, candidate, weights = config.similarPlaces.weights) => {
+  const components = {};
+  const matches = {};
+
+  const categoryIds = (p) => (p.categories || []).map(category => String(category.id));
+  const sharedCategoryIds = overlap(categoryIds(place), categoryIds(candidate));
+  components.categories = jaccard(categoryIds(place), categoryIds(candidate));
+  matches.categories = (candidate.categories || [])
+    .filter(category => sharedCategoryIds.includes(String(category.id)))
+    .map(category => category.name);
+
+  // Average over groups either place has values in
+  const groupScores = [];
+  matches.attributes = {};
+  SIMILARITY_GROUPS.forEach(group => {
+    const a = place.attributes?.[group] || [];
+    const b = candidate.attributes?.[group] || [];
+    const score = jaccard(a, b);
+    if (score === null) return;
+
+    groupScores.push(score);
+    const shared = overlap(a, b);
+    if (shared.length > 0) matches.attributes[group] = shared;
+  });
+  components.attributes = groupScores.length > 0
+    ? groupScores.reduce((total, score) => total + score, 0) / groupScores.length
+    : null;
+
+  if (place.price && candidate.price) {
+    components.price = 1 - Math.abs(place.price - candidate.price) / 3;
+    matches.samePrice = place.price === candidate.price;
+  } else {
+    components.price = null;
+  }
+
+  if (place.rating && candidate.rating) {
+    components.rating = 1 - Math.min(Math.abs(place.rating - candidate.rating), 5) / 5;
+    matches.ratingDifference = round(candidate.rating - place.rating);
+  } else {
+    components.rating = null;
+  }
+
+  const weighed = Object.entries(components).filter(([, score]) => score !== null);
+  const totalWeight = weighed.reduce((total, [component]) => total + weights[component], 0);
+  const score = totalWeight > 0
+    ? weighed.reduce((total, [component, value]) => total + value * weights[component], 0) / totalWeight
+    : 0;
+
+  return { score: round(score), matches };
+};
+
+// Human-readable reasons for a suggestion, strongest first
+const explainSimilarity = (matches) => {
+  const reasons = [];
+
+  if (matches.categories.length > 0) {
+    reasons.push(`Also a ${matches.categories.join(' / ')}`);
+  }
+  if (matches.attributes.cuisine) {
+    reasons.push(`Same cuisine: ${matches.attributes.cuisine.join(', ')}`);
+  }
+  const vibe = [...(matches.attributes.atmosphere || []), ...(matches.attributes.activities || [])];
+  if (vibe.length > 0) {
+    reasons.push(`Good for ${Array.from(new Set(vibe)).join(', ')}`);
+  }
+  if (matches.attributes.features) {
+    reasons.push(`Also has ${matches.attributes.features.join(', ')}`);
+  }
+  if (matches.samePrice) {
+    reasons.push('Same price range');
+  }
+  if (matches.ratingDifference !== undefined && Math.abs(matches.ratingDifference) <= 0.5) {
+    reasons.push('Similarly rated');
+  } else if (matches.ratingDifference > 0.5) {
+    reasons.push('Rated higher');
+  }
+
+  return reasons;
+};
+
+module.exports = {
+  scoreSimilarity,
+  explainSimilarity
+};
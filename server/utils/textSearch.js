@@ -0,0 +1,64 @@
+const MIN_PREFIX_LENGTH = 2;
+const MAX_PREFIX_LENGTH = 10;
+
+// Lowercase, strip accents and punctuation, collapse whitespace
+const normalizeText = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '') // combining accents left by NFD
+  .toLowerCase()
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const tokenize = (text) => normalizeText(text).split(' ').filter(Boolean);
+
+// Word prefixes used for type-ahead matching, e.g. "pizza" -> pi, piz, pizz, pizza
+const getPrefixes = (tokens) => {
+  const prefixes = new Set();
+  tokens.forEach(token => {
+    for (let length = MIN_PREFIX_LENGTH; length <= Math.min(token.length, MAX_PREFIX_LENGTH); length++) {
+      prefixes.add(token.slice(0, length));
+    }
+  });
+  return Array.from(prefixes);
+};
+
+// Character trigrams of each word, padded so word starts and ends count;
+// overlapping trigrams make matching tolerant of typos
+const getTrigrams = (text) => {
+  const trigrams = new Set();
+  tokenize(text).forEach(token => {
+    const padded = `  ${token} `;
+    for (let i = 0; i < padded.length - 2; i++) {
+      trigrams.add(padded.slice(i, i + 3));
+    }
+  });
+  return Array.from(trigrams);
+};
+
+// Dice coefficient of two strings' trigram sets, from 0 to 1
+const trigramSimilarity = (a, b) => {
+  const left = getTrigrams(a);
+  const right = new Set(getTrigrams(b));
+  if (left.length === 0 || right.size === 0) return 0;
+
+  const shared = left.filter(trigram => right.has(trigram)).length;
+  return (2 * shared) / (left.length + right.size);
+};
+
+// Terms stored on a place for autocomplete lookups
+const buildSearchTerms = (name, categories = []) => ({
+  prefixes: getPrefixes(tokenize([name, ...categories.map(category => category.name)].join(' '))),
+  trigrams: getTrigrams(name)
+});
+
+module.exports = {
+  MIN_PREFIX_LENGTH,
+  MAX_PREFIX_LENGTH,
+  normalizeText,
+  tokenize,
+  getPrefixes,
+  getTrigrams,
+  trigramSimilarity,
+  buildSearchTerms
+};